@@ -11,6 +11,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { withFileLockSync, writeJsonAtomicSync } = require('../../src/utils/fileLock');
 
 const REPORTS_DIR = __dirname;
 const INDEX_FILE = path.join(REPORTS_DIR, 'index.json');
@@ -225,7 +226,7 @@ function generateIndex(reports) {
   };
   
   // Write index file
-  fs.writeFileSync(INDEX_FILE, JSON.stringify(indexData, null, 2));
+  withFileLockSync(INDEX_FILE, () => writeJsonAtomicSync(INDEX_FILE, indexData));
   console.log(`   ✅ Generated index.json with ${reports.length} reports`);
   
   return indexData;
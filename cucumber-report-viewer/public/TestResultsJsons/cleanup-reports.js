@@ -3,10 +3,20 @@
 /**
  * Report Cleanup Utility
  * Removes unused reports, old backups, and regenerates index
+ *
+ * The report server applies the full retention policy (server.config.json "retention") by itself.
+ * This script only shares its suite grouping, keepLastPerSuite and pins, for checkouts without a server.
+ * Old backups are removed with the server's backup policy ("backups" in server.config.json).
  */
 
 const fs = require('fs');
 const path = require('path');
+const { suiteOf } = require('../../src/utils/retentionPolicy');
+const { planBackupCleanup } = require('../../src/utils/backupPolicy');
+const { loadServerConfig } = require('../../src/utils/serverConfig');
+
+// Runs kept per suite when the retention policy doesn't set keepLastPerSuite
+const DEFAULT_KEEP_PER_SUITE = 5;
 
 console.log('🧹 Starting report cleanup...');
 
@@ -21,11 +31,16 @@ const systemFiles = [
   'index-monitor.js',
   'cleanup-reports.js',
   'package.json',
-  '.deleted-reports.json'
+  '.deleted-reports.json',
+  '.pinned-reports.json',
+  '.report-metadata.json',
+  '.report-provenance.json',
+  '.report-aliases.json',
+  '.run-groups.json'
 ];
 
 // Directories to keep
-const systemDirs = ['.backups', 'uploads'];
+const systemDirs = ['.backups', '.shards', '.reruns', 'uploads'];
 
 function getFileAge(filePath) {
   try {
@@ -51,22 +66,19 @@ function cleanupOldBackups() {
   
   console.log('🗂️ Cleaning up old backups...');
   
-  const backupFiles = fs.readdirSync(backupDir);
+  const backupFiles = fs.readdirSync(backupDir)
+    .filter(file => file.includes('-backup-'))
+    .map(file => ({ name: file, lastModified: fs.statSync(path.join(backupDir, file)).mtime }));
   let removedCount = 0;
   
-  backupFiles.forEach(file => {
-    const filePath = path.join(backupDir, file);
-    const age = getFileAge(filePath);
-    
-    // Remove backups older than 30 days
-    if (age > 30) {
-      try {
-        fs.unlinkSync(filePath);
-        console.log(`  ❌ Removed old backup: ${file} (${Math.round(age)} days old)`);
-        removedCount++;
-      } catch (error) {
-        console.warn(`  ⚠️ Could not remove ${file}: ${error.message}`);
-      }
+  // Same rules as the server: keep the newest backups.keepCount, none older than backups.keepDays
+  planBackupCleanup(backupFiles, loadServerConfig().backups).forEach(({ name, reason }) => {
+    try {
+      fs.unlinkSync(path.join(backupDir, name));
+      console.log(`  ❌ Removed old backup: ${name} (${reason})`);
+      removedCount++;
+    } catch (error) {
+      console.warn(`  ⚠️ Could not remove ${name}: ${error.message}`);
     }
   });
   
@@ -140,12 +152,16 @@ function promptForCleanup(reports) {
 }
 
 function findDuplicates(reports) {
-  // Group by similar names (same test suite, different timestamps)
+  const keepPerSuite = loadServerConfig().retention.keepLastPerSuite || DEFAULT_KEEP_PER_SUITE;
+  const pinned = fs.existsSync('.pinned-reports.json')
+    ? JSON.parse(fs.readFileSync('.pinned-reports.json', 'utf8')).map(r => r.filename)
+    : [];
+
+  // Group by suite (same report id, different upload timestamps), like the server's retention policy
   const groups = {};
   
   reports.forEach(report => {
-    // Extract base name without timestamp
-    const baseName = report.name.replace(/-\d{4}-\d{2}-\d{2}T[\d-:.]+Z\.json$/, '');
+    const baseName = suiteOf(report.name.replace(/\.json$/, ''));
     if (!groups[baseName]) {
       groups[baseName] = [];
     }
@@ -155,10 +171,10 @@ function findDuplicates(reports) {
   // Find groups with multiple reports
   const duplicates = [];
   Object.values(groups).forEach(group => {
-    if (group.length > 5) { // Keep only 5 most recent
+    if (group.length > keepPerSuite) {
       // Sort by age and mark older ones as duplicates
       group.sort((a, b) => a.age - b.age);
-      duplicates.push(...group.slice(5)); // Remove all but 5 newest
+      duplicates.push(...group.slice(keepPerSuite).filter(report => !pinned.includes(report.name)));
     }
   });
   
@@ -6,12 +6,11 @@
  * - Performance analytics
  * - Error handling and validation
  * - Multiple output formats
- * - Automatic file organization
  */
 
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
+const { contentHash } = require('../../src/utils/reportHash');
 
 // Import validation utilities (Node.js compatible versions)
 class CucumberJsonValidator {
@@ -73,6 +72,9 @@ class TestStatusCalculator {
   calculateScenarioStatus(scenario) {
     if (!scenario) return 'unknown';
 
+    // Failed, then passed when re-run (set when a rerun is merged, see src/utils/reruns.js)
+    if (scenario.flaky) return 'flaky';
+
     // Check setup failures (before hooks)
     if (scenario.before && Array.isArray(scenario.before)) {
       for (const hook of scenario.before) {
@@ -117,10 +119,8 @@ class TestStatusCalculator {
 class CucumberIndexGenerator {
   constructor(options = {}) {
     this.reportsDir = options.reportsDir || process.cwd();
-    this.outputFile = options.outputFile || 'index.json';
     this.verbose = options.verbose || false;
     this.validateReports = options.validateReports !== false;
-    this.generateStats = options.generateStats !== false;
     
     // Initialize validation and status calculation utilities
     this.validator = new CucumberJsonValidator({
@@ -137,21 +137,22 @@ class CucumberIndexGenerator {
   }
 
   /**
-   * Sanitize string for use in filenames
+   * Check whether a file in the reports directory is a report (not an index, script or metadata file)
    */
-  sanitizeFilename(str) {
-    return str
-      .replace(/\s+/g, '-')
-      .replace(/[^a-zA-Z0-9\-_]/g, '')
-      .replace(/-+/g, '-')
-      .replace(/^-|-$/g, '')
-      .substring(0, 80);
+  isReportFile(filename) {
+    return filename.endsWith('.json') &&
+      filename !== 'index.json' &&
+      filename !== 'stats.json' &&
+      filename !== 'package.json' &&
+      !filename.startsWith('generate-index') &&
+      !filename.startsWith('.');
   }
 
   /**
    * Extract comprehensive metadata from Cucumber JSON with enhanced accuracy
+   * @param {Date} [lastModified] - File modification time; read from reportsDir when omitted
    */
-  extractMetadata(json, filename) {
+  extractMetadata(json, filename, lastModified) {
     const metadata = {
       id: filename.replace(/\.json$/, ''),
       name: 'Automation Test Results',
@@ -163,6 +164,8 @@ class CucumberIndexGenerator {
       passed: 0,
       failed: 0,
       skipped: 0,
+      flaky: 0,
+      retried: 0,
       errors: 0,
       duration: 0,
       tags: new Set(),
@@ -176,7 +179,8 @@ class CucumberIndexGenerator {
     try {
       const fileContent = JSON.stringify(json);
       metadata.size = Buffer.byteLength(fileContent, 'utf8');
-      metadata.hash = crypto.createHash('md5').update(fileContent).digest('hex');
+      // Normalized, so re-publishing the same results is recognised as a duplicate
+      metadata.hash = contentHash(json);
 
       // Validate and sanitize the JSON first
       const validationResult = this.validator.validateAndSanitize(json, filename);
@@ -238,8 +242,12 @@ class CucumberIndexGenerator {
             case 'passed': metadata.passed++; break;
             case 'failed': metadata.failed++; break;
             case 'skipped': metadata.skipped++; break;
+            case 'flaky': metadata.flaky++; break;
             default: metadata.errors++; break;
           }
+          if (Array.isArray(scenario.attempts) && scenario.attempts.length > 0) {
+            metadata.retried++;
+          }
 
           // Count steps and calculate duration
           if (scenario.steps) {
@@ -287,15 +295,10 @@ class CucumberIndexGenerator {
 
       // Fallback to file modification time if no timestamp found
       if (!metadata.date) {
-        const stats = fs.statSync(path.join(this.reportsDir, filename));
-        metadata.date = stats.mtime.toISOString();
+        const mtime = lastModified || fs.statSync(path.join(this.reportsDir, filename)).mtime;
+        metadata.date = new Date(mtime).toISOString();
       }
 
-      // Generate suggested filename
-      const timestamp = metadata.date.replace(/[:.]/g, '-');
-      const sanitizedName = this.sanitizeFilename(metadata.name);
-      metadata.suggestedFilename = `${sanitizedName}-${timestamp}.json`;
-
     } catch (error) {
       this.log(`Error processing ${filename}: ${error.message}`);
       throw error;
@@ -354,6 +357,7 @@ class CucumberIndexGenerator {
       totalPassed: 0,
       totalFailed: 0,
       totalSkipped: 0,
+      totalFlaky: 0,
       totalErrors: 0,
       totalDuration: 0,
       totalSize: 0,
@@ -362,12 +366,14 @@ class CucumberIndexGenerator {
       passRate: 0,
       failRate: 0,
       skipRate: 0,
+      flakyRate: 0,
       errorRate: 0,
       oldestReport: null,
       newestReport: null,
       allTags: new Set(),
       environments: new Set(),
-      tools: new Set()
+      tools: new Set(),
+      branches: new Set()
     };
 
     reports.forEach(report => {
@@ -377,6 +383,7 @@ class CucumberIndexGenerator {
       stats.totalPassed += report.passed || 0;
       stats.totalFailed += report.failed || 0;
       stats.totalSkipped += report.skipped || 0;
+      stats.totalFlaky += report.flaky || 0;
       stats.totalErrors += report.errors || 0;
       stats.totalDuration += report.duration || 0;
       stats.totalSize += report.size || 0;
@@ -387,6 +394,7 @@ class CucumberIndexGenerator {
       }
       if (report.environment) stats.environments.add(report.environment);
       if (report.tool) stats.tools.add(report.tool);
+      if (report.provenance && report.provenance.branch) stats.branches.add(report.provenance.branch);
 
       const reportDate = new Date(report.date);
       if (!stats.oldestReport || reportDate < new Date(stats.oldestReport.date)) {
@@ -402,6 +410,7 @@ class CucumberIndexGenerator {
       stats.passRate = ((stats.totalPassed / stats.totalScenarios) * 100).toFixed(2);
       stats.failRate = ((stats.totalFailed / stats.totalScenarios) * 100).toFixed(2);
       stats.skipRate = ((stats.totalSkipped / stats.totalScenarios) * 100).toFixed(2);
+      stats.flakyRate = ((stats.totalFlaky / stats.totalScenarios) * 100).toFixed(2);
       stats.errorRate = ((stats.totalErrors / stats.totalScenarios) * 100).toFixed(2);
     }
 
@@ -412,38 +421,49 @@ class CucumberIndexGenerator {
     stats.allTags = Array.from(stats.allTags).sort();
     stats.environments = Array.from(stats.environments).sort();
     stats.tools = Array.from(stats.tools).sort();
+    stats.branches = Array.from(stats.branches).sort();
 
     return stats;
   }
 
   /**
-   * Organize files by renaming them to consistent format
+   * Reduce extracted metadata to the fields stored in index.json
    */
-  organizeFiles(reports) {
-    const renames = [];
-
-    reports.forEach(report => {
-      const currentFilename = `${report.id}.json`;
-      const suggestedFilename = report.suggestedFilename;
-
-      if (currentFilename !== suggestedFilename) {
-        const currentPath = path.join(this.reportsDir, currentFilename);
-        const newPath = path.join(this.reportsDir, suggestedFilename);
-
-        try {
-          if (!fs.existsSync(newPath)) {
-            fs.renameSync(currentPath, newPath);
-            report.id = suggestedFilename.replace(/\.json$/, '');
-            renames.push({ from: currentFilename, to: suggestedFilename });
-            this.log(`Renamed: ${currentFilename} → ${suggestedFilename}`);
-          }
-        } catch (error) {
-          this.log(`Failed to rename ${currentFilename}: ${error.message}`);
-        }
-      }
-    });
+  toIndexEntry(report) {
+    return {
+      id: report.id,
+      name: report.name,
+      date: report.date,
+      features: report.features,
+      scenarios: report.scenarios,
+      steps: report.steps,
+      passed: report.passed,
+      failed: report.failed,
+      skipped: report.skipped,
+      flaky: report.flaky,
+      retried: report.retried,
+      duration: report.duration,
+      size: report.size,
+      tags: report.tags,
+      environment: report.environment,
+      tool: report.tool,
+      hash: report.hash,
+      duplicateOf: report.duplicateOf,
+      status: report.status,
+      isDeleted: report.isDeleted
+    };
+  }
 
-    return renames;
+  /**
+   * Summarize soft-deleted reports for the index
+   */
+  buildDeletionInfo(deletedReports) {
+    return {
+      deletedCount: deletedReports.length,
+      pendingCleanup: deletedReports.filter(r => r.needsCleanup).length,
+      lastDeletionAt: deletedReports.length > 0 ?
+        Math.max(...deletedReports.map(r => new Date(r.deletedAt).getTime())) : null
+    };
   }
 
   /**
@@ -464,145 +484,40 @@ class CucumberIndexGenerator {
   }
 
   /**
-   * Main generation method
+   * Main generation method. Rebuilds through IndexManager, like the server does, so index.json keeps
+   * the pins, edited metadata, provenance, aliases and run groups stored next to the reports.
+   * Holds the index lock from directory scan to write, so a report uploaded meanwhile
+   * by the server is either picked up by this run or added after it, never lost.
    */
   async generate() {
+    // Required here: IndexManager requires this module for metadata extraction
+    const IndexManager = require('../../src/utils/indexManager');
+    const manager = new IndexManager(this.reportsDir);
+
     this.log('Starting enhanced index generation...');
 
     try {
-      // Find all JSON files
-      const files = fs.readdirSync(this.reportsDir)
-        .filter(f => f.endsWith('.json') && 
-                    f !== 'index.json' && 
-                    !f.startsWith('generate-index') &&
-                    f !== 'stats.json' &&
-                    !f.startsWith('.deleted-reports'));
-
-      this.log(`Found ${files.length} report files`);
-
-      // Load deleted reports list
-      const deletedReports = await this.getDeletedReports();
-      const deletedFilenames = deletedReports.map(r => r.filename);
-      this.log(`Found ${deletedReports.length} deleted reports`);
-
-      const reports = [];
-      const errors = [];
-
-      // Process each file
-      for (const filename of files) {
-        try {
-          // Skip deleted reports (soft delete)
-          if (deletedFilenames.includes(filename)) {
-            this.log(`Skipping deleted report: ${filename}`);
-            continue;
-          }
-
-          const filePath = path.join(this.reportsDir, filename);
-          const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const index = await manager.rebuild();
+      const errors = [...(index.errors || []), ...(this.validateReports ? await this.validateIndexedReports(index) : [])];
+      const duplicates = index.reports.filter(report => report.duplicateOf).length;
 
-          // Validate if enabled
-          if (this.validateReports) {
-            const validationErrors = this.validateReport(json, filename);
-            if (validationErrors.length > 0) {
-              errors.push({ file: filename, errors: validationErrors });
-              this.log(`Validation errors in ${filename}: ${validationErrors.join(', ')}`);
-            }
-          }
-
-          // Extract metadata
-          const metadata = this.extractMetadata(json, filename);
-          
-          // Add deletion status
-          metadata.status = 'active';
-          metadata.isDeleted = false;
-          
-          // Add validation info to metadata
-        if (validationResult && !validationResult.isValid) {
-          metadata.validationErrors = validationResult.errors.length;
-          metadata.validationWarnings = validationResult.warnings.length;
-        }
-
-        reports.push(metadata);
-
-        } catch (error) {
-          errors.push({ file: filename, errors: [error.message] });
-          this.log(`Failed to process ${filename}: ${error.message}`);
-        }
-      }
-
-      // Sort reports by date (newest first)
-      reports.sort((a, b) => new Date(b.date) - new Date(a.date));
-
-      // Organize files if requested
-      const renames = this.organizeFiles(reports);
-
-      // Generate statistics
-      let statistics = null;
-      if (this.generateStats) {
-        statistics = this.generateStatistics(reports);
-      }
-
-      // Create enhanced index
-      const index = {
-        generated: new Date().toISOString(),
-        version: '2.1.0',
-        reports: reports.map(r => ({
-          id: r.id,
-          name: r.name,
-          date: r.date,
-          features: r.features,
-          scenarios: r.scenarios,
-          steps: r.steps,
-          passed: r.passed,
-          failed: r.failed,
-          skipped: r.skipped,
-          duration: r.duration,
-          size: r.size,
-          tags: r.tags,
-          environment: r.environment,
-          tool: r.tool,
-          hash: r.hash,
-          status: r.status,
-          isDeleted: r.isDeleted
-        })),
-        deletionInfo: {
-          deletedCount: deletedReports.length,
-          pendingCleanup: deletedReports.filter(r => r.needsCleanup).length,
-          lastDeletionAt: deletedReports.length > 0 ? 
-            Math.max(...deletedReports.map(r => new Date(r.deletedAt).getTime())) : null
-        },
-        statistics,
-        errors: errors.length > 0 ? errors : undefined,
-        renames: renames.length > 0 ? renames : undefined
-      };
-
-      // Write index file
-      const indexPath = path.join(this.reportsDir, this.outputFile);
-      fs.writeFileSync(indexPath, JSON.stringify(index, null, 2));
-
-      // Write separate stats file if enabled
-      if (this.generateStats && statistics) {
-        const statsPath = path.join(this.reportsDir, 'stats.json');
-        fs.writeFileSync(statsPath, JSON.stringify(statistics, null, 2));
-      }
-
-      this.log(`✅ Generated ${this.outputFile} with ${reports.length} active reports`);
-      if (deletedReports.length > 0) {
-        this.log(`🗑️  Excluded ${deletedReports.length} deleted reports from index`);
+      this.log(`✅ Generated index.json with ${index.reports.length} active reports`);
+      if (index.deletionInfo.deletedCount > 0) {
+        this.log(`🗑️  Excluded ${index.deletionInfo.deletedCount} deleted reports from index`);
       }
       if (errors.length > 0) {
         this.log(`⚠️  Found ${errors.length} files with validation errors`);
       }
-      if (renames.length > 0) {
-        this.log(`📁 Renamed ${renames.length} files for consistency`);
+      if (duplicates > 0) {
+        this.log(`♊ Flagged ${duplicates} duplicate reports (duplicateOf in index.json)`);
       }
 
       return {
         success: true,
-        reportsCount: reports.length,
+        reportsCount: index.reports.length,
         errorsCount: errors.length,
-        renamesCount: renames.length,
-        statistics
+        duplicatesCount: duplicates,
+        statistics: index.statistics
       };
 
     } catch (error) {
@@ -610,15 +525,40 @@ class CucumberIndexGenerator {
       throw error;
     }
   }
+
+  /**
+   * Validate the indexed report files. Problems are reported, not written to index.json.
+   * @returns {Promise<Array<{file: string, errors: string[]}>>}
+   */
+  async validateIndexedReports(index) {
+    const errors = [];
+
+    for (const report of index.reports) {
+      const filename = `${report.id}.json`;
+      try {
+        const json = JSON.parse(fs.readFileSync(path.join(this.reportsDir, filename), 'utf8'));
+        const validationErrors = this.validateReport(json, filename);
+        if (validationErrors.length > 0) {
+          errors.push({ file: filename, errors: validationErrors });
+          this.log(`Validation errors in ${filename}: ${validationErrors.join(', ')}`);
+        }
+      } catch (error) {
+        errors.push({ file: filename, errors: [error.message] });
+      }
+    }
+
+    return errors;
+  }
 }
 
+module.exports = CucumberIndexGenerator;
+
 // CLI usage
 if (require.main === module) {
   const args = process.argv.slice(2);
   const options = {
     verbose: args.includes('--verbose') || args.includes('-v'),
-    validateReports: !args.includes('--no-validate'),
-    generateStats: !args.includes('--no-stats')
+    validateReports: !args.includes('--no-validate')
   };
 
   const generator = new CucumberIndexGenerator(options);
@@ -630,9 +570,6 @@ if (require.main === module) {
       if (result.errorsCount > 0) {
         console.log(`⚠️  Errors: ${result.errorsCount}`);
       }
-      if (result.renamesCount > 0) {
-        console.log(`📁 Files renamed: ${result.renamesCount}`);
-      }
       if (result.statistics) {
         console.log(`📈 Pass rate: ${result.statistics.passRate}%`);
       }
@@ -642,5 +579,3 @@ if (require.main === module) {
       process.exit(1);
     });
 }
-
-module.exports = CucumberIndexGenerator;
\ No newline at end of file
@@ -7,6 +7,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const { withFileLockSync, writeJsonAtomicSync } = require('../../src/utils/fileLock');
+const { contentHash, flagDuplicates } = require('../../src/utils/reportHash');
 
 function isReportFile(filename) {
   return filename.endsWith('.json') && 
@@ -40,6 +42,7 @@ function safeParseReport(filename) {
       skipped: 0,
       duration: 0,
       size: fs.statSync(filename).size,
+      hash: contentHash(data),
       validationIssues: []
     };
     
@@ -157,6 +160,11 @@ function extractTimestamp(filename) {
 }
 
 function generateIndex() {
+  // Lock out the server and other generators from scan to write
+  return withFileLockSync('index.json', buildIndex);
+}
+
+function buildIndex() {
   console.log('🔄 Generating tolerant index...');
   
   const files = fs.readdirSync('.').filter(isReportFile);
@@ -189,6 +197,9 @@ function generateIndex() {
   
   // Sort reports by timestamp (newest first)
   reports.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+  // Later copies of the same content point at the first one
+  const duplicates = flagDuplicates(reports, { idOf: report => report.filename, dateOf: report => report.timestamp });
   
   // Calculate statistics
   const stats = {
@@ -242,11 +253,12 @@ function generateIndex() {
   };
   
   // Write index
-  fs.writeFileSync('index.json', JSON.stringify(index, null, 2));
+  writeJsonAtomicSync('index.json', index);
   
   console.log('✅ Index generation completed successfully!');
   console.log(`📊 Reports: ${reports.length}`);
   console.log(`⚠️  Errors: ${errors.length}`);
+  console.log(`♊ Duplicates: ${duplicates}`);
   console.log(`📈 Pass rate: ${stats.passRate}%`);
   
   return index;
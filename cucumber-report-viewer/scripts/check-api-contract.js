@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * Check that server.js and the frontend services match the OpenAPI document (src/utils/openapi.js):
+ * - every /api route in server.js is documented, validated with its operationId and guarded by the documented role
+ * - every documented operation has a route
+ * - every API call in src/services uses a documented path, method and query parameters
+ *
+ * Usage: npm run check:api
+ */
+
+const fs = require('fs');
+const path = require('path');
+const openApiDocument = require('../src/utils/openapi');
+const { ApiValidator } = require('../src/utils/apiValidation');
+
+const rootDir = path.resolve(__dirname, '..');
+const servicesDir = path.join(rootDir, 'src/services');
+
+console.log('🔍 Checking the API contract...');
+
+let allValid = true;
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  allValid = false;
+}
+
+function lineOf(source, index) {
+  return source.slice(0, index).split('\n').length;
+}
+
+/**
+ * Find the documented operation for a concrete path: /api/reports/{filename} matches /api/reports/x.json.
+ * An exact match wins, so /api/reports/deleted is not taken for /api/reports/{filename}.
+ */
+function findOperation(method, urlPath) {
+  if (openApiDocument.paths[urlPath] && openApiDocument.paths[urlPath][method]) {
+    return { pathKey: urlPath, operation: openApiDocument.paths[urlPath][method] };
+  }
+
+  const pathKey = Object.keys(openApiDocument.paths).find(documented => {
+    const pattern = documented
+      .split(/\{[^}]+\}/)
+      .map(part => part.replace(/[.*+?^$()|[\]\\]/g, '\\$&'))
+      .join('[^/]+');
+    return new RegExp(`^${pattern}$`).test(urlPath) && openApiDocument.paths[documented][method];
+  });
+  return pathKey ? { pathKey, operation: openApiDocument.paths[pathKey][method] } : null;
+}
+
+// The document must compile, including every request and response schema
+const validator = new ApiValidator(openApiDocument);
+let compiled = true;
+validator.operations.forEach(({ operation }, operationId) => {
+  try {
+    validator.compileRequest(operationId);
+    Object.keys(operation.responses).forEach(status => validator.compileResponse(operationId, status));
+  } catch (error) {
+    fail(`${operationId} schemas do not compile: ${error.message}`);
+    compiled = false;
+  }
+});
+if (compiled) {
+  console.log(`✅ OpenAPI document compiles (${validator.operations.size} operations)`);
+}
+
+// server.js routes
+const serverSource = fs.readFileSync(path.join(rootDir, 'server.js'), 'utf8');
+const routePattern = /app\.(get|post|put|patch|delete)\('(\/api\/[^']*)'(.*)/g;
+const routedOperations = new Set();
+let match;
+
+while ((match = routePattern.exec(serverSource)) !== null) {
+  const [, method, routePath, rest] = match;
+  const documentedPath = routePath.replace(/:(\w+)/g, '{$1}');
+  const where = `server.js:${lineOf(serverSource, match.index)} ${method.toUpperCase()} ${routePath}`;
+  const operation = openApiDocument.paths[documentedPath] && openApiDocument.paths[documentedPath][method];
+
+  if (!operation) {
+    fail(`${where} is not in the OpenAPI document`);
+    continue;
+  }
+  routedOperations.add(operation.operationId);
+
+  const validated = rest.match(/api\.validate\('([^']+)'\)/);
+  if (!validated) {
+    fail(`${where} does not validate its request (api.validate('${operation.operationId}'))`);
+  } else if (validated[1] !== operation.operationId) {
+    fail(`${where} validates as ${validated[1]} instead of ${operation.operationId}`);
+  }
+
+  const role = rest.match(/apiAuth\.requireRole\('([^']+)'/);
+  const documentedRole = operation['x-required-role'] || null;
+  if ((role ? role[1] : null) !== documentedRole) {
+    fail(`${where} requires role ${role ? role[1] : 'none'}, the document says ${documentedRole || 'none'}`);
+  }
+}
+
+validator.operations.forEach(({ method, path: documentedPath }, operationId) => {
+  if (!routedOperations.has(operationId)) {
+    fail(`${operationId} (${method.toUpperCase()} ${documentedPath}) has no route in server.js`);
+  }
+});
+
+console.log(`✅ Checked ${routedOperations.size} server route(s)`);
+
+// Frontend API calls: fetch(`${API_BASE_URL}/...`), fetch(`${this.baseURL}/api/...`) and fetchApi('/...')
+const callPattern = /(?:\$\{API_BASE_URL\}|\$\{this\.baseURL\}\/api|fetchApi\(['`])((?:\/(?:[\w.-]+|\$\{[^}]+\}))+)([^`'\n]*)/g;
+let callCount = 0;
+
+fs.readdirSync(servicesDir).filter(file => file.endsWith('.js')).forEach(file => {
+  const source = fs.readFileSync(path.join(servicesDir, file), 'utf8');
+
+  while ((match = callPattern.exec(source)) !== null) {
+    const [call, urlPath, rest] = match;
+    const where = `src/services/${file}:${lineOf(source, match.index)}`;
+
+    // fetchApi calls name their method on the same line, fetch calls within the next few lines
+    const options = call.startsWith('fetchApi')
+      ? source.slice(match.index).split('\n')[0]
+      : source.slice(match.index, match.index + 400).split(/\n\s*\n/)[0];
+    const methodMatch = options.match(/method:\s*['"](\w+)['"]/);
+    const method = methodMatch ? methodMatch[1].toLowerCase() : 'get';
+
+    const apiPath = `/api${urlPath.replace(/\$\{[^}]+\}/g, '{param}')}`;
+    const found = findOperation(method, apiPath);
+    callCount++;
+
+    if (!found) {
+      fail(`${where} calls ${method.toUpperCase()} ${apiPath}, which is not in the OpenAPI document`);
+      continue;
+    }
+
+    const documentedQuery = (found.operation.parameters || [])
+      .filter(parameter => parameter.in === 'query')
+      .map(parameter => parameter.name);
+    const queryNames = Array.from(rest.matchAll(/[?&]([\w]+)=/g), query => query[1]);
+    queryNames.filter(name => !documentedQuery.includes(name)).forEach(name => {
+      fail(`${where} sends query parameter "${name}", which ${found.operation.operationId} does not document`);
+    });
+  }
+});
+
+console.log(`✅ Checked ${callCount} frontend API call(s)`);
+
+if (allValid) {
+  console.log('🎉 API contract check passed!');
+  process.exit(0);
+} else {
+  console.log('💥 API contract check failed!');
+  process.exit(1);
+}
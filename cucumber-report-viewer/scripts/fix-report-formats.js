@@ -8,6 +8,7 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const { writeJsonAtomicSync } = require('../src/utils/fileLock');
 
 const REPORTS_DIR = path.join(__dirname, '../public/TestResultsJsons');
 
@@ -55,8 +56,8 @@ class ReportFormatFixer {
         // Convert {features: [...]} to [...]
         const fixedData = data.features;
         
-        // Write back the fixed format
-        fs.writeFileSync(filePath, JSON.stringify(fixedData, null, 2));
+        // Write back the fixed format (atomically, the server may be reading it)
+        writeJsonAtomicSync(filePath, fixedData);
         
         this.log(`Fixed format: ${path.basename(filePath)}`, 'success');
         this.fixedCount++;
@@ -7,6 +7,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { writeJsonAtomicSync } = require('../src/utils/fileLock');
 
 function fixSkippedStepsWithDuration(filePath, outputPath = null) {
   console.log(`🔧 Fixing skipped steps with duration: ${filePath}`);
@@ -58,7 +59,7 @@ function fixSkippedStepsWithDuration(filePath, outputPath = null) {
     if (fixedSteps > 0) {
       // Write the fixed data
       const output = outputPath || filePath.replace('.json', '_fixed.json');
-      fs.writeFileSync(output, JSON.stringify(data, null, 2));
+      writeJsonAtomicSync(output, data);
       
       console.log(`✅ Fixed ${fixedSteps} out of ${totalSteps} steps`);
       console.log(`📁 Saved to: ${output}`);
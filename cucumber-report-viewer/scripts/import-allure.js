@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Import an Allure results directory (*-result.json, *-container.json and attachments) as one
+ * report - the CLI side of uploading the zipped directory to POST /api/upload-report/file.
+ * Publishes to the same report storage as the server (server.config.json, STORAGE_TYPE, S3_*),
+ * or only writes the converted Cucumber JSON with --output.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { convertAllureResults } = require('../src/utils/allureResults');
+const { publishReport, parseArgs } = require('./publish-report');
+
+/**
+ * Read every file of an Allure results directory; subdirectories (history/) are not needed
+ */
+function readAllureDirectory(directory) {
+  return fs.readdirSync(directory, { withFileTypes: true })
+    .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+    .map(entry => ({ name: entry.name, data: fs.readFileSync(path.join(directory, entry.name)) }));
+}
+
+/**
+ * Convert an Allure results directory and publish it, or write it to a file
+ * @param {string} directory - The allure-results directory
+ * @param {string} reportId - Base name of the stored report
+ * @param {Object} [options]
+ * @param {string} [options.output] - Write the Cucumber JSON here instead of publishing it
+ * @param {Object} [options.provenance] - CI provenance stored with the run (see ciProvenance)
+ * @param {string} [options.onDuplicate] - allow, reject or alias
+ * @returns {Promise<string>} The stored report file, or the output file
+ */
+async function importAllure(directory, reportId, options = {}) {
+  const features = convertAllureResults(readAllureDirectory(directory));
+  const scenarios = features.reduce((count, feature) => count + feature.elements.length, 0);
+  console.log(`🔄 Converted ${scenarios} Allure result(s) into ${features.length} feature(s)`);
+
+  if (options.output) {
+    fs.writeFileSync(options.output, JSON.stringify(features, null, 2));
+    return options.output;
+  }
+
+  return publishReport(reportId, JSON.stringify(features), options);
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const argv = process.argv.slice(2);
+  const outputArg = argv.find(arg => arg.startsWith('--output='));
+
+  let args, provenance, onDuplicate;
+  try {
+    ({ args, provenance, onDuplicate } = parseArgs(argv.filter(arg => arg !== outputArg)));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const [directory, reportId] = args;
+  if (!directory) {
+    console.log(`
+Usage: node import-allure.js <allure-results-dir> [reportId] [options]
+
+Example:
+  node import-allure.js target/allure-results nightly-regression --branch=main
+
+Options:
+  --output=<file.json>
+      Only write the converted Cucumber JSON report, without publishing it
+  --branch, --commit, --build-number, --pipeline-url, --repository, --provider,
+  --no-ci-detect, --on-duplicate=allow|reject|alias
+      As for publish-report.js
+
+The report id defaults to the directory name.
+    `);
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+    console.error(`❌ Not a directory: ${directory}`);
+    process.exit(1);
+  }
+
+  try {
+    const output = outputArg ? outputArg.slice('--output='.length) : null;
+    const filename = await importAllure(directory, reportId || path.basename(path.resolve(directory)), {
+      output,
+      provenance,
+      onDuplicate
+    });
+    console.log(output ? `🎉 Wrote ${filename}` : `🎉 Report published successfully: ${filename}`);
+  } catch (error) {
+    console.error('❌ Allure import failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  readAllureDirectory,
+  importAllure
+};
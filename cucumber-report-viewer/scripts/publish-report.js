@@ -2,37 +2,60 @@
 
 /**
  * Script to publish uploaded reports to GitHub Pages
- * This script reads from localStorage data and saves to the TestResultsJsons directory
+ * This script reads from localStorage data and saves it to report storage (TestResultsJsons by default)
  */
 
-const fs = require('fs');
-const path = require('path');
-const { execSync } = require('child_process');
+const IndexManager = require('../src/utils/indexManager');
+const { loadServerConfig } = require('../src/utils/serverConfig');
+const { createStorage } = require('../src/utils/storage');
+const { detectCiProvenance, mergeProvenance } = require('../src/utils/ciProvenance');
+const { DUPLICATE_POLICIES } = require('../src/utils/reportHash');
 
-// Configuration
-const UPLOADS_DIR = path.join(__dirname, '../public/TestResultsJsons');
-const INDEX_SCRIPT = path.join(UPLOADS_DIR, 'generate-index-enhanced.js');
+// --branch=main style options; each overrides what CI detection found
+const PROVENANCE_OPTIONS = {
+  '--provider': 'provider',
+  '--repository': 'repository',
+  '--branch': 'branch',
+  '--commit': 'commit',
+  '--build-number': 'buildNumber',
+  '--pipeline-url': 'pipelineUrl'
+};
+
+// Configuration - the same storage settings as the server (server.config.json, STORAGE_TYPE, S3_*)
+let storage = null;
+let indexManager = null;
+
+function getIndexManager() {
+  if (!indexManager) {
+    storage = createStorage(loadServerConfig().storage);
+    indexManager = new IndexManager(storage);
+    console.log(`📁 Report storage (${storage.type}): ${storage.describe()}`);
+  }
+  return indexManager;
+}
 
 /**
- * Save report data to TestResultsJsons directory
+ * Save report data to report storage.
+ * Callers must hold the index lock, which keeps the generated filename unique.
  */
-function saveReportToDirectory(reportId, reportData) {
+async function saveReportToDirectory(reportId, reportData) {
   try {
-    // Ensure uploads directory exists
-    if (!fs.existsSync(UPLOADS_DIR)) {
-      fs.mkdirSync(UPLOADS_DIR, { recursive: true });
-    }
+    getIndexManager();
 
     // Generate filename with timestamp
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `${reportId}-${timestamp}.json`;
-    const filepath = path.join(UPLOADS_DIR, filename);
+    let filename = `${reportId}-${timestamp}.json`;
+
+    // Never overwrite a report published by a parallel job in the same millisecond
+    for (let suffix = 1; await storage.exists(filename); suffix++) {
+      filename = `${reportId}-${timestamp}-${suffix}.json`;
+    }
 
     // Parse and validate JSON
     const jsonData = JSON.parse(reportData);
     
-    // Write file with proper formatting
-    fs.writeFileSync(filepath, JSON.stringify(jsonData, null, 2));
+    // Write atomically so a concurrent index run never reads a half-written file
+    await storage.writeJson(filename, jsonData);
     
     console.log(`✅ Report saved: ${filename}`);
     return filename;
@@ -43,18 +66,45 @@ function saveReportToDirectory(reportId, reportData) {
 }
 
 /**
- * Generate updated index.json
+ * Save a report and add it to index.json under the index lock
+ * @param {Object} [options]
+ * @param {Object} [options.provenance] - CI provenance stored with the run (see ciProvenance)
+ * @param {string} [options.onDuplicate] - allow, reject or alias; defaults to uploads.onDuplicate in the server config
+ * @returns {Promise<string>} The stored file, or the existing identical run's file for the alias policy
+ * @throws {Error} When an identical run is indexed and the policy is reject
+ */
+async function publishReport(reportId, reportData, options = {}) {
+  const manager = getIndexManager();
+  const { provenance } = options;
+  const onDuplicate = options.onDuplicate || loadServerConfig().uploads.onDuplicate;
+
+  return manager.withIndexLock(async () => {
+    const duplicate = await manager.resolveDuplicateUnlocked(JSON.parse(reportData), onDuplicate, { reportId, provenance });
+    if (duplicate && duplicate.action === 'rejected') {
+      throw new Error(`Identical to existing run ${duplicate.entry.id}; nothing was stored (--on-duplicate=reject)`);
+    }
+    if (duplicate) {
+      console.log(`♊ Identical to existing run ${duplicate.entry.id}; linked to it as an alias`);
+      return `${duplicate.entry.id}.json`;
+    }
+
+    const filename = await saveReportToDirectory(reportId, reportData);
+    if (provenance) {
+      await manager.recordProvenance(filename, provenance);
+      console.log(`🔗 Provenance: ${[provenance.branch, provenance.commit, provenance.buildNumber && `#${provenance.buildNumber}`].filter(Boolean).join(' ')}`);
+    }
+    await manager.upsertReportUnlocked(filename);
+    return filename;
+  });
+}
+
+/**
+ * Regenerate the whole index.json from report storage
  */
-function generateIndex() {
+async function generateIndex() {
   try {
     console.log('🔄 Generating updated index...');
-    
-    // Change to the TestResultsJsons directory
-    process.chdir(UPLOADS_DIR);
-    
-    // Run the index generation script
-    execSync('node generate-index-enhanced.js --verbose', { stdio: 'inherit' });
-    
+    await getIndexManager().rebuild();
     console.log('✅ Index generated successfully');
   } catch (error) {
     console.error('❌ Error generating index:', error.message);
@@ -62,21 +112,71 @@ function generateIndex() {
   }
 }
 
+/**
+ * Split the command line into positional arguments and provenance options
+ */
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+  let detectCi = true;
+  let onDuplicate = null;
+
+  argv.forEach(arg => {
+    const [name, ...value] = arg.split('=');
+    if (arg === '--no-ci-detect') {
+      detectCi = false;
+    } else if (name === '--on-duplicate' && value.length > 0) {
+      onDuplicate = value.join('=');
+    } else if (PROVENANCE_OPTIONS[name] && value.length > 0) {
+      options[PROVENANCE_OPTIONS[name]] = value.join('=');
+    } else {
+      args.push(arg);
+    }
+  });
+
+  if (onDuplicate && !DUPLICATE_POLICIES.includes(onDuplicate)) {
+    throw new Error(`Invalid --on-duplicate "${onDuplicate}": expected one of ${DUPLICATE_POLICIES.join(', ')}`);
+  }
+
+  return {
+    args,
+    provenance: mergeProvenance(options, detectCi ? detectCiProvenance() : null),
+    onDuplicate
+  };
+}
+
 /**
  * Main function
  */
-function main() {
-  const args = process.argv.slice(2);
+async function main() {
+  let args, provenance, onDuplicate;
+  try {
+    ({ args, provenance, onDuplicate } = parseArgs(process.argv.slice(2)));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
   
   if (args.length < 2) {
     console.log(`
-Usage: node publish-report.js <reportId> <reportData>
+Usage: node publish-report.js <reportId> <reportData> [options]
 
 Example:
   node publish-report.js "report-123" '{"features": [...]}'
 
 Or pipe JSON data:
-  echo '{"features": [...]}' | node publish-report.js "report-123"
+  echo '{"features": [...]}' | node publish-report.js "report-123" -
+
+Options:
+  --branch=<name> --commit=<sha> --build-number=<n> --pipeline-url=<url>
+  --repository=<name> --provider=<name>
+      Where the run came from. Detected from GitHub Actions, GitLab, Jenkins, CircleCI,
+      Azure Pipelines, Bitbucket, Buildkite and Travis environment variables; options win.
+  --no-ci-detect
+      Only use the options above
+  --on-duplicate=allow|reject|alias
+      When a run with identical content is already indexed: store another copy, fail, or link
+      to the existing run without storing anything. Defaults to uploads.onDuplicate (allow).
     `);
     process.exit(1);
   }
@@ -91,10 +191,9 @@ Or pipe JSON data:
     
     stdin.setEncoding('utf8');
     stdin.on('data', chunk => data += chunk);
-    stdin.on('end', () => {
+    stdin.on('end', async () => {
       try {
-        const filename = saveReportToDirectory(reportId, data);
-        generateIndex();
+        const filename = await publishReport(reportId, data, { provenance, onDuplicate });
         console.log(`🎉 Report published successfully: ${filename}`);
       } catch (error) {
         console.error('❌ Failed to publish report:', error.message);
@@ -107,8 +206,7 @@ Or pipe JSON data:
 
   // Process data from command line argument
   try {
-    const filename = saveReportToDirectory(reportId, reportData);
-    generateIndex();
+    const filename = await publishReport(reportId, reportData, { provenance, onDuplicate });
     console.log(`🎉 Report published successfully: ${filename}`);
   } catch (error) {
     console.error('❌ Failed to publish report:', error.message);
@@ -123,5 +221,7 @@ if (require.main === module) {
 
 module.exports = {
   saveReportToDirectory,
+  publishReport,
+  parseArgs,
   generateIndex
 };
\ No newline at end of file
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+/**
+ * Export report storage to a portable zip, or import such a zip - the CLI side of GET /api/export
+ * and POST /api/import, for seeding or migrating an environment without a running server.
+ * Uses the same storage settings as the server (server.config.json, STORAGE_TYPE, S3_*).
+ */
+
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const IndexManager = require('../src/utils/indexManager');
+const { loadServerConfig } = require('../src/utils/serverConfig');
+const { createStorage } = require('../src/utils/storage');
+const { ReportArchive, readArchive } = require('../src/utils/reportArchive');
+const { toList } = require('../src/utils/reportQuery');
+
+function createArchive() {
+  const storage = createStorage(loadServerConfig().storage);
+  console.log(`📁 Report storage (${storage.type}): ${storage.describe()}`);
+  return new ReportArchive(new IndexManager(storage));
+}
+
+/**
+ * Write every (or the selected) report to a zip file
+ * @param {string} file - Path of the zip to write
+ * @param {Object} [options] - filenames, includeTrash, includeBackups (see ReportArchive.exportArchive)
+ */
+async function exportReports(file, options = {}) {
+  const { stream, manifest, missing } = await createArchive().exportArchive(options);
+
+  if (missing.length > 0) {
+    throw new Error(`Not found: ${missing.join(', ')}`);
+  }
+
+  await pipeline(stream, fs.createWriteStream(file));
+  console.log(`🎉 Wrote ${manifest.reports.length} report(s) to ${file}`);
+  return manifest;
+}
+
+/**
+ * Import a zip written by exportReports or GET /api/export, then regenerate the index
+ * @param {string} file - Path of the zip to read
+ */
+async function importReports(file) {
+  const result = await createArchive().importArchive(readArchive(fs.readFileSync(file)));
+
+  result.imported.filter(report => report.originalFilename).forEach(report => {
+    console.log(`↪️  ${report.originalFilename} was taken; imported as ${report.filename}`);
+  });
+  result.skipped.forEach(entry => console.log(`⚠️  Skipped ${entry.file}: ${entry.reason}`));
+
+  console.log(`🎉 Imported ${result.imported.length} report(s) from ${file}; ${result.duplicates.length} duplicate(s) skipped, ` +
+    `${result.index.reports.length} report(s) indexed`);
+  return result;
+}
+
+/**
+ * Split the command line into positional arguments and export options
+ */
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+
+  argv.forEach(arg => {
+    const [name, ...value] = arg.split('=');
+    if (arg === '--include-trash') {
+      options.includeTrash = true;
+    } else if (arg === '--include-backups') {
+      options.includeBackups = true;
+    } else if (name === '--reports' && value.length > 0) {
+      options.filenames = toList(value.join('='));
+    } else {
+      args.push(arg);
+    }
+  });
+
+  return { args, options };
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const { args, options } = parseArgs(process.argv.slice(2));
+  const [command, file] = args;
+
+  if (!['export', 'import'].includes(command) || !file) {
+    console.log(`
+Usage: node report-archive.js export <archive.zip> [options]
+       node report-archive.js import <archive.zip>
+
+Export options:
+  --reports=<file>,<file>
+      Only these reports (default: every indexed report)
+  --include-trash
+      Also export soft-deleted reports
+  --include-backups
+      Also export the .backups/ copies written before hard deletes
+
+Import skips reports identical to stored ones and regenerates the index.
+    `);
+    process.exit(1);
+  }
+
+  try {
+    if (command === 'export') {
+      await exportReports(file, options);
+    } else {
+      await importReports(file);
+    }
+  } catch (error) {
+    console.error(`❌ ${command === 'export' ? 'Export' : 'Import'} failed:`, error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  exportReports,
+  importReports
+};
@@ -7,40 +7,133 @@
 
 const express = require('express');
 const cors = require('cors');
-const fs = require('fs');
-const path = require('path');
-const { execSync } = require('child_process');
+const multer = require('multer');
 const DeletionUtils = require('./src/utils/deletionUtils');
+const IndexManager = require('./src/utils/indexManager');
+const MetadataStore = require('./src/utils/metadataStore');
+const ApiAuth = require('./src/utils/apiAuth');
+const ReportEvents = require('./src/utils/reportEvents');
+const LiveRunManager = require('./src/utils/liveRuns');
+const { RetentionManager } = require('./src/utils/retentionPolicy');
+const { BACKUP_PREFIX, parseBackupName } = require('./src/utils/backupPolicy');
+const { DUPLICATE_POLICIES } = require('./src/utils/reportHash');
+const { loadServerConfig } = require('./src/utils/serverConfig');
+const { parseReportFile, isCucumberFeatureArray } = require('./src/utils/reportFileParser');
+const { isJUnitXml, convertJUnitXml } = require('./src/utils/junitXml');
+const { isTestNGXml, convertTestNGXml } = require('./src/utils/testngXml');
+const { isCucumberMessages, convertMessages } = require('./src/utils/cucumberMessages');
+const { DIALECTS, normalizeDialect } = require('./src/utils/reportDialects');
+const { calculateReportStatistics } = require('./src/utils/reportStatistics');
+const { ReportArchive, readArchive } = require('./src/utils/reportArchive');
+const { provenanceFromHeaders, mergeProvenance } = require('./src/utils/ciProvenance');
+const { shardKey, parseRunGroup, mergeShardFeatures, readShards } = require('./src/utils/runGroups');
+const { rerunKey, applyRerun, applyReruns, readReruns, nextAttempt } = require('./src/utils/reruns');
+const { parseReportQuery, queryReports, parseSearchQuery, toList } = require('./src/utils/reportQuery');
+const { createStorage, ReportStorage } = require('./src/utils/storage');
+const openApiDocument = require('./src/utils/openapi');
+const { ApiValidator, sendError, notFoundHandler, errorHandler } = require('./src/utils/apiValidation');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Configuration
-const UPLOADS_DIR = path.join(__dirname, 'public/TestResultsJsons');
-const INDEX_SCRIPT = path.join(UPLOADS_DIR, 'generate-index-enhanced.js');
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000;
+const serverConfig = loadServerConfig();
 
-// Initialize deletion utilities
-const deletionUtils = new DeletionUtils(UPLOADS_DIR);
+// Where reports, index.json and .deleted-reports.json live (public/TestResultsJsons by default)
+const storage = createStorage(serverConfig.storage);
+
+// Initialize deletion utilities (hard deletes keep a backup in .backups/)
+const deletionUtils = new DeletionUtils(storage, { backups: serverConfig.backups });
+
+// Incremental index.json/stats.json maintenance
+const indexManager = new IndexManager(storage);
+
+// Scenario status as the index counts it, for telling flaky scenarios from ones that still fail
+const scenarioStatus = scenario => indexManager.generator.statusCalculator.calculateScenarioStatus(scenario);
+
+// Zip export/import of reports with their records, trash and backups
+const reportArchive = new ReportArchive(indexManager);
+
+// SQLite rows for runs, features, scenarios, steps, hooks and tags (disabled without better-sqlite3)
+const metadataStore = new MetadataStore(serverConfig.metadata);
+
+// API tokens and roles (viewer < uploader < admin)
+const apiAuth = new ApiAuth(serverConfig.auth.tokens);
+
+// Upload/delete/restore/rebuild notifications, streamed to viewers on GET /api/events
+const reportEvents = new ReportEvents();
+
+// Request validation against the OpenAPI document (served on GET /api/openapi.json)
+const api = new ApiValidator(openApiDocument, { validateResponses: serverConfig.api.validateResponses });
+
+// Purges runs the retention policy no longer keeps, on a schedule and after uploads
+const retention = new RetentionManager({
+  policy: serverConfig.retention,
+  // Sizes include the shards and reruns stored beside a merged report, which go with it
+  getReports: async () => Promise.all((await indexManager.getIndex()).reports.map(async report => (report.runGroup || report.retried
+    ? { ...report, size: (report.size || 0) + await indexManager.attachedDataSize(`${report.id}.json`) }
+    : report))),
+  purge: candidate => deleteStoredReport(candidate.filename, serverConfig.retention.deletion === 'soft', {
+    reason: 'retention'
+  })
+});
+
+// Raw report files are kept in memory - they are parsed and re-serialized before saving
+const reportFileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+});
 
 // Middleware
-app.use(cors());
+app.use(cors({
+  origin: serverConfig.cors.origins.length > 0 ? serverConfig.cors.origins : true
+}));
 app.use(express.json({ limit: '50mb' }));
-app.use(express.static('public'));
+
+// Reports and index.json come from report storage, which is not necessarily the public/ folder
+app.get('/TestResultsJsons/:filename', async (req, res, next) => {
+  const { filename } = req.params;
+
+  // req.params is decoded, so an encoded slash (x%2F..%2F.backups%2F...) arrives as a path here
+  if (!ReportStorage.isPublicKey(filename)) {
+    return next();
+  }
+
+  try {
+    const data = await storage.read(filename);
+    res.type('application/json').send(data);
+  } catch (error) {
+    if (error.code === 'ENOENT') return next();
+    next(error);
+  }
+});
+
+// Hidden folders and files (.backups/, .shards/, .deleted-reports.json, ...) are never static files,
+// wherever the dot segment is in the path
+app.use(express.static('public', { dotfiles: 'ignore' }));
 
 // Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ 
-    success: true, 
+app.get('/api/health', api.validate('getHealth'), (req, res) => {
+  res.json({
+    success: true,
     status: 'healthy',
+    message: 'Server is running',
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    storage: storage.type,
+    uploadsDir: storage.describe()
   });
 });
 
-// Ensure uploads directory exists
-if (!fs.existsSync(UPLOADS_DIR)) {
-  fs.mkdirSync(UPLOADS_DIR, { recursive: true });
-}
+/**
+ * GET /api/openapi.json
+ * The API contract: routes, parameters, bodies, responses and required roles
+ */
+app.get('/api/openapi.json', api.validate('getOpenApiDocument'), (req, res) => {
+  res.json(openApiDocument);
+});
 
 /**
  * Fix skipped steps that have duration (common Cucumber bug)
@@ -71,11 +164,21 @@ function fixSkippedStepsWithDuration(features) {
 }
 
 /**
- * Normalize report data to standard Cucumber JSON format
+ * Normalize report data to standard Cucumber JSON format, in cucumber-jvm conventions (see reportDialects)
+ * @throws {Error} For Cucumber Messages, JUnit XML or TestNG XML that cannot be converted
  */
 function normalizeReportFormat(reportData) {
   let normalizedData;
   
+  // Cucumber Messages (NDJSON), JUnit XML or TestNG XML sent as a string are converted to features first
+  if (typeof reportData === 'string' && isCucumberMessages(reportData)) {
+    reportData = convertMessages(reportData);
+  } else if (typeof reportData === 'string' && isJUnitXml(reportData)) {
+    reportData = convertJUnitXml(reportData);
+  } else if (typeof reportData === 'string' && isTestNGXml(reportData)) {
+    reportData = convertTestNGXml(reportData);
+  }
+
   // If it has features property, extract the array
   if (reportData.features && Array.isArray(reportData.features)) {
     normalizedData = reportData.features;
@@ -95,9 +198,19 @@ function normalizeReportFormat(reportData) {
   
   // Apply auto-fixes if we have valid data
   if (Array.isArray(normalizedData)) {
-    const fixedSteps = fixSkippedStepsWithDuration(normalizedData);
-    if (fixedSteps > 0) {
-      console.log(`🔧 Auto-fixed ${fixedSteps} skipped steps with duration`);
+    // cucumber-js, Behave, SpecFlow and Karate reports are rewritten into cucumber-jvm conventions
+    const { dialect, changes } = normalizeDialect(normalizedData);
+    const changed = Object.entries(changes).filter(([, count]) => count > 0);
+    if (changed.length > 0) {
+      console.log(`🔧 Normalized ${DIALECTS[dialect].label} report: ${changed.map(([kind, count]) => `${count} ${kind}`).join(', ')}`);
+    }
+
+    // The skipped-with-duration bug is cucumber-jvm's; other producers mean what they write
+    if (DIALECTS[dialect].fixSkippedWithDuration) {
+      const fixedSteps = fixSkippedStepsWithDuration(normalizedData);
+      if (fixedSteps > 0) {
+        console.log(`🔧 Auto-fixed ${fixedSteps} skipped steps with duration`);
+      }
     }
   }
   
@@ -105,23 +218,47 @@ function normalizeReportFormat(reportData) {
 }
 
 /**
- * Save report data to TestResultsJsons directory
+ * Make a client supplied report id safe to use in a filename
  */
-function saveReportToDirectory(reportId, reportData) {
+function sanitizeReportId(reportId) {
+  return String(reportId)
+    .replace(/\.(json|ndjson|xml)(\.gz)?$|\.zip$/i, '')
+    .replace(/[^a-zA-Z0-9._-]+/g, '-')
+    .replace(/^[-.]+|-+$/g, '')
+    .substring(0, 120);
+}
+
+/**
+ * Pick a timestamped filename for a new report.
+ * Callers hold the index lock, which keeps the filename unique until it is written.
+ */
+async function newReportFilename(reportId) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  let filename = `${reportId}-${timestamp}.json`;
+
+  // Two uploads of the same report id in the same millisecond must not overwrite each other
+  for (let suffix = 1; await storage.exists(filename); suffix++) {
+    filename = `${reportId}-${timestamp}-${suffix}.json`;
+  }
+
+  return filename;
+}
+
+/**
+ * Save report data to report storage.
+ * Callers hold the index lock, which also keeps the generated filename unique.
+ */
+async function saveReport(reportId, reportData) {
   try {
     // Normalize the format before saving
     const normalizedData = normalizeReportFormat(reportData);
-    
-    // Generate filename with timestamp
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `${reportId}-${timestamp}.json`;
-    const filepath = path.join(UPLOADS_DIR, filename);
+    const filename = await newReportFilename(reportId);
 
-    // Write file with proper formatting
-    fs.writeFileSync(filepath, JSON.stringify(normalizedData, null, 2));
+    // Write atomically so the index never picks up a half-written report
+    await storage.writeJson(filename, normalizedData);
     
     console.log(`✅ Report saved: ${filename} (format normalized)`);
-    return filename;
+    return { filename, features: normalizedData };
   } catch (error) {
     console.error('❌ Error saving report:', error.message);
     throw error;
@@ -129,26 +266,530 @@ function saveReportToDirectory(reportId, reportData) {
 }
 
 /**
- * Generate updated index.json
+ * Add a stored report to the metadata store. Failures are logged, never fatal:
+ * index.json stays the source of truth and syncWithIndex backfills missing runs.
  */
-function generateIndex() {
+function ingestMetadata(filename, features, entry, uploadedBy) {
   try {
-    console.log('🔄 Generating updated index...');
-    
-    // Change to the TestResultsJsons directory
-    const originalCwd = process.cwd();
-    process.chdir(UPLOADS_DIR);
-    
-    // Run the tolerant index generation script
-    execSync('node generate-index-tolerant-v2.js --verbose', { stdio: 'inherit' });
-    
-    // Change back to original directory
-    process.chdir(originalCwd);
-    
-    console.log('✅ Index generated successfully');
+    metadataStore.ingestReport(filename, features, entry, { uploadedBy });
   } catch (error) {
-    console.error('❌ Error generating index:', error.message);
-    throw error;
+    console.error(`❌ Metadata ingest failed for ${filename}:`, error.message);
+  }
+}
+
+/**
+ * Save a report and add it to the index and the metadata store under one lock,
+ * so a concurrent index run can neither miss nor rename it in between
+ * @param {Object} [options]
+ * @param {Object} [options.provenance] - CI provenance from the request (see ciProvenance), stored with the run
+ * @param {string} [options.onDuplicate] - allow, reject or alias; defaults to uploads.onDuplicate
+ * @returns {Promise<Object>} { filename, entry, duplicate }. duplicate is null for a stored report, or
+ *   { action: 'rejected' | 'aliased', entry } when an identical run was already indexed (nothing is stored)
+ */
+async function storeReport(reportId, reportData, apiUser, options = {}) {
+  const uploadedBy = apiUser && apiUser.name;
+  const onDuplicate = options.onDuplicate || serverConfig.uploads.onDuplicate;
+
+  const result = await indexManager.withIndexLock(async () => {
+    const duplicate = await indexManager.resolveDuplicateUnlocked(reportData, onDuplicate, {
+      reportId,
+      uploadedBy,
+      provenance: options.provenance
+    });
+    if (duplicate) {
+      return { filename: `${duplicate.entry.id}.json`, entry: duplicate.entry, duplicate };
+    }
+
+    const { filename, features } = await saveReport(reportId, reportData);
+    if (options.provenance) {
+      await indexManager.recordProvenance(filename, options.provenance);
+    }
+    const { entry } = await indexManager.upsertReportUnlocked(filename);
+
+    ingestMetadata(filename, features, entry, uploadedBy);
+    return { filename, entry, duplicate: null };
+  });
+
+  const { filename, entry, duplicate } = result;
+  if (duplicate) {
+    console.log(`♊ Upload ${reportId} is identical to ${filename} (${duplicate.action})`);
+    if (duplicate.action === 'aliased') {
+      reportEvents.publish('report-updated', { reportId: entry.id, filename, entry });
+    }
+    return result;
+  }
+
+  reportEvents.publish('report-uploaded', {
+    reportId: filename.replace(/\.json$/, ''),
+    filename,
+    entry,
+    uploadedBy
+  });
+  retention.afterUpload();
+  return result;
+}
+
+/**
+ * Store one shard of a sharded run and merge every shard of its run group into one report, under
+ * the index lock. The first shard creates the report; later shards, and shards uploaded again, rewrite it.
+ * Duplicate detection does not apply: a shard uploaded again replaces its earlier results.
+ * @param {Object} runGroup - { id, shard, shardCount } from requestedRunGroup; without a shard the next free one is used
+ * @param {Array} features - The shard's normalized features
+ * @param {Object} [options]
+ * @param {Object} [options.provenance] - Kept with the shard; the first shard's is the report's provenance
+ * @returns {Promise<Object>} { filename, entry, runGroup: { id, shard, shardCount, shards } }
+ */
+async function storeShard(runGroup, features, apiUser, options = {}) {
+  const uploadedBy = apiUser && apiUser.name;
+  const { provenance } = options;
+
+  const result = await indexManager.withIndexLock(async () => {
+    const group = await indexManager.findRunGroup(runGroup.id);
+    const filename = group ? group.filename : await newReportFilename(runGroup.id);
+    const runDate = group ? await indexedRunDate(filename) : undefined;
+    const shard = runGroup.shard || (group ? Math.max(...group.shards.map(s => s.shard)) + 1 : 1);
+
+    await storage.writeJson(shardKey(filename, shard), features);
+    // Reruns already merged into the report are applied again on top of the new shard set
+    const merged = applyReruns(mergeShardFeatures(await readShards(storage, filename)),
+      await readReruns(storage, filename), scenarioStatus);
+    await storage.writeJson(filename, merged);
+
+    const record = await indexManager.recordShard(filename, { ...runGroup, shard }, features, { uploadedBy, provenance });
+    if (!group && provenance) {
+      await indexManager.recordProvenance(filename, provenance);
+    }
+    const { entry } = await indexManager.upsertReportUnlocked(filename, {}, { lastModified: runDate });
+
+    ingestMetadata(filename, merged, entry, uploadedBy);
+    return {
+      filename,
+      entry,
+      isNew: !group,
+      runGroup: {
+        id: runGroup.id,
+        shard,
+        ...(record.shardCount ? { shardCount: record.shardCount } : {}),
+        shards: record.shards.length
+      }
+    };
+  });
+
+  const { filename, entry, isNew } = result;
+  console.log(`🧩 Shard ${result.runGroup.shard} of run group ${runGroup.id} merged into ${filename} (${result.runGroup.shards} shard(s))`);
+
+  reportEvents.publish(isNew ? 'report-uploaded' : 'report-updated', {
+    reportId: filename.replace(/\.json$/, ''),
+    filename,
+    entry,
+    ...(isNew ? { uploadedBy } : {})
+  });
+  retention.afterUpload();
+  return result;
+}
+
+/**
+ * Date of an indexed report. A merge that rewrites the report's file passes it on, so a report
+ * without timestamps keeps its run date instead of taking the time of the merge. Callers hold the index lock.
+ * @returns {Promise<Date|undefined>}
+ */
+async function indexedRunDate(filename) {
+  const index = await indexManager.loadIndex();
+  const entry = index && index.reports.find(report => `${report.id}.json` === filename);
+  return entry ? new Date(entry.date) : undefined;
+}
+
+/**
+ * The indexed run a rerun is attached to: the report with this id, else the report of the run group
+ * with this id, else the newest report uploaded with this report id (<id>-<timestamp>).
+ * Callers hold the index lock.
+ * @returns {Promise<Object|null>} The index entry
+ */
+async function findRerunTarget(rerunOf) {
+  const index = (await indexManager.loadIndex()) || (await indexManager.rebuildUnlocked());
+  const exact = index.reports.find(report => report.id === rerunOf);
+  if (exact) return exact;
+
+  const group = await indexManager.findRunGroup(rerunOf);
+  if (group) {
+    return index.reports.find(report => `${report.id}.json` === group.filename) || null;
+  }
+
+  const uploads = index.reports.filter(report => report.id.startsWith(`${rerunOf}-`) &&
+    /^\d{4}-\d{2}-\d{2}T[\d-]+Z(-\d+)?$/.test(report.id.slice(rerunOf.length + 1)));
+  return uploads.sort((a, b) => b.id.localeCompare(a.id))[0] || null;
+}
+
+/**
+ * Merge a rerun report into the run it retries, under the index lock. The rerun is kept in
+ * .reruns/ as the next attempt; re-run scenarios that failed before and pass now are marked flaky.
+ * Duplicate detection does not apply.
+ * @param {string} rerunOf - Report id, run group or report id prefix of the run (see findRerunTarget)
+ * @param {Array} features - The rerun's normalized features
+ * @returns {Promise<Object>} { filename, entry, rerun: { attempt, retried, flaky, failed, added } }, or
+ *   { rerunError: { status, message } } when there is no such run or it is still streaming
+ */
+async function storeRerun(rerunOf, features, apiUser) {
+  const uploadedBy = apiUser && apiUser.name;
+
+  const result = await indexManager.withIndexLock(async () => {
+    const target = await findRerunTarget(rerunOf);
+    if (!target) {
+      return { rerunError: { status: 404, message: `No report or run group "${rerunOf}" to attach the rerun to` } };
+    }
+    if (target.live && target.live.status === 'running') {
+      return { rerunError: { status: 409, message: `Run ${target.id} is still streaming; upload the rerun when it has finished` } };
+    }
+
+    const filename = `${target.id}.json`;
+    const attempt = await nextAttempt(storage, filename);
+    await storage.writeJson(rerunKey(filename, attempt), features);
+
+    const { features: merged, ...counts } = applyRerun(
+      normalizeReportFormat(await storage.readJson(filename)), features, scenarioStatus);
+    await storage.writeJson(filename, merged);
+
+    const { entry } = await indexManager.upsertReportUnlocked(filename, {}, { lastModified: new Date(target.date) });
+    ingestMetadata(filename, merged, entry, uploadedBy);
+    return { filename, entry, rerun: { attempt, ...counts } };
+  });
+
+  if (result.rerunError) return result;
+
+  const { filename, entry, rerun } = result;
+  console.log(`🔁 Attempt ${rerun.attempt} merged into ${filename}: ${rerun.retried} re-run, ${rerun.flaky} flaky, ${rerun.failed} still failing`);
+  reportEvents.publish('report-updated', { reportId: entry.id, filename, entry });
+  return result;
+}
+
+/**
+ * Success message of an upload: a new report, a shard of a run group or a rerun
+ */
+function uploadMessage(stored) {
+  if (stored.rerun) {
+    return `Attempt ${stored.rerun.attempt} merged into ${stored.filename}: ${stored.rerun.retried} scenario(s) re-run, ` +
+      `${stored.rerun.flaky} flaky`;
+  }
+  if (stored.runGroup) {
+    return `Shard ${stored.runGroup.shard} merged into run group ${stored.runGroup.id}`;
+  }
+  return 'Report uploaded successfully';
+}
+
+/**
+ * Answer an upload whose content matches an indexed run: 409 with a pointer to it for the reject
+ * policy, otherwise success with the existing run in place of a new one
+ */
+function sendDuplicateUpload(res, duplicate) {
+  const { entry } = duplicate;
+  const duplicateOf = {
+    reportId: entry.id,
+    filename: `${entry.id}.json`,
+    name: entry.name,
+    date: entry.date,
+    url: `/TestResultsJsons/${entry.id}.json`
+  };
+
+  if (duplicate.action === 'rejected') {
+    return res.status(409).json({
+      success: false,
+      error: `Identical to existing run ${entry.id}; nothing was stored`,
+      duplicateOf
+    });
+  }
+
+  return res.json({
+    success: true,
+    message: `Identical to existing run ${entry.id}; linked to it as an alias`,
+    filename: duplicateOf.filename,
+    reportId: entry.id,
+    duplicateOf,
+    url: duplicateOf.url
+  });
+}
+
+/**
+ * Duplicate policy of an upload: the onDuplicate body/form field or query parameter, then the
+ * X-On-Duplicate header; null means the server default
+ * @throws {Error} For an unknown policy (multipart fields and headers are not checked by the schema)
+ */
+function requestedDuplicatePolicy(req, fields = {}) {
+  const policy = fields.onDuplicate || req.query.onDuplicate || req.get('x-on-duplicate') || null;
+  if (policy && !DUPLICATE_POLICIES.includes(policy)) {
+    throw new Error(`Invalid onDuplicate "${policy}": expected one of ${DUPLICATE_POLICIES.join(', ')}`);
+  }
+  return policy;
+}
+
+/**
+ * Run group of a sharded upload: the runGroup, shard and shardCount body/form fields or query parameters,
+ * then the X-Run-Group, X-Shard and X-Shard-Count headers. A shard without a run group joins the
+ * run group named after its report id.
+ * @returns {Object|null} { id, shard, shardCount } with a filename-safe id, or null for an ordinary upload
+ * @throws {Error} For invalid shard numbers (multipart fields and headers are not checked by the schema)
+ */
+function requestedRunGroup(req, fields, reportId) {
+  const read = (name, header) => [fields[name], req.query[name], req.get(header)]
+    .find(value => value !== undefined && value !== null && value !== '');
+
+  const runGroup = parseRunGroup({
+    runGroup: read('runGroup', 'x-run-group'),
+    shard: read('shard', 'x-shard'),
+    shardCount: read('shardCount', 'x-shard-count')
+  });
+  if (!runGroup) return null;
+
+  return { ...runGroup, id: sanitizeReportId(runGroup.id) || reportId };
+}
+
+/**
+ * Run a rerun upload is attached to: the rerunOf body/form field or query parameter, then the
+ * X-Rerun-Of header
+ * @returns {string|null} A filename-safe id, or null for an ordinary upload
+ * @throws {Error} When the upload is also a shard (multipart fields and headers are not checked by the schema)
+ */
+function requestedRerunOf(req, fields, runGroup) {
+  const rerunOf = fields.rerunOf || req.query.rerunOf || req.get('x-rerun-of') || null;
+  if (!rerunOf) return null;
+
+  if (runGroup) {
+    throw new Error('Send either rerunOf or runGroup/shard: a rerun is merged into the whole run');
+  }
+  const id = sanitizeReportId(rerunOf);
+  if (!id) {
+    throw new Error('Invalid rerunOf: it has no characters that can be used in a report id');
+  }
+  return id;
+}
+
+/**
+ * Soft or hard delete a report and drop it from the index and the metadata store
+ * @param {string} filename - Storage key of the report
+ * @param {boolean} soft - Move it to the deleted list instead of deleting the file
+ * @param {Object} [details] - deletedBy (API token name) and reason (e.g. 'retention'), kept in the trash record
+ *   and sent with the report-deleted event
+ * @returns {Promise<Object|null>} The deletion result, or null for a hard delete of a missing file
+ */
+async function deleteStoredReport(filename, soft, details = {}) {
+  // Change the file and the index under one lock so a concurrent index run never sees half of it
+  const result = await indexManager.withIndexLock(async () => {
+    let deletion;
+
+    if (soft) {
+      // Soft delete - mark as deleted in metadata; the trash shows the summary once the entry is gone
+      const index = await indexManager.loadIndex();
+      const entry = index && index.reports.find(report => report.id === filename.replace(/\.json$/, ''));
+      const report = entry ? {
+        name: entry.name,
+        date: entry.date,
+        scenarios: entry.scenarios,
+        passed: entry.passed,
+        failed: entry.failed,
+        skipped: entry.skipped,
+        size: entry.size
+      } : null;
+
+      deletion = await deletionUtils.markReportAsDeleted(filename, { ...details, report });
+    } else {
+      // Hard delete - remove file and update index
+      if (!(await storage.exists(filename))) {
+        return null;
+      }
+      
+      // Delete the file
+      deletion = await deletionUtils.deleteReportFile(filename);
+    }
+
+    // Soft-deleted runs keep their records and rows so they can be restored
+    if (deletion.type === 'hard') {
+      await indexManager.forgetReport(filename);
+    }
+
+    // Drop the report from the index (also refreshes deletionInfo for soft deletes)
+    await indexManager.removeReportUnlocked(filename);
+
+    if (deletion.type === 'hard') {
+      metadataStore.removeReport(filename);
+    } else if (deletion.deletionRecord) {
+      metadataStore.markDeleted(filename, deletion.deletionRecord.deletedAt);
+    }
+    return deletion;
+  });
+
+  if (result) {
+    reportEvents.publish('report-deleted', {
+      reportId: filename.replace(/\.json$/, ''),
+      filename,
+      deletionType: result.type,
+      ...details
+    });
+  }
+  return result;
+}
+
+/**
+ * Permanently delete a soft-deleted report: its file (a backup is kept), trash record, the records
+ * kept beside the index and its metadata rows
+ * @returns {Promise<Object|null>} The removed trash record, or null when the report is not in the trash
+ */
+async function purgeDeletedReport(filename, details = {}) {
+  const record = await indexManager.withIndexLock(async () => {
+    const removed = await deletionUtils.removeDeletedRecord(filename);
+    if (!removed) return null;
+
+    if (await storage.exists(filename)) {
+      await deletionUtils.deleteReportFile(filename);
+    }
+    await indexManager.forgetReport(filename);
+    metadataStore.removeReport(filename);
+
+    // Refreshes deletionInfo
+    await indexManager.removeReportUnlocked(filename);
+    return removed;
+  });
+
+  if (record) {
+    reportEvents.publish('report-purged', {
+      reportId: filename.replace(/\.json$/, ''),
+      filename,
+      ...details
+    });
+  }
+  return record;
+}
+
+/**
+ * Purge soft-deleted reports that have been in the trash longer than trash.purgeAfterDays
+ */
+async function purgeExpiredTrash() {
+  const { purgeAfterDays } = serverConfig.trash;
+  if (!purgeAfterDays) return;
+
+  try {
+    const expired = await deletionUtils.getExpiredDeletedReports(purgeAfterDays);
+    for (const record of expired) {
+      await purgeDeletedReport(record.filename, { reason: 'expired' });
+    }
+    if (expired.length > 0) {
+      console.log(`🗑️  Purged ${expired.length} report(s) deleted more than ${purgeAfterDays} days ago`);
+    }
+  } catch (error) {
+    console.error('❌ Trash purge failed:', error.message);
+  }
+}
+
+/**
+ * Restore a hard-deleted report from one of its .backups/ copies
+ * @returns {Promise<Object>} { filename, entry }, or { conflict: true } when the report file exists again
+ */
+async function restoreFromBackup(backup, details = {}) {
+  const { filename } = parseBackupName(backup);
+
+  const result = await indexManager.withIndexLock(async () => {
+    if (await storage.exists(filename)) {
+      return { filename, conflict: true };
+    }
+
+    await deletionUtils.restoreBackupFile(backup);
+    // A purged trash record may still be around if the purge was interrupted
+    await deletionUtils.removeDeletedRecord(filename);
+    const { entry } = await indexManager.upsertReportUnlocked(filename);
+
+    if (metadataStore.hasReport(filename)) {
+      metadataStore.markDeleted(filename, null);
+    } else {
+      ingestMetadata(filename, await storage.readJson(filename), entry);
+    }
+    return { filename, entry };
+  });
+
+  if (!result.conflict) {
+    reportEvents.publish('report-restored', {
+      reportId: filename.replace(/\.json$/, ''),
+      filename,
+      backup,
+      ...details
+    });
+  }
+  return result;
+}
+
+/**
+ * Write the partial report of a live run and refresh its index entry.
+ * Running and interrupted runs keep their state in the entry's "live" field;
+ * the metadata store only gets the run once it has ended.
+ */
+async function persistLiveRun(run) {
+  const features = run.converter.toFeatures();
+  const ended = run.status !== 'running';
+
+  const { entry, isNew } = await indexManager.withIndexLock(async () => {
+    const isNew = !run.filename;
+    if (isNew) {
+      run.filename = await newReportFilename(run.runId);
+    }
+
+    await storage.writeJson(run.filename, features);
+    if (isNew && run.provenance) {
+      await indexManager.recordProvenance(run.filename, run.provenance);
+    }
+    const { entry } = await indexManager.upsertReportUnlocked(run.filename,
+      run.status === 'finished' ? {} : { live: run.summary() });
+
+    if (ended && entry) {
+      ingestMetadata(run.filename, features, entry, run.uploadedBy);
+    }
+    return { entry, isNew };
+  });
+
+  reportEvents.publish(isNew ? 'report-uploaded' : 'report-progress', {
+    reportId: run.reportId,
+    filename: run.filename,
+    entry,
+    live: run.summary(),
+    uploadedBy: run.uploadedBy
+  });
+
+  if (ended) {
+    retention.afterUpload();
+  }
+}
+
+// Runs streaming Cucumber Messages to POST /api/live-runs/:runId/messages
+const liveRuns = new LiveRunManager({ persist: persistLiveRun });
+
+// Sockets currently carrying a live-run body, which may outlast Node's requestTimeout
+const liveRunSockets = new WeakSet();
+
+/**
+ * Live runs are kept in memory, so entries still marked running after a restart can never finish
+ */
+async function closeStaleLiveRuns(index) {
+  const stale = index.reports.filter(report => report.live && report.live.status === 'running');
+
+  for (const report of stale) {
+    await indexManager.upsertReport(`${report.id}.json`, { live: { ...report.live, status: 'interrupted' } });
+  }
+
+  if (stale.length > 0) {
+    console.log(`📡 Marked ${stale.length} live run(s) from before the restart as interrupted`);
+  }
+}
+
+/**
+ * Bring the metadata store in line with index.json and .deleted-reports.json
+ */
+async function syncMetadataStore(index) {
+  if (!metadataStore.enabled) return;
+
+  try {
+    const deletedReports = await deletionUtils.getDeletedReports();
+    const { ingested, removed } = await metadataStore.syncWithIndex(index, storage, deletedReports);
+    if (ingested > 0 || removed > 0) {
+      console.log(`🗄️  Metadata store synced: ${ingested} ingested, ${removed} removed`);
+    }
+  } catch (error) {
+    console.error('❌ Metadata store sync failed:', error.message);
   }
 }
 
@@ -158,41 +799,388 @@ function generateIndex() {
  * POST /api/upload-report
  * Upload a new report and update the index
  */
-app.post('/api/upload-report', async (req, res) => {
+app.post('/api/upload-report', apiAuth.requireRole('uploader'), api.validate('uploadReport'), async (req, res) => {
+  try {
+    const reportId = sanitizeReportId(req.body.reportId);
+    if (!reportId) {
+      return sendError(res, 400, 'Invalid reportId: it has no characters that can be used in a filename');
+    }
+
+    // The schema accepts a feature array, { features: [...] }, a single feature, NDJSON messages, JUnit XML
+    // or TestNG XML, like normalizeReportFormat
+    let features;
+    try {
+      features = normalizeReportFormat(req.body.reportData);
+    } catch (formatError) {
+      return sendError(res, 400, `Invalid report: ${formatError.message}`);
+    }
+    if (!isCucumberFeatureArray(features)) {
+      return sendError(res, 400, 'Unsupported report format: expected Cucumber JSON features, Cucumber Messages, JUnit XML or TestNG XML');
+    }
+
+    let onDuplicate, runGroup, rerunOf;
+    try {
+      onDuplicate = requestedDuplicatePolicy(req, req.body);
+      runGroup = requestedRunGroup(req, req.body, reportId);
+      rerunOf = requestedRerunOf(req, req.body, runGroup);
+    } catch (requestError) {
+      return sendError(res, 400, requestError.message);
+    }
+
+    // Body fields win over X-CI-* headers, e.g. when a wrapper script sets both
+    const provenance = mergeProvenance(req.body.provenance, provenanceFromHeaders(req.headers));
+
+    // Save the report file and add it to the index, unless it duplicates an indexed run;
+    // shards are merged into their run group's report and reruns into the run they retry instead
+    let stored;
+    if (rerunOf) {
+      stored = await storeRerun(rerunOf, features, req.apiUser);
+    } else if (runGroup) {
+      stored = await storeShard(runGroup, features, req.apiUser, { provenance });
+    } else {
+      stored = await storeReport(reportId, features, req.apiUser, { provenance, onDuplicate });
+    }
+    if (stored.duplicate) {
+      return sendDuplicateUpload(res, stored.duplicate);
+    }
+    if (stored.rerunError) {
+      return sendError(res, stored.rerunError.status, stored.rerunError.message);
+    }
+    
+    res.json({
+      success: true,
+      message: uploadMessage(stored),
+      filename: stored.filename,
+      // Shards and reruns are merged into an existing report, which keeps its own id
+      reportId: runGroup || rerunOf ? stored.filename.replace(/\.json$/, '') : reportId,
+      ...(provenance ? { provenance } : {}),
+      ...(runGroup ? { runGroup: stored.runGroup } : {}),
+      ...(rerunOf ? { rerun: stored.rerun } : {}),
+      url: `/TestResultsJsons/${stored.filename}`
+    });
+
+  } catch (error) {
+    console.error('Upload error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Read the uploaded report file from a multipart field or from the raw request body.
+ * JSON bodies are already parsed by express.json, anything else arrives as a Buffer.
+ */
+function receiveReportFile(req, res, next) {
+  const handleError = (error) => {
+    if (!error) return next();
+
+    const status = error.code === 'LIMIT_FILE_SIZE' || error.type === 'entity.too.large' ? 413 : 400;
+    res.status(status).json({
+      success: false,
+      error: `Could not read uploaded report: ${error.message}`
+    });
+  };
+
+  if (req.is('multipart/form-data')) {
+    return reportFileUpload.any()(req, res, handleError);
+  }
+
+  return express.raw({ type: () => true, limit: MAX_UPLOAD_BYTES })(req, res, handleError);
+}
+
+/**
+ * POST /api/upload-report/file
+ * Upload a raw report file straight from CI (cucumber.json, .ndjson messages, JUnit or TestNG XML, .gz or .zip).
+ * A .zip of an allure-results directory is imported as one report.
+ *
+ *   curl -F "report=@target/cucumber.json" -F "reportId=nightly" http://host:3001/api/upload-report/file
+ *   curl --data-binary @cucumber.json.gz -H "Content-Type: application/gzip" \
+ *     "http://host:3001/api/upload-report/file?reportId=nightly"
+ */
+app.post('/api/upload-report/file', apiAuth.requireRole('uploader'), receiveReportFile, api.validate('uploadReportFile'), async (req, res) => {
+  try {
+    const file = req.files && req.files[0];
+    const fields = Buffer.isBuffer(req.body) ? {} : (req.files ? req.body : {});
+    const originalName = file ? file.originalname : (req.get('x-report-filename') || 'report.json');
+
+    let parsed;
+    try {
+      if (file) {
+        parsed = parseReportFile(file.buffer, { filename: originalName });
+      } else if (Buffer.isBuffer(req.body) && req.body.length > 0) {
+        parsed = parseReportFile(req.body, { filename: originalName });
+      } else if (req.is('json') && req.body && Object.keys(req.body).length > 0) {
+        parsed = { compression: 'none', documents: [{ name: originalName, format: 'cucumber-json', data: req.body }] };
+      }
+    } catch (parseError) {
+      return res.status(parseError.code === 'ERR_REPORT_TOO_LARGE' ? 413 : 400).json({
+        success: false,
+        error: parseError.message
+      });
+    }
+
+    if (!parsed) {
+      return res.status(400).json({
+        success: false,
+        error: 'No report file received. Send it as multipart field "report" or as the raw request body.'
+      });
+    }
+
+    // Normalize every document and merge them (zip archives may hold several reports)
+    const features = [];
+    for (const document of parsed.documents) {
+      const normalized = normalizeReportFormat(document.data);
+      if (!isCucumberFeatureArray(normalized)) {
+        return res.status(400).json({
+          success: false,
+          error: `Unsupported report format in ${document.name}: expected Cucumber JSON features, Cucumber Messages, JUnit XML or TestNG XML`
+        });
+      }
+      features.push(...normalized);
+    }
+
+    const requestedId = fields.reportId || req.query.reportId || req.get('x-report-id') ||
+      originalName.replace(/\.((json|ndjson|xml)(\.gz)?|gz|zip)$/i, '');
+    const reportId = sanitizeReportId(requestedId) || `report-${Date.now()}`;
+
+    let onDuplicate, runGroup, rerunOf;
+    try {
+      onDuplicate = requestedDuplicatePolicy(req, fields);
+      runGroup = requestedRunGroup(req, fields, reportId);
+      rerunOf = requestedRerunOf(req, fields, runGroup);
+    } catch (requestError) {
+      return sendError(res, 400, requestError.message);
+    }
+
+    // Multipart fields (branch, commit, buildNumber, pipelineUrl, ...) win over X-CI-* headers
+    const provenance = mergeProvenance(fields, provenanceFromHeaders(req.headers));
+
+    // Save the report file and add it to the index, unless it duplicates an indexed run;
+    // shards are merged into their run group's report and reruns into the run they retry instead
+    let stored;
+    if (rerunOf) {
+      stored = await storeRerun(rerunOf, features, req.apiUser);
+    } else if (runGroup) {
+      stored = await storeShard(runGroup, features, req.apiUser, { provenance });
+    } else {
+      stored = await storeReport(reportId, features, req.apiUser, { provenance, onDuplicate });
+    }
+    if (stored.duplicate) {
+      return sendDuplicateUpload(res, stored.duplicate);
+    }
+    if (stored.rerunError) {
+      return sendError(res, stored.rerunError.status, stored.rerunError.message);
+    }
+
+    res.json({
+      success: true,
+      message: uploadMessage(stored),
+      filename: stored.filename,
+      // Shards and reruns are merged into an existing report, which keeps its own id
+      reportId: runGroup || rerunOf ? stored.filename.replace(/\.json$/, '') : reportId,
+      name: fields.name || req.query.name || null,
+      compression: parsed.compression,
+      sourceFiles: parsed.documents.map(document => document.name),
+      formats: [...new Set(parsed.documents.map(document => document.format))],
+      features: features.length,
+      ...(provenance ? { provenance } : {}),
+      ...(runGroup ? { runGroup: stored.runGroup } : {}),
+      ...(rerunOf ? { rerun: stored.rerun } : {}),
+      url: `/TestResultsJsons/${stored.filename}`
+    });
+
+  } catch (error) {
+    console.error('File upload error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/live-runs/:runId/messages
+ * Stream Cucumber Messages (NDJSON) while a test run is executing. The report appears at once
+ * and is updated every few seconds; testRunFinished completes it. A run may be fed by several
+ * requests in a row, and is closed as interrupted after 30 minutes without messages.
+ *
+ *   npx cucumber-js --format message | curl -X POST -T - -H "Content-Type: application/x-ndjson" \
+ *     http://host:3001/api/live-runs/nightly/messages
+ */
+app.post('/api/live-runs/:runId/messages', apiAuth.requireRole('uploader'), api.validate('streamLiveRunMessages'), async (req, res) => {
+  const runId = sanitizeReportId(req.params.runId);
+
+  if (!runId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid run id'
+    });
+  }
+
+  if (req.is('json')) {
+    return res.status(415).json({
+      success: false,
+      error: 'Send Cucumber Messages as NDJSON (Content-Type: application/x-ndjson), one envelope per line'
+    });
+  }
+
+  if (liveRuns.isReceiving(runId)) {
+    return res.status(409).json({
+      success: false,
+      error: `Live run ${runId} is already receiving messages on another request`
+    });
+  }
+
+  liveRunSockets.add(req.socket);
+
+  try {
+    const run = await liveRuns.ingest(runId, req, {
+      uploadedBy: req.apiUser && req.apiUser.name,
+      provenance: provenanceFromHeaders(req.headers)
+    });
+
+    res.json({
+      success: true,
+      ...run,
+      url: `/TestResultsJsons/${run.filename}`
+    });
+  } catch (error) {
+    console.error(`Live run ${runId} error:`, error.message);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+      run: liveRuns.get(runId) ? liveRuns.get(runId).summary() : null
+    });
+  } finally {
+    liveRunSockets.delete(req.socket);
+  }
+});
+
+/**
+ * GET /api/live-runs
+ * Runs that are currently streaming messages, with their progress
+ */
+app.get('/api/live-runs', apiAuth.requireRole('viewer'), api.validate('listLiveRuns'), (req, res) => {
+  res.json({
+    success: true,
+    runs: liveRuns.list()
+  });
+});
+
+/**
+ * GET /api/reports
+ * Search, filter, sort and page the reports in index.json
+ * Query params:
+ * - q: text matched against name, id, tags, environment, tool, branch, commit and build number
+ * - status: passed, failed and/or mixed (comma-separated or repeated)
+ * - tags, environment, branch: match any of the given values
+ * - commit: CI commit hash or a prefix of it
+ * - dateFrom, dateTo: ISO 8601 dates (a bare dateTo date includes that whole day)
+ * - sortBy: date (default), name, scenarios or passRate; order: desc (default) or asc
+ * - page (default 1), limit (default 20, max 200); without either, every matching report is returned
+ */
+app.get('/api/reports', apiAuth.requireRole('viewer'), api.validate('listReports'), async (req, res) => {
+  let options;
+  try {
+    options = parseReportQuery(req.query);
+  } catch (queryError) {
+    return res.status(400).json({
+      success: false,
+      error: queryError.message
+    });
+  }
+
+  try {
+    const index = await indexManager.getIndex();
+    const result = queryReports(index.reports, options);
+
+    res.json({
+      success: true,
+      ...result,
+      statistics: index.statistics
+    });
+    
+  } catch (error) {
+    console.error('Error reading reports:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/search
+ * Find scenarios across all stored runs by scenario name, step text, error message or match.location
+ * Query params:
+ * - q: case-insensitive substring (at least 2 characters)
+ * - in: scenario, step, error and/or location (default: all)
+ * - status: only scenarios with these statuses, e.g. failed
+ * - order: desc (newest run first, default) or asc (oldest first)
+ * - page (default 1), limit (default 25, max 100)
+ */
+app.get('/api/search', apiAuth.requireRole('viewer'), api.validate('searchScenarios'), (req, res) => {
+  if (!metadataStore.enabled) {
+    return res.status(503).json({
+      success: false,
+      error: `Search needs the metadata store, which is unavailable: ${metadataStore.disabledReason}`
+    });
+  }
+
+  let options;
+  try {
+    options = parseSearchQuery(req.query);
+  } catch (queryError) {
+    return res.status(400).json({
+      success: false,
+      error: queryError.message
+    });
+  }
+
+  try {
+    const result = metadataStore.search(options);
+
+    res.json({
+      success: true,
+      query: options.q,
+      ...result,
+      page: options.page,
+      limit: options.limit,
+      totalPages: Math.max(1, Math.ceil(result.total / options.limit))
+    });
+
+  } catch (error) {
+    console.error('Error searching reports:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/reports/deleted/:filename
+ * Permanently delete a report from the trash (registered before DELETE /api/reports/:filename)
+ */
+app.delete('/api/reports/deleted/:filename', apiAuth.requireRole('admin'), api.validate('purgeDeletedReport'), async (req, res) => {
   try {
-    const { reportId, reportData, name } = req.body;
-    
-    if (!reportId || !reportData) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields: reportId and reportData'
-      });
-    }
+    const { filename } = req.params;
+    const record = await purgeDeletedReport(filename, { purgedBy: req.apiUser && req.apiUser.name });
 
-    // Validate report data structure
-    if (!reportData.features || !Array.isArray(reportData.features)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid report data: missing features array'
-      });
+    if (!record) {
+      return sendError(res, 404, 'Report not found in deleted list');
     }
 
-    // Save the report file
-    const filename = saveReportToDirectory(reportId, reportData);
-    
-    // Generate updated index
-    generateIndex();
-    
     res.json({
       success: true,
-      message: 'Report uploaded successfully',
-      filename,
-      reportId,
-      url: `/TestResultsJsons/${filename}`
+      message: 'Report permanently deleted',
+      filename
     });
 
   } catch (error) {
-    console.error('Upload error:', error);
+    console.error('Purge error:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -201,29 +1189,30 @@ app.post('/api/upload-report', async (req, res) => {
 });
 
 /**
- * GET /api/reports
- * Get list of available reports from index.json
+ * DELETE /api/reports/deleted
+ * Empty the trash: permanently delete every soft-deleted report
  */
-app.get('/api/reports', (req, res) => {
+app.delete('/api/reports/deleted', apiAuth.requireRole('admin'), api.validate('emptyTrash'), async (req, res) => {
   try {
-    const indexPath = path.join(UPLOADS_DIR, 'index.json');
-    
-    if (!fs.existsSync(indexPath)) {
-      return res.json({
-        success: true,
-        reports: []
-      });
+    const deletedReports = await deletionUtils.getDeletedReports();
+    const purged = [];
+
+    for (const record of deletedReports) {
+      if (await purgeDeletedReport(record.filename, { purgedBy: req.apiUser && req.apiUser.name })) {
+        purged.push(record.filename);
+      }
     }
-    
-    const indexData = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
-    
+
+    console.log(`🗑️  Trash emptied: ${purged.length} report(s) purged`);
     res.json({
       success: true,
-      reports: indexData
+      message: `Permanently deleted ${purged.length} report(s)`,
+      purged: purged.length,
+      filenames: purged
     });
-    
+
   } catch (error) {
-    console.error('Error reading reports:', error);
+    console.error('Empty trash error:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -237,7 +1226,7 @@ app.get('/api/reports', (req, res) => {
  * Query params:
  * - soft: true/false (default: false for localhost, true for others)
  */
-app.delete('/api/reports/:filename', async (req, res) => {
+app.delete('/api/reports/:filename', apiAuth.requireRole('admin'), api.validate('deleteReport'), async (req, res) => {
   try {
     const { filename } = req.params;
     const { soft } = req.query;
@@ -248,32 +1237,17 @@ app.delete('/api/reports/:filename', async (req, res) => {
     
     console.log(`🗑️  Delete request: ${filename} (soft: ${shouldSoftDelete})`);
     
-    let result;
-    
-    if (shouldSoftDelete) {
-      // Soft delete - mark as deleted in metadata
-      result = await deletionUtils.markReportAsDeleted(filename);
-    } else {
-      // Hard delete - remove file and update index
-      const filepath = path.join(UPLOADS_DIR, filename);
-      
-      if (!fs.existsSync(filepath)) {
-        return res.status(404).json({
-          success: false,
-          error: 'Report file not found'
-        });
-      }
-      
-      // Delete the file
-      result = await deletionUtils.deleteReportFile(filename);
-      
-      // Remove from index
-      await deletionUtils.removeFromIndex(filename);
+    const result = await deleteStoredReport(filename, shouldSoftDelete, {
+      deletedBy: req.apiUser && req.apiUser.name
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report file not found'
+      });
     }
     
-    // Regenerate index to reflect changes
-    generateIndex();
-    
     res.json({
       success: true,
       message: result.message,
@@ -295,13 +1269,17 @@ app.delete('/api/reports/:filename', async (req, res) => {
  * POST /api/regenerate-index
  * Manually trigger index regeneration
  */
-app.post('/api/regenerate-index', (req, res) => {
+app.post('/api/regenerate-index', apiAuth.requireRole('admin'), api.validate('regenerateIndex'), async (req, res) => {
   try {
-    generateIndex();
+    const index = await indexManager.rebuild();
+    await syncMetadataStore(index);
+
+    reportEvents.publish('index-regenerated', { reportsCount: index.reports.length });
     
     res.json({
       success: true,
-      message: 'Index regenerated successfully'
+      message: 'Index regenerated successfully',
+      reportsCount: index.reports.length
     });
     
   } catch (error) {
@@ -313,18 +1291,121 @@ app.post('/api/regenerate-index', (req, res) => {
   }
 });
 
+/**
+ * GET /api/export
+ * Zip of reports with their metadata, provenance, pins and index entries (see reportArchive).
+ * ?reports=<file>,<file> picks reports, includeTrash and includeBackups add the trash and .backups/
+ *
+ *   curl -o reports.zip -H "Authorization: Bearer $TOKEN" "http://host:3001/api/export?includeTrash=true"
+ */
+app.get('/api/export', apiAuth.requireRole('viewer'), api.validate('exportReports'), async (req, res) => {
+  try {
+    const includeTrash = req.query.includeTrash === 'true';
+    const includeBackups = req.query.includeBackups === 'true';
+
+    // The trash and backups hold deleted reports, which only admins can see or restore
+    if ((includeTrash || includeBackups) && !apiAuth.hasRole(req.apiUser, 'admin')) {
+      return sendError(res, 403, 'Forbidden: admin role required for includeTrash and includeBackups');
+    }
+
+    const { stream, missing } = await reportArchive.exportArchive({
+      filenames: toList(req.query.reports),
+      includeTrash,
+      includeBackups,
+      exportedBy: req.apiUser && req.apiUser.name
+    });
+
+    if (missing.length > 0) {
+      return sendError(res, 404, `Not found: ${missing.join(', ')}`);
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="cucumber-reports-${timestamp}.zip"`);
+
+    // The status is sent with the first bytes, so a failure after that can only cut the download short
+    stream.on('error', error => {
+      console.error('Export error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/import
+ * Import an archive from GET /api/export (multipart field "archive" or the raw body).
+ * Reports identical to stored ones are skipped, then the index is regenerated.
+ *
+ *   curl --data-binary @reports.zip -H "Content-Type: application/zip" -H "Authorization: Bearer $TOKEN" \
+ *     http://host:3001/api/import
+ */
+app.post('/api/import', apiAuth.requireRole('admin'), receiveReportFile, api.validate('importReports'), async (req, res) => {
+  try {
+    const file = req.files && req.files[0];
+    const buffer = file ? file.buffer : req.body;
+
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+      return sendError(res, 400, 'No archive received. Send it as multipart field "archive" or as the raw request body.');
+    }
+
+    let archive;
+    try {
+      archive = readArchive(buffer);
+    } catch (archiveError) {
+      return sendError(res, archiveError.code === 'ERR_REPORT_TOO_LARGE' ? 413 : 400, archiveError.message);
+    }
+
+    const { index, imported, duplicates, backups, skipped } = await reportArchive.importArchive(archive);
+    await syncMetadataStore(index);
+
+    reportEvents.publish('index-regenerated', { reportsCount: index.reports.length });
+
+    res.json({
+      success: true,
+      message: `Imported ${imported.length} report(s), skipped ${duplicates.length} duplicate(s)`,
+      imported,
+      duplicates,
+      backups,
+      skipped,
+      reportsCount: index.reports.length
+    });
+
+  } catch (error) {
+    console.error('Import error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/reports/deleted
  * Get list of deleted reports
  */
-app.get('/api/reports/deleted', async (req, res) => {
+app.get('/api/reports/deleted', apiAuth.requireRole('admin'), api.validate('listDeletedReports'), async (req, res) => {
   try {
-    const deletedReports = await deletionUtils.getDeletedReports();
+    const { purgeAfterDays } = serverConfig.trash;
+    const deletedReports = (await deletionUtils.getDeletedReports()).map(record => ({
+      ...record,
+      expiresAt: purgeAfterDays
+        ? new Date(new Date(record.deletedAt).getTime() + purgeAfterDays * 24 * 60 * 60 * 1000).toISOString()
+        : null
+    }));
     
     res.json({
       success: true,
       deletedReports,
-      count: deletedReports.length
+      count: deletedReports.length,
+      purgeAfterDays
     });
     
   } catch (error) {
@@ -340,16 +1421,33 @@ app.get('/api/reports/deleted', async (req, res) => {
  * POST /api/reports/:filename/restore
  * Restore a soft-deleted report
  */
-app.post('/api/reports/:filename/restore', async (req, res) => {
+app.post('/api/reports/:filename/restore', apiAuth.requireRole('admin'), api.validate('restoreReport'), async (req, res) => {
   try {
     const { filename } = req.params;
     
     const result = await deletionUtils.restoreReport(filename);
     
-    if (result.success) {
-      // Regenerate index to show restored report
-      generateIndex();
+    if (!result.success) {
+      return sendError(res, 404, result.message);
     }
+
+    // Add the restored report back to the index
+    await indexManager.withIndexLock(async () => {
+      if (await storage.exists(filename)) {
+        const { entry } = await indexManager.upsertReportUnlocked(filename);
+
+        if (metadataStore.hasReport(filename)) {
+          metadataStore.markDeleted(filename, null);
+        } else {
+          ingestMetadata(filename, await storage.readJson(filename), entry);
+        }
+      }
+    });
+
+    reportEvents.publish('report-restored', {
+      reportId: filename.replace(/\.json$/, ''),
+      filename
+    });
     
     res.json(result);
     
@@ -362,15 +1460,225 @@ app.post('/api/reports/:filename/restore', async (req, res) => {
   }
 });
 
+/**
+ * PATCH /api/reports/:filename
+ * Edit a report's display name, run-level tags, environment, browser, OS, application version and notes
+ */
+app.patch('/api/reports/:filename', apiAuth.requireRole('uploader'), api.validate('updateReportMetadata'), async (req, res) => {
+  try {
+    const { filename } = req.params;
+
+    const entry = await indexManager.updateReportMetadata(filename, req.body, req.apiUser && req.apiUser.name);
+    if (!entry) {
+      return sendError(res, 404, 'Report not found in the index');
+    }
+
+    // Cross-report search shows run names from the metadata store
+    metadataStore.renameReport(filename, entry.name);
+
+    reportEvents.publish('report-updated', {
+      reportId: entry.id,
+      filename,
+      entry
+    });
+
+    res.json({
+      success: true,
+      filename,
+      entry
+    });
+
+  } catch (error) {
+    console.error('Metadata update error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/backups
+ * Backups written before hard deletes, newest first; ?report=<filename> lists one report's backups
+ */
+app.get('/api/backups', apiAuth.requireRole('admin'), api.validate('listBackups'), async (req, res) => {
+  try {
+    const backups = await deletionUtils.listBackups(req.query.report);
+
+    res.json({
+      success: true,
+      backups,
+      count: backups.length,
+      policy: serverConfig.backups
+    });
+
+  } catch (error) {
+    console.error('Error listing backups:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/backups/:backup
+ * Summary of a backup (the uploader's statistics), without its report data
+ */
+app.get('/api/backups/:backup', apiAuth.requireRole('admin'), api.validate('getBackup'), async (req, res) => {
+  try {
+    const backup = await deletionUtils.readBackup(req.params.backup);
+
+    if (!backup) {
+      return sendError(res, 404, `No such backup: ${req.params.backup}`);
+    }
+
+    const { data, ...details } = backup;
+    res.json({
+      success: true,
+      backup: details,
+      statistics: calculateReportStatistics(data),
+      reportExists: await storage.exists(backup.filename)
+    });
+
+  } catch (error) {
+    console.error('Error reading backup:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/backups/:backup/restore
+ * Restore a backup as a live report under its original filename
+ */
+app.post('/api/backups/:backup/restore', apiAuth.requireRole('admin'), api.validate('restoreBackup'), async (req, res) => {
+  try {
+    const { backup } = req.params;
+
+    if (!(await storage.exists(BACKUP_PREFIX + backup))) {
+      return sendError(res, 404, `No such backup: ${backup}`);
+    }
+
+    const result = await restoreFromBackup(backup, { restoredBy: req.apiUser && req.apiUser.name });
+
+    if (result.conflict) {
+      return sendError(res, 409, `${result.filename} already exists; delete it before restoring this backup`);
+    }
+
+    res.json({
+      success: true,
+      message: 'Report restored from backup',
+      filename: result.filename,
+      entry: result.entry
+    });
+
+  } catch (error) {
+    console.error('Backup restore error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/reports/:filename/pin
+ * Pin ({ "pinned": true }) or unpin a report; pinned reports are never purged by the retention policy
+ */
+app.post('/api/reports/:filename/pin', apiAuth.requireRole('admin'), api.validate('pinReport'), async (req, res) => {
+  try {
+    const { filename } = req.params;
+    const pinned = req.body.pinned !== false;
+
+    const entry = await indexManager.setPinned(filename, pinned, req.apiUser && req.apiUser.name);
+    if (!entry) {
+      return sendError(res, 404, 'Report not found in the index');
+    }
+
+    reportEvents.publish('report-updated', {
+      reportId: entry.id,
+      filename,
+      entry
+    });
+
+    res.json({
+      success: true,
+      filename,
+      pinned: Boolean(entry.pinned)
+    });
+
+  } catch (error) {
+    console.error('Pin error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/retention
+ * Dry run of the retention policy: the runs it would purge now and why
+ */
+app.get('/api/retention', apiAuth.requireRole('viewer'), api.validate('previewRetention'), async (req, res) => {
+  try {
+    const preview = await retention.preview();
+
+    res.json({
+      success: true,
+      ...preview
+    });
+
+  } catch (error) {
+    console.error('Retention preview error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/retention/run
+ * Apply the retention policy now, also when automatic purging is off
+ */
+app.post('/api/retention/run', apiAuth.requireRole('admin'), api.validate('applyRetention'), async (req, res) => {
+  try {
+    const result = await retention.apply('manual');
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Retention run error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/events
+ * Server-Sent Events stream of report-uploaded, report-progress, report-updated, report-deleted, report-restored, report-purged and index-regenerated.
+ * EventSource can't send headers, so the token may be passed as ?token=
+ */
+app.get('/api/events', apiAuth.requireRole('viewer', { allowQueryToken: true }), api.validate('streamReportEvents'), (req, res) => {
+  reportEvents.stream(req, res);
+});
+
 /**
  * GET /api/sync/status
  * Get synchronization status between local and published reports
  */
-app.get('/api/sync/status', async (req, res) => {
+app.get('/api/sync/status', apiAuth.requireRole('viewer'), api.validate('getSyncStatus'), async (req, res) => {
   try {
-    const indexPath = path.join(UPLOADS_DIR, 'index.json');
-    const index = fs.existsSync(indexPath) ? 
-      JSON.parse(fs.readFileSync(indexPath, 'utf8')) : { reports: [] };
+    const index = await storage.readJson('index.json', { reports: [] });
     
     const deletedReports = await deletionUtils.getDeletedReports();
     const reportsNeedingCleanup = await deletionUtils.getReportsNeedingCleanup();
@@ -400,21 +1708,62 @@ app.get('/api/sync/status', async (req, res) => {
   }
 });
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Server is running',
-    timestamp: new Date().toISOString(),
-    uploadsDir: UPLOADS_DIR
-  });
-});
+// Unknown /api routes, unreadable JSON bodies and unexpected errors get the same JSON error body
+app.use('/api', notFoundHandler);
+app.use(errorHandler);
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, async () => {
   console.log(`🚀 Report upload server running on port ${PORT}`);
-  console.log(`📁 Uploads directory: ${UPLOADS_DIR}`);
+  console.log(`📁 Report storage (${storage.type}): ${storage.describe()}`);
   console.log(`🔗 Health check: http://localhost:${PORT}/api/health`);
+  if (apiAuth.enabled) {
+    console.log(`🔐 API authentication enabled (${apiAuth.tokens.length} token(s))`);
+  } else {
+    console.warn('⚠️  No API tokens configured - all routes are open. Set API_TOKENS or server.config.json');
+  }
+
+  if (metadataStore.enabled) {
+    console.log(`🗄️  Metadata store: ${metadataStore.dbPath}`);
+  } else {
+    console.warn(`⚠️  Metadata store off (${metadataStore.disabledReason})`);
+  }
+
+  // Convert a missing or legacy-format index once so later updates can be incremental
+  try {
+    const index = await indexManager.getIndex();
+    await syncMetadataStore(index);
+    await closeStaleLiveRuns(index);
+  } catch (error) {
+    console.error('❌ Error preparing report index:', error.message);
+  }
+
+  if (serverConfig.retention.enabled) {
+    console.log(`🧹 Retention policy on (every ${serverConfig.retention.intervalMinutes} min and after uploads)`);
+  }
+  retention.start();
+
+  if (serverConfig.trash.purgeAfterDays) {
+    console.log(`🗑️  Deleted reports are purged after ${serverConfig.trash.purgeAfterDays} days`);
+    await purgeExpiredTrash();
+    setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL).unref();
+  }
+});
+
+// Node's requestTimeout also ends request bodies that are still arriving. A live run streams one body
+// for as long as the suite runs, so its timeout is ignored; other client errors get Node's usual answer.
+server.on('clientError', (error, socket) => {
+  if (error.code === 'ERR_HTTP_REQUEST_TIMEOUT' && liveRunSockets.has(socket)) {
+    return;
+  }
+
+  if (socket.writable && socket.bytesWritten === 0) {
+    const status = error.code === 'ERR_HTTP_REQUEST_TIMEOUT' ? '408 Request Timeout'
+      : error.code === 'HPE_HEADER_OVERFLOW' ? '431 Request Header Fields Too Large'
+        : '400 Bad Request';
+    socket.write(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+  }
+  socket.destroy(error);
 });
 
 module.exports = app;
\ No newline at end of file
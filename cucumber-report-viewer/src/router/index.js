@@ -1,6 +1,8 @@
 import { createRouter, createWebHashHistory } from 'vue-router';
 import Home from '../views/Home.vue';
 import Report from '../views/Report.vue';
+import Search from '../views/Search.vue';
+import Trash from '../views/Trash.vue';
 
 const routes = [
   {
@@ -17,6 +19,16 @@ const routes = [
   {
     path: '/report',
     redirect: '/'
+  },
+  {
+    path: '/search',
+    name: 'Search',
+    component: Search
+  },
+  {
+    path: '/trash',
+    name: 'Trash',
+    component: Trash
   }
 ];
 
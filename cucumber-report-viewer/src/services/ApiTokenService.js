@@ -0,0 +1,80 @@
+/**
+ * API Token Service
+ * Provides the API token that is sent to the report server with every API request
+ */
+
+const TOKEN_STORAGE_KEY = 'report-api-token';
+
+class ApiTokenService {
+  /**
+   * Get the current token - a token saved in this browser wins over the build-time one
+   * @returns {string|null} API token
+   */
+  getToken() {
+    try {
+      const storedToken = localStorage.getItem(TOKEN_STORAGE_KEY);
+      if (storedToken) {
+        return storedToken;
+      }
+    } catch (error) {
+      console.warn('Could not read API token from localStorage:', error);
+    }
+
+    return process.env.VUE_APP_API_TOKEN || null;
+  }
+
+  /**
+   * Where the current token comes from
+   * @returns {'browser'|'build'|null} 'browser' when saved in this browser, 'build' for VUE_APP_API_TOKEN
+   */
+  getTokenSource() {
+    try {
+      if (localStorage.getItem(TOKEN_STORAGE_KEY)) {
+        return 'browser';
+      }
+    } catch (error) {
+      console.warn('Could not read API token from localStorage:', error);
+    }
+
+    return process.env.VUE_APP_API_TOKEN ? 'build' : null;
+  }
+
+  /**
+   * Save a token for this browser
+   * @param {string} token - API token issued by the server administrator
+   */
+  setToken(token) {
+    if (token) {
+      localStorage.setItem(TOKEN_STORAGE_KEY, token.trim());
+    } else {
+      this.clearToken();
+    }
+  }
+
+  /**
+   * Remove the token saved in this browser
+   */
+  clearToken() {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+  }
+
+  /**
+   * Headers to spread into a fetch request
+   * @returns {Object} Authorization header, or an empty object when no token is set
+   */
+  getAuthHeaders() {
+    const token = this.getToken();
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
+  /**
+   * Whether a response was rejected because of a missing or insufficient token
+   * @param {Response} response - fetch response
+   * @returns {boolean}
+   */
+  isAuthError(response) {
+    return response.status === 401 || response.status === 403;
+  }
+}
+
+export default new ApiTokenService();
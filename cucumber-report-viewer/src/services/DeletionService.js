@@ -3,6 +3,8 @@
  * Handles report deletion operations with confirmation and error handling
  */
 
+import ApiTokenService from "@/services/ApiTokenService";
+
 class DeletionService {
   constructor() {
     this.baseURL =
@@ -54,22 +56,38 @@ class DeletionService {
             method: "DELETE",
             headers: {
               "Content-Type": "application/json",
+              ...ApiTokenService.getAuthHeaders(),
             },
             // Add timeout to prevent hanging
             signal: AbortSignal.timeout(10000) // 10 second timeout
           }
         );
 
-        if (!response.ok) {
-          throw new Error(`Server responded with ${response.status}: ${response.statusText}`);
+        if (ApiTokenService.isAuthError(response)) {
+          const authResult = await response.json().catch(() => ({}));
+          const authError = new Error(authResult.error || `Server responded with ${response.status}: ${response.statusText}`);
+          authError.isAuthError = true;
+          throw authError;
         }
 
-        result = await response.json();
+        // Errors use the API contract's { success: false, error, details? } body
+        result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+          const requestError = new Error(result.error || `Server responded with ${response.status}: ${response.statusText}`);
+          requestError.isRejected = response.status < 500;
+          throw requestError;
+        }
 
         if (!result.success) {
           throw new Error(result.error || "Server deletion failed");
         }
       } catch (serverError) {
+        // A rejected token or request (unknown report, invalid filename) must not be masked by a local-only deletion
+        if (serverError.isAuthError || serverError.isRejected) {
+          throw serverError;
+        }
+
         console.warn("Server deletion failed, falling back to local deletion:", serverError.message);
         
         // Fallback to local-only deletion
@@ -470,6 +488,7 @@ class DeletionService {
           method: "POST",
           headers: {
             "Content-Type": "application/json",
+            ...ApiTokenService.getAuthHeaders(),
           },
         }
       );
@@ -490,7 +509,7 @@ class DeletionService {
         });
         window.dispatchEvent(event);
       } else {
-        throw new Error(result.message || "Restoration failed");
+        throw new Error(result.message || result.error || "Restoration failed");
       }
 
       return result;
@@ -534,7 +553,9 @@ class DeletionService {
    */
   async getSyncStatus() {
     try {
-      const response = await fetch(`${this.baseURL}/api/sync/status`);
+      const response = await fetch(`${this.baseURL}/api/sync/status`, {
+        headers: ApiTokenService.getAuthHeaders(),
+      });
       const result = await response.json();
 
       if (result.success) {
@@ -552,12 +573,25 @@ class DeletionService {
    * Get deleted reports list
    */
   async getDeletedReports() {
+    const trash = await this.getTrash();
+    return trash.deletedReports;
+  }
+
+  /**
+   * Get the trash: deleted reports with their expiry, and the server's purge period
+   */
+  async getTrash() {
     try {
-      const response = await fetch(`${this.baseURL}/api/reports/deleted`);
+      const response = await fetch(`${this.baseURL}/api/reports/deleted`, {
+        headers: ApiTokenService.getAuthHeaders(),
+      });
       const result = await response.json();
 
       if (result.success) {
-        return result.deletedReports;
+        return {
+          deletedReports: result.deletedReports,
+          purgeAfterDays: result.purgeAfterDays || null,
+        };
       } else {
         throw new Error(result.error || "Failed to get deleted reports");
       }
@@ -567,6 +601,107 @@ class DeletionService {
     }
   }
 
+  /**
+   * Permanently delete a soft-deleted report
+   */
+  async purgeReport(reportId) {
+    const filename = this.getFilenameFromId(reportId);
+    const response = await fetch(
+      `${this.baseURL}/api/reports/deleted/${filename}`,
+      {
+        method: "DELETE",
+        headers: ApiTokenService.getAuthHeaders(),
+      }
+    );
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || "Permanent deletion failed");
+    }
+
+    await this.removeFromLocalDeleted(reportId.replace(/\.json$/, ""));
+    return result;
+  }
+
+  /**
+   * Permanently delete every soft-deleted report
+   */
+  async emptyTrash() {
+    const response = await fetch(`${this.baseURL}/api/reports/deleted`, {
+      method: "DELETE",
+      headers: ApiTokenService.getAuthHeaders(),
+    });
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || "Failed to empty the trash");
+    }
+
+    localStorage.removeItem("deleted-reports");
+    return result;
+  }
+
+  /**
+   * List the backups written before hard deletes, newest first
+   * @param {string} [reportId] - Only the backups of this report
+   */
+  async getBackups(reportId) {
+    const url = reportId
+      ? `${this.baseURL}/api/backups?report=${encodeURIComponent(this.getFilenameFromId(reportId))}`
+      : `${this.baseURL}/api/backups`;
+    const response = await fetch(url, {
+      headers: ApiTokenService.getAuthHeaders(),
+    });
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || "Failed to get backups");
+    }
+
+    return { backups: result.backups, policy: result.policy || null };
+  }
+
+  /**
+   * Preview a backup: its report statistics and whether the report file exists again
+   */
+  async getBackup(backup) {
+    const response = await fetch(`${this.baseURL}/api/backups/${backup}`, {
+      headers: ApiTokenService.getAuthHeaders(),
+    });
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || "Failed to read the backup");
+    }
+
+    return result;
+  }
+
+  /**
+   * Restore a backup as a live report under its original file name
+   */
+  async restoreBackup(backup) {
+    const response = await fetch(
+      `${this.baseURL}/api/backups/${backup}/restore`,
+      {
+        method: "POST",
+        headers: ApiTokenService.getAuthHeaders(),
+      }
+    );
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || "Restoring the backup failed");
+    }
+
+    window.dispatchEvent(
+      new CustomEvent("reportRestored", {
+        detail: { reportId: result.filename.replace(/\.json$/, ""), result },
+      })
+    );
+    return result;
+  }
+
   /**
    * Bulk delete multiple reports
    */
@@ -0,0 +1,126 @@
+/**
+ * Event Stream Service
+ * Listens to the report server's Server-Sent Events (GET /api/events) and tells subscribers
+ * about uploaded, deleted and restored reports, live run progress and index rebuilds
+ */
+
+import ApiTokenService from '@/services/ApiTokenService';
+import ReportService from '@/services/ReportService';
+
+const API_BASE_URL = process.env.VUE_APP_API_URL || 'http://localhost:3001/api';
+const EVENT_TYPES = ['report-uploaded', 'report-progress', 'report-updated', 'report-deleted', 'report-restored', 'report-purged', 'index-regenerated'];
+
+// Static hosting (GitHub Pages) has no event stream - stop retrying if the first connects all fail
+const MAX_FAILED_CONNECTS = 3;
+
+class EventStreamService {
+  constructor() {
+    this.source = null;
+    this.listeners = new Set();
+    this.connected = false;
+    this.hasConnected = false;
+    this.failedConnects = 0;
+  }
+
+  /**
+   * Receive report events; the stream is opened for the first subscriber and closed after the last
+   * @param {Function} listener - Called with { type, data }; type "connection" reports { connected }
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    this.connect();
+
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0) {
+        this.disconnect();
+      }
+    };
+  }
+
+  connect() {
+    if (this.source || typeof EventSource === 'undefined') return;
+
+    // EventSource can't send an Authorization header, so the token goes in the query string
+    const token = ApiTokenService.getToken();
+    const url = `${API_BASE_URL}/events${token ? `?token=${encodeURIComponent(token)}` : ''}`;
+
+    this.source = new EventSource(url);
+
+    this.source.onopen = () => {
+      this.hasConnected = true;
+      this.setConnected(true);
+    };
+
+    this.source.onerror = () => {
+      this.setConnected(false);
+
+      // EventSource reconnects on its own (e.g. across server restarts) unless the server refused the stream
+      if (this.source.readyState === EventSource.CLOSED ||
+        (!this.hasConnected && ++this.failedConnects >= MAX_FAILED_CONNECTS)) {
+        console.warn('Live report updates unavailable - use Refresh to reload the collection');
+        this.disconnect();
+      }
+    };
+
+    EVENT_TYPES.forEach(type => {
+      this.source.addEventListener(type, message => {
+        let data = {};
+        try {
+          data = JSON.parse(message.data);
+        } catch (error) {
+          console.warn(`Ignoring malformed ${type} event:`, error);
+        }
+        this.dispatch(type, data);
+      });
+    });
+  }
+
+  /**
+   * Open the stream again so it uses the current API token
+   */
+  reconnect() {
+    this.disconnect();
+    this.hasConnected = false;
+    this.failedConnects = 0;
+    if (this.listeners.size > 0) {
+      this.connect();
+    }
+  }
+
+  disconnect() {
+    if (this.source) {
+      this.source.close();
+      this.source = null;
+    }
+    this.setConnected(false);
+  }
+
+  setConnected(connected) {
+    if (this.connected !== connected) {
+      this.connected = connected;
+      this.notify({ type: 'connection', data: { connected } });
+    }
+  }
+
+  dispatch(type, data) {
+    // Drop cached copies first so subscribers that reload get fresh data
+    ReportService.invalidate(type === 'index-regenerated' ? null : data.reportId);
+
+    console.log(`📡 Report event: ${type}`, data.reportId || '');
+    this.notify({ type, data });
+  }
+
+  notify(event) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Report event listener failed:', error);
+      }
+    });
+  }
+}
+
+export default new EventStreamService();
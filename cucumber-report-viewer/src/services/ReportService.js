@@ -7,6 +7,9 @@ import CucumberJsonValidator from '@/utils/CucumberJsonValidator';
 import TestStatusCalculator from '@/utils/TestStatusCalculator';
 import ErrorHandler from '@/utils/ErrorHandler';
 import DataIntegrityValidator from '@/utils/DataIntegrityValidator';
+import ApiTokenService from '@/services/ApiTokenService';
+
+const API_BASE_URL = process.env.VUE_APP_API_URL || 'http://localhost:3001/api';
 
 class ReportService {
   constructor() {
@@ -146,6 +149,97 @@ class ReportService {
     return mergedData;
   }
 
+  /**
+   * Call a report server API endpoint; list values are sent comma-separated and empty values are dropped
+   * @param {string} path - Path below /api
+   * @param {Object} [params] - Query parameters
+   * @param {Object} [options] - { method, body }; a body is sent as JSON
+   * @returns {Promise<Object>} The response body; throws with the server's error when it did not succeed
+   */
+  async fetchApi(path, params = {}, { method = 'GET', body } = {}) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      const listValue = Array.isArray(value) ? value.join(',') : value;
+      if (listValue !== undefined && listValue !== null && listValue !== '') {
+        query.set(key, listValue);
+      }
+    });
+
+    const response = await fetch(`${API_BASE_URL}${path}?${query}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...ApiTokenService.getAuthHeaders()
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(10000)
+    });
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || `Server responded with ${response.status}: ${response.statusText}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Fetch one page of reports from the report server, filtered and sorted server-side
+   * @param {Object} params - q, status, tags, environment, branch, commit, dateFrom, dateTo, sortBy, order, page, limit
+   * @returns {Promise<Object>} { reports, total, page, limit, totalPages, statistics }
+   */
+  async queryReports(params = {}) {
+    const result = await this.fetchApi('/reports', params);
+
+    return {
+      ...result,
+      reports: result.reports.map(report => ({ ...report, source: 'server' }))
+    };
+  }
+
+  /**
+   * Search scenario names, step text, error messages and step locations across every stored run
+   * @param {Object} params - q, in, status, order, page, limit
+   * @returns {Promise<Object>} { results, total, runs, firstSeen, lastSeen, page, limit, totalPages }
+   */
+  async searchAllReports(params = {}) {
+    return this.fetchApi('/search', params);
+  }
+
+  /**
+   * Runs that are still streaming Cucumber Messages to the report server
+   * @returns {Promise<Array>} [{ runId, reportId, status, startedAt, updatedAt, progress }]
+   */
+  async getLiveRuns() {
+    const result = await this.fetchApi('/live-runs');
+    return result.runs;
+  }
+
+  /**
+   * Pin a report so the retention policy never purges it, or unpin it
+   * @param {string} reportId - Report id (file name without .json)
+   * @param {boolean} pinned
+   * @returns {Promise<Object>} { filename, pinned }
+   */
+  async setPinned(reportId, pinned) {
+    const filename = encodeURIComponent(`${reportId}.json`);
+    return this.fetchApi(`/reports/${filename}/pin`, {}, { method: 'POST', body: { pinned } });
+  }
+
+  /**
+   * Edit a report's display name, run-level tags, environment, browser, OS, application version and notes
+   * @param {string} reportId - Report id (file name without .json)
+   * @param {Object} changes - Fields to change; null or '' restores the value from the report file
+   * @returns {Promise<Object>} The updated index entry
+   */
+  async updateReportMetadata(reportId, changes) {
+    const filename = encodeURIComponent(`${reportId}.json`);
+    const result = await this.fetchApi(`/reports/${filename}`, {}, { method: 'PATCH', body: changes });
+
+    this.clearCache();
+    return result.entry;
+  }
+
   /**
    * Load specific report with caching and validation
    */
@@ -286,7 +380,9 @@ class ReportService {
         report.id.toLowerCase().includes(searchTerm) ||
         (report.tags && report.tags.some(tag => tag.toLowerCase().includes(searchTerm))) ||
         (report.environment && report.environment.toLowerCase().includes(searchTerm)) ||
-        (report.tool && report.tool.toLowerCase().includes(searchTerm))
+        (report.tool && report.tool.toLowerCase().includes(searchTerm)) ||
+        (report.provenance && ['branch', 'commit', 'buildNumber'].some(field =>
+          (report.provenance[field] || '').toLowerCase().includes(searchTerm)))
       );
     });
   }
@@ -331,6 +427,15 @@ class ReportService {
         if (!filters.environment.includes(report.environment)) return false;
       }
 
+      // CI branch and commit filters (a short hash matches the full commit)
+      const provenance = report.provenance || {};
+      if (filters.branch && filters.branch.length > 0) {
+        if (!filters.branch.includes(provenance.branch)) return false;
+      }
+      if (filters.commit) {
+        if (!(provenance.commit || '').toLowerCase().startsWith(filters.commit.toLowerCase())) return false;
+      }
+
 
 
       return true;
@@ -447,10 +552,12 @@ class ReportService {
         totalPassed: 0,
         totalFailed: 0,
         totalSkipped: 0,
+        totalFlaky: 0,
         totalErrors: 0,
         passRate: '0.00',
         failRate: '0.00',
         skipRate: '0.00',
+        flakyRate: '0.00',
         errorRate: '0.00',
         validationIssues: 0
       };
@@ -462,15 +569,18 @@ class ReportService {
       passed: acc.passed + (report.passed || 0),
       failed: acc.failed + (report.failed || 0),
       skipped: acc.skipped + (report.skipped || 0),
+      flaky: acc.flaky + (report.flaky || 0),
       errors: acc.errors + (report.errors || 0),
       validationIssues: acc.validationIssues + (report.validationIssues || 0)
-    }), { scenarios: 0, steps: 0, passed: 0, failed: 0, skipped: 0, errors: 0, validationIssues: 0 });
+    }), { scenarios: 0, steps: 0, passed: 0, failed: 0, skipped: 0, flaky: 0, errors: 0, validationIssues: 0 });
 
     // Calculate rates based on scenarios (more accurate than steps for overall status)
     const totalScenarios = totals.scenarios || 1; // Avoid division by zero
     const passRate = ((totals.passed / totalScenarios) * 100).toFixed(2);
     const failRate = ((totals.failed / totalScenarios) * 100).toFixed(2);
     const skipRate = ((totals.skipped / totalScenarios) * 100).toFixed(2);
+    // Flaky scenarios failed first and passed on a rerun; they are not in passed
+    const flakyRate = ((totals.flaky / totalScenarios) * 100).toFixed(2);
     const errorRate = ((totals.errors / totalScenarios) * 100).toFixed(2);
 
     return {
@@ -480,10 +590,12 @@ class ReportService {
       totalPassed: totals.passed,
       totalFailed: totals.failed,
       totalSkipped: totals.skipped,
+      totalFlaky: totals.flaky,
       totalErrors: totals.errors,
       passRate,
       failRate,
       skipRate,
+      flakyRate,
       errorRate,
       validationIssues: totals.validationIssues
     };
@@ -637,6 +749,20 @@ class ReportService {
     this.cache.clear();
   }
 
+  /**
+   * Drop the cached index and one report after a server-side change
+   * @param {string|null} reportId - Report that changed, or null to drop every cached report
+   */
+  invalidate(reportId) {
+    if (!reportId) {
+      this.clearCache();
+      return;
+    }
+
+    this.cache.delete('index');
+    this.cache.delete(`report-${reportId}`);
+  }
+
   /**
    * Get error summary for debugging
    */
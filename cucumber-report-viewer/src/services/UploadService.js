@@ -2,6 +2,8 @@
  * Service for handling report uploads to the backend API
  */
 
+import ApiTokenService from '@/services/ApiTokenService';
+
 const API_BASE_URL = process.env.VUE_APP_API_URL || 'http://localhost:3001/api';
 
 class UploadService {
@@ -18,6 +20,7 @@ class UploadService {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...ApiTokenService.getAuthHeaders()
         },
         body: JSON.stringify({
           reportId,
@@ -45,7 +48,9 @@ class UploadService {
    */
   async getReports() {
     try {
-      const response = await fetch(`${API_BASE_URL}/reports`);
+      const response = await fetch(`${API_BASE_URL}/reports`, {
+        headers: ApiTokenService.getAuthHeaders()
+      });
       const result = await response.json();
 
       if (!response.ok) {
@@ -67,7 +72,8 @@ class UploadService {
   async deleteReport(filename) {
     try {
       const response = await fetch(`${API_BASE_URL}/reports/${filename}`, {
-        method: 'DELETE'
+        method: 'DELETE',
+        headers: ApiTokenService.getAuthHeaders()
       });
 
       const result = await response.json();
@@ -90,7 +96,8 @@ class UploadService {
   async regenerateIndex() {
     try {
       const response = await fetch(`${API_BASE_URL}/regenerate-index`, {
-        method: 'POST'
+        method: 'POST',
+        headers: ApiTokenService.getAuthHeaders()
       });
 
       const result = await response.json();
@@ -0,0 +1,118 @@
+const { isAllureResults, convertAllureResults } = require('../../utils/allureResults');
+
+const file = (name, content) => ({
+  name,
+  data: Buffer.isBuffer(content) ? content : Buffer.from(typeof content === 'string' ? content : JSON.stringify(content))
+});
+
+const FILES = [
+  file('allure-results/r1-result.json', {
+    uuid: 'r1',
+    historyId: 'h1',
+    name: 'Add item',
+    status: 'passed',
+    start: 1700000000000,
+    stop: 1700000001500,
+    labels: [
+      { name: 'feature', value: 'Cart' },
+      { name: 'story', value: 'Add to cart' },
+      { name: 'epic', value: 'Shop' },
+      { name: 'tag', value: 'smoke' },
+      { name: 'framework', value: 'junit5' }
+    ],
+    parameters: [{ name: 'item', value: 'book' }, { name: 'secret', value: 'x', mode: 'hidden' }],
+    steps: [
+      { name: 'Given an empty cart', status: 'passed', start: 1700000000000, stop: 1700000000500 },
+      {
+        name: 'When I add a book',
+        status: 'passed',
+        start: 1700000000500,
+        stop: 1700000001000,
+        steps: [{
+          name: 'POST /cart',
+          status: 'passed',
+          start: 1700000000600,
+          stop: 1700000000900,
+          attachments: [{ name: 'response', source: 'a1-attachment.json', type: 'application/json' }]
+        }]
+      }
+    ]
+  }),
+  file('allure-results/r2-result.json', {
+    uuid: 'r2',
+    historyId: 'h2',
+    name: 'Login',
+    status: 'failed',
+    start: 1700000002000,
+    stop: 1700000003000,
+    labels: [{ name: 'suite', value: 'AuthTests' }],
+    statusDetails: { message: 'timeout', trace: 'Error: timeout\n    at login' }
+  }),
+  file('allure-results/r3-result.json', {
+    uuid: 'r3',
+    historyId: 'h2',
+    name: 'Login',
+    status: 'passed',
+    start: 1700000004000,
+    stop: 1700000005000,
+    labels: [{ name: 'suite', value: 'AuthTests' }]
+  }),
+  file('allure-results/c1-container.json', {
+    uuid: 'c1',
+    children: ['r1'],
+    befores: [{ name: 'openBrowser', status: 'passed', start: 1, stop: 3 }],
+    afters: [{ name: 'closeBrowser', status: 'passed', start: 5, stop: 6 }]
+  }),
+  file('allure-results/a1-attachment.json', '{"items":1}'),
+  file('allure-results/executor.json', { name: 'Jenkins' })
+];
+
+describe('isAllureResults', () => {
+  it('needs at least one result file', () => {
+    expect(isAllureResults(FILES.map(entry => entry.name))).toBe(true);
+    expect(isAllureResults(['report.json', 'a1-attachment.png'])).toBe(false);
+  });
+});
+
+describe('convertAllureResults', () => {
+  const features = convertAllureResults(FILES);
+  const cart = features.find(feature => feature.name === 'Cart');
+  const auth = features.find(feature => feature.name === 'AuthTests');
+
+  it('groups results into features by their feature or suite label', () => {
+    expect(features.map(feature => feature.name).sort()).toEqual(['AuthTests', 'Cart']);
+    expect(cart.description).toBe('Epic: Shop');
+    expect(cart.metadata.tool).toBe('Allure (junit5)');
+  });
+
+  it('names scenarios with their visible parameters and tags them from labels', () => {
+    const [scenario] = cart.elements;
+    expect(scenario.name).toBe('Add item (item=book)');
+    expect(scenario.tags.map(tag => tag.name)).toEqual(['@story:Add_to_cart', '@epic:Shop', '@smoke']);
+  });
+
+  it('keeps Gherkin keywords, nests steps and attaches files as embeddings', () => {
+    const { steps } = cart.elements[0];
+    expect(steps.map(step => `${step.keyword}${step.name}`)).toEqual(['Given an empty cart', 'When I add a book', '  ↳ POST /cart']);
+    expect(steps[0].result).toEqual({ status: 'passed', duration: 500000000 });
+    expect(steps[2].embeddings).toEqual([{ data: Buffer.from('{"items":1}').toString('base64'), mime_type: 'application/json', name: 'response' }]);
+  });
+
+  it('turns container fixtures into hooks', () => {
+    expect(cart.elements[0].before.map(hook => hook.match.location)).toEqual(['openBrowser']);
+    expect(cart.elements[0].after.map(hook => hook.match.location)).toEqual(['closeBrowser']);
+  });
+
+  it('merges results with the same historyId as retries', () => {
+    expect(auth.elements).toHaveLength(1);
+    const [login] = auth.elements;
+    expect(login.flaky).toBe(true);
+    expect(login.steps[0].result.status).toBe('passed');
+    expect(login.attempts[0].steps[0].result).toMatchObject({ status: 'failed', error_message: 'Error: timeout\n    at login' });
+  });
+
+  it('needs a result file', () => {
+    expect(() => convertAllureResults([file('executor.json', {})])).toThrow(/No Allure \*-result\.json files/);
+    expect(() => convertAllureResults([file('x-result.json', 'nope')])).toThrow(/x-result\.json is not valid JSON/);
+  });
+});
@@ -0,0 +1,113 @@
+const path = require('path');
+const ApiAuth = require('../../utils/apiAuth');
+const { loadServerConfig } = require('../../utils/serverConfig');
+
+const TOKENS = [
+  { token: 'view-secret', role: 'viewer' },
+  { token: 'ci-secret', role: 'uploader', name: 'jenkins' },
+  { token: 'admin-secret', role: 'admin' }
+];
+
+const request = (headers = {}, query = {}) => ({
+  get: name => headers[name.toLowerCase()],
+  query
+});
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Run a requireRole middleware and report what it did
+const call = (middleware, req) => {
+  const res = response();
+  const next = jest.fn();
+  middleware(req, res, next);
+  return { status: next.mock.calls.length > 0 ? 'next' : res.status.mock.calls[0][0], body: res.json.mock.calls[0] && res.json.mock.calls[0][0], req };
+};
+
+describe('ApiAuth', () => {
+  const auth = new ApiAuth(TOKENS);
+
+  it('reads the token from a Bearer header, X-API-Token, or ?token= where allowed', () => {
+    expect(auth.extractToken(request({ authorization: 'Bearer  ci-secret ' }))).toBe('ci-secret');
+    expect(auth.extractToken(request({ authorization: 'bearer ci-secret' }))).toBe('ci-secret');
+    expect(auth.extractToken(request({ 'x-api-token': 'ci-secret' }))).toBe('ci-secret');
+    expect(auth.extractToken(request({}, { token: 'ci-secret' }))).toBeNull();
+    expect(auth.extractToken(request({}, { token: 'ci-secret' }), true)).toBe('ci-secret');
+    expect(auth.extractToken(request({ authorization: 'Basic abc' }))).toBeNull();
+  });
+
+  it('resolves known tokens to their name and role', () => {
+    expect(auth.authenticate(request({ 'x-api-token': 'ci-secret' }))).toEqual({ name: 'jenkins', role: 'uploader' });
+    expect(auth.authenticate(request({ 'x-api-token': 'view-secret' }))).toEqual({ name: 'viewer', role: 'viewer' });
+    expect(auth.authenticate(request({ 'x-api-token': 'wrong' }))).toBeNull();
+  });
+
+  it('orders the roles viewer < uploader < admin', () => {
+    expect(ApiAuth.ROLES).toEqual(['viewer', 'uploader', 'admin']);
+    expect(auth.hasRole({ role: 'admin' }, 'uploader')).toBe(true);
+    expect(auth.hasRole({ role: 'uploader' }, 'uploader')).toBe(true);
+    expect(auth.hasRole({ role: 'uploader' }, 'viewer')).toBe(true);
+    expect(auth.hasRole({ role: 'uploader' }, 'admin')).toBe(false);
+    expect(auth.hasRole({ role: 'viewer' }, 'uploader')).toBe(false);
+    expect(auth.hasRole(null, 'viewer')).toBe(false);
+  });
+
+  it('answers 401 without a known token and 403 when its role is too low', () => {
+    const uploaderOnly = auth.requireRole('uploader');
+
+    expect(call(uploaderOnly, request())).toMatchObject({ status: 401, body: { success: false, error: expect.stringMatching(/Authentication required/) } });
+    expect(call(uploaderOnly, request({ authorization: 'Bearer wrong' })).status).toBe(401);
+    expect(call(uploaderOnly, request({ authorization: 'Bearer view-secret' })))
+      .toMatchObject({ status: 403, body: { success: false, error: 'Forbidden: uploader role required (token has viewer)' } });
+
+    const allowed = call(uploaderOnly, request({ authorization: 'Bearer admin-secret' }));
+    expect(allowed.status).toBe('next');
+    expect(allowed.req.apiUser).toEqual({ name: 'admin', role: 'admin' });
+  });
+
+  it('accepts ?token= only on routes that allow it', () => {
+    expect(call(auth.requireRole('viewer'), request({}, { token: 'view-secret' })).status).toBe(401);
+    expect(call(auth.requireRole('viewer', { allowQueryToken: true }), request({}, { token: 'view-secret' })).status).toBe('next');
+  });
+
+  it('lets every request through as an anonymous admin when no tokens are configured', () => {
+    const open = new ApiAuth([]);
+    expect(open.enabled).toBe(false);
+
+    const result = call(open.requireRole('admin'), request());
+    expect(result.status).toBe('next');
+    expect(result.req.apiUser).toEqual({ name: 'anonymous', role: 'admin' });
+  });
+
+  it('rejects token entries without a token or with an unknown role', () => {
+    expect(() => new ApiAuth([{ token: 'x', role: 'owner', name: 'bad' }])).toThrow(/Invalid API token entry for "bad"/);
+    expect(() => new ApiAuth([{ role: 'viewer' }])).toThrow(/Invalid API token entry/);
+    expect(() => auth.requireRole('owner')).toThrow(/Unknown role: owner/);
+  });
+});
+
+describe('API_TOKENS', () => {
+  const original = process.env.API_TOKENS;
+
+  afterEach(() => {
+    if (original === undefined) delete process.env.API_TOKENS;
+    else process.env.API_TOKENS = original;
+  });
+
+  it('parses token:role[:name] entries, naming unnamed tokens after their role', () => {
+    process.env.API_TOKENS = 'view-secret:viewer, ci-secret:uploader:jenkins,,admin-secret:admin';
+
+    const { auth } = loadServerConfig(path.join(__dirname, 'no-such-server.config.json'));
+
+    expect(auth.tokens).toEqual([
+      { token: 'view-secret', role: 'viewer', name: 'viewer' },
+      { token: 'ci-secret', role: 'uploader', name: 'jenkins' },
+      { token: 'admin-secret', role: 'admin', name: 'admin' }
+    ]);
+    expect(new ApiAuth(auth.tokens).enabled).toBe(true);
+  });
+});
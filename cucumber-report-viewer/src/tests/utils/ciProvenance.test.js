@@ -0,0 +1,30 @@
+const { normalizeProvenance, mergeProvenance, provenanceFromHeaders } = require('../../utils/ciProvenance');
+
+describe('ciProvenance', () => {
+  it('keeps the known fields as trimmed strings', () => {
+    expect(normalizeProvenance({ branch: ' main ', buildNumber: 42, unknown: 'x', commit: '' }))
+      .toEqual({ branch: 'main', buildNumber: '42' });
+    expect(normalizeProvenance({ commit: '   ' })).toBeNull();
+  });
+
+  it('keeps http and https pipeline URLs', () => {
+    expect(normalizeProvenance({ pipelineUrl: 'https://ci.example.com/job/42' }))
+      .toEqual({ pipelineUrl: 'https://ci.example.com/job/42' });
+    expect(normalizeProvenance({ pipelineUrl: 'http://jenkins:8080/job/42/' }))
+      .toEqual({ pipelineUrl: 'http://jenkins:8080/job/42/' });
+  });
+
+  it('drops pipeline URLs that are not http(s) links', () => {
+    ['javascript:alert(document.cookie)', ' JavaScript:alert(1)', 'data:text/html,<script>alert(1)</script>',
+      'vbscript:msgbox(1)', '/relative/path', 'not a url'].forEach(pipelineUrl => {
+      expect(normalizeProvenance({ branch: 'main', pipelineUrl })).toEqual({ branch: 'main' });
+    });
+  });
+
+  it('drops them from request headers and merged sources too', () => {
+    expect(provenanceFromHeaders({ 'x-ci-pipeline-url': 'javascript:alert(1)', 'x-ci-branch': 'main' }))
+      .toEqual({ branch: 'main' });
+    expect(mergeProvenance({ pipelineUrl: 'javascript:alert(1)' }, { pipelineUrl: 'https://ci.example.com/1' }))
+      .toEqual({ pipelineUrl: 'https://ci.example.com/1' });
+  });
+});
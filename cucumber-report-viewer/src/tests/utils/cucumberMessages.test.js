@@ -0,0 +1,184 @@
+const { isCucumberMessages, convertMessages, CucumberMessagesConverter } = require('../../utils/cucumberMessages');
+
+const at = seconds => ({ seconds, nanos: 0 });
+
+const DOCUMENT = [
+  { meta: { protocolVersion: '24.0.0', implementation: { name: 'cucumber-js', version: '10.8.0' }, ci: { name: 'GitHub Actions' } } },
+  {
+    gherkinDocument: {
+      uri: 'features/login.feature',
+      feature: {
+        location: { line: 2 },
+        tags: [{ id: 't1', name: '@auth', location: { line: 1 } }],
+        keyword: 'Feature',
+        name: 'Login',
+        description: '',
+        children: [{
+          scenario: {
+            id: 'sc1',
+            tags: [],
+            location: { line: 4 },
+            keyword: 'Scenario',
+            name: 'Valid login',
+            description: '',
+            steps: [{ id: 's1', location: { line: 5 }, keyword: 'When ', text: 'I log in' }],
+            examples: []
+          }
+        }]
+      }
+    }
+  },
+  {
+    pickle: {
+      id: 'p1',
+      uri: 'features/login.feature',
+      name: 'Valid login',
+      astNodeIds: ['sc1'],
+      tags: [{ name: '@auth', astNodeId: 't1' }],
+      steps: [{ id: 'ps1', text: 'I log in', astNodeIds: ['s1'] }]
+    }
+  },
+  { stepDefinition: { id: 'd1', sourceReference: { uri: 'steps/login.js', location: { line: 3 } } } },
+  { hook: { id: 'h1', name: 'open browser', sourceReference: { uri: 'support/hooks.js', location: { line: 5 } } } },
+  { testRunStarted: { timestamp: at(1760000000) } },
+  {
+    testCase: {
+      id: 'tc1',
+      pickleId: 'p1',
+      testSteps: [{ id: 'hook', hookId: 'h1' }, { id: 'step', pickleStepId: 'ps1', stepDefinitionIds: ['d1'] }]
+    }
+  }
+];
+
+function attempt(id, number, stepStatus, willBeRetried) {
+  return [
+    { testCaseStarted: { id, testCaseId: 'tc1', attempt: number, timestamp: at(1760000001 + number) } },
+    { testStepFinished: { testCaseStartedId: id, testStepId: 'hook', testStepResult: { status: 'PASSED', duration: { seconds: 0, nanos: 1000 } } } },
+    { attachment: { testCaseStartedId: id, testStepId: 'step', body: 'logged in', mediaType: 'text/x.cucumber.log+plain', contentEncoding: 'IDENTITY' } },
+    { attachment: { testCaseStartedId: id, testStepId: 'step', body: '{}', mediaType: 'application/json', contentEncoding: 'IDENTITY' } },
+    {
+      testStepFinished: {
+        testCaseStartedId: id,
+        testStepId: 'step',
+        testStepResult: { status: stepStatus, duration: { seconds: 1, nanos: 5 }, ...(stepStatus === 'FAILED' ? { message: 'boom' } : {}) }
+      }
+    },
+    { testCaseFinished: { testCaseStartedId: id, timestamp: at(1760000002 + number), willBeRetried } }
+  ];
+}
+
+const toNdjson = envelopes => envelopes.map(envelope => JSON.stringify(envelope)).join('\n');
+
+describe('isCucumberMessages', () => {
+  it('recognises a message envelope on the first line', () => {
+    expect(isCucumberMessages(toNdjson(DOCUMENT))).toBe(true);
+    expect(isCucumberMessages('[{"name":"feature"}]')).toBe(false);
+    expect(isCucumberMessages('{"name":"feature"}')).toBe(false);
+  });
+});
+
+describe('convertMessages', () => {
+  const [feature] = convertMessages(toNdjson([...DOCUMENT, ...attempt('a0', 0, 'PASSED', false), { testRunFinished: { timestamp: at(1760000009) } }]));
+  const [scenario] = feature.elements;
+
+  it('builds features from gherkin documents and their pickles', () => {
+    expect(feature).toMatchObject({ uri: 'features/login.feature', name: 'Login', line: 2, tags: [{ name: '@auth', line: 1 }] });
+    expect(feature.metadata).toEqual({ timestamp: '2025-10-09T08:53:20.000Z', tool: 'cucumber-js 10.8.0', environment: 'GitHub Actions' });
+    expect(scenario).toMatchObject({ id: 'login;valid-login', name: 'Valid login', line: 4, type: 'scenario' });
+  });
+
+  it('puts hooks before the first step and converts durations to nanoseconds', () => {
+    expect(scenario.before).toEqual([{
+      match: { location: 'support/hooks.js:5' },
+      name: 'open browser',
+      result: { status: 'passed', duration: 1000 }
+    }]);
+    expect(scenario.steps[0]).toMatchObject({
+      keyword: 'When ',
+      name: 'I log in',
+      line: 5,
+      match: { location: 'steps/login.js:3' },
+      result: { status: 'passed', duration: 1000000005 }
+    });
+  });
+
+  it('turns log attachments into output and others into base64 embeddings', () => {
+    expect(scenario.steps[0].output).toEqual(['logged in']);
+    expect(scenario.steps[0].embeddings).toEqual([{ data: Buffer.from('{}').toString('base64'), mime_type: 'application/json' }]);
+  });
+
+  it('keeps earlier attempts of a retried scenario and marks a pass after a failure flaky', () => {
+    const [retried] = convertMessages([
+      ...DOCUMENT,
+      ...attempt('a0', 0, 'FAILED', true),
+      ...attempt('a1', 1, 'PASSED', false)
+    ])[0].elements;
+
+    expect(retried.flaky).toBe(true);
+    expect(retried.retries).toBe(1);
+    expect(retried.attempts).toHaveLength(1);
+    expect(retried.attempts[0].steps[0].result).toMatchObject({ status: 'failed', error_message: 'boom' });
+  });
+
+  it('gives every example row of an outline its own id', () => {
+    const row = (id, line) => ({ id, location: { line }, cells: [] });
+    const pickle = (id, name, rowId) => ({
+      pickle: { id, uri: 'o.feature', name, astNodeIds: ['out', rowId], tags: [], steps: [{ id: `${id}-s`, text: name, astNodeIds: ['os', rowId] }] }
+    });
+    const started = (id, pickleId) => [
+      { testCase: { id: `tc-${id}`, pickleId, testSteps: [{ id: `${id}-step`, pickleStepId: `${pickleId}-s` }] } },
+      { testCaseStarted: { id, testCaseId: `tc-${id}`, timestamp: at(1760000000) } }
+    ];
+
+    const rows = convertMessages([
+      {
+        gherkinDocument: {
+          uri: 'o.feature',
+          feature: {
+            location: { line: 1 },
+            tags: [],
+            keyword: 'Feature',
+            name: 'O',
+            children: [{
+              scenario: {
+                id: 'out',
+                tags: [],
+                location: { line: 3 },
+                keyword: 'Scenario Outline',
+                name: 'Out <n>',
+                steps: [{ id: 'os', location: { line: 4 }, keyword: 'Given ', text: '<n>' }],
+                examples: [
+                  { id: 'e1', tags: [], tableBody: [row('r1', 7), row('r2', 8)] },
+                  { id: 'e2', tags: [], tableBody: [row('r3', 11)] }
+                ]
+              }
+            }]
+          }
+        }
+      },
+      pickle('p1', 'Out 1', 'r1'),
+      pickle('p2', 'Out 2', 'r2'),
+      pickle('p3', 'Out 3', 'r3'),
+      ...started('a1', 'p1'),
+      ...started('a2', 'p2'),
+      ...started('a3', 'p3')
+    ])[0].elements.map(element => [element.id, element.line]);
+
+    expect(rows).toEqual([['o;out-<n>;;2', 7], ['o;out-<n>;;3', 8], ['o;out-<n>;;4', 11]]);
+  });
+
+  it('reports the line of malformed NDJSON', () => {
+    expect(() => convertMessages('{"meta":{}}\nnot json')).toThrow(/Line 2 is not valid JSON/);
+  });
+});
+
+describe('CucumberMessagesConverter', () => {
+  it('shows scenarios that have started while the run is still going', () => {
+    const converter = new CucumberMessagesConverter();
+    [...DOCUMENT, attempt('a0', 0, 'PASSED', false)[0]].forEach(envelope => converter.add(envelope));
+
+    expect(converter.finished).toBe(false);
+    expect(converter.progress()).toEqual({ total: 1, started: 1, finished: 0, passed: 0, failed: 0 });
+    expect(converter.toFeatures()[0].elements[0].steps[0].result).toBeUndefined();
+  });
+});
@@ -0,0 +1,22 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DeletionUtils = require('../../utils/deletionUtils');
+const { DEFAULTS } = require('../../utils/serverConfig');
+
+describe('DeletionUtils', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deletion-utils-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keeps backups by the server default policy unless given one', () => {
+    expect(new DeletionUtils(dir).backupPolicy).toEqual(DEFAULTS.backups);
+    expect(new DeletionUtils(dir, { backups: { keepCount: 3, keepDays: null } }).backupPolicy).toEqual({ keepCount: 3, keepDays: null });
+  });
+});
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { withFileLock, withFileLockSync } = require('../../utils/fileLock');
+
+const FAST = { timeout: 200, retryDelay: 5, staleAfter: 1000 };
+
+describe('fileLock', () => {
+  let dir;
+  let file;
+  let lockPath;
+
+  const writeLock = (holder, ageMs = 0) => {
+    fs.writeFileSync(lockPath, JSON.stringify(holder));
+    const mtime = new Date(Date.now() - ageMs);
+    fs.utimesSync(lockPath, mtime, mtime);
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-lock-'));
+    file = path.join(dir, 'index.json');
+    lockPath = `${file}.lock`;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('holds the lock while fn runs and releases it afterwards', async () => {
+    const held = await withFileLock(file, () => JSON.parse(fs.readFileSync(lockPath, 'utf8')), FAST);
+
+    expect(held).toMatchObject({ pid: process.pid, host: os.hostname() });
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  it('runs calls for the same file one after another', async () => {
+    const order = [];
+    const slow = withFileLock(file, async () => {
+      order.push('slow start');
+      await new Promise(resolve => setTimeout(resolve, 30));
+      order.push('slow end');
+    }, FAST);
+    const fast = withFileLock(file, () => order.push('fast'), FAST);
+
+    await Promise.all([slow, fast]);
+    expect(order).toEqual(['slow start', 'slow end', 'fast']);
+  });
+
+  it('never breaks the lock of a running process, however old', async () => {
+    writeLock({ pid: process.pid, host: os.hostname() }, 10 * 60 * 1000);
+
+    await expect(withFileLock(file, () => 'ran', FAST)).rejects.toThrow(/Timed out waiting for lock/);
+    expect(fs.existsSync(lockPath)).toBe(true);
+  });
+
+  it('breaks the lock of a process that has exited right away', async () => {
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    writeLock({ pid, host: os.hostname() });
+
+    expect(await withFileLock(file, () => 'ran', FAST)).toBe('ran');
+    expect(console.warn).toHaveBeenCalledWith(expect.stringMatching(/Removed stale lock.*pid \d+/));
+  });
+
+  it('goes by age for a lock held on another host', () => {
+    writeLock({ pid: 1, host: 'other-host' }, 100);
+    expect(() => withFileLockSync(file, () => 'ran', FAST)).toThrow(/Timed out/);
+
+    writeLock({ pid: 1, host: 'other-host' }, 5000);
+    expect(withFileLockSync(file, () => 'ran', FAST)).toBe('ran');
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  it('leaves a lock it no longer holds to its new holder', () => {
+    withFileLockSync(file, () => writeLock({ pid: process.pid, host: 'other-host' }), FAST);
+
+    expect(JSON.parse(fs.readFileSync(lockPath, 'utf8'))).toMatchObject({ host: 'other-host' });
+  });
+});
@@ -0,0 +1,239 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IndexManager = require('../../utils/indexManager');
+
+const report = (name, status) => [{
+  uri: `${name}.feature`,
+  id: name,
+  name,
+  keyword: 'Feature',
+  elements: [{
+    id: `${name};scenario`,
+    name: 'Scenario',
+    keyword: 'Scenario',
+    type: 'scenario',
+    steps: [{ keyword: 'Given ', name: 'a step', result: { status, duration: 1000000 } }]
+  }]
+}];
+
+describe('IndexManager', () => {
+  let dir;
+  let manager;
+
+  const writeReport = (filename, data) => fs.writeFileSync(path.join(dir, filename), JSON.stringify(data));
+  const readJson = filename => JSON.parse(fs.readFileSync(path.join(dir, filename), 'utf8'));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'index-manager-'));
+    manager = new IndexManager(dir);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('upsertReport', () => {
+    it('adds a new report to index.json and stats.json', async () => {
+      await manager.rebuild();
+      writeReport('login.json', report('login', 'passed'));
+
+      const result = await manager.upsertReport('login.json');
+
+      expect(result).toMatchObject({ success: true, action: 'added', reportId: 'login' });
+      const index = readJson('index.json');
+      expect(index.reports.map(entry => entry.id)).toEqual(['login']);
+      expect(index.reports[0]).toMatchObject({ scenarios: 1, passed: 1, failed: 0 });
+      expect(readJson('stats.json')).toEqual(index.statistics);
+    });
+
+    it('updates a changed report and leaves an unchanged one alone', async () => {
+      writeReport('login.json', report('login', 'passed'));
+      await manager.upsertReport('login.json');
+
+      expect((await manager.upsertReport('login.json')).action).toBe('unchanged');
+
+      writeReport('login.json', report('login', 'failed'));
+      expect((await manager.upsertReport('login.json')).action).toBe('updated');
+      expect(readJson('index.json').reports).toEqual([expect.objectContaining({ id: 'login', passed: 0, failed: 1 })]);
+    });
+
+    it('keeps the date it is given for a rewritten report without timestamps', async () => {
+      writeReport('login.json', report('login', 'failed'));
+      await manager.upsertReport('login.json');
+      const { date } = readJson('index.json').reports[0];
+
+      writeReport('login.json', report('login', 'passed'));
+      fs.utimesSync(path.join(dir, 'login.json'), new Date(), new Date(Date.now() + 60000));
+      await manager.upsertReport('login.json', {}, { lastModified: new Date(date) });
+
+      expect(readJson('index.json').reports[0]).toMatchObject({ date, passed: 1 });
+    });
+
+    it('does not index reports in the trash', async () => {
+      writeReport('login.json', report('login', 'passed'));
+      writeReport('.deleted-reports.json', [{ filename: 'login.json', deletedAt: new Date().toISOString() }]);
+
+      expect((await manager.upsertReport('login.json')).action).toBe('skipped');
+      expect(readJson('index.json').reports).toEqual([]);
+    });
+
+    it('merges pins, edited metadata and provenance into the entry', async () => {
+      writeReport('login.json', report('login', 'passed'));
+      await manager.upsertReport('login.json');
+
+      await manager.setPinned('login.json', true, 'admin');
+      await manager.updateReportMetadata('login.json', { name: 'Nightly', tags: ['@release'] }, 'admin');
+      await manager.recordProvenance('login.json', { branch: 'main' });
+      await manager.rebuild();
+
+      expect(readJson('index.json').reports[0]).toMatchObject({
+        id: 'login',
+        name: 'Nightly',
+        runTags: ['release'],
+        pinned: true,
+        provenance: { branch: 'main' }
+      });
+    });
+  });
+
+  describe('resolveDuplicateUnlocked', () => {
+    const reupload = () => JSON.parse(JSON.stringify(report('login', 'passed')).replace('"uri":"login.feature","id":"login"', '"id":"login","uri":"login.feature"'));
+
+    beforeEach(async () => {
+      writeReport('login-2024-01-15T10-30-00-000Z.json', report('login', 'passed'));
+      await manager.rebuild();
+    });
+
+    it('lets every upload through with allow', async () => {
+      expect(await manager.resolveDuplicateUnlocked(reupload(), 'allow')).toBeNull();
+      expect(fs.existsSync(path.join(dir, '.report-aliases.json'))).toBe(false);
+    });
+
+    it('lets a report with different content through with any policy', async () => {
+      expect(await manager.resolveDuplicateUnlocked(report('login', 'failed'), 'reject')).toBeNull();
+      expect(await manager.resolveDuplicateUnlocked(report('login', 'failed'), 'alias')).toBeNull();
+    });
+
+    it('rejects an identical run, whatever its key order, without recording anything', async () => {
+      const result = await manager.resolveDuplicateUnlocked(reupload(), 'reject');
+
+      expect(result).toMatchObject({ action: 'rejected', entry: { id: 'login-2024-01-15T10-30-00-000Z' } });
+      expect(fs.existsSync(path.join(dir, '.report-aliases.json'))).toBe(false);
+    });
+
+    it('links an identical run to the existing one with alias', async () => {
+      const result = await manager.resolveDuplicateUnlocked(reupload(), 'alias', {
+        reportId: 'login', uploadedBy: 'jenkins', provenance: { branch: 'main' }
+      });
+
+      expect(result).toMatchObject({ action: 'aliased', entry: { id: 'login-2024-01-15T10-30-00-000Z' } });
+      expect(readJson('.report-aliases.json')).toEqual([{
+        filename: 'login-2024-01-15T10-30-00-000Z.json',
+        reportId: 'login',
+        uploadedAt: expect.any(String),
+        uploadedBy: 'jenkins',
+        provenance: { branch: 'main' }
+      }]);
+      expect(readJson('index.json').reports).toEqual([
+        expect.objectContaining({ aliases: [expect.objectContaining({ reportId: 'login', uploadedBy: 'jenkins' })] })
+      ]);
+    });
+
+    it('matches the original, not a copy already flagged as its duplicate', async () => {
+      writeReport('login-2024-02-01T10-30-00-000Z.json', report('login', 'passed'));
+      await manager.rebuild();
+      expect(readJson('index.json').reports.find(entry => entry.duplicateOf))
+        .toMatchObject({ id: 'login-2024-02-01T10-30-00-000Z', duplicateOf: 'login-2024-01-15T10-30-00-000Z' });
+
+      expect((await manager.resolveDuplicateUnlocked(reupload(), 'reject')).entry.id).toBe('login-2024-01-15T10-30-00-000Z');
+    });
+  });
+
+  describe('removeReport', () => {
+    it('removes the entry and reports whether it was found', async () => {
+      writeReport('login.json', report('login', 'passed'));
+      writeReport('logout.json', report('logout', 'failed'));
+      await manager.rebuild();
+
+      expect(await manager.removeReport('login.json')).toMatchObject({ found: true, removedCount: 1 });
+      expect(await manager.removeReport('login.json')).toMatchObject({ found: false, removedCount: 0 });
+      expect(readJson('index.json').reports.map(entry => entry.id)).toEqual(['logout']);
+    });
+  });
+
+  describe('forgetReport', () => {
+    it('drops the records of one report from every sidecar file', async () => {
+      writeReport('login.json', report('login', 'passed'));
+      writeReport('logout.json', report('logout', 'passed'));
+      await manager.rebuild();
+      await manager.setPinned('login.json', true);
+      await manager.setPinned('logout.json', true);
+      await manager.updateReportMetadata('login.json', { name: 'Nightly' });
+      await manager.recordProvenance('login.json', { branch: 'main' });
+      await manager.recordShard('login.json', { id: 'build-1', shard: 1 }, report('login', 'passed'));
+      writeReport('.report-aliases.json', [{ filename: 'login.json', reportId: 'again' }]);
+
+      await manager.withIndexLock(() => manager.forgetReport('login.json'));
+
+      Object.values(IndexManager.REPORT_RECORDS)
+        .filter(key => fs.existsSync(path.join(dir, key)))
+        .forEach(key => expect(readJson(key).map(record => record.filename)).not.toContain('login.json'));
+      expect(readJson('.pinned-reports.json').map(record => record.filename)).toEqual(['logout.json']);
+    });
+
+    it('removes the stored shards and reruns of a report', async () => {
+      ['.shards/login', '.shards/logout', '.reruns/login'].forEach(folder => fs.mkdirSync(path.join(dir, folder), { recursive: true }));
+      writeReport('.shards/login/1.json', report('login', 'passed'));
+      writeReport('.shards/login/2.json', report('login', 'failed'));
+      writeReport('.shards/logout/1.json', report('logout', 'passed'));
+      writeReport('.reruns/login/2.json', report('login', 'passed'));
+
+      await manager.withIndexLock(() => manager.forgetReport('login.json'));
+
+      expect(fs.existsSync(path.join(dir, '.shards/login'))).toBe(false);
+      expect(fs.existsSync(path.join(dir, '.reruns/login'))).toBe(false);
+      expect(fs.existsSync(path.join(dir, '.shards/logout/1.json'))).toBe(true);
+    });
+  });
+
+  describe('attachedDataSize', () => {
+    it('counts the bytes of the shards and reruns stored beside a report', async () => {
+      fs.mkdirSync(path.join(dir, '.shards/login'), { recursive: true });
+      fs.mkdirSync(path.join(dir, '.reruns/login'), { recursive: true });
+      fs.writeFileSync(path.join(dir, '.shards/login/1.json'), '[1]');
+      fs.writeFileSync(path.join(dir, '.shards/login/2.json'), '[22]');
+      fs.writeFileSync(path.join(dir, '.reruns/login/2.json'), '[333]');
+
+      expect(await manager.attachedDataSize('login.json')).toBe(12);
+      expect(await manager.attachedDataSize('logout.json')).toBe(0);
+    });
+  });
+
+  describe('rebuild', () => {
+    it('leaves index.json and stats.json alone when nothing changed', async () => {
+      writeReport('login.json', report('login', 'passed'));
+      const { generated } = await manager.rebuild();
+      const write = jest.spyOn(manager.storage, 'writeJson');
+
+      expect((await manager.rebuild()).generated).toBe(generated);
+      expect(write).not.toHaveBeenCalled();
+
+      writeReport('logout.json', report('logout', 'passed'));
+      await manager.rebuild();
+      expect(write.mock.calls.map(([key]) => key)).toEqual(['index.json', 'stats.json']);
+    });
+
+    it('indexes every report file and records the ones that cannot be read', async () => {
+      writeReport('login.json', report('login', 'passed'));
+      fs.writeFileSync(path.join(dir, 'broken.json'), '{ not json');
+
+      const index = await manager.rebuild();
+
+      expect(index.reports.map(entry => entry.id)).toEqual(['login']);
+      expect(index.errors).toEqual([expect.objectContaining({ file: 'broken.json' })]);
+    });
+  });
+});
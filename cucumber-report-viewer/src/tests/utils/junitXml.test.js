@@ -0,0 +1,81 @@
+const { parseXml, isJUnitXml, convertJUnitXml } = require('../../utils/junitXml');
+
+const SUREFIRE = `<?xml version="1.0" encoding="UTF-8"?>
+<!-- surefire -->
+<testsuites name="all">
+  <testsuite name="com.acme.LoginTest" time="1,234.5" timestamp="2024-01-15T10:30:00" hostname="agent-7" file="src/test/java/com/acme/LoginTest.java">
+    <testcase name="ok" classname="com.acme.LoginTest" time="0.25"><system-out><![CDATA[hello <world> & co]]></system-out></testcase>
+    <testcase name="bad &amp; ugly" classname="com.acme.LoginTest" time="1.5">
+      <failure message="expected &lt;1&gt; but was &lt;2&gt;" type="java.lang.AssertionError">java.lang.AssertionError: expected &lt;1&gt; but was &lt;2&gt;
+	at com.acme.LoginTest.bad(LoginTest.java:42)</failure>
+    </testcase>
+    <testcase name="boom" classname="com.acme.Other" time="0.1"><error type="NullPointerException"/></testcase>
+    <testcase name="later" classname="com.acme.LoginTest" time="0.3"><skipped message="not ready"/></testcase>
+    <system-err>suite err</system-err>
+  </testsuite>
+</testsuites>`;
+
+describe('parseXml', () => {
+  it('parses elements, attributes, entities and CDATA', () => {
+    const root = parseXml('<a x="1 &amp; 2"><b>&lt;t&gt;</b><c><![CDATA[<raw>]]></c></a>');
+
+    expect(root.name).toBe('a');
+    expect(root.attributes.x).toBe('1 & 2');
+    expect(root.children.map(child => child.name)).toEqual(['b', 'c']);
+    expect(root.children[0].text).toBe('<t>');
+    expect(root.children[1].text).toBe('<raw>');
+  });
+
+  it('reports the line of malformed XML', () => {
+    expect(() => parseXml('<a>\n<b>\n</a>')).toThrow(/line 3/);
+    expect(() => parseXml('<a>')).toThrow(/<a> is not closed/);
+  });
+});
+
+describe('isJUnitXml', () => {
+  it('recognises testsuites and testsuite roots after a prolog', () => {
+    expect(isJUnitXml(SUREFIRE)).toBe(true);
+    expect(isJUnitXml('<testsuite name="x"/>')).toBe(true);
+    expect(isJUnitXml('<testng-results/>')).toBe(false);
+    expect(isJUnitXml('[]')).toBe(false);
+  });
+});
+
+describe('convertJUnitXml', () => {
+  const [feature] = convertJUnitXml(SUREFIRE);
+  const steps = feature.elements.map(element => element.steps[0]);
+
+  it('turns a test suite into a feature', () => {
+    expect(feature.name).toBe('com.acme.LoginTest');
+    expect(feature.uri).toBe('src/test/java/com/acme/LoginTest.java');
+    expect(feature.metadata).toEqual({
+      tool: 'JUnit XML',
+      timestamp: '2024-01-15T10:30:00',
+      platform: { name: 'agent-7' }
+    });
+    expect(feature.output).toEqual(['suite err']);
+  });
+
+  it('turns each test case into a scenario with one step', () => {
+    expect(feature.elements.map(element => element.name)).toEqual(['ok', 'bad & ugly', 'boom', 'later']);
+    expect(steps.map(step => step.result.status)).toEqual(['passed', 'failed', 'failed', 'skipped']);
+    expect(steps[0].result.duration).toBe(250000000);
+    expect(steps[0].output).toEqual(['hello <world> & co']);
+    expect(feature.elements[2].description).toBe('com.acme.Other');
+  });
+
+  it('keeps the failure stack trace and the error type', () => {
+    expect(steps[1].result.error_message).toMatch(/^java\.lang\.AssertionError: expected <1> but was <2>\n\tat com\.acme/);
+    expect(steps[2].result.error_message).toBe('NullPointerException');
+  });
+
+  it('gives skipped steps no duration and their reason as output', () => {
+    expect(steps[3].result.duration).toBe(0);
+    expect(steps[3].output).toEqual(['Skipped: not ready']);
+  });
+
+  it('rejects other roots and reports without test cases', () => {
+    expect(() => convertJUnitXml('<report/>')).toThrow(/root element is <report>/);
+    expect(() => convertJUnitXml('<testsuites><testsuite name="empty"/></testsuites>')).toThrow(/no test cases/);
+  });
+});
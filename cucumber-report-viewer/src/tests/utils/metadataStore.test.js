@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MetadataStore = require('../../utils/metadataStore');
+
+const scenario = (name, status, stepName = 'a step', errorMessage) => ({
+  id: `feature;${name.toLowerCase().replace(/\W+/g, '-')}`,
+  name,
+  keyword: 'Scenario',
+  type: 'scenario',
+  line: 3,
+  steps: [{
+    keyword: 'Given ',
+    name: stepName,
+    result: { status, duration: 1000, ...(errorMessage ? { error_message: errorMessage } : {}) }
+  }]
+});
+
+const feature = (...elements) => [{ uri: 'features/shop.feature', name: 'Shop', keyword: 'Feature', elements }];
+
+describe('MetadataStore.search', () => {
+  let dir;
+  let store;
+
+  const ingest = (filename, date, features) => store.ingestReport(filename, features, { name: filename, date });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metadata-store-'));
+    store = new MetadataStore({ path: path.join(dir, 'reports.db') });
+  });
+
+  afterEach(() => {
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('matches % and _ literally instead of as LIKE wildcards', () => {
+    ingest('run-1.json', '2024-01-01T00:00:00.000Z', feature(
+      scenario('Apply 100% discount', 'passed'),
+      scenario('Apply 1000 discount', 'passed'),
+      scenario('Read user_id', 'passed'),
+      scenario('Read userXid', 'passed')
+    ));
+
+    const names = q => store.search({ q, fields: ['scenario'] }).results.map(result => result.scenarioName);
+
+    expect(names('100%')).toEqual(['Apply 100% discount']);
+    expect(names('user_id')).toEqual(['Read user_id']);
+    expect(names('%')).toEqual(['Apply 100% discount']);
+    expect(names('\\')).toEqual([]);
+  });
+
+  it('searches the requested fields and returns snippets of the matches', () => {
+    ingest('run-1.json', '2024-01-01T00:00:00.000Z', feature(
+      scenario('Checkout', 'failed', 'I pay by card', 'Card declined by gateway'),
+      scenario('Browse', 'passed', 'I open the card list')
+    ));
+
+    const byStep = store.search({ q: 'card', fields: ['step'] });
+    expect(byStep.results.map(result => result.scenarioName).sort()).toEqual(['Browse', 'Checkout']);
+    expect(byStep.results[0].matches[0]).toMatchObject({ field: 'step', step: 0 });
+
+    const byError = store.search({ q: 'declined', fields: ['error'] });
+    expect(byError.results).toEqual([expect.objectContaining({
+      reportId: 'run-1',
+      scenarioName: 'Checkout',
+      matches: [{ field: 'error', step: 0, text: 'Card declined by gateway' }]
+    })]);
+  });
+
+  it('filters by scenario status', () => {
+    ingest('run-1.json', '2024-01-01T00:00:00.000Z', feature(
+      scenario('Login works', 'passed'),
+      scenario('Login fails', 'failed', 'a step', 'boom')
+    ));
+
+    expect(store.search({ q: 'login', status: ['failed'] }).results.map(result => result.scenarioName)).toEqual(['Login fails']);
+    expect(store.search({ q: 'login', status: ['passed', 'failed'] }).total).toBe(2);
+    expect(store.search({ q: 'login', status: ['skipped'] })).toMatchObject({ results: [], total: 0, firstSeen: null });
+  });
+
+  it('pages and orders across runs, and leaves out soft-deleted runs', () => {
+    ['2024-01-01', '2024-01-02', '2024-01-03'].forEach((day, i) => {
+      ingest(`run-${i + 1}.json`, `${day}T00:00:00.000Z`, feature(scenario('Search products', 'passed')));
+    });
+
+    const first = store.search({ q: 'products', limit: 2, page: 1 });
+    expect(first).toMatchObject({ total: 3, runs: 3 });
+    expect(first.results.map(result => result.reportId)).toEqual(['run-3', 'run-2']);
+    expect(first.firstSeen).toMatchObject({ reportId: 'run-1' });
+    expect(first.lastSeen).toMatchObject({ reportId: 'run-3' });
+
+    expect(store.search({ q: 'products', limit: 2, page: 2 }).results.map(result => result.reportId)).toEqual(['run-1']);
+    expect(store.search({ q: 'products', order: 'asc', limit: 1 }).results[0].reportId).toBe('run-1');
+
+    store.markDeleted('run-3.json', new Date().toISOString());
+    expect(store.search({ q: 'products' })).toMatchObject({ total: 2, lastSeen: { reportId: 'run-2' } });
+  });
+});
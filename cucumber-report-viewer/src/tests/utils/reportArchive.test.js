@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const IndexManager = require('../../utils/indexManager');
+const { ReportArchive, readArchive, ARCHIVE_FORMAT } = require('../../utils/reportArchive');
+
+const report = name => [{
+  uri: `${name}.feature`,
+  id: name,
+  name,
+  elements: [{ id: `${name};s`, name: 'S', type: 'scenario', steps: [{ keyword: 'Given ', name: 'x', result: { status: 'passed' } }] }]
+}];
+
+const collect = async stream => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+const archiveOf = files => {
+  const zip = new AdmZip();
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify({ format: ARCHIVE_FORMAT, version: 1 })));
+  Object.entries(files).forEach(([name, content]) => zip.addFile(name, Buffer.from(JSON.stringify(content))));
+  return zip.toBuffer();
+};
+
+describe('ReportArchive', () => {
+  let dir;
+  let archive;
+
+  const writeJson = (key, data) => {
+    fs.mkdirSync(path.dirname(path.join(dir, key)), { recursive: true });
+    fs.writeFileSync(path.join(dir, key), JSON.stringify(data));
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-archive-'));
+    archive = new ReportArchive(new IndexManager(dir));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('exportArchive', () => {
+    it('streams a zip of the reports, their shards and a manifest of their hashes', async () => {
+      writeJson('login.json', report('login'));
+      writeJson('.shards/login/1.json', report('login'));
+
+      const { stream, manifest } = await archive.exportArchive();
+      const zip = new AdmZip(await collect(stream));
+
+      expect(zip.getEntries().map(entry => entry.entryName).sort())
+        .toEqual(expect.arrayContaining(['index.json', 'manifest.json', 'reports/login.json', 'shards/login/1.json']));
+      expect(manifest.reports).toEqual([{ filename: 'login.json', hash: expect.any(String) }]);
+      expect(JSON.parse(zip.readAsText('manifest.json')).reports).toEqual(manifest.reports);
+    });
+
+    it('lists requested reports that do not exist instead of zipping', async () => {
+      expect(await archive.exportArchive({ filenames: ['missing.json'] }))
+        .toEqual({ stream: null, manifest: null, missing: ['missing.json'] });
+    });
+  });
+
+  describe('readArchive', () => {
+    it('skips reserved names and reports that are not Cucumber feature arrays', () => {
+      const { reports, skipped } = readArchive(archiveOf({
+        'reports/login.json': report('login'),
+        'reports/index.json': report('index'),
+        'reports/stats.json': report('stats'),
+        'reports/notes.json': { notes: 'not a report' },
+        'shards/index/1.json': report('index')
+      }));
+
+      expect(reports.map(entry => entry.filename)).toEqual(['login.json']);
+      expect(skipped).toEqual([
+        { file: 'reports/index.json', reason: 'not a report file name' },
+        { file: 'reports/notes.json', reason: expect.stringMatching(/not a Cucumber JSON feature array/) },
+        { file: 'reports/stats.json', reason: 'not a report file name' },
+        { file: 'shards/index/1.json', reason: 'not a shards file name' }
+      ]);
+    });
+
+    it('stops inflating at the limit, whatever sizes the entries declare', () => {
+      const zip = new AdmZip(archiveOf({ 'reports/login.json': report('login') }));
+      zip.addFile('backups/login-backup-2024-01-01T00-00-00-000Z.json', Buffer.alloc(64 * 1024, ' '));
+      const bomb = zip.toBuffer();
+      // Declare every entry as 0 bytes, as a zip bomb would
+      for (let offset = 0; offset < bomb.length - 4; offset++) {
+        if (bomb.readUInt32LE(offset) === 0x04034b50) bomb.writeUInt32LE(0, offset + 22);
+        if (bomb.readUInt32LE(offset) === 0x02014b50) bomb.writeUInt32LE(0, offset + 24);
+      }
+
+      expect(() => readArchive(bomb, { maxInflatedBytes: 4096 })).toThrow(expect.objectContaining({ code: 'ERR_REPORT_TOO_LARGE' }));
+      expect(readArchive(bomb).reports.map(entry => entry.filename)).toEqual(['login.json']);
+    });
+
+    it('rejects zips that are not report archives', () => {
+      expect(() => readArchive(Buffer.from('nope'))).toThrow(/Not a readable zip archive/);
+      expect(() => readArchive(new AdmZip().toBuffer())).toThrow(/Not a report archive/);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const { detectDialect, normalizeDialect } = require('../../utils/reportDialects');
+
+const feature = (fields, steps) => ({
+  name: 'Feature',
+  elements: [{ name: 'Scenario', type: 'scenario', steps }],
+  ...fields
+});
+
+const behaveReport = () => [{
+  keyword: 'Feature',
+  name: 'Login',
+  location: 'features/login.feature:1',
+  tags: ['smoke'],
+  elements: [{
+    keyword: 'Scenario',
+    name: 'Good login',
+    location: 'features/login.feature:3',
+    type: 'scenario',
+    status: 'failed',
+    steps: [
+      { keyword: 'Given', name: 'a user', step_type: 'given', location: 'features/login.feature:4', result: { status: 'passed', duration: 0.0125 }, table: { headings: ['name'], rows: [['bob']] } },
+      { keyword: 'Then', name: 'it fails', step_type: 'then', location: 'features/login.feature:5', result: { status: 'failed', duration: 1.5, error_message: ['Assertion', 'line 2'] } },
+      { keyword: 'And', name: 'not run', step_type: 'then', location: 'features/login.feature:6', result: { status: 'untested' }, text: 'doc' }
+    ]
+  }]
+}];
+
+describe('detectDialect', () => {
+  it('recognises each producer', () => {
+    expect(detectDialect(behaveReport())).toBe('behave');
+    expect(detectDialect([feature({ uri: 'a.feature' }, [{ keyword: 'Before', hidden: true, result: { status: 'passed' } }])])).toBe('cucumber-js');
+    expect(detectDialect([feature({ uri: 'a.feature' }, [{ keyword: 'Given ', match: { location: 'steps/a.ts:4' } }])])).toBe('cucumber-js');
+    expect(detectDialect([feature({ uri: 'A.feature' }, [{ keyword: 'Given ', result: { status: 'OK' } }])])).toBe('specflow');
+    expect(detectDialect([feature({ uri: 'A.feature' }, [{ keyword: 'Given ', match: { location: 'Acme.Steps.LoginSteps.GivenAUser(String)' } }])])).toBe('specflow');
+    expect(detectDialect([feature({ uri: 'classpath:api/users.feature' }, [{ keyword: '*', name: 'url x' }])])).toBe('karate');
+  });
+
+  it('defaults to cucumber-jvm', () => {
+    expect(detectDialect([feature({ uri: 'classpath:a.feature' }, [{ keyword: 'Given ', match: { location: 'com.acme.Steps.a_user(java.lang.String)' } }])])).toBe('cucumber-jvm');
+    expect(detectDialect([feature({ uri: 'src/x.test.js' }, [{ keyword: 'Run ', match: { location: 'src/x.test.js:1' } }])])).toBe('cucumber-jvm');
+  });
+});
+
+describe('normalizeDialect', () => {
+  it('rewrites Behave reports into cucumber-jvm conventions', () => {
+    const report = behaveReport();
+    const { dialect, changes } = normalizeDialect(report);
+    const [login] = report;
+    const [given, then, notRun] = login.elements[0].steps;
+
+    expect(dialect).toBe('behave');
+    expect(changes).toEqual({ durations: 2, statuses: 1, hooks: 0, attachments: 0 });
+    expect(login).toMatchObject({ uri: 'features/login.feature', line: 1, id: 'login', tags: [{ name: '@smoke' }] });
+    expect(login.metadata).toEqual({ dialect: 'behave', tool: 'Behave' });
+    expect(login.elements[0]).toMatchObject({ id: 'login;good-login', line: 3 });
+    expect(given).toMatchObject({ keyword: 'Given ', line: 4, result: { duration: 12500000 }, rows: [{ cells: ['name'] }, { cells: ['bob'] }] });
+    expect(then.result).toEqual({ status: 'failed', duration: 1500000000, error_message: 'Assertion\nline 2' });
+    expect(notRun.result.status).toBe('skipped');
+    expect(notRun.doc_string).toEqual({ value: 'doc' });
+  });
+
+  it('changes nothing the second time', () => {
+    const report = behaveReport();
+    normalizeDialect(report);
+    const normalized = JSON.stringify(report);
+
+    expect(normalizeDialect(report).changes).toEqual({ durations: 0, statuses: 0, hooks: 0, attachments: 0 });
+    expect(JSON.stringify(report)).toBe(normalized);
+  });
+
+  it('moves cucumber-js hook steps to before and after, with their attachments', () => {
+    const report = [feature({ uri: 'a.feature' }, [
+      { keyword: 'Before', hidden: true, result: { status: 'passed', duration: 1000 }, match: { location: 'support/hooks.js:3' } },
+      { keyword: 'Given ', name: 'x', result: { status: 'skipped', duration: 5 }, embeddings: [{ data: 'aGk=', media: { type: 'text/plain' } }] },
+      { keyword: 'After', hidden: true, result: { status: 'passed', duration: 10 }, embeddings: [{ data: 'eA==', mime_type: 'image/png' }] }
+    ])];
+    const { dialect, changes } = normalizeDialect(report);
+    const [scenario] = report[0].elements;
+
+    expect(dialect).toBe('cucumber-js');
+    expect(changes).toMatchObject({ hooks: 2, attachments: 1 });
+    expect(scenario.before).toEqual([{ result: { status: 'passed', duration: 1000 }, match: { location: 'support/hooks.js:3' } }]);
+    expect(scenario.steps).toHaveLength(1);
+    expect(scenario.steps[0].result).toEqual({ status: 'skipped', duration: 5 });
+    expect(scenario.steps[0].embeddings).toEqual([{ data: 'aGk=', mime_type: 'text/plain' }]);
+    expect(scenario.after[0].embeddings).toEqual([{ data: 'eA==', mime_type: 'image/png' }]);
+  });
+
+  it('maps .NET statuses and detects millisecond durations for SpecFlow', () => {
+    const report = [feature({ uri: 'A.feature' }, [
+      { keyword: 'Given ', result: { status: 'OK', duration: 120 } },
+      { keyword: 'Then ', result: { status: 'TestError', duration: 30 } }
+    ])];
+    normalizeDialect(report);
+
+    expect(report[0].elements[0].steps.map(step => step.result)).toEqual([
+      { status: 'passed', duration: 120000000 },
+      { status: 'failed', duration: 30000000 }
+    ]);
+  });
+
+  it('moves scenario-level embeddings to an after hook', () => {
+    const report = [feature({ uri: 'classpath:a.feature' }, [{ keyword: 'Given ', result: { status: 'passed', duration: 1 } }])];
+    report[0].elements[0].embeddings = [{ data: 'eA==', mime_type: 'image/png' }];
+    normalizeDialect(report);
+
+    expect(report[0].elements[0].embeddings).toBeUndefined();
+    expect(report[0].elements[0].after).toEqual([{
+      match: { location: 'scenario attachments' },
+      result: { status: 'passed', duration: 0 },
+      embeddings: [{ data: 'eA==', mime_type: 'image/png' }]
+    }]);
+  });
+
+  it('leaves cucumber-jvm reports without metadata and ignores what is not a feature', () => {
+    const report = [feature({ uri: 'classpath:a.feature' }, [{ keyword: 'Given ', result: { status: 'passed', duration: 120000000 } }])];
+    expect(normalizeDialect(report).dialect).toBe('cucumber-jvm');
+    expect(report[0].metadata).toBeUndefined();
+
+    expect(normalizeDialect([null, 3]).dialect).toBe('cucumber-jvm');
+    expect(normalizeDialect({ features: [] }).dialect).toBe('cucumber-jvm');
+  });
+});
@@ -0,0 +1,68 @@
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const { parseReportFile, detectCompression } = require('../../utils/reportFileParser');
+
+const features = [{ uri: 'a.feature', name: 'A', elements: [] }];
+
+const zipOf = files => {
+  const zip = new AdmZip();
+  Object.entries(files).forEach(([name, content]) => zip.addFile(name, Buffer.from(content)));
+  return zip.toBuffer();
+};
+
+// Rewrite the uncompressed size in every local and central header to 0, as a zip bomb would
+const declareSizeZero = buffer => {
+  const zip = Buffer.from(buffer);
+  for (let offset = 0; offset < zip.length - 4; offset++) {
+    const signature = zip.readUInt32LE(offset);
+    if (signature === 0x04034b50) zip.writeUInt32LE(0, offset + 22);
+    if (signature === 0x02014b50) zip.writeUInt32LE(0, offset + 24);
+  }
+  return zip;
+};
+
+describe('detectCompression', () => {
+  it('trusts magic bytes over the file name', () => {
+    expect(detectCompression(zlib.gzipSync('[]'), 'report.json')).toBe('gzip');
+    expect(detectCompression(zipOf({ 'a.json': '[]' }), 'report.gz')).toBe('zip');
+    expect(detectCompression(Buffer.from('[]'), 'report.json')).toBe('none');
+  });
+});
+
+describe('parseReportFile', () => {
+  it('reads gzip files and every report in a zip archive', () => {
+    const gzip = parseReportFile(zlib.gzipSync(JSON.stringify(features)), { filename: 'cucumber.json.gz' });
+    expect(gzip).toEqual({ compression: 'gzip', documents: [{ name: 'cucumber.json', format: 'cucumber-json', data: features }] });
+
+    const zip = parseReportFile(zipOf({ 'a.json': JSON.stringify(features), 'notes.txt': 'x', '.hidden.json': '{' }), { filename: 'r.zip' });
+    expect(zip.documents.map(document => document.name)).toEqual(['a.json']);
+  });
+
+  it('stops a gzip file that inflates past the limit', () => {
+    const bomb = zlib.gzipSync(Buffer.alloc(64 * 1024, ' '));
+
+    expect(() => parseReportFile(bomb, { filename: 'big.json.gz', maxInflatedBytes: 1024 }))
+      .toThrow(expect.objectContaining({ code: 'ERR_REPORT_TOO_LARGE', message: expect.stringMatching(/big\.json\.gz/) }));
+  });
+
+  it('rejects a zip whose entries declare more than the limit before inflating them', () => {
+    const padded = JSON.stringify(features) + ' '.repeat(600);
+    const options = { filename: 'reports.zip', maxInflatedBytes: 1024 };
+
+    expect(() => parseReportFile(zipOf({ 'a.json': ' '.repeat(2048) }), options))
+      .toThrow(expect.objectContaining({ code: 'ERR_REPORT_TOO_LARGE', message: expect.stringMatching(/^a\.json/) }));
+    expect(() => parseReportFile(zipOf({ 'a.json': padded, 'b.json': padded }), options))
+      .toThrow(expect.objectContaining({ code: 'ERR_REPORT_TOO_LARGE', message: expect.stringMatching(/^reports\.zip/) }));
+    expect(parseReportFile(zipOf({ 'a.json': padded }), options).documents).toHaveLength(1);
+  });
+
+  it('stops inflating a zip entry at the limit whatever size it declares', () => {
+    const bomb = declareSizeZero(zipOf({ 'a.json': ' '.repeat(64 * 1024) }));
+    expect(new AdmZip(bomb).getEntries()[0].header.size).toBe(0);
+
+    expect(() => parseReportFile(bomb, { filename: 'bomb.zip', maxInflatedBytes: 1024 }))
+      .toThrow(expect.objectContaining({ code: 'ERR_REPORT_TOO_LARGE', message: expect.stringMatching(/^bomb\.zip/) }));
+    expect(parseReportFile(declareSizeZero(zipOf({ 'a.json': JSON.stringify(features) })), { filename: 'ok.zip' }).documents)
+      .toEqual([{ name: 'a.json', format: 'cucumber-json', data: features }]);
+  });
+});
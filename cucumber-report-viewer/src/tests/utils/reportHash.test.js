@@ -0,0 +1,46 @@
+const path = require('path');
+const { contentHash, flagDuplicates, DUPLICATE_POLICIES } = require('../../utils/reportHash');
+const { loadServerConfig } = require('../../utils/serverConfig');
+
+const feature = { uri: 'login.feature', name: 'Login', elements: [{ name: 'Sign in', steps: [{ name: 'a step', result: { status: 'passed' } }] }] };
+
+describe('contentHash', () => {
+  it('ignores key order and formatting', () => {
+    const reordered = JSON.parse('{"elements":[{"steps":[{"result":{"status":"passed"},"name":"a step"}],"name":"Sign in"}],"name":"Login","uri":"login.feature"}');
+
+    expect(contentHash([reordered])).toBe(contentHash([feature]));
+    expect(contentHash(JSON.parse(JSON.stringify([feature], null, 2)))).toBe(contentHash([feature]));
+  });
+
+  it('hashes { features } and a single feature like the feature array', () => {
+    expect(contentHash({ features: [feature] })).toBe(contentHash([feature]));
+    expect(contentHash(feature)).toBe(contentHash([feature]));
+  });
+
+  it('changes with the content', () => {
+    const failed = JSON.parse(JSON.stringify(feature).replace('"passed"', '"failed"'));
+    expect(contentHash([failed])).not.toBe(contentHash([feature]));
+  });
+});
+
+describe('flagDuplicates', () => {
+  it('marks every later copy with the id of the oldest one and skips live runs', () => {
+    const reports = [
+      { id: 'b-copy', date: '2024-01-02T00:00:00Z', hash: 'h1' },
+      { id: 'a-original', date: '2024-01-01T00:00:00Z', hash: 'h1' },
+      { id: 'c-live', date: '2024-01-03T00:00:00Z', hash: 'h1', live: { status: 'running' } },
+      { id: 'd-other', date: '2024-01-04T00:00:00Z', hash: 'h2' },
+      { id: 'e-unhashed', date: '2024-01-05T00:00:00Z' }
+    ];
+
+    expect(flagDuplicates(reports)).toBe(1);
+    expect(reports.filter(report => report.duplicateOf)).toEqual([expect.objectContaining({ id: 'b-copy', duplicateOf: 'a-original' })]);
+  });
+});
+
+describe('uploads.onDuplicate', () => {
+  it('stores every upload unless a deployment opts in to reject or alias', () => {
+    expect(DUPLICATE_POLICIES).toEqual(['allow', 'reject', 'alias']);
+    expect(loadServerConfig(path.join(__dirname, 'no-such-server.config.json')).uploads.onDuplicate).toBe('allow');
+  });
+});
@@ -0,0 +1,40 @@
+const { parseReportQuery, queryReports, DEFAULT_LIMIT, MAX_LIMIT } = require('../../utils/reportQuery');
+
+const reports = Array.from({ length: 25 }, (_, index) => ({
+  id: `run-${index + 1}`,
+  name: `Run ${index + 1}`,
+  date: new Date(Date.UTC(2026, 0, index + 1)).toISOString(),
+  passed: 1,
+  failed: index % 5 === 0 ? 1 : 0
+}));
+
+describe('reportQuery', () => {
+  it('returns every matching report when neither page nor limit is given', () => {
+    const result = queryReports(reports, parseReportQuery({}));
+
+    expect(result).toMatchObject({ total: 25, page: 1, limit: 25, totalPages: 1 });
+    expect(result.reports).toHaveLength(25);
+    expect(result.reports[0]).toMatchObject({ id: 'run-25', sequence: 25 });
+  });
+
+  it('pages with the default limit once page or limit is given', () => {
+    const second = queryReports(reports, parseReportQuery({ page: '2' }));
+    expect(second).toMatchObject({ total: 25, page: 2, limit: DEFAULT_LIMIT, totalPages: 2 });
+    expect(second.reports.map(report => report.id)).toEqual(['run-5', 'run-4', 'run-3', 'run-2', 'run-1']);
+
+    expect(queryReports(reports, parseReportQuery({ limit: '10' }))).toMatchObject({ page: 1, limit: 10, totalPages: 3 });
+    expect(parseReportQuery({ limit: '1000' }).limit).toBe(MAX_LIMIT);
+  });
+
+  it('filters an unpaged query and answers one empty page when nothing matches', () => {
+    expect(queryReports(reports, parseReportQuery({ status: 'failed' }))).toMatchObject({ total: 5, limit: 5, totalPages: 1 });
+    expect(queryReports(reports, parseReportQuery({ q: 'nothing' }))).toEqual({
+      reports: [], total: 0, page: 1, limit: 0, totalPages: 1
+    });
+  });
+
+  it('rejects invalid values', () => {
+    expect(() => parseReportQuery({ page: '0' })).toThrow(/Invalid page/);
+    expect(() => parseReportQuery({ status: 'skipped' })).toThrow(/Invalid status/);
+  });
+});
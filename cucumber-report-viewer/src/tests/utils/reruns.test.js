@@ -0,0 +1,97 @@
+const { rerunKey, applyRerun, applyReruns, nextAttempt, FIRST_RERUN } = require('../../utils/reruns');
+
+const statusOf = scenario => (scenario.steps.some(step => step.result.status === 'failed') ? 'failed' : 'passed');
+
+const scenario = (id, status, line = 1) => ({ id, name: id, line, type: 'scenario', steps: [{ result: { status } }] });
+
+const run = () => [{
+  uri: 'login.feature',
+  name: 'Login',
+  elements: [
+    { id: 'login;background', type: 'background', steps: [{ result: { status: 'passed' } }] },
+    scenario('login;ok', 'passed', 3),
+    scenario('login;flaky', 'failed', 6),
+    scenario('login;broken', 'failed', 9)
+  ]
+}];
+
+describe('rerunKey', () => {
+  it('stores reruns under the report they retry', () => {
+    expect(rerunKey('nightly.json', FIRST_RERUN)).toBe('.reruns/nightly/2.json');
+  });
+});
+
+describe('applyRerun', () => {
+  const features = run();
+  const result = applyRerun(features, [{
+    uri: 'login.feature',
+    name: 'Login',
+    elements: [scenario('login;flaky', 'passed', 6), scenario('login;broken', 'failed', 9)]
+  }], statusOf);
+  const byId = id => result.features[0].elements.find(element => element.id === id);
+
+  it('replaces re-run scenarios and keeps the earlier result as an attempt', () => {
+    expect(result.features[0].elements.map(element => element.id))
+      .toEqual(['login;background', 'login;ok', 'login;flaky', 'login;broken']);
+    expect(byId('login;flaky').attempts).toEqual([scenario('login;flaky', 'failed', 6)]);
+    expect(byId('login;ok').attempts).toBeUndefined();
+  });
+
+  it('marks a scenario that passes after failing flaky and counts what happened', () => {
+    expect(byId('login;flaky').flaky).toBe(true);
+    expect(byId('login;broken').flaky).toBeUndefined();
+    expect(result).toMatchObject({ retried: 2, flaky: 1, failed: 1, added: 0 });
+  });
+
+  it('does not change the run it merges into', () => {
+    expect(features[0].elements[2].steps[0].result.status).toBe('failed');
+    expect(features[0].elements[2].attempts).toBeUndefined();
+  });
+
+  it('re-runs one example row of a Scenario Outline whose rows share an id', () => {
+    // cucumber-js writes the same id for every example row
+    const outline = [{ uri: 'o.feature', elements: [scenario('o;out', 'passed', 7), scenario('o;out', 'failed', 8)] }];
+    const merged = applyRerun(outline, [{ uri: 'o.feature', elements: [scenario('o;out', 'passed', 8)] }], statusOf);
+    const [row7, row8] = merged.features[0].elements;
+
+    expect(merged.features[0].elements).toHaveLength(2);
+    expect(row7).toEqual(scenario('o;out', 'passed', 7));
+    expect(row8).toMatchObject({ line: 8, flaky: true, attempts: [scenario('o;out', 'failed', 8)] });
+    expect(row8.steps[0].result.status).toBe('passed');
+    expect(merged).toMatchObject({ retried: 1, flaky: 1, failed: 0, added: 0 });
+  });
+
+  it('adds scenarios and features the run did not have', () => {
+    const added = applyRerun(run(), [
+      { uri: 'login.feature', elements: [scenario('login;new', 'passed', 12)] },
+      { uri: 'logout.feature', name: 'Logout', elements: [{ type: 'background', steps: [] }, scenario('logout;one', 'passed')] }
+    ], statusOf);
+
+    expect(added.added).toBe(2);
+    expect(added.features.map(feature => feature.uri)).toEqual(['login.feature', 'logout.feature']);
+    expect(added.features[1].elements.map(element => element.type)).toEqual(['background', 'scenario']);
+  });
+});
+
+describe('applyReruns', () => {
+  it('applies reruns oldest first, keeping every attempt', () => {
+    const merged = applyReruns(run(), [
+      { attempt: 2, features: [{ uri: 'login.feature', elements: [scenario('login;broken', 'failed', 9)] }] },
+      { attempt: 3, features: [{ uri: 'login.feature', elements: [scenario('login;broken', 'passed', 9)] }] }
+    ], statusOf);
+    const broken = merged[0].elements.find(element => element.id === 'login;broken');
+
+    expect(broken.attempts).toHaveLength(2);
+    expect(broken.attempts.some(attempt => attempt.attempts)).toBe(false);
+    expect(broken.flaky).toBe(true);
+  });
+});
+
+describe('nextAttempt', () => {
+  const storageWith = keys => ({ list: async prefix => keys.filter(key => key.startsWith(prefix)).map(key => ({ key })) });
+
+  it('starts at the first rerun and counts up from the highest stored attempt', async () => {
+    expect(await nextAttempt(storageWith([]), 'run.json')).toBe(FIRST_RERUN);
+    expect(await nextAttempt(storageWith(['.reruns/run/2.json', '.reruns/run/5.json', '.reruns/other/9.json']), 'run.json')).toBe(6);
+  });
+});
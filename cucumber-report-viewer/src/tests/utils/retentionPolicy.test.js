@@ -0,0 +1,116 @@
+const { planRetention, RetentionManager, suiteOf } = require('../../utils/retentionPolicy');
+
+const NOW = new Date('2024-03-31T12:00:00.000Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A run of `suite` uploaded `daysAgo` days before NOW
+const run = (suite, daysAgo, fields = {}) => {
+  const date = new Date(NOW.getTime() - daysAgo * DAY_MS).toISOString();
+  return { id: `${suite}-${date.replace(/[:.]/g, '-')}`, date, size: 1024 * 1024, ...fields };
+};
+
+const purgedIds = plan => plan.purge.map(candidate => candidate.id).sort();
+
+describe('planRetention', () => {
+  it('groups runs into suites by their report id without the upload timestamp', () => {
+    expect(suiteOf('nightly-2024-01-15T10-30-00-000Z')).toBe('nightly');
+    expect(suiteOf('nightly-2024-01-15T10-30-00-000Z-2')).toBe('nightly');
+    expect(suiteOf('smoke')).toBe('smoke');
+  });
+
+  it('keeps a run that either keepLastPerSuite or keepDays keeps', () => {
+    const reports = [run('api', 1), run('api', 10), run('api', 20), run('api', 40), run('ui', 50)];
+
+    const plan = planRetention(reports, { keepLastPerSuite: 2, keepDays: 15 }, NOW);
+
+    expect(purgedIds(plan)).toEqual([reports[2].id, reports[3].id].sort());
+    expect(plan.purge[0].reason).toMatch(/older than 15 days and not one of the last 2 "api" runs/);
+    expect(plan.kept).toBe(3);
+  });
+
+  it('applies either rule alone', () => {
+    const reports = [run('api', 1), run('api', 10), run('api', 20)];
+
+    expect(purgedIds(planRetention(reports, { keepLastPerSuite: 1 }, NOW))).toEqual([reports[1].id, reports[2].id].sort());
+    expect(purgedIds(planRetention(reports, { keepDays: 5 }, NOW))).toEqual([reports[1].id, reports[2].id].sort());
+    expect(planRetention(reports, {}, NOW).purge).toEqual([]);
+  });
+
+  it('never purges pinned, keepTags-tagged or live runs', () => {
+    const reports = [
+      run('api', 1),
+      run('api', 30, { pinned: true }),
+      run('api', 31, { tags: ['@Release'] }),
+      run('api', 32, { live: { status: 'running' } }),
+      run('api', 33, { live: { status: 'finished' } })
+    ];
+
+    const plan = planRetention(reports, { keepLastPerSuite: 1, keepDays: 7, keepTags: ['release'], maxTotalSizeMB: 1 }, NOW);
+
+    expect(purgedIds(plan)).toEqual([reports[4].id]);
+    expect(plan.protected).toBe(3);
+  });
+
+  it('purges the oldest runs over the size limit but never the newest run of a suite', () => {
+    const reports = [run('api', 1), run('api', 2), run('api', 3), run('ui', 40, { size: 5 * 1024 * 1024 })];
+
+    const plan = planRetention(reports, { maxTotalSizeMB: 2 }, NOW);
+
+    // ui's only run is its newest, so api's older runs go even though ui alone is over the limit
+    expect(purgedIds(plan)).toEqual([reports[1].id, reports[2].id].sort());
+    expect(plan.purge.every(candidate => /over the 2 MB size limit/.test(candidate.reason))).toBe(true);
+    expect(plan.totalSize).toBe(8 * 1024 * 1024);
+    expect(plan.sizeAfter).toBe(6 * 1024 * 1024);
+  });
+
+  it('stops purging by size once the total is under the limit', () => {
+    const reports = [run('api', 1), run('api', 2), run('api', 3), run('api', 4)];
+
+    expect(purgedIds(planRetention(reports, { maxTotalSizeMB: 3 }, NOW))).toEqual([reports[3].id]);
+  });
+});
+
+describe('RetentionManager', () => {
+  const reports = [run('api', 1), run('api', 2), run('api', 3)];
+  let purge;
+  let manager;
+
+  beforeEach(() => {
+    purge = jest.fn(async () => {});
+    manager = new RetentionManager({ policy: { enabled: true, keepLastPerSuite: 1 }, getReports: async () => reports, purge });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('previews the plan without purging anything', async () => {
+    const preview = await manager.preview();
+
+    expect(preview.purge.map(candidate => candidate.filename)).toEqual([`${reports[1].id}.json`, `${reports[2].id}.json`]);
+    expect(preview.policy).toBe(manager.policy);
+    expect(purge).not.toHaveBeenCalled();
+  });
+
+  it('purges the planned runs when applied and records the run', async () => {
+    purge.mockImplementation(async candidate => {
+      if (candidate.id === reports[2].id) throw new Error('disk full');
+    });
+
+    const result = await manager.apply('manual');
+
+    expect(purge).toHaveBeenCalledTimes(2);
+    expect(result).toMatchObject({ trigger: 'manual', purged: 1, errors: [{ filename: `${reports[2].id}.json`, error: 'disk full' }] });
+    expect(result.purgedReports.map(candidate => candidate.id)).toEqual([reports[1].id]);
+    expect((await manager.preview()).lastRun).toMatchObject({ trigger: 'manual', purged: 1 });
+  });
+
+  it('purges nothing when the policy has no rules', async () => {
+    manager.policy = { enabled: true };
+
+    expect(await manager.apply('schedule')).toMatchObject({ purged: 0, purgedReports: [] });
+    expect(purge).not.toHaveBeenCalled();
+  });
+});
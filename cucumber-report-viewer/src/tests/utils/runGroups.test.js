@@ -0,0 +1,89 @@
+const { shardKey, shardDir, parseRunGroup, mergeShardFeatures, readShards } = require('../../utils/runGroups');
+
+const scenario = (id, status, line = 1) => ({ id, name: id, line, type: 'scenario', steps: [{ result: { status } }] });
+
+describe('shard keys', () => {
+  it('keeps each shard under the merged report', () => {
+    expect(shardDir('nightly-2024.json')).toBe('.shards/nightly-2024/');
+    expect(shardKey('nightly-2024.json', 3)).toBe('.shards/nightly-2024/3.json');
+  });
+});
+
+describe('parseRunGroup', () => {
+  it('is null for uploads outside a run group', () => {
+    expect(parseRunGroup({})).toBeNull();
+    expect(parseRunGroup()).toBeNull();
+  });
+
+  it('reads shard numbers sent as text', () => {
+    expect(parseRunGroup({ runGroup: ' build-42 ', shard: '2', shardCount: '4' })).toEqual({ id: 'build-42', shard: 2, shardCount: 4 });
+    expect(parseRunGroup({ runGroup: 'build-42' })).toEqual({ id: 'build-42', shard: null, shardCount: null });
+  });
+
+  it('rejects invalid shard numbers', () => {
+    expect(() => parseRunGroup({ runGroup: 'x', shard: '0' })).toThrow(/Invalid shard "0"/);
+    expect(() => parseRunGroup({ runGroup: 'x', shard: '1.5' })).toThrow(/whole number/);
+    expect(() => parseRunGroup({ runGroup: 'x', shard: 5, shardCount: 4 })).toThrow(/the run has 4 shard/);
+  });
+});
+
+describe('mergeShardFeatures', () => {
+  it('merges features by uri in shard order, with the tags of each', () => {
+    const merged = mergeShardFeatures([
+      { shard: 2, features: [{ uri: 'a.feature', name: 'A', tags: [{ name: '@b' }], elements: [scenario('a;two', 'passed')] }] },
+      { shard: 1, features: [
+        { uri: 'a.feature', name: 'A', tags: [{ name: '@a' }], elements: [scenario('a;one', 'passed')] },
+        { uri: 'b.feature', name: 'B', elements: [scenario('b;one', 'failed')] }
+      ] }
+    ]);
+
+    expect(merged.map(feature => feature.uri)).toEqual(['a.feature', 'b.feature']);
+    expect(merged[0].tags).toEqual([{ name: '@a' }, { name: '@b' }]);
+    expect(merged[0].elements.map(element => element.id)).toEqual(['a;one', 'a;two']);
+  });
+
+  it('replaces a scenario a later shard ran again', () => {
+    const merged = mergeShardFeatures([
+      { shard: 1, features: [{ uri: 'a.feature', elements: [scenario('a;one', 'failed')] }] },
+      { shard: 2, features: [{ uri: 'a.feature', elements: [scenario('a;one', 'passed')] }] }
+    ]);
+
+    expect(merged[0].elements).toHaveLength(1);
+    expect(merged[0].elements[0].steps[0].result.status).toBe('passed');
+  });
+
+  it('keeps example rows that share an id apart', () => {
+    const merged = mergeShardFeatures([
+      { shard: 1, features: [{ uri: 'o.feature', elements: [scenario('o;out', 'passed', 7)] }] },
+      { shard: 2, features: [{ uri: 'o.feature', elements: [scenario('o;out', 'failed', 8)] }] }
+    ]);
+
+    expect(merged[0].elements.map(element => element.line)).toEqual([7, 8]);
+  });
+
+  it('does not change the shards it merges', () => {
+    const shard = { shard: 1, features: [{ uri: 'a.feature', elements: [scenario('a;one', 'passed')] }] };
+    mergeShardFeatures([shard, { shard: 2, features: [{ uri: 'a.feature', elements: [scenario('a;two', 'passed')] }] }]);
+
+    expect(shard.features[0].elements).toHaveLength(1);
+  });
+});
+
+describe('readShards', () => {
+  it('reads the stored shards in shard order', async () => {
+    const files = {
+      '.shards/run/10.json': [{ name: 'ten' }],
+      '.shards/run/2.json': [{ name: 'two' }],
+      '.shards/run/notes.txt': 'ignored'
+    };
+    const storage = {
+      list: async prefix => Object.keys(files).filter(key => key.startsWith(prefix)).map(key => ({ key })),
+      readJson: async key => files[key]
+    };
+
+    expect(await readShards(storage, 'run.json')).toEqual([
+      { shard: 2, features: [{ name: 'two' }] },
+      { shard: 10, features: [{ name: 'ten' }] }
+    ]);
+  });
+});
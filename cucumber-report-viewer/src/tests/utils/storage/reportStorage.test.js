@@ -0,0 +1,39 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ReportStorage, FileSystemStorage } = require('../../../utils/storage');
+
+describe('ReportStorage.isPublicKey', () => {
+  it('accepts report files and index.json at the storage root', () => {
+    expect(ReportStorage.isPublicKey('login-2024-01-15T10-30-00-000Z.json')).toBe(true);
+    expect(ReportStorage.isPublicKey('index.json')).toBe(true);
+  });
+
+  it('refuses hidden files, folders and other extensions', () => {
+    expect(ReportStorage.isPublicKey('.deleted-reports.json')).toBe(false);
+    expect(ReportStorage.isPublicKey('.backups/login-backup-2024.json')).toBe(false);
+    expect(ReportStorage.isPublicKey('notes.txt')).toBe(false);
+    expect(ReportStorage.isPublicKey(undefined)).toBe(false);
+  });
+
+  it('refuses an encoded slash that a backend would normalize into a hidden folder', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-storage-'));
+    try {
+      fs.mkdirSync(path.join(dir, '.backups'));
+      fs.writeFileSync(path.join(dir, '.backups', 'a-backup.json'), '[]');
+      fs.writeFileSync(path.join(dir, '.deleted-reports.json'), '[]');
+
+      // Express decodes %2F in route params before the handler sees them
+      for (const requested of ['x%2F..%2F.backups%2Fa-backup.json', 'x%2F..%2F.deleted-reports.json', 'x%5C..%5C.shards%5C1.json']) {
+        const key = decodeURIComponent(requested);
+        expect(ReportStorage.isPublicKey(key)).toBe(false);
+      }
+
+      // Without the check the storage would resolve the key back inside its root
+      expect(new FileSystemStorage(dir).resolve('x/../.backups/a-backup.json'))
+        .toBe(path.join(dir, '.backups', 'a-backup.json'));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,158 @@
+const S3Storage = require('../../../utils/storage/s3Storage');
+
+const PAGE_SIZE = 2;
+
+const s3Error = (name, status) => Object.assign(new Error(name), { name, $metadata: { httpStatusCode: status } });
+
+/**
+ * Answers the commands S3Storage sends like a bucket would, from an in-memory map of objects
+ */
+function fakeBucket(sdk) {
+  const objects = new Map();
+  const commands = [];
+
+  const send = async command => {
+    commands.push(command);
+    const { Key, Prefix = '', ContinuationToken } = command.input;
+    const object = objects.get(Key);
+
+    if (command instanceof sdk.PutObjectCommand) {
+      objects.set(Key, { body: Buffer.from(command.input.Body), lastModified: new Date() });
+      return {};
+    }
+    if (command instanceof sdk.GetObjectCommand) {
+      if (!object) throw s3Error('NoSuchKey', 404);
+      return { Body: { transformToByteArray: async () => new Uint8Array(object.body) } };
+    }
+    if (command instanceof sdk.HeadObjectCommand) {
+      if (!object) throw s3Error('NotFound', 404);
+      return { ContentLength: object.body.length, LastModified: object.lastModified };
+    }
+    if (command instanceof sdk.DeleteObjectCommand) {
+      objects.delete(Key);
+      return {};
+    }
+    if (command instanceof sdk.CopyObjectCommand) {
+      const source = objects.get(decodeURIComponent(command.input.CopySource.slice(command.input.Bucket.length + 1)));
+      if (!source) throw s3Error('NoSuchKey', 404);
+      objects.set(Key, { ...source });
+      return {};
+    }
+    if (command instanceof sdk.ListObjectsV2Command) {
+      // Delimiter "/" leaves out keys in sub-folders of the prefix
+      const keys = [...objects.keys()].sort()
+        .filter(key => key.startsWith(Prefix) && !key.slice(Prefix.length).includes('/'));
+      const start = ContinuationToken ? Number(ContinuationToken) : 0;
+      const page = keys.slice(start, start + PAGE_SIZE);
+      const truncated = start + PAGE_SIZE < keys.length;
+      return {
+        Contents: page.length > 0
+          ? page.map(key => ({ Key: key, Size: objects.get(key).body.length, LastModified: objects.get(key).lastModified }))
+          : undefined,
+        IsTruncated: truncated,
+        NextContinuationToken: truncated ? String(start + PAGE_SIZE) : undefined
+      };
+    }
+    throw new Error(`Unexpected command ${command.constructor.name}`);
+  };
+
+  return { objects, commands, send };
+}
+
+describe('S3Storage', () => {
+  let storage;
+  let bucket;
+
+  beforeEach(() => {
+    storage = new S3Storage({ bucket: 'reports', prefix: '/ci/results' });
+    bucket = fakeBucket(storage.sdk);
+    storage.client.send = bucket.send;
+  });
+
+  it('needs a bucket name', () => {
+    expect(() => new S3Storage({})).toThrow(/requires a bucket name/);
+  });
+
+  it('keeps every key under the prefix and rejects keys that leave it', () => {
+    expect(storage.describe()).toBe('s3://reports/ci/results/');
+    expect(storage.objectKey('index.json')).toBe('ci/results/index.json');
+    expect(() => storage.objectKey('../other/index.json')).toThrow(/Invalid storage key/);
+  });
+
+  it('writes and reads objects', async () => {
+    await storage.writeJson('login.json', [{ name: 'Login' }]);
+
+    expect([...bucket.objects.keys()]).toEqual(['ci/results/login.json']);
+    expect(bucket.commands[0].input.ContentType).toBe('application/json');
+    expect((await storage.read('login.json')).toString('utf8')).toContain('"Login"');
+    expect(await storage.readJson('login.json')).toEqual([{ name: 'Login' }]);
+  });
+
+  it('reads a missing key as ENOENT, or as the default for readJson', async () => {
+    await expect(storage.read('missing.json')).rejects.toMatchObject({ code: 'ENOENT' });
+    expect(await storage.readJson('.pinned-reports.json', [])).toEqual([]);
+  });
+
+  it('passes on errors other than a missing key', async () => {
+    storage.client.send = async () => { throw s3Error('AccessDenied', 403); };
+
+    await expect(storage.read('login.json')).rejects.toMatchObject({ name: 'AccessDenied' });
+    await expect(storage.stat('login.json')).rejects.toMatchObject({ name: 'AccessDenied' });
+  });
+
+  it('stats and checks objects', async () => {
+    await storage.write('login.json', 'abc');
+
+    expect(await storage.stat('login.json')).toMatchObject({ size: 3, lastModified: expect.any(Date) });
+    expect(await storage.stat('missing.json')).toBeNull();
+    expect(await storage.exists('login.json')).toBe(true);
+    expect(await storage.exists('missing.json')).toBe(false);
+  });
+
+  it('lists the objects directly under a prefix over every page', async () => {
+    for (const key of ['a.json', 'b.json', 'c.json', 'd.json', 'e.json', '.backups/a-backup.json']) {
+      await storage.write(key, '[]');
+    }
+
+    const root = await storage.list();
+    expect(root.map(object => object.key)).toEqual(['a.json', 'b.json', 'c.json', 'd.json', 'e.json']);
+    expect(root[0]).toMatchObject({ size: 2, lastModified: expect.any(Date) });
+    expect(bucket.commands.filter(command => command instanceof storage.sdk.ListObjectsV2Command)).toHaveLength(3);
+    expect((await storage.list('.backups/')).map(object => object.key)).toEqual(['.backups/a-backup.json']);
+    expect(await storage.list('.shards/none/')).toEqual([]);
+  });
+
+  it('deletes objects and reports whether they existed', async () => {
+    await storage.write('login.json', '[]');
+
+    expect(await storage.delete('login.json')).toBe(true);
+    expect(await storage.delete('login.json')).toBe(false);
+    expect(bucket.objects.size).toBe(0);
+  });
+
+  it('deletes every object under a folder prefix', async () => {
+    for (const key of ['.shards/login/1.json', '.shards/login/2.json', '.shards/login/3.json', '.shards/logout/1.json']) {
+      await storage.write(key, '[]');
+    }
+
+    expect(await storage.deletePrefix('.shards/login/')).toBe(3);
+    expect([...bucket.objects.keys()]).toEqual(['ci/results/.shards/logout/1.json']);
+  });
+
+  it('copies objects and reports a missing source as ENOENT', async () => {
+    await storage.write('my report.json', '[1]');
+
+    await storage.copy('my report.json', '.backups/my report-backup.json');
+
+    expect((await storage.read('.backups/my report-backup.json')).toString()).toBe('[1]');
+    await expect(storage.copy('missing.json', 'other.json')).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+
+  it('runs updates of the same key one after another', async () => {
+    await Promise.all([1, 2, 3].map(n => storage.updateJson('.pinned-reports.json', [], records => {
+      records.push(n);
+    })));
+
+    expect((await storage.readJson('.pinned-reports.json')).sort()).toEqual([1, 2, 3]);
+  });
+});
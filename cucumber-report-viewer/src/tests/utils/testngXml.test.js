@@ -0,0 +1,78 @@
+const { isTestNGXml, convertTestNGXml } = require('../../utils/testngXml');
+
+const RESULTS = `<?xml version="1.0" encoding="UTF-8"?>
+<testng-results total="4" passed="1" failed="1" skipped="1">
+  <suite name="Payments Suite" started-at="2024-01-15T10:30:00 UTC">
+    <groups>
+      <group name="smoke">
+        <method signature="charge()" name="charge" class="com.acme.PaymentTest"/>
+      </group>
+    </groups>
+    <test name="API" started-at="2024-01-15T10:30:00 UTC">
+      <class name="com.acme.PaymentTest">
+        <test-method status="PASS" signature="setUp()[pri:0, instance:x]" name="setUp" is-config="true" duration-ms="5"/>
+        <test-method status="PASS" signature="charge(java.lang.String, int)[pri:0, instance:x]" name="charge" duration-ms="1200" description="Charges a card" groups="regression">
+          <params>
+            <param index="0"><value><![CDATA[EUR]]></value></param>
+            <param index="1"><value is-null="true"></value></param>
+          </params>
+          <reporter-output><line><![CDATA[charged]]></line></reporter-output>
+        </test-method>
+        <test-method status="FAIL" signature="refund()[pri:0, instance:x]" name="refund" duration-ms="30">
+          <exception class="java.lang.AssertionError">
+            <message><![CDATA[expected refund]]></message>
+            <full-stacktrace><![CDATA[java.lang.AssertionError: expected refund
+	at com.acme.PaymentTest.refund(PaymentTest.java:20)]]></full-stacktrace>
+          </exception>
+        </test-method>
+        <test-method status="SKIP" signature="void()[pri:0, instance:x]" name="voidPayment" duration-ms="2">
+          <exception class="org.testng.SkipException"><message><![CDATA[depends on refund]]></message></exception>
+        </test-method>
+        <test-method status="FAIL" signature="tearDown()[pri:0, instance:x]" name="tearDown" is-config="true" duration-ms="1"/>
+      </class>
+    </test>
+  </suite>
+</testng-results>`;
+
+describe('isTestNGXml', () => {
+  it('recognises the testng-results root only', () => {
+    expect(isTestNGXml(RESULTS)).toBe(true);
+    expect(isTestNGXml('<testsuites/>')).toBe(false);
+  });
+});
+
+describe('convertTestNGXml', () => {
+  const [feature] = convertTestNGXml(RESULTS);
+  const byName = name => feature.elements.find(element => element.name.startsWith(name));
+
+  it('turns each class of a test into a feature', () => {
+    expect(feature.name).toBe('com.acme.PaymentTest');
+    expect(feature.keyword).toBe('Test Class');
+    expect(feature.description).toBe('Suite: Payments Suite\nTest: API');
+    expect(feature.metadata).toEqual({ tool: 'TestNG', timestamp: '2024-01-15T10:30:00.000Z' });
+  });
+
+  it('keeps failed configuration methods only', () => {
+    expect(feature.elements.map(element => element.name)).toEqual(['charge (EUR, null)', 'refund', 'voidPayment', 'tearDown']);
+    expect(byName('tearDown').keyword).toBe('Configuration Method');
+  });
+
+  it('maps statuses, durations, groups and reporter output', () => {
+    const charge = byName('charge');
+    expect(charge.tags.map(tag => tag.name).sort()).toEqual(['@regression', '@smoke']);
+    expect(charge.steps[0].name).toBe('com.acme.PaymentTest.charge(java.lang.String, int)');
+    expect(charge.steps[0].result).toEqual({ status: 'passed', duration: 1200000000 });
+    expect(charge.steps[0].output).toEqual(['charged']);
+  });
+
+  it('keeps the stack trace of failures and the reason of skips', () => {
+    expect(byName('refund').steps[0].result.error_message).toMatch(/^java\.lang\.AssertionError: expected refund\n/);
+    expect(byName('voidPayment').steps[0].result).toEqual({ status: 'skipped', duration: 0 });
+    expect(byName('voidPayment').steps[0].output).toEqual(['Skipped: org.testng.SkipException: depends on refund']);
+  });
+
+  it('rejects other roots and reports without test methods', () => {
+    expect(() => convertTestNGXml('<testsuites/>')).toThrow(/expected <testng-results>/);
+    expect(() => convertTestNGXml('<testng-results><suite name="s"/></testng-results>')).toThrow(/no test methods/);
+  });
+});
@@ -21,6 +21,15 @@ class TestStatusCalculator {
       return { status: 'unknown', reason: 'Scenario is null or undefined' };
     }
 
+    // Marked when a rerun is merged into the run (see src/utils/reruns.js)
+    if (scenario.flaky) {
+      return {
+        status: 'flaky',
+        reason: `Failed, then passed on attempt ${(scenario.attempts || []).length + 1}`,
+        details: { attempts: (scenario.attempts || []).length + 1 }
+      };
+    }
+
     const result = {
       status: 'unknown',
       reason: '',
@@ -82,6 +91,7 @@ class TestStatusCalculator {
     let passed = 0;
     let failed = 0;
     let skipped = 0;
+    let flaky = 0;
     let errors = 0;
 
     scenarios.forEach(scenario => {
@@ -90,6 +100,7 @@ class TestStatusCalculator {
         case 'passed': passed++; break;
         case 'failed': failed++; break;
         case 'skipped': skipped++; break;
+        case 'flaky': flaky++; break;
         default: errors++; break;
       }
     });
@@ -107,12 +118,15 @@ class TestStatusCalculator {
     } else if (passed === scenarios.length) {
       status = 'passed';
       reason = 'All scenarios passed';
+    } else if (passed + flaky === scenarios.length) {
+      status = 'flaky';
+      reason = `${flaky} of ${scenarios.length} scenarios passed only on retry`;
     } else {
       status = 'mixed';
-      reason = `${passed} passed, ${failed} failed, ${skipped} skipped`;
+      reason = `${passed} passed, ${failed} failed, ${skipped} skipped, ${flaky} flaky`;
     }
 
-    return { status, reason, counts: { passed, failed, skipped, errors, total: scenarios.length } };
+    return { status, reason, counts: { passed, failed, skipped, flaky, errors, total: scenarios.length } };
   }
 
   /**
@@ -0,0 +1,281 @@
+/**
+ * Allure Results
+ * Converts an Allure results directory (allure-results/: *-result.json, *-container.json and
+ * attachment files) into Cucumber JSON features, so suites reporting to Allure can be uploaded
+ * without running an Allure server.
+ *
+ *   feature label (else suite, parentSuite, testClass, package) -> feature; epic in its description
+ *   result                  -> scenario; parameters appended to its name
+ *   tag, story, epic, severity labels -> scenario tags (@smoke, @story:Login, ...)
+ *   steps                   -> steps ("Given ..." names keep their keyword; nested steps follow their parent)
+ *   container befores/afters -> before/after hooks of each child result
+ *   attachments             -> base64 embeddings of the step (test attachments: of the last step)
+ *   results with the same historyId -> retries: earlier ones become attempts, and a pass after a failure is flaky
+ */
+
+const RESULT_FILE = /-result\.json$/i;
+const CONTAINER_FILE = /-container\.json$/i;
+
+// Allure status -> Cucumber JSON step status; broken means an unexpected exception
+const STATUSES = {
+  passed: 'passed',
+  failed: 'failed',
+  broken: 'failed',
+  skipped: 'skipped',
+  unknown: 'undefined'
+};
+
+const GHERKIN_STEP = /^(Given|When|Then|And|But|\*)\s+([\s\S]+)$/;
+
+// Labels that name the feature, in order of preference
+const FEATURE_LABELS = ['feature', 'suite', 'parentSuite', 'testClass', 'package'];
+
+// Labels kept as scenario tags, and the prefix of each
+const TAG_LABELS = { tag: '', story: 'story:', epic: 'epic:', severity: 'severity:' };
+
+function slug(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, '-');
+}
+
+function basename(name) {
+  return name.split('/').pop();
+}
+
+function label(result, name) {
+  const found = (result.labels || []).find(entry => entry.name === name && entry.value);
+  return found ? String(found.value) : null;
+}
+
+function toIsoString(epochMs) {
+  return Number.isFinite(epochMs) ? new Date(epochMs).toISOString() : null;
+}
+
+function isFailure(status) {
+  return status === 'failed' || status === 'broken';
+}
+
+/**
+ * Cucumber JSON result of a result, step or fixture
+ */
+function toResult(item) {
+  const status = STATUSES[item.status] || 'undefined';
+  const elapsed = Number(item.stop) - Number(item.start);
+  const result = {
+    status,
+    // No duration for skipped steps: normalizeReportFormat treats skipped steps with a duration as passed
+    duration: status !== 'skipped' && elapsed > 0 ? Math.round(elapsed * 1e6) : 0
+  };
+
+  const { message, trace } = item.statusDetails || {};
+  if (isFailure(item.status) && (message || trace)) {
+    result.error_message = !trace || !message || trace.includes(message) ? (trace || message) : `${message}\n${trace}`;
+  }
+
+  return result;
+}
+
+function toEmbeddings(attachments, files) {
+  return (attachments || [])
+    .filter(attachment => files.has(attachment.source))
+    .map(attachment => ({
+      data: files.get(attachment.source).toString('base64'),
+      mime_type: attachment.type || 'application/octet-stream',
+      name: attachment.name || attachment.source
+    }));
+}
+
+/**
+ * Cucumber JSON steps of Allure steps; nested steps follow their parent, marked with ↳
+ */
+function toSteps(steps, files, depth = 0) {
+  return (steps || []).flatMap(step => {
+    const gherkin = depth === 0 && GHERKIN_STEP.exec(step.name || '');
+    const embeddings = toEmbeddings(step.attachments, files);
+    const converted = {
+      keyword: gherkin ? `${gherkin[1]} ` : (depth === 0 ? 'Step ' : `${'  '.repeat(depth)}↳ `),
+      name: gherkin ? gherkin[2] : (step.name || 'Step'),
+      result: toResult(step),
+      ...(embeddings.length > 0 ? { embeddings } : {})
+    };
+
+    return [converted, ...toSteps(step.steps, files, depth + 1)];
+  });
+}
+
+function toHook(fixture, files) {
+  const embeddings = toEmbeddings(fixture.attachments, files);
+  return {
+    match: { location: fixture.name || 'fixture' },
+    result: toResult(fixture),
+    ...(embeddings.length > 0 ? { embeddings } : {})
+  };
+}
+
+function tagsOf(result) {
+  const tags = (result.labels || [])
+    .filter(entry => entry.value && TAG_LABELS[entry.name] !== undefined)
+    .map(entry => {
+      const value = String(entry.value).replace(/^@/, '').replace(/\s+/g, '_');
+      return `@${TAG_LABELS[entry.name]}${value}`;
+    });
+
+  return [...new Set(tags)].map(name => ({ name }));
+}
+
+function scenarioName(result) {
+  const parameters = (result.parameters || [])
+    .filter(parameter => !parameter.excluded && parameter.mode !== 'hidden')
+    .map(parameter => `${parameter.name}=${parameter.mode === 'masked' ? '******' : parameter.value}`);
+  const name = result.name || result.fullName || 'Test';
+
+  return parameters.length > 0 ? `${name} (${parameters.join(', ')})` : name;
+}
+
+function toScenario(result, index, featureId, fixtures, files) {
+  const testResult = toResult(result);
+  const steps = toSteps(result.steps, files);
+
+  // A test without steps, or failing outside of its steps, gets a step holding its own result
+  if (steps.length === 0 || (isFailure(result.status) && !steps.some(step => step.result.status === 'failed'))) {
+    steps.push({
+      keyword: 'Run ',
+      name: result.fullName || result.name || 'Test',
+      result: steps.length === 0 ? testResult : { ...testResult, duration: 0 }
+    });
+  }
+
+  const embeddings = toEmbeddings(result.attachments, files);
+  if (embeddings.length > 0) {
+    const lastStep = steps[steps.length - 1];
+    lastStep.embeddings = [...(lastStep.embeddings || []), ...embeddings];
+  }
+
+  const name = scenarioName(result);
+  const hooks = fixtures.get(result.uuid) || { before: [], after: [] };
+
+  return {
+    id: `${featureId};${slug(name)}`,
+    keyword: 'Test',
+    name,
+    description: result.description || '',
+    line: index + 1,
+    type: 'scenario',
+    start_timestamp: toIsoString(result.start),
+    tags: tagsOf(result),
+    before: hooks.before.map(fixture => toHook(fixture, files)),
+    steps,
+    after: hooks.after.map(fixture => toHook(fixture, files))
+  };
+}
+
+/**
+ * Before and after fixtures of every result, from the containers: result uuid -> { before, after }
+ */
+function fixturesByResult(containers) {
+  const fixtures = new Map();
+
+  containers.forEach(container => {
+    (container.children || []).forEach(uuid => {
+      if (!fixtures.has(uuid)) fixtures.set(uuid, { before: [], after: [] });
+      fixtures.get(uuid).before.push(...(container.befores || []));
+      fixtures.get(uuid).after.push(...(container.afters || []));
+    });
+  });
+
+  return fixtures;
+}
+
+/**
+ * Scenarios of one feature's results. Results sharing a historyId are retries of one test:
+ * the latest is the scenario and the earlier ones its attempts.
+ */
+function toScenarios(results, featureId, fixtures, files) {
+  const byTest = new Map();
+  results.slice().sort((a, b) => (a.start || 0) - (b.start || 0)).forEach(result => {
+    const key = result.historyId || result.testCaseId || result.fullName || result.uuid;
+    if (!byTest.has(key)) byTest.set(key, []);
+    byTest.get(key).push(result);
+  });
+
+  return Array.from(byTest.values()).map((runs, index) => {
+    const latest = runs[runs.length - 1];
+    const scenario = toScenario(latest, index, featureId, fixtures, files);
+
+    if (runs.length > 1) {
+      scenario.attempts = runs.slice(0, -1).map(run => toScenario(run, index, featureId, fixtures, files));
+      if (latest.status === 'passed' && runs.slice(0, -1).some(run => isFailure(run.status))) {
+        scenario.flaky = true;
+      }
+    }
+
+    return scenario;
+  });
+}
+
+function parseJsonFile(file) {
+  try {
+    return JSON.parse(file.data.toString('utf8').replace(/^﻿/, ''));
+  } catch (error) {
+    throw new Error(`${file.name} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Whether a set of files is an Allure results directory: it has at least one *-result.json
+ * @param {string[]} names - File names, with or without directories
+ */
+function isAllureResults(names) {
+  return names.some(name => RESULT_FILE.test(basename(name)));
+}
+
+/**
+ * Convert the files of an Allure results directory into Cucumber JSON features
+ * @param {Array<{ name: string, data: Buffer }>} files - Every file of the directory; attachments are
+ *   found by name, other files (executor.json, categories.json, history/...) are ignored
+ * @returns {Array} Cucumber JSON features, one per feature label
+ * @throws {Error} When there is no result file or one is not valid JSON
+ */
+function convertAllureResults(files) {
+  const byName = new Map(files.map(file => [basename(file.name), file.data]));
+  const results = files.filter(file => RESULT_FILE.test(basename(file.name))).map(parseJsonFile);
+  const containers = files.filter(file => CONTAINER_FILE.test(basename(file.name))).map(parseJsonFile);
+
+  if (results.length === 0) {
+    throw new Error('No Allure *-result.json files found');
+  }
+
+  const fixtures = fixturesByResult(containers);
+  const byFeature = new Map();
+  results.forEach(result => {
+    const name = FEATURE_LABELS.map(labelName => label(result, labelName)).find(Boolean) || 'Allure results';
+    if (!byFeature.has(name)) byFeature.set(name, []);
+    byFeature.get(name).push(result);
+  });
+
+  return Array.from(byFeature.entries()).map(([name, featureResults]) => {
+    const featureId = slug(name);
+    const epic = featureResults.map(result => label(result, 'epic')).find(Boolean);
+    const starts = featureResults.map(result => Number(result.start)).filter(Number.isFinite);
+    const framework = featureResults.map(result => label(result, 'framework')).find(Boolean);
+
+    return {
+      id: featureId,
+      uri: name,
+      keyword: 'Feature',
+      name,
+      description: epic ? `Epic: ${epic}` : '',
+      line: 1,
+      tags: [],
+      elements: toScenarios(featureResults, featureId, fixtures, byName),
+      metadata: {
+        tool: framework ? `Allure (${framework})` : 'Allure',
+        timestamp: starts.length > 0 ? toIsoString(Math.min(...starts)) : null
+      }
+    };
+  });
+}
+
+module.exports = {
+  isAllureResults,
+  convertAllureResults
+};
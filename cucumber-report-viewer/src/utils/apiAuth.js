@@ -0,0 +1,116 @@
+/**
+ * API Authentication
+ * Token-based authentication with viewer/uploader/admin roles for the Express server
+ */
+
+const crypto = require('crypto');
+
+// Higher roles include every permission of the lower ones
+const ROLE_LEVELS = {
+  viewer: 1,
+  uploader: 2,
+  admin: 3
+};
+
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+class ApiAuth {
+  /**
+   * @param {Array<{token: string, role: string, name?: string}>} tokens
+   */
+  constructor(tokens = []) {
+    this.tokens = tokens.map(entry => {
+      if (!entry.token || !ROLE_LEVELS[entry.role]) {
+        throw new Error(`Invalid API token entry for "${entry.name || 'unnamed'}": token and a role of ${Object.keys(ROLE_LEVELS).join('/')} are required`);
+      }
+
+      return {
+        name: entry.name || entry.role,
+        role: entry.role,
+        digest: digest(entry.token)
+      };
+    });
+  }
+
+  /**
+   * Authentication is only enforced once at least one token is configured
+   */
+  get enabled() {
+    return this.tokens.length > 0;
+  }
+
+  /**
+   * Read the token from "Authorization: Bearer <token>" or "X-API-Token: <token>".
+   * With allowQueryToken, "?token=<token>" is accepted too, for clients that can't set headers (EventSource).
+   */
+  extractToken(req, allowQueryToken = false) {
+    const header = req.get('authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (match) return match[1].trim();
+
+    if (req.get('x-api-token')) return req.get('x-api-token');
+
+    return allowQueryToken && typeof req.query.token === 'string' ? req.query.token : null;
+  }
+
+  /**
+   * Resolve the caller for a request, or null if the token is missing or unknown
+   */
+  authenticate(req, allowQueryToken = false) {
+    const token = this.extractToken(req, allowQueryToken);
+    if (!token) return null;
+
+    const tokenDigest = digest(token);
+    const match = this.tokens.find(entry => crypto.timingSafeEqual(entry.digest, tokenDigest));
+
+    return match ? { name: match.name, role: match.role } : null;
+  }
+
+  hasRole(user, requiredRole) {
+    return Boolean(user) && ROLE_LEVELS[user.role] >= ROLE_LEVELS[requiredRole];
+  }
+
+  /**
+   * Express middleware enforcing a minimum role for a route
+   * @param {string} requiredRole - viewer, uploader or admin
+   * @param {Object} [options]
+   * @param {boolean} [options.allowQueryToken] - Also accept ?token=, only for routes browsers can't send headers to
+   */
+  requireRole(requiredRole, options = {}) {
+    if (!ROLE_LEVELS[requiredRole]) {
+      throw new Error(`Unknown role: ${requiredRole}`);
+    }
+
+    return (req, res, next) => {
+      if (!this.enabled) {
+        req.apiUser = { name: 'anonymous', role: 'admin' };
+        return next();
+      }
+
+      const user = this.authenticate(req, Boolean(options.allowQueryToken));
+
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication required: provide a valid API token'
+        });
+      }
+
+      if (!this.hasRole(user, requiredRole)) {
+        return res.status(403).json({
+          success: false,
+          error: `Forbidden: ${requiredRole} role required (token has ${user.role})`
+        });
+      }
+
+      req.apiUser = user;
+      next();
+    };
+  }
+}
+
+ApiAuth.ROLES = Object.keys(ROLE_LEVELS);
+
+module.exports = ApiAuth;
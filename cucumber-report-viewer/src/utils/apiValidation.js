@@ -0,0 +1,244 @@
+/**
+ * API Validation
+ * Checks requests against the OpenAPI document (src/utils/openapi.js) with Ajv, optionally
+ * checks responses too, and gives every API failure the same { success: false, error, details? } body.
+ */
+
+const Ajv = require('ajv');
+const { toList } = require('./reportQuery');
+
+const DOCUMENT_ID = 'openapi.json';
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+function escapePointer(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Send the uniform error body
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} error - Human readable message
+ * @param {Array} [details] - Individual validation failures: { in, path, message }
+ */
+function sendError(res, status, error, details) {
+  return res.status(status).json({
+    success: false,
+    error,
+    ...(details && details.length > 0 ? { details } : {})
+  });
+}
+
+class ApiValidator {
+  /**
+   * @param {Object} document - OpenAPI 3.0 document
+   * @param {Object} [options]
+   * @param {boolean} [options.validateResponses] - Log responses that don't match the document
+   */
+  constructor(document, options = {}) {
+    this.document = document;
+    this.validateResponses = Boolean(options.validateResponses);
+
+    // Query strings and path params are text, so their validator converts "2" to 2 (on a copy)
+    const ajvOptions = { allErrors: true, strict: false, validateFormats: false, verbose: true };
+    this.ajv = new Ajv(ajvOptions);
+    this.coercingAjv = new Ajv({ ...ajvOptions, coerceTypes: true });
+    this.ajv.addSchema(document, DOCUMENT_ID);
+    this.coercingAjv.addSchema(document, DOCUMENT_ID);
+
+    this.operations = new Map();
+    Object.entries(document.paths).forEach(([path, pathItem]) => {
+      HTTP_METHODS.filter(method => pathItem[method]).forEach(method => {
+        const operation = pathItem[method];
+        this.operations.set(operation.operationId, {
+          method,
+          path,
+          operation,
+          pointer: `#/paths/${escapePointer(path)}/${method}`
+        });
+      });
+    });
+
+    this.requestValidators = new Map();
+    this.responseValidators = new Map();
+  }
+
+  /**
+   * Look up an operation by operationId
+   * @throws {Error} For ids that are not in the document, so typos fail at startup
+   */
+  getOperation(operationId) {
+    const entry = this.operations.get(operationId);
+    if (!entry) {
+      throw new Error(`Unknown API operation: ${operationId}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Express middleware that validates the path params, query string and JSON body of one operation
+   * @param {string} operationId - operationId from the OpenAPI document
+   */
+  validate(operationId) {
+    const validators = this.compileRequest(operationId);
+
+    return (req, res, next) => {
+      const details = [
+        ...this.check(validators.path, req.params, 'path'),
+        ...this.check(validators.query, this.queryValues(validators.listParameters, req.query), 'query'),
+        ...(validators.body && req.is('json') ? this.check(validators.body, req.body, 'body') : [])
+      ];
+
+      if (details.length > 0) {
+        const summary = details.map(detail => `${detail.in}${detail.path} ${detail.message}`).join('; ');
+        return sendError(res, 400, `Invalid request: ${summary}`, details);
+      }
+
+      if (this.validateResponses) {
+        this.watchResponse(operationId, req, res);
+      }
+      next();
+    };
+  }
+
+  compileRequest(operationId) {
+    if (this.requestValidators.has(operationId)) {
+      return this.requestValidators.get(operationId);
+    }
+
+    const { operation, pointer } = this.getOperation(operationId);
+    const parameters = operation.parameters || [];
+
+    const compileLocation = location => {
+      const schema = { type: 'object', properties: {}, required: [] };
+      parameters.forEach((parameter, i) => {
+        if (parameter.in !== location) return;
+        schema.properties[parameter.name] = { $ref: `${DOCUMENT_ID}${pointer}/parameters/${i}/schema` };
+        if (parameter.required) schema.required.push(parameter.name);
+      });
+      return this.coercingAjv.compile(schema);
+    };
+
+    const jsonBody = operation.requestBody && operation.requestBody.content['application/json'];
+
+    const validators = {
+      path: compileLocation('path'),
+      query: compileLocation('query'),
+      listParameters: parameters
+        .filter(parameter => parameter.in === 'query' && parameter.schema.type === 'array')
+        .map(parameter => parameter.name),
+      body: jsonBody
+        ? this.ajv.compile({ $ref: `${DOCUMENT_ID}${pointer}/requestBody/content/application~1json/schema` })
+        : null
+    };
+
+    this.requestValidators.set(operationId, validators);
+    return validators;
+  }
+
+  /**
+   * Copy of req.query as the schema sees it: lists split on commas, empty values left out
+   */
+  queryValues(listParameters, query) {
+    const values = {};
+    Object.entries(query).forEach(([name, value]) => {
+      if (value === '') return;
+      values[name] = listParameters.includes(name) ? toList(value) : value;
+    });
+    return values;
+  }
+
+  check(validate, data, location) {
+    if (validate(data)) return [];
+
+    // A failed anyOf/oneOf follows the errors of each of its branches; report just its summary
+    const errors = [];
+    validate.errors.forEach(error => {
+      if (error.keyword === 'anyOf' || error.keyword === 'oneOf') {
+        const isBranchError = previous => previous.instancePath === error.instancePath ||
+          previous.instancePath.startsWith(`${error.instancePath}/`);
+        while (errors.length > 0 && isBranchError(errors[errors.length - 1])) {
+          errors.pop();
+        }
+
+        const description = error.parentSchema && error.parentSchema.description;
+        errors.push({ ...error, message: description ? `must be ${description}` : error.message });
+      } else {
+        errors.push(error);
+      }
+    });
+
+    return errors.map(error => ({ in: location, path: error.instancePath, message: error.message }));
+  }
+
+  /**
+   * Log JSON responses that don't match the documented schema for their status code
+   */
+  watchResponse(operationId, req, res) {
+    const json = res.json.bind(res);
+
+    res.json = body => {
+      try {
+        const validate = this.compileResponse(operationId, res.statusCode);
+        if (validate && !validate(body)) {
+          console.warn(`⚠️  ${req.method} ${req.originalUrl} → ${res.statusCode} does not match the API contract: ${this.ajv.errorsText(validate.errors)}`);
+        }
+      } catch (error) {
+        // A broken response schema is a contract bug; it must not fail the request
+        console.warn(`⚠️  Could not check the ${operationId} response: ${error.message}`);
+      }
+      return json(body);
+    };
+  }
+
+  compileResponse(operationId, statusCode) {
+    const key = `${operationId} ${statusCode}`;
+    if (!this.responseValidators.has(key)) {
+      const { operation, pointer } = this.getOperation(operationId);
+      const status = operation.responses[statusCode] ? String(statusCode) : 'default';
+      const response = operation.responses[status];
+
+      this.responseValidators.set(key, response && response.content && response.content['application/json']
+        ? this.ajv.compile({ $ref: `${DOCUMENT_ID}${pointer}/responses/${status}/content/application~1json/schema` })
+        : null);
+    }
+    return this.responseValidators.get(key);
+  }
+}
+
+/**
+ * Fallback for /api paths without a route
+ */
+function notFoundHandler(req, res) {
+  sendError(res, 404, `No API route for ${req.method} ${req.originalUrl.split('?')[0]}`);
+}
+
+/**
+ * Last Express error handler: unreadable JSON bodies, oversized bodies and errors passed to next()
+ */
+function errorHandler(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  const status = error.status || error.statusCode || 500;
+  let message = error.message;
+  if (error.type === 'entity.parse.failed') {
+    message = `Request body is not valid JSON: ${error.message}`;
+  } else if (error.type === 'entity.too.large') {
+    message = `Request body is larger than the ${Math.round(error.limit / 1024 / 1024)} MB limit`;
+  }
+
+  if (status >= 500) {
+    console.error(`❌ ${req.method} ${req.originalUrl} failed:`, error);
+  }
+
+  sendError(res, status, message);
+}
+
+module.exports = {
+  ApiValidator,
+  sendError,
+  notFoundHandler,
+  errorHandler
+};
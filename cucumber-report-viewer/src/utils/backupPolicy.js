@@ -0,0 +1,70 @@
+/**
+ * Backup Policy
+ * Naming of the .backups/ copies written before hard deletes, and which of them to remove.
+ * Shared by DeletionUtils (server) and cleanup-reports.js, so both keep the same backups.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const BACKUP_PREFIX = '.backups/';
+
+// <report file without .json>-backup-<ISO timestamp with : and . replaced by ->.json
+const BACKUP_NAME = /^(.+)-backup-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)\.json$/;
+
+/**
+ * Backup file name for a report deleted at the given time
+ */
+function backupNameFor(filename, date = new Date()) {
+  const timestamp = date.toISOString().replace(/[:.]/g, '-');
+  return `${filename.replace(/\.json$/, '')}-backup-${timestamp}.json`;
+}
+
+/**
+ * Split a backup file name into the report it belongs to and when it was taken
+ * @param {string} name - File name inside .backups/ (without the prefix)
+ * @returns {Object|null} { backup, filename, reportId, createdAt }, or null for other files
+ */
+function parseBackupName(name) {
+  const match = BACKUP_NAME.exec(name);
+  if (!match) return null;
+
+  const [, reportId, timestamp] = match;
+  const createdAt = timestamp.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+  return { backup: name, filename: `${reportId}.json`, reportId, createdAt };
+}
+
+/**
+ * Backups the policy removes: everything past the newest keepCount, and everything older than keepDays
+ * @param {Array} backups - { name, lastModified } for each file in .backups/
+ * @param {Object} policy - See DEFAULTS.backups in serverConfig
+ * @param {Date} [now]
+ * @returns {Array} The entries of backups to delete, with a reason
+ */
+function planBackupCleanup(backups, policy, now = new Date()) {
+  const cutoff = policy.keepDays ? now.getTime() - policy.keepDays * DAY_MS : null;
+  const time = backup => {
+    const parsed = parseBackupName(backup.name);
+    return parsed ? new Date(parsed.createdAt).getTime() : new Date(backup.lastModified).getTime();
+  };
+
+  return backups
+    .slice()
+    .sort((a, b) => time(b) - time(a))
+    .map((backup, position) => {
+      if (policy.keepCount && position >= policy.keepCount) {
+        return { ...backup, reason: `not one of the newest ${policy.keepCount} backups` };
+      }
+      if (cutoff !== null && time(backup) < cutoff) {
+        return { ...backup, reason: `older than ${policy.keepDays} days` };
+      }
+      return null;
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  BACKUP_PREFIX,
+  backupNameFor,
+  parseBackupName,
+  planBackupCleanup
+};
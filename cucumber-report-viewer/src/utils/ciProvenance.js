@@ -0,0 +1,203 @@
+/**
+ * CI Provenance
+ * Where a report came from: the CI provider, repository, branch, commit, build number and pipeline URL.
+ * Shared by the upload routes (body field or X-CI-* headers) and publish-report.js (CI environment variables).
+ */
+
+const PROVENANCE_FIELDS = ['provider', 'repository', 'branch', 'commit', 'buildNumber', 'pipelineUrl'];
+
+// Longest value kept per field; pipeline URLs get more room than names and hashes
+const MAX_LENGTH = { pipelineUrl: 2000 };
+const DEFAULT_MAX_LENGTH = 200;
+
+// Upload headers, e.g. curl -H "X-CI-Branch: main" -H "X-CI-Commit: $GIT_COMMIT"
+const PROVENANCE_HEADERS = {
+  provider: 'X-CI-Provider',
+  repository: 'X-CI-Repository',
+  branch: 'X-CI-Branch',
+  commit: 'X-CI-Commit',
+  buildNumber: 'X-CI-Build-Number',
+  pipelineUrl: 'X-CI-Pipeline-Url'
+};
+
+// Environment variables of common CI providers, checked in order; detect tells whether the job runs there
+const CI_PROVIDERS = [
+  {
+    provider: 'github-actions',
+    detect: env => env.GITHUB_ACTIONS === 'true',
+    read: env => ({
+      repository: env.GITHUB_REPOSITORY,
+      // Pull request builds check out a merge ref; the head branch is the one people recognise
+      branch: env.GITHUB_HEAD_REF || env.GITHUB_REF_NAME,
+      commit: env.GITHUB_SHA,
+      buildNumber: env.GITHUB_RUN_NUMBER,
+      pipelineUrl: env.GITHUB_SERVER_URL && env.GITHUB_REPOSITORY && env.GITHUB_RUN_ID
+        ? `${env.GITHUB_SERVER_URL}/${env.GITHUB_REPOSITORY}/actions/runs/${env.GITHUB_RUN_ID}`
+        : undefined
+    })
+  },
+  {
+    provider: 'gitlab',
+    detect: env => env.GITLAB_CI === 'true',
+    read: env => ({
+      repository: env.CI_PROJECT_PATH,
+      branch: env.CI_MERGE_REQUEST_SOURCE_BRANCH_NAME || env.CI_COMMIT_REF_NAME,
+      commit: env.CI_COMMIT_SHA,
+      buildNumber: env.CI_PIPELINE_IID,
+      pipelineUrl: env.CI_PIPELINE_URL
+    })
+  },
+  {
+    provider: 'jenkins',
+    detect: env => Boolean(env.JENKINS_URL),
+    read: env => ({
+      repository: env.GIT_URL,
+      branch: env.CHANGE_BRANCH || env.BRANCH_NAME || (env.GIT_BRANCH && env.GIT_BRANCH.replace(/^origin\//, '')),
+      commit: env.GIT_COMMIT,
+      buildNumber: env.BUILD_NUMBER,
+      pipelineUrl: env.BUILD_URL
+    })
+  },
+  {
+    provider: 'circleci',
+    detect: env => env.CIRCLECI === 'true',
+    read: env => ({
+      repository: env.CIRCLE_PROJECT_USERNAME && env.CIRCLE_PROJECT_REPONAME
+        ? `${env.CIRCLE_PROJECT_USERNAME}/${env.CIRCLE_PROJECT_REPONAME}`
+        : undefined,
+      branch: env.CIRCLE_BRANCH,
+      commit: env.CIRCLE_SHA1,
+      buildNumber: env.CIRCLE_BUILD_NUM,
+      pipelineUrl: env.CIRCLE_BUILD_URL
+    })
+  },
+  {
+    provider: 'azure-pipelines',
+    detect: env => env.TF_BUILD === 'True' || env.TF_BUILD === 'true',
+    read: env => ({
+      repository: env.BUILD_REPOSITORY_NAME,
+      branch: (env.SYSTEM_PULLREQUEST_SOURCEBRANCH || env.BUILD_SOURCEBRANCH || '').replace(/^refs\/heads\//, '') ||
+        env.BUILD_SOURCEBRANCHNAME,
+      commit: env.BUILD_SOURCEVERSION,
+      buildNumber: env.BUILD_BUILDNUMBER,
+      pipelineUrl: env.SYSTEM_COLLECTIONURI && env.SYSTEM_TEAMPROJECT && env.BUILD_BUILDID
+        ? `${env.SYSTEM_COLLECTIONURI}${encodeURIComponent(env.SYSTEM_TEAMPROJECT)}/_build/results?buildId=${env.BUILD_BUILDID}`
+        : undefined
+    })
+  },
+  {
+    provider: 'bitbucket',
+    detect: env => Boolean(env.BITBUCKET_BUILD_NUMBER),
+    read: env => ({
+      repository: env.BITBUCKET_REPO_FULL_NAME,
+      branch: env.BITBUCKET_BRANCH,
+      commit: env.BITBUCKET_COMMIT,
+      buildNumber: env.BITBUCKET_BUILD_NUMBER,
+      pipelineUrl: env.BITBUCKET_REPO_FULL_NAME
+        ? `https://bitbucket.org/${env.BITBUCKET_REPO_FULL_NAME}/pipelines/results/${env.BITBUCKET_BUILD_NUMBER}`
+        : undefined
+    })
+  },
+  {
+    provider: 'buildkite',
+    detect: env => env.BUILDKITE === 'true',
+    read: env => ({
+      repository: env.BUILDKITE_REPO,
+      branch: env.BUILDKITE_BRANCH,
+      commit: env.BUILDKITE_COMMIT,
+      buildNumber: env.BUILDKITE_BUILD_NUMBER,
+      pipelineUrl: env.BUILDKITE_BUILD_URL
+    })
+  },
+  {
+    provider: 'travis',
+    detect: env => env.TRAVIS === 'true',
+    read: env => ({
+      repository: env.TRAVIS_REPO_SLUG,
+      branch: env.TRAVIS_PULL_REQUEST_BRANCH || env.TRAVIS_BRANCH,
+      commit: env.TRAVIS_COMMIT,
+      buildNumber: env.TRAVIS_BUILD_NUMBER,
+      pipelineUrl: env.TRAVIS_BUILD_WEB_URL
+    })
+  }
+];
+
+/**
+ * The URL if it is an absolute http(s) link, else null.
+ * The viewer renders pipelineUrl as a link, so javascript: and data: URLs must never be stored.
+ */
+function webUrl(text) {
+  try {
+    const { protocol } = new URL(text);
+    return protocol === 'http:' || protocol === 'https:' ? text : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Keep the known provenance fields as trimmed strings; build numbers may be sent as numbers.
+ * A pipelineUrl that is not an http(s) URL is dropped.
+ * @param {Object} [provenance]
+ * @returns {Object|null} The provenance, or null when no field has a value
+ */
+function normalizeProvenance(provenance) {
+  if (!provenance || typeof provenance !== 'object') return null;
+
+  const normalized = {};
+  PROVENANCE_FIELDS.forEach(field => {
+    const value = provenance[field];
+    if (typeof value !== 'string' && typeof value !== 'number') return;
+
+    let text = String(value).trim().slice(0, MAX_LENGTH[field] || DEFAULT_MAX_LENGTH);
+    if (field === 'pipelineUrl' && text) text = webUrl(text);
+    if (text) normalized[field] = text;
+  });
+
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Provenance sent as X-CI-* request headers
+ * @param {Object} headers - req.headers (lower-case names)
+ * @returns {Object|null}
+ */
+function provenanceFromHeaders(headers = {}) {
+  const provenance = {};
+  Object.entries(PROVENANCE_HEADERS).forEach(([field, header]) => {
+    provenance[field] = headers[header.toLowerCase()];
+  });
+  return normalizeProvenance(provenance);
+}
+
+/**
+ * Provenance of the CI job this process runs in, read from the provider's environment variables
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {Object|null} The provenance, or null outside a known CI provider
+ */
+function detectCiProvenance(env = process.env) {
+  const ci = CI_PROVIDERS.find(candidate => candidate.detect(env));
+  if (!ci) return null;
+
+  return normalizeProvenance({ provider: ci.provider, ...ci.read(env) });
+}
+
+/**
+ * Combine provenance from several sources; earlier sources win field by field
+ * @param {...Object} sources - Provenance objects, null for a missing source
+ * @returns {Object|null}
+ */
+function mergeProvenance(...sources) {
+  const merged = {};
+  sources.slice().reverse().forEach(source => Object.assign(merged, normalizeProvenance(source)));
+  return normalizeProvenance(merged);
+}
+
+module.exports = {
+  PROVENANCE_FIELDS,
+  PROVENANCE_HEADERS,
+  normalizeProvenance,
+  provenanceFromHeaders,
+  detectCiProvenance,
+  mergeProvenance
+};
@@ -0,0 +1,459 @@
+/**
+ * Cucumber Messages
+ * Builds Cucumber JSON features from a Cucumber Messages (NDJSON) stream, one envelope at a time,
+ * so a report can be rendered while the run that produces it is still going.
+ *
+ * Used by live run ingestion (POST /api/live-runs/:runId/messages) and for message file imports
+ * (.ndjson uploads, on the server and in ReportUploader), so it must not depend on Node.js.
+ */
+
+// Cucumber Messages TestStepResultStatus -> Cucumber JSON step status
+const STEP_STATUSES = {
+  PASSED: 'passed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+  PENDING: 'pending',
+  UNDEFINED: 'undefined',
+  AMBIGUOUS: 'ambiguous',
+  UNKNOWN: 'unknown'
+};
+
+function toNanoseconds(duration) {
+  if (!duration) return 0;
+  return Number(duration.seconds || 0) * 1e9 + Number(duration.nanos || 0);
+}
+
+function toIsoString(timestamp) {
+  if (!timestamp) return null;
+  return new Date(Number(timestamp.seconds || 0) * 1000 + Math.round(Number(timestamp.nanos || 0) / 1e6)).toISOString();
+}
+
+// Envelope properties of the Cucumber Messages protocol, used to recognise a message file
+const ENVELOPE_TYPES = [
+  'meta', 'source', 'gherkinDocument', 'pickle', 'stepDefinition', 'hook', 'parameterType',
+  'undefinedParameterType', 'parseError', 'testRunStarted', 'testCase', 'testCaseStarted',
+  'testStepStarted', 'testStepFinished', 'testCaseFinished', 'testRunFinished', 'attachment',
+  'testRunHookStarted', 'testRunHookFinished', 'suggestion'
+];
+
+// Attachments cucumber-js writes for this.log(): shown as step output, like its JSON formatter does
+const LOG_MEDIA_TYPE = 'text/x.cucumber.log+plain';
+
+function slug(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, '-');
+}
+
+function toBase64(text) {
+  if (typeof Buffer !== 'undefined') return Buffer.from(text, 'utf8').toString('base64');
+  return btoa(unescape(encodeURIComponent(text)));
+}
+
+/**
+ * Whether an attempt has a step that did not pass (skipped steps follow a failure or are skipped on purpose)
+ */
+function attemptFailed(attempt) {
+  return Array.from(attempt.results.values())
+    .some(result => result.status && result.status !== 'PASSED' && result.status !== 'SKIPPED');
+}
+
+/**
+ * Whether text is a Cucumber Messages NDJSON document: its first line is a message envelope
+ */
+function isCucumberMessages(text) {
+  const firstLine = String(text).replace(/^\uFEFF/, '').trimStart().split(/\r?\n/, 1)[0];
+  if (!firstLine.startsWith('{')) return false;
+
+  try {
+    const envelope = JSON.parse(firstLine);
+    return Boolean(envelope) && !Array.isArray(envelope) && ENVELOPE_TYPES.some(type => type in envelope);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parse NDJSON text into envelopes, reporting the line number of malformed lines
+ */
+function parseNdjson(text) {
+  return String(text)
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .reduce((envelopes, line, index) => {
+      if (!line.trim()) return envelopes;
+      try {
+        envelopes.push(JSON.parse(line));
+      } catch (error) {
+        throw new Error(`Line ${index + 1} is not valid JSON: ${error.message}`);
+      }
+      return envelopes;
+    }, []);
+}
+
+class CucumberMessagesConverter {
+  constructor() {
+    this.meta = null;
+    this.documents = [];
+    this.astNodes = new Map();
+    this.exampleRowNumbers = new Map();
+    this.pickles = new Map();
+    this.stepDefinitions = new Map();
+    this.hooks = new Map();
+    this.testCases = new Map();
+    this.testCaseByPickle = new Map();
+    this.attempts = new Map();
+    this.latestAttempt = new Map();
+    this.attemptHistory = new Map();
+    this.runStartedAt = null;
+    this.runFinishedAt = null;
+    this.success = null;
+    this.messageCount = 0;
+  }
+
+  /**
+   * True once testRunFinished has been received
+   */
+  get finished() {
+    return this.runFinishedAt !== null;
+  }
+
+  /**
+   * Add one NDJSON line; blank lines are ignored
+   */
+  addLine(line) {
+    if (!line.trim()) return;
+
+    let envelope;
+    try {
+      envelope = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Message ${this.messageCount + 1} is not valid JSON: ${error.message}`);
+    }
+    this.add(envelope);
+  }
+
+  /**
+   * Add one message envelope. Unknown message types are ignored so newer protocol versions still load.
+   */
+  add(envelope) {
+    if (!envelope || typeof envelope !== 'object' || Array.isArray(envelope)) {
+      throw new Error(`Message ${this.messageCount + 1} is not a Cucumber Messages envelope`);
+    }
+    this.messageCount++;
+
+    if (envelope.meta) this.meta = envelope.meta;
+    if (envelope.gherkinDocument) this.addGherkinDocument(envelope.gherkinDocument);
+    if (envelope.pickle) this.pickles.set(envelope.pickle.id, envelope.pickle);
+    if (envelope.stepDefinition) this.stepDefinitions.set(envelope.stepDefinition.id, envelope.stepDefinition);
+    if (envelope.hook) this.hooks.set(envelope.hook.id, envelope.hook);
+    if (envelope.testRunStarted) this.runStartedAt = toIsoString(envelope.testRunStarted.timestamp);
+
+    if (envelope.testCase) {
+      this.testCases.set(envelope.testCase.id, envelope.testCase);
+      this.testCaseByPickle.set(envelope.testCase.pickleId, envelope.testCase.id);
+    }
+
+    if (envelope.testCaseStarted) {
+      const { id, testCaseId, attempt, timestamp } = envelope.testCaseStarted;
+      this.attempts.set(id, {
+        testCaseId,
+        attempt: attempt || 0,
+        startedAt: toIsoString(timestamp),
+        finishedAt: null,
+        willBeRetried: false,
+        results: new Map(),
+        attachments: new Map()
+      });
+      // A retry replaces the previous attempt in the report; earlier ones are kept as its attempts
+      this.latestAttempt.set(testCaseId, id);
+      if (!this.attemptHistory.has(testCaseId)) this.attemptHistory.set(testCaseId, []);
+      this.attemptHistory.get(testCaseId).push(id);
+    }
+
+    if (envelope.testStepFinished) {
+      const { testCaseStartedId, testStepId, testStepResult } = envelope.testStepFinished;
+      const attempt = this.attempts.get(testCaseStartedId);
+      if (attempt) attempt.results.set(testStepId, testStepResult || {});
+    }
+
+    if (envelope.attachment) {
+      const attempt = this.attempts.get(envelope.attachment.testCaseStartedId);
+      if (attempt) {
+        const stepId = envelope.attachment.testStepId;
+        if (!attempt.attachments.has(stepId)) attempt.attachments.set(stepId, []);
+        attempt.attachments.get(stepId).push(envelope.attachment);
+      }
+    }
+
+    if (envelope.testCaseFinished) {
+      const attempt = this.attempts.get(envelope.testCaseFinished.testCaseStartedId);
+      if (attempt) {
+        attempt.finishedAt = toIsoString(envelope.testCaseFinished.timestamp);
+        attempt.willBeRetried = Boolean(envelope.testCaseFinished.willBeRetried);
+      }
+    }
+
+    if (envelope.testRunFinished) {
+      this.runFinishedAt = toIsoString(envelope.testRunFinished.timestamp) || new Date().toISOString();
+      this.success = envelope.testRunFinished.success !== false;
+    }
+  }
+
+  addGherkinDocument(document) {
+    this.documents.push(document);
+    if (!document.feature) return;
+
+    const register = node => this.astNodes.set(node.id, node);
+    document.feature.tags.forEach(register);
+
+    const addChildren = children => (children || []).forEach(child => {
+      const node = child.background || child.scenario;
+      if (node) {
+        register(node);
+        (node.steps || []).forEach(register);
+        (node.tags || []).forEach(register);
+        // Example rows are numbered across the outline's Examples tables, from 2 like cucumber-jvm (the header is row 1)
+        let rowNumber = 1;
+        (node.examples || []).forEach(examples => {
+          (examples.tags || []).forEach(register);
+          (examples.tableBody || []).forEach(row => {
+            register(row);
+            this.exampleRowNumbers.set(row.id, ++rowNumber);
+          });
+        });
+      }
+      if (child.rule) {
+        (child.rule.tags || []).forEach(register);
+        addChildren(child.rule.children);
+      }
+    });
+
+    addChildren(document.feature.children);
+  }
+
+  /**
+   * Scenario counts for a progress display. total is only known once every testCase has been sent.
+   */
+  progress() {
+    const progress = { total: this.testCases.size, started: 0, finished: 0, passed: 0, failed: 0 };
+
+    this.latestAttempt.forEach(attemptId => {
+      const attempt = this.attempts.get(attemptId);
+      progress.started++;
+      if (!attempt.finishedAt) return;
+
+      progress.finished++;
+      if (attemptFailed(attempt)) {
+        progress.failed++;
+      } else {
+        progress.passed++;
+      }
+    });
+
+    return progress;
+  }
+
+  /**
+   * Cucumber JSON features for every scenario that has started so far.
+   * Steps that have not finished yet have no result.
+   */
+  toFeatures() {
+    const features = [];
+
+    this.documents.forEach(document => {
+      if (!document.feature) return;
+
+      const elements = Array.from(this.pickles.values())
+        .filter(pickle => pickle.uri === document.uri)
+        .map(pickle => this.buildScenario(pickle, document))
+        .filter(Boolean);
+
+      if (elements.length === 0) return;
+
+      const { feature } = document;
+      features.push({
+        id: slug(feature.name),
+        uri: document.uri,
+        keyword: feature.keyword,
+        name: feature.name,
+        description: feature.description || '',
+        line: feature.location.line,
+        tags: feature.tags.map(tag => ({ name: tag.name, line: tag.location.line })),
+        metadata: this.buildMetadata(),
+        elements
+      });
+    });
+
+    return features;
+  }
+
+  buildMetadata() {
+    const metadata = { timestamp: this.runStartedAt };
+    if (this.meta) {
+      const { implementation, ci } = this.meta;
+      if (implementation) metadata.tool = `${implementation.name} ${implementation.version || ''}`.trim();
+      if (ci) metadata.environment = ci.name;
+    }
+    return metadata;
+  }
+
+  /**
+   * Scenario of a pickle's latest attempt. Earlier attempts of a retried scenario are kept in its
+   * attempts array, and one that passes after failing is flaky, as for merged rerun reports.
+   */
+  buildScenario(pickle, document) {
+    const testCaseId = this.testCaseByPickle.get(pickle.id);
+    const attempt = testCaseId && this.attempts.get(this.latestAttempt.get(testCaseId));
+    if (!attempt) return null;
+
+    const element = this.buildAttempt(pickle, document, attempt);
+    const earlier = this.attemptHistory.get(testCaseId).slice(0, -1).map(id => this.attempts.get(id));
+
+    if (earlier.length > 0) {
+      element.attempts = earlier.map(previous => this.buildAttempt(pickle, document, previous));
+      if (attempt.finishedAt && !attemptFailed(attempt) && earlier.some(attemptFailed)) {
+        element.flaky = true;
+      }
+    }
+
+    return element;
+  }
+
+  buildAttempt(pickle, document, attempt) {
+    const testCase = this.testCases.get(attempt.testCaseId);
+    const scenario = this.astNodes.get(pickle.astNodeIds[0]) || {};
+    const exampleRow = pickle.astNodeIds.length > 1 ? this.astNodes.get(pickle.astNodeIds[pickle.astNodeIds.length - 1]) : null;
+
+    // Every example row of an outline gets its own id, so reruns and shards replace the right one
+    const rowNumber = exampleRow && this.exampleRowNumbers.get(exampleRow.id);
+    const element = {
+      id: `${slug(document.feature.name)};${slug(scenario.name || pickle.name)}${rowNumber ? `;;${rowNumber}` : ''}`,
+      keyword: scenario.keyword || 'Scenario',
+      name: pickle.name,
+      description: scenario.description || '',
+      line: (exampleRow || scenario).location ? (exampleRow || scenario).location.line : null,
+      type: 'scenario',
+      start_timestamp: attempt.startedAt,
+      tags: pickle.tags.map(tag => {
+        const node = this.astNodes.get(tag.astNodeId);
+        return { name: tag.name, line: node ? node.location.line : null };
+      }),
+      before: [],
+      steps: [],
+      after: []
+    };
+
+    if (attempt.attempt > 0) element.retries = attempt.attempt;
+
+    let seenPickleStep = false;
+    testCase.testSteps.forEach(testStep => {
+      const result = attempt.results.get(testStep.id);
+      const { embeddings, output } = this.buildAttachments(attempt.attachments.get(testStep.id) || []);
+
+      if (testStep.pickleStepId) {
+        seenPickleStep = true;
+        element.steps.push(this.buildStep(pickle, testStep, result, embeddings, output));
+      } else {
+        const hook = this.hooks.get(testStep.hookId) || {};
+        const entry = {
+          match: { location: this.sourceLocation(hook.sourceReference) },
+          ...(result ? { result: this.buildResult(result) } : {})
+        };
+        if (hook.name) entry.name = hook.name;
+        if (embeddings.length > 0) entry.embeddings = embeddings;
+        if (output.length > 0) entry.output = output;
+        (seenPickleStep ? element.after : element.before).push(entry);
+      }
+    });
+
+    return element;
+  }
+
+  /**
+   * Cucumber JSON embeddings (base64 data) and output lines of a test step's attachments
+   */
+  buildAttachments(attachments) {
+    const embeddings = [];
+    const output = [];
+
+    attachments.forEach(attachment => {
+      const encoded = attachment.contentEncoding !== 'IDENTITY';
+      if (!encoded && attachment.mediaType === LOG_MEDIA_TYPE) {
+        output.push(attachment.body);
+        return;
+      }
+      embeddings.push({
+        data: encoded ? attachment.body : toBase64(attachment.body || ''),
+        mime_type: attachment.mediaType,
+        ...(attachment.fileName ? { name: attachment.fileName } : {})
+      });
+    });
+
+    return { embeddings, output };
+  }
+
+  buildStep(pickle, testStep, result, embeddings, output) {
+    const pickleStep = pickle.steps.find(step => step.id === testStep.pickleStepId) || {};
+    const gherkinStep = this.astNodes.get((pickleStep.astNodeIds || [])[0]) || {};
+    const definitionId = (testStep.stepDefinitionIds || [])[0];
+    const definition = definitionId && this.stepDefinitions.get(definitionId);
+
+    const step = {
+      keyword: gherkinStep.keyword || '',
+      name: pickleStep.text,
+      line: gherkinStep.location ? gherkinStep.location.line : null,
+      match: definition ? { location: this.sourceLocation(definition.sourceReference) } : {}
+    };
+
+    if (pickleStep.argument && pickleStep.argument.docString) {
+      const { content, mediaType } = pickleStep.argument.docString;
+      step.doc_string = { value: content, content_type: mediaType || '' };
+    }
+    if (pickleStep.argument && pickleStep.argument.dataTable) {
+      step.rows = pickleStep.argument.dataTable.rows.map(row => ({ cells: row.cells.map(cell => cell.value) }));
+    }
+
+    if (result) step.result = this.buildResult(result);
+    if (embeddings.length > 0) step.embeddings = embeddings;
+    if (output.length > 0) step.output = output;
+
+    return step;
+  }
+
+  buildResult(result) {
+    const converted = {
+      status: STEP_STATUSES[result.status] || 'unknown',
+      duration: toNanoseconds(result.duration)
+    };
+    const message = result.message || (result.exception && result.exception.message);
+    if (message) converted.error_message = message;
+    return converted;
+  }
+
+  sourceLocation(sourceReference) {
+    if (!sourceReference) return undefined;
+    const line = sourceReference.location ? `:${sourceReference.location.line}` : '';
+    if (sourceReference.uri) return `${sourceReference.uri}${line}`;
+    if (sourceReference.javaMethod) {
+      const { className, methodName } = sourceReference.javaMethod;
+      return `${className}.${methodName}`;
+    }
+    return undefined;
+  }
+}
+
+/**
+ * Convert a complete Cucumber Messages NDJSON document (or parsed envelopes) to Cucumber JSON features
+ */
+function convertMessages(input) {
+  const converter = new CucumberMessagesConverter();
+  const envelopes = Array.isArray(input) ? input : parseNdjson(input);
+  envelopes.forEach(envelope => converter.add(envelope));
+  return converter.toFeatures();
+}
+
+module.exports = {
+  CucumberMessagesConverter,
+  convertMessages,
+  isCucumberMessages,
+  parseNdjson
+};
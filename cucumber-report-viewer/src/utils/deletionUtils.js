@@ -3,14 +3,22 @@
  * Handles file deletion, soft delete marking, and index management
  */
 
-const fs = require('fs');
-const path = require('path');
+const { createStorage, ReportStorage } = require('./storage');
+const { BACKUP_PREFIX, backupNameFor, parseBackupName, planBackupCleanup } = require('./backupPolicy');
+const { DEFAULTS } = require('./serverConfig');
+
+const INDEX_KEY = 'index.json';
+const DELETED_REPORTS_KEY = '.deleted-reports.json';
 
 class DeletionUtils {
-  constructor(reportsDir) {
-    this.reportsDir = reportsDir || path.join(__dirname, '../../public/TestResultsJsons');
-    this.indexPath = path.join(this.reportsDir, 'index.json');
-    this.deletedReportsPath = path.join(this.reportsDir, '.deleted-reports.json');
+  /**
+   * @param {ReportStorage|string} [storage] - Storage backend, or a reports directory for filesystem storage
+   * @param {Object} [options]
+   * @param {Object} [options.backups] - Backup retention, defaults to DEFAULTS.backups in serverConfig
+   */
+  constructor(storage, options = {}) {
+    this.storage = storage instanceof ReportStorage ? storage : createStorage({ path: storage });
+    this.backupPolicy = options.backups || { ...DEFAULTS.backups };
   }
 
   /**
@@ -19,9 +27,7 @@ class DeletionUtils {
    */
   async deleteReportFile(filename) {
     try {
-      const filePath = path.join(this.reportsDir, filename);
-      
-      if (!fs.existsSync(filePath)) {
+      if (!(await this.storage.exists(filename))) {
         throw new Error(`Report file not found: ${filename}`);
       }
 
@@ -29,7 +35,7 @@ class DeletionUtils {
       await this.createBackup(filename);
       
       // Delete the file
-      fs.unlinkSync(filePath);
+      await this.storage.delete(filename);
       
       console.log(`✅ Hard deleted report file: ${filename}`);
       return {
@@ -47,13 +53,33 @@ class DeletionUtils {
   /**
    * Soft delete - mark report as deleted in metadata
    * Used for GitHub Pages compatibility
+   * @param {string} filename
+   * @param {Object} [details] - Stored with the record for the trash: deletedBy, reason, report (name, date, counts)
    */
-  async markReportAsDeleted(filename) {
+  async markReportAsDeleted(filename, details = {}) {
     try {
-      const deletedReports = await this.getDeletedReports();
-      
-      // Check if already marked as deleted
-      const existingEntry = deletedReports.find(r => r.filename === filename);
+      let existingEntry = null;
+      let deletionRecord = null;
+
+      // Check and append under one lock so concurrent deletes never drop each other's records
+      await this.updateDeletedReports(deletedReports => {
+        existingEntry = deletedReports.find(r => r.filename === filename);
+        if (existingEntry) {
+          return;
+        }
+
+        deletionRecord = {
+          filename,
+          deletedAt: new Date().toISOString(),
+          needsCleanup: true,
+          type: 'soft',
+          deletedBy: details.deletedBy || null,
+          ...(details.reason ? { reason: details.reason } : {}),
+          ...(details.report ? { report: details.report } : {})
+        };
+        deletedReports.push(deletionRecord);
+      });
+
       if (existingEntry) {
         return {
           success: true,
@@ -63,17 +89,6 @@ class DeletionUtils {
           alreadyDeleted: true
         };
       }
-
-      // Add to deleted reports list
-      const deletionRecord = {
-        filename,
-        deletedAt: new Date().toISOString(),
-        needsCleanup: true,
-        type: 'soft'
-      };
-
-      deletedReports.push(deletionRecord);
-      await this.saveDeletedReports(deletedReports);
       
       console.log(`✅ Soft deleted report: ${filename}`);
       return {
@@ -95,42 +110,44 @@ class DeletionUtils {
    */
   async removeFromIndex(filename) {
     try {
-      const index = await this.loadIndex();
-      
-      if (!index || !index.reports) {
-        console.log('⚠️  No index found or empty reports array');
-        return { success: true, found: false };
-      }
-
-      const reportId = filename.replace(/\.json$/, '');
-      const initialCount = index.reports.length;
-      
-      // Remove report from index
-      index.reports = index.reports.filter(report => report.id !== reportId);
-      
-      const removedCount = initialCount - index.reports.length;
-      
-      if (removedCount > 0) {
-        // Update statistics
-        if (index.statistics) {
-          index.statistics.totalReports = index.reports.length;
+      return await this.storage.withLock(INDEX_KEY, async () => {
+        const index = await this.loadIndex();
+        
+        if (!index || !index.reports) {
+          console.log('⚠️  No index found or empty reports array');
+          return { success: true, found: false };
         }
+
+        const reportId = filename.replace(/\.json$/, '');
+        const initialCount = index.reports.length;
         
-        // Update timestamp
-        index.generated = new Date().toISOString();
+        // Remove report from index
+        index.reports = index.reports.filter(report => report.id !== reportId);
         
-        await this.saveIndex(index);
-        console.log(`✅ Removed ${removedCount} report(s) from index: ${reportId}`);
-      } else {
-        console.log(`⚠️  Report not found in index: ${reportId}`);
-      }
+        const removedCount = initialCount - index.reports.length;
+        
+        if (removedCount > 0) {
+          // Update statistics
+          if (index.statistics) {
+            index.statistics.totalReports = index.reports.length;
+          }
+          
+          // Update timestamp
+          index.generated = new Date().toISOString();
+          
+          await this.storage.writeJson(INDEX_KEY, index);
+          console.log(`✅ Removed ${removedCount} report(s) from index: ${reportId}`);
+        } else {
+          console.log(`⚠️  Report not found in index: ${reportId}`);
+        }
 
-      return {
-        success: true,
-        found: removedCount > 0,
-        removedCount,
-        reportId
-      };
+        return {
+          success: true,
+          found: removedCount > 0,
+          removedCount,
+          reportId
+        };
+      });
     } catch (error) {
       console.error(`❌ Error removing from index ${filename}:`, error.message);
       throw error;
@@ -142,12 +159,7 @@ class DeletionUtils {
    */
   async getDeletedReports() {
     try {
-      if (!fs.existsSync(this.deletedReportsPath)) {
-        return [];
-      }
-      
-      const data = fs.readFileSync(this.deletedReportsPath, 'utf8');
-      return JSON.parse(data);
+      return await this.storage.readJson(DELETED_REPORTS_KEY, []);
     } catch (error) {
       console.error('Error reading deleted reports:', error.message);
       return [];
@@ -159,27 +171,32 @@ class DeletionUtils {
    */
   async saveDeletedReports(deletedReports) {
     try {
-      fs.writeFileSync(
-        this.deletedReportsPath, 
-        JSON.stringify(deletedReports, null, 2)
-      );
+      await this.storage.withLock(DELETED_REPORTS_KEY, () =>
+        this.storage.writeJson(DELETED_REPORTS_KEY, deletedReports));
     } catch (error) {
       console.error('Error saving deleted reports:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Locked read-modify-write of the deleted reports list
+   */
+  async updateDeletedReports(updater) {
+    try {
+      return await this.storage.updateJson(DELETED_REPORTS_KEY, [], updater);
+    } catch (error) {
+      console.error('Error updating deleted reports:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Load current index.json
    */
   async loadIndex() {
     try {
-      if (!fs.existsSync(this.indexPath)) {
-        return { reports: [], statistics: null };
-      }
-      
-      const data = fs.readFileSync(this.indexPath, 'utf8');
-      return JSON.parse(data);
+      return await this.storage.readJson(INDEX_KEY, { reports: [], statistics: null });
     } catch (error) {
       console.error('Error loading index:', error.message);
       return { reports: [], statistics: null };
@@ -191,7 +208,7 @@ class DeletionUtils {
    */
   async saveIndex(index) {
     try {
-      fs.writeFileSync(this.indexPath, JSON.stringify(index, null, 2));
+      await this.storage.withLock(INDEX_KEY, () => this.storage.writeJson(INDEX_KEY, index));
     } catch (error) {
       console.error('Error saving index:', error.message);
       throw error;
@@ -203,24 +220,14 @@ class DeletionUtils {
    */
   async createBackup(filename) {
     try {
-      const backupDir = path.join(this.reportsDir, '.backups');
-      
-      // Ensure backup directory exists
-      if (!fs.existsSync(backupDir)) {
-        fs.mkdirSync(backupDir, { recursive: true });
-      }
-
-      const sourcePath = path.join(this.reportsDir, filename);
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const backupFilename = `${filename.replace('.json', '')}-backup-${timestamp}.json`;
-      const backupPath = path.join(backupDir, backupFilename);
+      const backupFilename = backupNameFor(filename);
 
-      if (fs.existsSync(sourcePath)) {
-        fs.copyFileSync(sourcePath, backupPath);
+      if (await this.storage.exists(filename)) {
+        await this.storage.copy(filename, BACKUP_PREFIX + backupFilename);
         console.log(`📁 Created backup: ${backupFilename}`);
         
-        // Clean old backups (keep only last 10)
-        await this.cleanOldBackups(backupDir);
+        // Clean old backups (backups.keepCount / backups.keepDays)
+        await this.cleanOldBackups();
       }
     } catch (error) {
       console.error('Error creating backup:', error.message);
@@ -230,30 +237,61 @@ class DeletionUtils {
 
   /**
    * Clean old backup files
+   * @param {Object} [policy] - { keepCount, keepDays }, defaults to the configured backup policy
    */
-  async cleanOldBackups(backupDir, keepCount = 10) {
+  async cleanOldBackups(policy = this.backupPolicy) {
     try {
-      const backupFiles = fs.readdirSync(backupDir)
-        .filter(f => f.includes('-backup-'))
-        .map(f => ({
-          name: f,
-          path: path.join(backupDir, f),
-          mtime: fs.statSync(path.join(backupDir, f)).mtime
-        }))
-        .sort((a, b) => b.mtime - a.mtime);
-
-      if (backupFiles.length > keepCount) {
-        const filesToDelete = backupFiles.slice(keepCount);
-        filesToDelete.forEach(file => {
-          fs.unlinkSync(file.path);
-          console.log(`🗑️  Cleaned old backup: ${file.name}`);
-        });
+      const backupFiles = (await this.storage.list(BACKUP_PREFIX))
+        .filter(f => f.key.includes('-backup-'))
+        .map(f => ({ ...f, name: f.key.slice(BACKUP_PREFIX.length) }));
+
+      for (const file of planBackupCleanup(backupFiles, policy)) {
+        await this.storage.delete(file.key);
+        console.log(`🗑️  Cleaned old backup: ${file.name} (${file.reason})`);
       }
     } catch (error) {
       console.error('Error cleaning old backups:', error.message);
     }
   }
 
+  /**
+   * List backups, newest first
+   * @param {string} [filename] - Only the backups of this report
+   * @returns {Promise<Array>} { backup, filename, reportId, createdAt, size }
+   */
+  async listBackups(filename) {
+    return (await this.storage.list(BACKUP_PREFIX))
+      .map(file => {
+        const parsed = parseBackupName(file.key.slice(BACKUP_PREFIX.length));
+        return parsed && { ...parsed, size: file.size };
+      })
+      .filter(backup => backup && (!filename || backup.filename === filename))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Read a backup's report data
+   * @returns {Promise<Object|null>} { backup, filename, reportId, createdAt, size, data }, or null if there is no such backup
+   */
+  async readBackup(backup) {
+    const parsed = parseBackupName(backup);
+    const stats = parsed && await this.storage.stat(BACKUP_PREFIX + backup);
+    if (!stats) return null;
+
+    return { ...parsed, size: stats.size, data: await this.storage.readJson(BACKUP_PREFIX + backup) };
+  }
+
+  /**
+   * Copy a backup back to its report file. Callers hold the index lock and check the file is free.
+   * @returns {Promise<string>} The restored report's filename
+   */
+  async restoreBackupFile(backup) {
+    const { filename } = parseBackupName(backup);
+    await this.storage.copy(BACKUP_PREFIX + backup, filename);
+    console.log(`♻️  Restored ${filename} from backup ${backup}`);
+    return filename;
+  }
+
   /**
    * Check if report is marked as deleted
    */
@@ -272,19 +310,25 @@ class DeletionUtils {
    */
   async restoreReport(filename) {
     try {
-      const deletedReports = await this.getDeletedReports();
-      const reportIndex = deletedReports.findIndex(r => r.filename === filename);
+      let found = false;
+
+      await this.updateDeletedReports(deletedReports => {
+        const reportIndex = deletedReports.findIndex(r => r.filename === filename);
+        if (reportIndex === -1) {
+          return;
+        }
+
+        // Remove from deleted list
+        deletedReports.splice(reportIndex, 1);
+        found = true;
+      });
       
-      if (reportIndex === -1) {
+      if (!found) {
         return {
           success: false,
           message: 'Report not found in deleted list'
         };
       }
-
-      // Remove from deleted list
-      deletedReports.splice(reportIndex, 1);
-      await this.saveDeletedReports(deletedReports);
       
       console.log(`✅ Restored report: ${filename}`);
       return {
@@ -298,6 +342,33 @@ class DeletionUtils {
     }
   }
 
+  /**
+   * Drop a report from the deleted list without restoring it (it is being purged for good)
+   * @returns {Promise<Object|null>} The removed record, or null when the report was not in the list
+   */
+  async removeDeletedRecord(filename) {
+    let removed = null;
+
+    await this.updateDeletedReports(deletedReports => {
+      const reportIndex = deletedReports.findIndex(r => r.filename === filename);
+      if (reportIndex !== -1) {
+        removed = deletedReports.splice(reportIndex, 1)[0];
+      }
+    });
+
+    return removed;
+  }
+
+  /**
+   * Soft-deleted reports whose grace period is over
+   * @param {number} purgeAfterDays - Days a report stays in the trash
+   */
+  async getExpiredDeletedReports(purgeAfterDays, now = new Date()) {
+    const cutoff = now.getTime() - purgeAfterDays * 24 * 60 * 60 * 1000;
+    const deletedReports = await this.getDeletedReports();
+    return deletedReports.filter(r => new Date(r.deletedAt).getTime() <= cutoff);
+  }
+
   /**
    * Get reports that need cleanup (for deployment)
    */
@@ -316,17 +387,16 @@ class DeletionUtils {
    */
   async markReportsAsCleanedUp(filenames) {
     try {
-      const deletedReports = await this.getDeletedReports();
-      
-      filenames.forEach(filename => {
-        const report = deletedReports.find(r => r.filename === filename);
-        if (report) {
-          report.needsCleanup = false;
-          report.cleanedUpAt = new Date().toISOString();
-        }
+      await this.updateDeletedReports(deletedReports => {
+        filenames.forEach(filename => {
+          const report = deletedReports.find(r => r.filename === filename);
+          if (report) {
+            report.needsCleanup = false;
+            report.cleanedUpAt = new Date().toISOString();
+          }
+        });
       });
 
-      await this.saveDeletedReports(deletedReports);
       console.log(`✅ Marked ${filenames.length} reports as cleaned up`);
     } catch (error) {
       console.error('Error marking reports as cleaned up:', error.message);
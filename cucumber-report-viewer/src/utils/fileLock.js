@@ -0,0 +1,310 @@
+/**
+ * File Lock Utilities
+ * Serialized, atomic JSON writes for index.json, .deleted-reports.json and report files.
+ *
+ * Two layers of protection:
+ * - an in-process queue per file, so concurrent requests in the server run one after another
+ * - a "<file>.lock" file created with O_EXCL, so the server and CLI scripts exclude each other
+ * The lock file names the process holding it. It is broken once that process has exited, or, for a
+ * process on another host sharing the folder, once it has not been refreshed for staleAfter.
+ * Writes go to a temp file that is renamed over the target, so readers never see partial JSON.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_OPTIONS = {
+  timeout: 15000, // Give up waiting for another process after 15 seconds
+  staleAfter: 60000, // A lock from another host not refreshed for this long belongs to a crashed process
+  retryDelay: 25
+};
+
+// key (usually a resolved file path) -> tail of the promise chain for it
+const queues = new Map();
+
+function lockPathFor(filePath) {
+  return `${path.resolve(filePath)}.lock`;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Read the lock file: its raw content, the holder it names and its age
+ * @returns {{content: string, holder: Object|null, age: number}|null} null when there is no lock
+ */
+function readLock(lockPath) {
+  try {
+    const age = Date.now() - fs.statSync(lockPath).mtimeMs;
+    const content = fs.readFileSync(lockPath, 'utf8');
+    let holder = null;
+    try {
+      holder = JSON.parse(content);
+    } catch (error) {
+      // Written by a process that died between creating and filling the lock - only its age counts
+    }
+    return { content, holder, age };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Whether the process holding a lock is still running. Processes on other hosts cannot be
+ * checked: null leaves the decision to the age of the lock.
+ */
+function isHolderAlive(holder) {
+  if (!holder || !holder.pid || holder.host !== os.hostname()) {
+    return null;
+  }
+  try {
+    process.kill(holder.pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+function isStale(lock, staleAfter) {
+  const alive = isHolderAlive(lock.holder);
+  return alive === null ? lock.age > staleAfter : !alive;
+}
+
+/**
+ * Remove a stale lock. The rename is atomic, so of several processes breaking the same lock only
+ * one succeeds. If a new lock replaced the stale one after it was read, that lock is put back.
+ */
+function breakStaleLock(lockPath, lock) {
+  const brokenPath = `${lockPath}.${process.pid}.${Date.now()}.stale`;
+  try {
+    fs.renameSync(lockPath, brokenPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return; // Released or broken by someone else meanwhile
+    throw error;
+  }
+
+  try {
+    if (fs.readFileSync(brokenPath, 'utf8') === lock.content) {
+      console.warn(`⚠️  Removed stale lock: ${path.basename(lockPath)} (held by pid ${lock.holder ? lock.holder.pid : 'unknown'}, ${Math.round(lock.age / 1000)}s old)`);
+    } else {
+      fs.linkSync(brokenPath, lockPath);
+    }
+  } catch (error) {
+    // EEXIST: the lock was taken again before the new one could be put back
+    if (error.code !== 'EEXIST') throw error;
+  } finally {
+    fs.rmSync(brokenPath, { force: true });
+  }
+}
+
+/**
+ * Try once to create the lock file
+ * @returns {string|null} The lock file's content when the lock was acquired, for releaseLock
+ */
+function tryAcquire(lockPath, staleAfter) {
+  const content = JSON.stringify({ pid: process.pid, host: os.hostname(), acquiredAt: new Date().toISOString() });
+  try {
+    const fd = fs.openSync(lockPath, 'wx');
+    fs.writeSync(fd, content);
+    fs.closeSync(fd);
+    return content;
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+
+    // Break locks left behind by a process that died while holding them
+    const lock = readLock(lockPath);
+    if (lock && isStale(lock, staleAfter)) {
+      breakStaleLock(lockPath, lock);
+    }
+    return null;
+  }
+}
+
+/**
+ * Remove the lock, unless it is no longer ours because it was broken and taken by another process
+ */
+function releaseLock(lockPath, content) {
+  try {
+    if (fs.readFileSync(lockPath, 'utf8') === content) {
+      fs.unlinkSync(lockPath);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Error releasing lock ${lockPath}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Refresh the lock's modification time, so processes on other hosts do not take it for stale
+ */
+function touchLock(lockPath) {
+  try {
+    const now = new Date();
+    fs.utimesSync(lockPath, now, now);
+  } catch (error) {
+    // Released meanwhile
+  }
+}
+
+async function acquireLock(lockPath, options) {
+  const startedAt = Date.now();
+  let content;
+
+  while (!(content = tryAcquire(lockPath, options.staleAfter))) {
+    if (Date.now() - startedAt > options.timeout) {
+      throw new Error(`Timed out waiting for lock: ${path.basename(lockPath)}`);
+    }
+    await sleep(options.retryDelay);
+  }
+  return content;
+}
+
+function acquireLockSync(lockPath, options) {
+  const startedAt = Date.now();
+  let content;
+
+  while (!(content = tryAcquire(lockPath, options.staleAfter))) {
+    if (Date.now() - startedAt > options.timeout) {
+      throw new Error(`Timed out waiting for lock: ${path.basename(lockPath)}`);
+    }
+    sleepSync(options.retryDelay);
+  }
+  return content;
+}
+
+/**
+ * Run fn after every earlier call queued under the same key has settled.
+ * In-process only - used directly by storage backends that have no lock files.
+ */
+function withQueue(key, fn) {
+  const previous = queues.get(key) || Promise.resolve();
+  const run = previous.catch(() => {}).then(fn);
+
+  queues.set(key, run);
+  run.catch(() => {}).then(() => {
+    if (queues.get(key) === run) {
+      queues.delete(key);
+    }
+  });
+
+  return run;
+}
+
+/**
+ * Run fn while holding the lock for filePath.
+ * Calls for the same file are queued in order; fn must not lock the same file again.
+ */
+function withFileLock(filePath, fn, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const key = path.resolve(filePath);
+  const lockPath = lockPathFor(key);
+
+  return withQueue(key, async () => {
+    const content = await acquireLock(lockPath, settings);
+    const heartbeat = setInterval(() => touchLock(lockPath), settings.staleAfter / 3);
+    heartbeat.unref();
+    try {
+      return await fn();
+    } finally {
+      clearInterval(heartbeat);
+      releaseLock(lockPath, content);
+    }
+  });
+}
+
+/**
+ * Synchronous variant for CLI scripts. Only excludes other processes, not queued async callers.
+ */
+function withFileLockSync(filePath, fn, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const lockPath = lockPathFor(filePath);
+
+  const content = acquireLockSync(lockPath, settings);
+  try {
+    return fn();
+  } finally {
+    releaseLock(lockPath, content);
+  }
+}
+
+/**
+ * Write data to filePath through a temp file and rename
+ */
+function writeFileAtomicSync(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.${Math.random().toString(36).slice(2, 8)}.tmp`;
+
+  try {
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeSync(fd, content);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    if (fs.existsSync(tempPath)) {
+      fs.unlinkSync(tempPath);
+    }
+    throw error;
+  }
+}
+
+function writeJsonAtomicSync(filePath, data) {
+  writeFileAtomicSync(filePath, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Read a JSON file, returning defaultValue when it does not exist
+ */
+function readJsonSync(filePath, defaultValue) {
+  if (!fs.existsSync(filePath)) {
+    return defaultValue;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Locked atomic write of a JSON file
+ */
+function writeJsonAtomic(filePath, data, options) {
+  return withFileLock(filePath, () => writeJsonAtomicSync(filePath, data), options);
+}
+
+/**
+ * Locked read-modify-write of a JSON file.
+ * The updater receives the current value and may mutate it or return a replacement;
+ * returning undefined keeps the (mutated) current value.
+ */
+function updateJsonFile(filePath, defaultValue, updater, options) {
+  return withFileLock(filePath, async () => {
+    const current = readJsonSync(filePath, defaultValue);
+    const updated = await updater(current);
+    const next = updated === undefined ? current : updated;
+
+    writeJsonAtomicSync(filePath, next);
+    return next;
+  }, options);
+}
+
+module.exports = {
+  withQueue,
+  withFileLock,
+  withFileLockSync,
+  writeFileAtomicSync,
+  writeJsonAtomicSync,
+  writeJsonAtomic,
+  readJsonSync,
+  updateJsonFile
+};
@@ -0,0 +1,638 @@
+/**
+ * Index Manager
+ * Keeps index.json and stats.json up to date one report at a time, without re-parsing the whole directory
+ */
+
+const CucumberIndexGenerator = require('../../public/TestResultsJsons/generate-index-enhanced');
+const { createStorage, ReportStorage } = require('./storage');
+const { contentHash, flagDuplicates } = require('./reportHash');
+const { shardDir } = require('./runGroups');
+const { rerunDir } = require('./reruns');
+
+const INDEX_KEY = 'index.json';
+const STATS_KEY = 'stats.json';
+const DELETED_REPORTS_KEY = '.deleted-reports.json';
+const PINNED_REPORTS_KEY = '.pinned-reports.json';
+const REPORT_METADATA_KEY = '.report-metadata.json';
+const REPORT_PROVENANCE_KEY = '.report-provenance.json';
+const REPORT_ALIASES_KEY = '.report-aliases.json';
+const RUN_GROUPS_KEY = '.run-groups.json';
+
+// Per-report records kept beside the index, each a list of { filename, ... }; they travel with the reports in archives
+const REPORT_RECORDS = {
+  metadata: REPORT_METADATA_KEY,
+  provenance: REPORT_PROVENANCE_KEY,
+  aliases: REPORT_ALIASES_KEY,
+  runGroups: RUN_GROUPS_KEY,
+  pinned: PINNED_REPORTS_KEY,
+  deleted: DELETED_REPORTS_KEY
+};
+
+// Report fields users can edit (PATCH /api/reports/:filename); tags are run-level tags added to the extracted ones
+const EDITABLE_FIELDS = ['name', 'tags', 'environment', 'browser', 'os', 'appVersion', 'notes'];
+
+/**
+ * Merge a report's edited metadata into its index entry. The values extracted from the report file
+ * are kept in entry.extracted, so clearing a field brings them back and merging twice changes nothing.
+ */
+function applyReportMetadata(report, metadata) {
+  const extracted = report.extracted || { name: report.name, environment: report.environment, tags: report.tags || [] };
+
+  report.name = extracted.name;
+  report.environment = extracted.environment;
+  report.tags = extracted.tags;
+  ['extracted', 'runTags', 'browser', 'os', 'appVersion', 'notes', 'metadataUpdatedAt', 'metadataUpdatedBy']
+    .forEach(field => delete report[field]);
+
+  if (!metadata) return;
+
+  report.extracted = extracted;
+  if (metadata.name) report.name = metadata.name;
+  if (metadata.environment) report.environment = metadata.environment;
+  if (metadata.tags && metadata.tags.length > 0) {
+    report.runTags = metadata.tags;
+    report.tags = Array.from(new Set([...extracted.tags, ...metadata.tags])).sort();
+  }
+  ['browser', 'os', 'appVersion', 'notes'].forEach(field => {
+    if (metadata[field]) report[field] = metadata[field];
+  });
+  report.metadataUpdatedAt = metadata.updatedAt;
+  report.metadataUpdatedBy = metadata.updatedBy;
+}
+
+/**
+ * Write a JSON file unless it already holds the same content, apart from its generated time
+ * @returns {Promise<Object|null>} The stored content when it was left alone
+ */
+async function writeJsonIfChanged(storage, key, data) {
+  const content = value => JSON.stringify({ ...value, generated: null });
+  const stored = await storage.readJson(key, null).catch(() => null);
+  if (stored && content(stored) === content(data)) return stored;
+
+  await storage.writeJson(key, data);
+  return null;
+}
+
+class IndexManager {
+  /**
+   * @param {ReportStorage|string} [storage] - Storage backend, or a reports directory for filesystem storage
+   */
+  constructor(storage) {
+    this.storage = storage instanceof ReportStorage ? storage : createStorage({ path: storage });
+
+    // Reuse the CLI generator for metadata extraction so both paths produce identical entries
+    this.generator = new CucumberIndexGenerator({ reportsDir: this.storage.rootDir });
+  }
+
+  /**
+   * Load index.json, or null when it is missing or was written by an older generator
+   */
+  async loadIndex() {
+    try {
+      const index = await this.storage.readJson(INDEX_KEY, null);
+
+      // Legacy array indexes and tolerant-v2 entries have no id/hash to update incrementally
+      if (!index || !Array.isArray(index.reports) || index.reports.some(report => !report.id)) {
+        return null;
+      }
+
+      return index;
+    } catch (error) {
+      console.error('Error loading index:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get list of soft-deleted reports
+   */
+  async getDeletedReports() {
+    try {
+      return await this.storage.readJson(DELETED_REPORTS_KEY, []);
+    } catch (error) {
+      console.error('Error reading deleted reports:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Get list of pinned reports: [{ filename, pinnedAt, pinnedBy }]. Retention never purges them.
+   */
+  async getPinnedReports() {
+    try {
+      return await this.storage.readJson(PINNED_REPORTS_KEY, []);
+    } catch (error) {
+      console.error('Error reading pinned reports:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Pin or unpin a report and update its index entry
+   * @param {string} filename - Storage key of the report
+   * @param {boolean} pinned
+   * @param {string} [pinnedBy] - API token name
+   * @returns {Promise<Object|null>} The updated index entry, or null when the report is not in the index
+   */
+  async setPinned(filename, pinned, pinnedBy) {
+    return this.withIndexLock(async () => {
+      const index = (await this.loadIndex()) || (await this.rebuildUnlocked());
+      const entry = index.reports.find(report => report.id === filename.replace(/\.json$/, ''));
+      if (!entry) return null;
+
+      await this.storage.updateJson(PINNED_REPORTS_KEY, [], pinnedReports => {
+        const existing = pinnedReports.findIndex(r => r.filename === filename);
+        if (existing !== -1) pinnedReports.splice(existing, 1);
+        if (pinned) {
+          pinnedReports.push({ filename, pinnedAt: new Date().toISOString(), pinnedBy: pinnedBy || null });
+        }
+      });
+
+      await this.saveIndex(index);
+      return entry;
+    });
+  }
+
+  /**
+   * Get the edited report metadata: [{ filename, name, tags, environment, browser, os, appVersion, notes, updatedAt, updatedBy }]
+   */
+  async getReportMetadata() {
+    try {
+      return await this.storage.readJson(REPORT_METADATA_KEY, []);
+    } catch (error) {
+      console.error('Error reading report metadata:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Change the edited metadata of a report and update its index entry
+   * @param {string} filename - Storage key of the report
+   * @param {Object} changes - Any of EDITABLE_FIELDS; null or empty values clear a field
+   * @param {string} [updatedBy] - API token name
+   * @returns {Promise<Object|null>} The updated index entry, or null when the report is not in the index
+   */
+  async updateReportMetadata(filename, changes, updatedBy) {
+    return this.withIndexLock(async () => {
+      const index = (await this.loadIndex()) || (await this.rebuildUnlocked());
+      const entry = index.reports.find(report => report.id === filename.replace(/\.json$/, ''));
+      if (!entry) return null;
+
+      await this.storage.updateJson(REPORT_METADATA_KEY, [], records => {
+        const existing = records.findIndex(r => r.filename === filename);
+        const record = existing !== -1 ? records.splice(existing, 1)[0] : { filename };
+
+        EDITABLE_FIELDS.filter(field => field in changes).forEach(field => {
+          const value = field === 'tags'
+            ? Array.from(new Set((changes.tags || []).map(tag => tag.trim().replace(/^@/, '')).filter(Boolean)))
+            : (typeof changes[field] === 'string' ? changes[field].trim() : changes[field]);
+
+          if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+            delete record[field];
+          } else {
+            record[field] = value;
+          }
+        });
+
+        if (EDITABLE_FIELDS.some(field => field in record)) {
+          records.push({ ...record, updatedAt: new Date().toISOString(), updatedBy: updatedBy || null });
+        }
+      });
+
+      await this.saveIndex(index);
+      return entry;
+    });
+  }
+
+  /**
+   * Get the CI provenance of uploaded runs: [{ filename, provenance, recordedAt }]
+   */
+  async getReportProvenance() {
+    try {
+      return await this.storage.readJson(REPORT_PROVENANCE_KEY, []);
+    } catch (error) {
+      console.error('Error reading report provenance:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Record where a report came from. Call it before upsertReport, which merges it into the index entry.
+   * @param {string} filename - Storage key of the report
+   * @param {Object} provenance - Normalized provenance (see ciProvenance.normalizeProvenance)
+   */
+  async recordProvenance(filename, provenance) {
+    await this.storage.updateJson(REPORT_PROVENANCE_KEY, [], records => {
+      const existing = records.findIndex(r => r.filename === filename);
+      if (existing !== -1) records.splice(existing, 1);
+      records.push({ filename, provenance, recordedAt: new Date().toISOString() });
+    });
+  }
+
+  /**
+   * Get the uploads that were linked to an identical existing run: [{ filename, reportId, uploadedAt, uploadedBy, provenance }]
+   */
+  async getReportAliases() {
+    try {
+      return await this.storage.readJson(REPORT_ALIASES_KEY, []);
+    } catch (error) {
+      console.error('Error reading report aliases:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Get the run groups of sharded runs: [{ filename, runGroup, shardCount, shards: [{ shard, scenarios, passed, ... }] }]
+   */
+  async getRunGroups() {
+    try {
+      return await this.storage.readJson(RUN_GROUPS_KEY, []);
+    } catch (error) {
+      console.error('Error reading run groups:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * The run group shards with this id are merged into: the newest one whose report is stored and not in the trash
+   * @returns {Promise<Object|null>} The run group record, or null when the next shard starts a new report
+   */
+  async findRunGroup(runGroupId) {
+    const deletedFilenames = new Set((await this.getDeletedReports()).map(r => r.filename));
+    const candidates = (await this.getRunGroups())
+      .filter(record => record.runGroup === runGroupId && !deletedFilenames.has(record.filename))
+      .reverse();
+
+    for (const record of candidates) {
+      if (await this.storage.exists(record.filename)) return record;
+    }
+    return null;
+  }
+
+  /**
+   * Record one shard of a run group with its scenario counts, worked out like the index entry's.
+   * A shard uploaded again replaces its record. Call it before upsertReport, which merges the
+   * run group into the index entry.
+   * @param {string} filename - The merged report
+   * @param {Object} group - { id, shard, shardCount } (see runGroups.parseRunGroup)
+   * @param {Array} features - The shard's own features
+   * @param {Object} [details] - uploadedBy, provenance
+   * @returns {Promise<Object>} The updated run group record
+   */
+  async recordShard(filename, group, features, details = {}) {
+    const counts = this.generator.extractMetadata(features, filename, new Date());
+
+    const records = await this.storage.updateJson(RUN_GROUPS_KEY, [], records => {
+      let record = records.find(r => r.filename === filename);
+      if (!record) {
+        record = { filename, runGroup: group.id, shards: [] };
+        records.push(record);
+      }
+      if (group.shardCount) record.shardCount = group.shardCount;
+
+      record.shards = record.shards.filter(shard => shard.shard !== group.shard);
+      record.shards.push({
+        shard: group.shard,
+        features: counts.features,
+        scenarios: counts.scenarios,
+        passed: counts.passed,
+        failed: counts.failed,
+        skipped: counts.skipped,
+        duration: counts.duration,
+        uploadedAt: new Date().toISOString(),
+        uploadedBy: details.uploadedBy || null,
+        ...(details.provenance ? { provenance: details.provenance } : {})
+      });
+      record.shards.sort((a, b) => a.shard - b.shard);
+    });
+
+    return records.find(record => record.filename === filename);
+  }
+
+  /**
+   * The records of every kind in REPORT_RECORDS that belong to the given reports
+   * @param {Set<string>} filenames - Storage keys of the reports
+   * @returns {Promise<Object>} { metadata, provenance, aliases, pinned, deleted }, each a list of records
+   */
+  async getReportRecords(filenames) {
+    const records = {};
+    for (const [kind, key] of Object.entries(REPORT_RECORDS)) {
+      records[kind] = (await this.storage.readJson(key, [])).filter(record => filenames.has(record.filename));
+    }
+    return records;
+  }
+
+  /**
+   * Add the records of imported reports. They replace stored records of the same report, except
+   * aliases, of which a report has several. Callers hold the index lock and rebuild the index afterwards.
+   * @param {Object} records - Lists by kind, as returned by getReportRecords
+   */
+  async addReportRecords(records) {
+    for (const [kind, key] of Object.entries(REPORT_RECORDS)) {
+      const added = records[kind] || [];
+      if (added.length === 0) continue;
+
+      const replaced = new Set(kind === 'aliases' ? [] : added.map(record => record.filename));
+      await this.storage.updateJson(key, [], existing =>
+        [...existing.filter(record => !replaced.has(record.filename)), ...added]);
+    }
+  }
+
+  /**
+   * Drop everything kept beside the index for a report that is gone for good (hard delete, trash
+   * purge, retention): its records of every kind in REPORT_RECORDS and its stored shards. Callers
+   * hold the index lock and remove the index entry afterwards, which saves the index without them.
+   * @param {string} filename - Storage key of the report
+   */
+  async forgetReport(filename) {
+    for (const key of Object.values(REPORT_RECORDS)) {
+      const records = await this.storage.readJson(key, []);
+      if (records.some(record => record.filename === filename)) {
+        await this.storage.updateJson(key, [], current => current.filter(record => record.filename !== filename));
+      }
+    }
+
+    // Otherwise a new upload or a restored backup under the same name would pick the shards up again
+    await this.storage.deletePrefix(shardDir(filename));
+    await this.storage.deletePrefix(rerunDir(filename));
+  }
+
+  /**
+   * Bytes a report takes up beside its own file: its stored shards and reruns
+   * @param {string} filename - Storage key of the report
+   */
+  async attachedDataSize(filename) {
+    let size = 0;
+    for (const prefix of [shardDir(filename), rerunDir(filename)]) {
+      for (const object of await this.storage.list(prefix)) size += object.size || 0;
+    }
+    return size;
+  }
+
+  /**
+   * Apply the duplicate policy to a report about to be stored. Callers must hold the index lock,
+   * so two identical uploads in a row cannot both miss each other.
+   * @param {Array|Object} reportData - The report as it will be stored
+   * @param {string} policy - allow, reject or alias (see reportHash.DUPLICATE_POLICIES)
+   * @param {Object} [alias] - Recorded for alias: reportId (requested id), uploadedBy, provenance
+   * @returns {Promise<Object|null>} { action: 'rejected' | 'aliased', entry } when an identical run
+   *   is indexed, null when the report should be stored
+   */
+  async resolveDuplicateUnlocked(reportData, policy, alias = {}) {
+    if (policy === 'allow') return null;
+
+    const index = (await this.loadIndex()) || (await this.rebuildUnlocked());
+    const hash = contentHash(reportData);
+    const existing = index.reports.find(report => report.hash === hash && !report.duplicateOf && !report.live);
+    if (!existing) return null;
+
+    if (policy === 'reject') {
+      return { action: 'rejected', entry: existing };
+    }
+
+    const filename = `${existing.id}.json`;
+    await this.storage.updateJson(REPORT_ALIASES_KEY, [], records => {
+      records.push({
+        filename,
+        reportId: alias.reportId || null,
+        uploadedAt: new Date().toISOString(),
+        uploadedBy: alias.uploadedBy || null,
+        ...(alias.provenance ? { provenance: alias.provenance } : {})
+      });
+    });
+
+    await this.saveIndex(index);
+    return { action: 'aliased', entry: existing };
+  }
+
+  /**
+   * Build the index entry for a single report file
+   * @param {string} filename - Storage key of the report
+   * @param {Date} [lastModified] - Used as the report date when the report has no timestamps
+   */
+  async buildEntry(filename, lastModified) {
+    const json = await this.storage.readJson(filename);
+
+    if (!lastModified) {
+      const stats = await this.storage.stat(filename);
+      lastModified = stats && stats.lastModified;
+    }
+
+    const metadata = this.generator.extractMetadata(json, filename, lastModified);
+
+    metadata.status = 'active';
+    metadata.isDeleted = false;
+
+    return this.generator.toIndexEntry(metadata);
+  }
+
+  /**
+   * Recompute statistics and persist index.json and stats.json.
+   * Callers must hold the index lock; both files are written atomically.
+   */
+  async saveIndex(index) {
+    index.reports.sort((a, b) => new Date(b.date) - new Date(a.date));
+    index.generated = new Date().toISOString();
+    index.version = index.version || '2.1.0';
+
+    // Edited names, tags and environment details live in their own file, so they survive rebuilds
+    const metadataByFilename = new Map((await this.getReportMetadata()).map(r => [r.filename, r]));
+    index.reports.forEach(report => applyReportMetadata(report, metadataByFilename.get(`${report.id}.json`)));
+
+    // So does the CI provenance recorded at upload time
+    const provenanceByFilename = new Map((await this.getReportProvenance()).map(r => [r.filename, r]));
+    index.reports.forEach(report => {
+      const record = provenanceByFilename.get(`${report.id}.json`);
+      if (record) {
+        report.provenance = record.provenance;
+      } else {
+        delete report.provenance;
+      }
+    });
+
+    // Re-uploads linked to a run by the alias duplicate policy
+    const aliasesByFilename = new Map();
+    (await this.getReportAliases()).forEach(({ filename, ...alias }) => {
+      aliasesByFilename.set(filename, [...(aliasesByFilename.get(filename) || []), alias]);
+    });
+    index.reports.forEach(report => {
+      const aliases = aliasesByFilename.get(`${report.id}.json`);
+      if (aliases) {
+        report.aliases = aliases;
+      } else {
+        delete report.aliases;
+      }
+    });
+
+    // Shards merged into one report, for the per-shard breakdown
+    const runGroupsByFilename = new Map((await this.getRunGroups()).map(r => [r.filename, r]));
+    index.reports.forEach(report => {
+      const record = runGroupsByFilename.get(`${report.id}.json`);
+      if (record) {
+        report.runGroup = {
+          id: record.runGroup,
+          ...(record.shardCount ? { shardCount: record.shardCount } : {}),
+          shards: record.shards
+        };
+      } else {
+        delete report.runGroup;
+      }
+    });
+
+    // Copies of the same content uploaded before duplicate detection (or with the allow policy)
+    flagDuplicates(index.reports);
+
+    index.statistics = this.generator.generateStatistics(index.reports);
+    index.deletionInfo = this.generator.buildDeletionInfo(await this.getDeletedReports());
+
+    // Pins live in their own file so they survive rebuilds
+    const pinnedFilenames = new Set((await this.getPinnedReports()).map(r => r.filename));
+    index.reports.forEach(report => {
+      if (pinnedFilenames.has(`${report.id}.json`)) {
+        report.pinned = true;
+      } else {
+        delete report.pinned;
+      }
+    });
+
+    // Unchanged files are left alone, so starting the server does not touch a committed index.json
+    const stored = await writeJsonIfChanged(this.storage, INDEX_KEY, index);
+    if (stored) index.generated = stored.generated;
+    await writeJsonIfChanged(this.storage, STATS_KEY, index.statistics);
+
+    return index;
+  }
+
+  /**
+   * Load the index, rebuilding it first if it is missing or in a legacy format
+   */
+  async getIndex() {
+    return (await this.loadIndex()) ||
+      this.withIndexLock(async () => (await this.loadIndex()) || this.rebuildUnlocked());
+  }
+
+  /**
+   * Run fn with the index lock held, so concurrent uploads and deletes apply one after another
+   */
+  withIndexLock(fn) {
+    return this.storage.withLock(INDEX_KEY, fn);
+  }
+
+  /**
+   * Add or update the index entry for one report file
+   * @param {string} filename - Storage key of the report
+   * @param {Object} [fields] - Extra entry fields that don't come from the file, e.g. { live } for runs in progress
+   * @param {Object} [options]
+   * @param {Date} [options.lastModified] - Used as the report date when the report has no timestamps, in
+   *   place of the file's, e.g. to keep the date of a run whose file a merge rewrote
+   */
+  async upsertReport(filename, fields, options) {
+    return this.withIndexLock(() => this.upsertReportUnlocked(filename, fields, options));
+  }
+
+  /**
+   * upsertReport for callers that already hold the index lock (see withIndexLock)
+   */
+  async upsertReportUnlocked(filename, fields = {}, options = {}) {
+    const index = (await this.loadIndex()) || (await this.rebuildUnlocked());
+    const reportId = filename.replace(/\.json$/, '');
+
+    const deletedFilenames = (await this.getDeletedReports()).map(r => r.filename);
+    if (deletedFilenames.includes(filename)) {
+      console.log(`⚠️  Not indexing soft-deleted report: ${filename}`);
+      return { success: true, action: 'skipped', reportId };
+    }
+
+    const entry = { ...(await this.buildEntry(filename, options.lastModified)), ...fields };
+    const existingIndex = index.reports.findIndex(report => report.id === reportId);
+
+    // Same content hash means nothing to do, unless a live run changed state without new results
+    if (existingIndex !== -1 && index.reports[existingIndex].hash === entry.hash &&
+      JSON.stringify(index.reports[existingIndex].live) === JSON.stringify(entry.live)) {
+      return { success: true, action: 'unchanged', reportId, entry };
+    }
+
+    if (existingIndex !== -1) {
+      index.reports[existingIndex] = entry;
+    } else {
+      index.reports.push(entry);
+    }
+
+    await this.saveIndex(index);
+
+    const action = existingIndex !== -1 ? 'updated' : 'added';
+    console.log(`✅ Index ${action}: ${reportId}`);
+    return { success: true, action, reportId, entry };
+  }
+
+  /**
+   * Remove the index entry for one report file
+   */
+  async removeReport(filename) {
+    return this.withIndexLock(() => this.removeReportUnlocked(filename));
+  }
+
+  /**
+   * removeReport for callers that already hold the index lock
+   */
+  async removeReportUnlocked(filename) {
+    const index = (await this.loadIndex()) || (await this.rebuildUnlocked());
+    const reportId = filename.replace(/\.json$/, '');
+    const initialCount = index.reports.length;
+
+    index.reports = index.reports.filter(report => report.id !== reportId);
+    const removedCount = initialCount - index.reports.length;
+
+    // Always save so deletionInfo reflects soft deletes as well
+    await this.saveIndex(index);
+
+    if (removedCount > 0) {
+      console.log(`✅ Removed from index: ${reportId}`);
+    }
+
+    return { success: true, found: removedCount > 0, removedCount, reportId };
+  }
+
+  /**
+   * Rebuild the whole index from the report files in-process
+   */
+  async rebuild() {
+    return this.withIndexLock(() => this.rebuildUnlocked());
+  }
+
+  /**
+   * rebuild for callers that already hold the index lock
+   */
+  async rebuildUnlocked() {
+    console.log('🔄 Rebuilding report index...');
+
+    const deletedFilenames = (await this.getDeletedReports()).map(r => r.filename);
+    const files = (await this.storage.list())
+      .filter(file => this.generator.isReportFile(file.key) && !deletedFilenames.includes(file.key));
+
+    const reports = [];
+    const errors = [];
+
+    for (const file of files) {
+      try {
+        reports.push(await this.buildEntry(file.key, file.lastModified));
+      } catch (error) {
+        errors.push({ file: file.key, errors: [error.message] });
+      }
+    }
+
+    const index = await this.saveIndex({
+      version: '2.1.0',
+      reports,
+      errors: errors.length > 0 ? errors : undefined
+    });
+
+    console.log(`✅ Index rebuilt: ${reports.length} reports${errors.length > 0 ? `, ${errors.length} errors` : ''}`);
+    return index;
+  }
+}
+
+IndexManager.EDITABLE_FIELDS = EDITABLE_FIELDS;
+IndexManager.REPORT_RECORDS = REPORT_RECORDS;
+
+module.exports = IndexManager;
@@ -0,0 +1,246 @@
+/**
+ * JUnit XML
+ * Converts JUnit XML reports (Maven Surefire, Gradle, pytest, Jest and most other non-Cucumber
+ * runners) into Cucumber JSON features, so they are validated, indexed and shown like native reports.
+ *
+ *   <testsuite>   -> feature
+ *   <testcase>    -> scenario with one step holding the result
+ *   <failure>, <error> -> failed step; type, message and stack trace in error_message
+ *   <skipped>     -> skipped step
+ *   <system-out>, <system-err> -> step output (suite level: feature output)
+ *
+ * Plain JavaScript with no Node.js dependencies: used by the upload routes and by ReportUploader in the browser.
+ */
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+// A JUnit report starts with <testsuites> or <testsuite>, after an optional declaration, comments or doctype
+const JUNIT_ROOT = /^\s*(?:<\?xml[^>]*\?>\s*)?(?:<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<(?:testsuites|testsuite)[\s>/]/;
+
+const TAG = /<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+const ATTRIBUTE = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+    }
+    return XML_ENTITIES[entity] !== undefined ? XML_ENTITIES[entity] : match;
+  });
+}
+
+/**
+ * Parse an XML document into { name, attributes, children, text } elements.
+ * Enough XML for test reports: elements, attributes, text, CDATA, comments and the prolog;
+ * namespaces are kept as part of the name and DTDs are ignored.
+ * @param {string} text
+ * @returns {Object} The root element
+ * @throws {Error} For malformed XML, with the line it was found on
+ */
+function parseXml(text) {
+  const source = String(text).replace(/^﻿/, '');
+  const document = { name: null, attributes: {}, children: [], text: '' };
+  const stack = [document];
+  let position = 0;
+
+  const fail = message => {
+    throw new Error(`Invalid XML at line ${source.slice(0, position).split('\n').length}: ${message}`);
+  };
+  const skipPast = (terminator, what) => {
+    const end = source.indexOf(terminator, position);
+    if (end === -1) fail(`${what} is not closed`);
+    const skipped = source.slice(position, end);
+    position = end + terminator.length;
+    return skipped;
+  };
+
+  while (position < source.length) {
+    const current = stack[stack.length - 1];
+    const open = source.indexOf('<', position);
+    if (open === -1) {
+      current.text += decodeEntities(source.slice(position));
+      break;
+    }
+    current.text += decodeEntities(source.slice(position, open));
+    position = open;
+
+    if (source.startsWith('<!--', position)) {
+      skipPast('-->', 'Comment');
+    } else if (source.startsWith('<![CDATA[', position)) {
+      current.text += skipPast(']]>', 'CDATA section').slice('<![CDATA['.length);
+    } else if (source.startsWith('<?', position)) {
+      skipPast('?>', 'Processing instruction');
+    } else if (source.startsWith('<!', position)) {
+      skipPast('>', 'Declaration');
+    } else if (source.startsWith('</', position)) {
+      const name = skipPast('>', 'Closing tag').slice(2).trim();
+      if (stack.length === 1 || current.name !== name) {
+        fail(`unexpected </${name}>${current.name ? `, expected </${current.name}>` : ''}`);
+      }
+      stack.pop();
+    } else {
+      TAG.lastIndex = position;
+      const match = TAG.exec(source);
+      if (!match) fail('malformed tag');
+
+      const attributes = {};
+      for (const [, name, doubleQuoted, singleQuoted] of match[2].matchAll(ATTRIBUTE)) {
+        attributes[name] = decodeEntities(doubleQuoted !== undefined ? doubleQuoted : singleQuoted);
+      }
+
+      const element = { name: match[1], attributes, children: [], text: '' };
+      current.children.push(element);
+      if (!match[3]) stack.push(element);
+      position = TAG.lastIndex;
+    }
+  }
+
+  if (stack.length > 1) fail(`<${stack[stack.length - 1].name}> is not closed`);
+  if (document.children.length !== 1) fail('expected exactly one root element');
+  return document.children[0];
+}
+
+function childrenNamed(element, name) {
+  return element.children.filter(child => child.name === name);
+}
+
+function childText(element, name) {
+  return childrenNamed(element, name).map(child => child.text.trim()).filter(Boolean);
+}
+
+function slug(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, '-');
+}
+
+// JUnit times are seconds, sometimes with thousands separators (Surefire: "1,234.5")
+function toNanoseconds(time) {
+  const seconds = parseFloat(String(time || '').replace(/,/g, ''));
+  return Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds * 1e9) : 0;
+}
+
+/**
+ * error_message of a <failure> or <error>: its type and message, then the stack trace in its body
+ */
+function errorMessage(element) {
+  const { type, message } = element.attributes;
+  const heading = [type, message].filter(Boolean).join(': ');
+  const body = element.text.trim();
+
+  if (!body) return heading || element.name;
+  if (!heading || body.startsWith(heading) || (message && body.includes(message))) return body;
+  return `${heading}\n${body}`;
+}
+
+function toScenario(testcase, index, suite, featureId) {
+  const { name, classname, file, line } = testcase.attributes;
+  const scenarioName = name || `Test case ${index + 1}`;
+  const failure = [...childrenNamed(testcase, 'failure'), ...childrenNamed(testcase, 'error')][0];
+  const skipped = childrenNamed(testcase, 'skipped')[0];
+
+  const result = { status: 'passed', duration: toNanoseconds(testcase.attributes.time) };
+  if (failure) {
+    result.status = 'failed';
+    result.error_message = errorMessage(failure);
+  } else if (skipped) {
+    // No duration: normalizeReportFormat treats skipped steps with a duration as passed
+    result.status = 'skipped';
+    result.duration = 0;
+  }
+
+  const output = [
+    ...(skipped && skipped.attributes.message ? [`Skipped: ${skipped.attributes.message}`] : []),
+    ...childText(testcase, 'system-out'),
+    ...childText(testcase, 'system-err')
+  ];
+  const scenarioLine = Number(line) || index + 1;
+
+  return {
+    id: `${featureId};${slug(scenarioName)}`,
+    keyword: 'Test Case',
+    name: scenarioName,
+    description: classname && classname !== suite.attributes.name ? classname : '',
+    line: scenarioLine,
+    type: 'scenario',
+    tags: [],
+    steps: [{
+      keyword: 'Run ',
+      name: classname ? `${classname}.${scenarioName}` : scenarioName,
+      line: scenarioLine,
+      ...(file || suite.attributes.file ? { match: { location: `${file || suite.attributes.file}:${scenarioLine}` } } : {}),
+      result,
+      ...(output.length > 0 ? { output } : {})
+    }]
+  };
+}
+
+function toFeature(suite, index) {
+  const { name, file, timestamp, hostname } = suite.attributes;
+  const testcases = childrenNamed(suite, 'testcase');
+  const featureName = name || `Test suite ${index + 1}`;
+  const featureId = slug(featureName);
+  const output = [...childText(suite, 'system-out'), ...childText(suite, 'system-err')];
+
+  return {
+    id: featureId,
+    uri: file || (testcases[0] && testcases[0].attributes.file) || featureName,
+    keyword: 'Test Suite',
+    name: featureName,
+    description: '',
+    line: 1,
+    tags: [],
+    elements: testcases.map((testcase, caseIndex) => toScenario(testcase, caseIndex, suite, featureId)),
+    metadata: {
+      tool: 'JUnit XML',
+      ...(timestamp ? { timestamp } : {}),
+      ...(hostname ? { platform: { name: hostname } } : {})
+    },
+    ...(output.length > 0 ? { output } : {})
+  };
+}
+
+/**
+ * Every <testsuite> holding test cases, nested suites included, in document order
+ */
+function collectSuites(element, suites = []) {
+  if (element.name === 'testsuite' && childrenNamed(element, 'testcase').length > 0) {
+    suites.push(element);
+  }
+  element.children
+    .filter(child => child.name === 'testsuite' || child.name === 'testsuites')
+    .forEach(child => collectSuites(child, suites));
+  return suites;
+}
+
+/**
+ * Whether text is a JUnit XML report (checks the root element only)
+ */
+function isJUnitXml(text) {
+  return typeof text === 'string' && JUNIT_ROOT.test(text.replace(/^﻿/, ''));
+}
+
+/**
+ * Convert a JUnit XML report into Cucumber JSON features: one per test suite with test cases
+ * @param {string} text - The XML document
+ * @returns {Array} Cucumber JSON features
+ * @throws {Error} For malformed XML, a root other than <testsuites>/<testsuite>, or no test cases
+ */
+function convertJUnitXml(text) {
+  const root = parseXml(text);
+  if (root.name !== 'testsuites' && root.name !== 'testsuite') {
+    throw new Error(`Not a JUnit XML report: root element is <${root.name}>, expected <testsuites> or <testsuite>`);
+  }
+
+  const suites = collectSuites(root);
+  if (suites.length === 0) {
+    throw new Error('JUnit XML report has no test cases');
+  }
+
+  return suites.map(toFeature);
+}
+
+module.exports = {
+  parseXml,
+  isJUnitXml,
+  convertJUnitXml
+};
@@ -0,0 +1,190 @@
+/**
+ * Live Runs
+ * Test runs that stream Cucumber Messages while they execute. The partial report is written
+ * every few seconds, so viewers can watch scenarios pass and fail long before the run ends.
+ */
+
+const readline = require('readline');
+const { CucumberMessagesConverter } = require('./cucumberMessages');
+
+const DEFAULT_FLUSH_INTERVAL = 2000;
+
+// A run that stopped sending without testRunFinished (killed CI job) is closed after this
+const DEFAULT_IDLE_TIMEOUT = 30 * 60 * 1000;
+
+class LiveRun {
+  constructor(runId) {
+    this.runId = runId;
+    this.filename = null;
+    this.status = 'running';
+    this.startedAt = new Date().toISOString();
+    this.updatedAt = this.startedAt;
+    this.uploadedBy = null;
+    this.provenance = null;
+    this.receiving = false;
+    this.converter = new CucumberMessagesConverter();
+
+    this.flushTimer = null;
+    this.idleTimer = null;
+    this.pendingFlush = Promise.resolve();
+  }
+
+  get reportId() {
+    return this.filename ? this.filename.replace(/\.json$/, '') : null;
+  }
+
+  /**
+   * State shown to clients, also stored as the index entry's "live" field
+   */
+  summary() {
+    return {
+      runId: this.runId,
+      reportId: this.reportId,
+      filename: this.filename,
+      status: this.status,
+      startedAt: this.startedAt,
+      updatedAt: this.updatedAt,
+      messages: this.converter.messageCount,
+      progress: this.converter.progress()
+    };
+  }
+}
+
+class LiveRunManager {
+  /**
+   * @param {Object} options
+   * @param {Function} options.persist - async (run) => void. Stores run.converter.toFeatures() and sets
+   *   run.filename on the first call; called again with run.status "finished" or "interrupted" at the end
+   * @param {number} [options.flushInterval] - Minimum milliseconds between writes of a running report
+   * @param {number} [options.idleTimeout] - Milliseconds without messages before an open run is closed
+   */
+  constructor(options = {}) {
+    if (typeof options.persist !== 'function') {
+      throw new Error('LiveRunManager needs a persist(run) function');
+    }
+
+    this.persist = options.persist;
+    this.flushInterval = options.flushInterval || DEFAULT_FLUSH_INTERVAL;
+    this.idleTimeout = options.idleTimeout || DEFAULT_IDLE_TIMEOUT;
+    this.runs = new Map();
+  }
+
+  get(runId) {
+    return this.runs.get(runId) || null;
+  }
+
+  list() {
+    return Array.from(this.runs.values()).map(run => run.summary());
+  }
+
+  isReceiving(runId) {
+    const run = this.get(runId);
+    return Boolean(run && run.receiving);
+  }
+
+  /**
+   * Read NDJSON messages from a stream (usually the request) into the run with this id.
+   * A run can be fed by several requests in a row; it ends with testRunFinished or after the idle timeout.
+   * @param {string} runId
+   * @param {stream.Readable} input
+   * @param {Object} [options]
+   * @param {string} [options.uploadedBy] - API token name of the sender
+   * @param {Object} [options.provenance] - CI provenance; the first request that sends it sets it for the run
+   * @returns {Promise<Object>} The run summary after the stream ended
+   */
+  async ingest(runId, input, options = {}) {
+    let run = this.get(runId);
+    if (!run) {
+      run = new LiveRun(runId);
+      run.uploadedBy = options.uploadedBy || null;
+      this.runs.set(runId, run);
+      console.log(`📡 Live run started: ${runId}`);
+    }
+    run.provenance = run.provenance || options.provenance || null;
+
+    run.receiving = true;
+    clearTimeout(run.idleTimer);
+
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    try {
+      for await (const line of lines) {
+        run.converter.addLine(line);
+        run.updatedAt = new Date().toISOString();
+        this.scheduleFlush(run);
+      }
+    } catch (error) {
+      // Keep everything received before the bad message; the sender may retry from there
+      await this.flush(run);
+      this.armIdleTimer(run);
+      throw error;
+    } finally {
+      run.receiving = false;
+      lines.close();
+    }
+
+    if (run.converter.finished) {
+      await this.finish(run, 'finished');
+    } else {
+      await this.flush(run);
+      this.armIdleTimer(run);
+    }
+
+    return run.summary();
+  }
+
+  /**
+   * Close a run that never sent testRunFinished, keeping what it reported so far
+   */
+  async interrupt(runId) {
+    const run = this.get(runId);
+    if (!run) return null;
+
+    await this.finish(run, 'interrupted');
+    return run.summary();
+  }
+
+  scheduleFlush(run) {
+    if (run.flushTimer) return;
+
+    run.flushTimer = setTimeout(() => {
+      run.flushTimer = null;
+      this.flush(run);
+    }, this.flushInterval);
+  }
+
+  /**
+   * Persist the run now. Writes are chained so they never overlap or land out of order.
+   */
+  flush(run) {
+    clearTimeout(run.flushTimer);
+    run.flushTimer = null;
+
+    run.pendingFlush = run.pendingFlush
+      .then(() => this.persist(run))
+      .catch(error => console.error(`❌ Could not save live run ${run.runId}:`, error.message));
+
+    return run.pendingFlush;
+  }
+
+  armIdleTimer(run) {
+    clearTimeout(run.idleTimer);
+    run.idleTimer = setTimeout(() => {
+      if (!run.receiving) {
+        console.warn(`⚠️  Live run ${run.runId} sent nothing for ${Math.round(this.idleTimeout / 60000)} min, closing it`);
+        this.finish(run, 'interrupted');
+      }
+    }, this.idleTimeout);
+    run.idleTimer.unref();
+  }
+
+  async finish(run, status) {
+    clearTimeout(run.idleTimer);
+    run.status = status;
+    this.runs.delete(run.runId);
+
+    await this.flush(run);
+    console.log(`📡 Live run ${status}: ${run.runId} (${run.reportId})`);
+  }
+}
+
+module.exports = LiveRunManager;
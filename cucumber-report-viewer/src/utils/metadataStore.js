@@ -0,0 +1,546 @@
+/**
+ * Metadata Store
+ * SQLite database with one row per run, feature, scenario, step, hook and tag of every uploaded report.
+ * Gives the server something to query for history, flakiness and search without re-parsing report files.
+ * Scenario, step and hook durations are kept in the report's own unit (nanoseconds for cucumber-jvm).
+ *
+ * Requires the optional better-sqlite3 package; when it is missing the store is disabled and
+ * the server keeps working from index.json alone.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CucumberIndexGenerator = require('../../public/TestResultsJsons/generate-index-enhanced');
+const { SEARCH_FIELDS } = require('./reportQuery');
+
+const APP_ROOT = path.join(__dirname, '../..');
+const DEFAULT_DB_PATH = path.join(APP_ROOT, 'data/reports.db');
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS runs (
+    id INTEGER PRIMARY KEY,
+    report_id TEXT NOT NULL UNIQUE,
+    filename TEXT NOT NULL,
+    name TEXT,
+    run_date TEXT,
+    ingested_at TEXT NOT NULL,
+    uploaded_by TEXT,
+    hash TEXT,
+    status TEXT,
+    feature_count INTEGER NOT NULL DEFAULT 0,
+    scenario_count INTEGER NOT NULL DEFAULT 0,
+    step_count INTEGER NOT NULL DEFAULT 0,
+    passed INTEGER NOT NULL DEFAULT 0,
+    failed INTEGER NOT NULL DEFAULT 0,
+    skipped INTEGER NOT NULL DEFAULT 0,
+    duration_seconds REAL NOT NULL DEFAULT 0,
+    deleted_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS features (
+    id INTEGER PRIMARY KEY,
+    run_id INTEGER NOT NULL REFERENCES runs(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    feature_key TEXT,
+    uri TEXT,
+    name TEXT,
+    keyword TEXT,
+    description TEXT,
+    line INTEGER
+  );
+
+  CREATE TABLE IF NOT EXISTS scenarios (
+    id INTEGER PRIMARY KEY,
+    run_id INTEGER NOT NULL REFERENCES runs(id) ON DELETE CASCADE,
+    feature_id INTEGER NOT NULL REFERENCES features(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    scenario_key TEXT,
+    name TEXT,
+    keyword TEXT,
+    type TEXT,
+    description TEXT,
+    line INTEGER,
+    status TEXT,
+    duration INTEGER NOT NULL DEFAULT 0,
+    start_timestamp TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS steps (
+    id INTEGER PRIMARY KEY,
+    run_id INTEGER NOT NULL REFERENCES runs(id) ON DELETE CASCADE,
+    scenario_id INTEGER NOT NULL REFERENCES scenarios(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    keyword TEXT,
+    name TEXT,
+    line INTEGER,
+    status TEXT,
+    duration INTEGER NOT NULL DEFAULT 0,
+    error_message TEXT,
+    match_location TEXT,
+    match_arguments TEXT,
+    embedding_count INTEGER NOT NULL DEFAULT 0
+  );
+
+  CREATE TABLE IF NOT EXISTS hooks (
+    id INTEGER PRIMARY KEY,
+    run_id INTEGER NOT NULL REFERENCES runs(id) ON DELETE CASCADE,
+    scenario_id INTEGER NOT NULL REFERENCES scenarios(id) ON DELETE CASCADE,
+    step_id INTEGER REFERENCES steps(id) ON DELETE CASCADE,
+    hook_type TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    status TEXT,
+    duration INTEGER NOT NULL DEFAULT 0,
+    error_message TEXT,
+    match_location TEXT,
+    embedding_count INTEGER NOT NULL DEFAULT 0
+  );
+
+  CREATE TABLE IF NOT EXISTS tags (
+    id INTEGER PRIMARY KEY,
+    run_id INTEGER NOT NULL REFERENCES runs(id) ON DELETE CASCADE,
+    feature_id INTEGER NOT NULL REFERENCES features(id) ON DELETE CASCADE,
+    scenario_id INTEGER REFERENCES scenarios(id) ON DELETE CASCADE,
+    name TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_runs_run_date ON runs(run_date);
+  CREATE INDEX IF NOT EXISTS idx_features_run ON features(run_id);
+  CREATE INDEX IF NOT EXISTS idx_scenarios_run ON scenarios(run_id);
+  CREATE INDEX IF NOT EXISTS idx_scenarios_name ON scenarios(name);
+  CREATE INDEX IF NOT EXISTS idx_scenarios_status ON scenarios(status);
+  CREATE INDEX IF NOT EXISTS idx_steps_scenario ON steps(scenario_id);
+  CREATE INDEX IF NOT EXISTS idx_steps_match_location ON steps(match_location);
+  CREATE INDEX IF NOT EXISTS idx_hooks_scenario ON hooks(scenario_id);
+  CREATE INDEX IF NOT EXISTS idx_tags_name ON tags(name);
+  CREATE INDEX IF NOT EXISTS idx_tags_scenario ON tags(scenario_id);
+`;
+
+// What search() can look in (see SEARCH_FIELDS), and the (scenario_id, field, text, step) rows each one contributes
+const SEARCH_MATCHES = {
+  scenario: `SELECT id AS scenario_id, 'scenario' AS field, name AS text, NULL AS step
+    FROM scenarios WHERE name LIKE @pattern ESCAPE '\\'`,
+  step: `SELECT scenario_id, 'step' AS field, TRIM(COALESCE(keyword, '') || ' ' || name) AS text, position AS step
+    FROM steps WHERE name LIKE @pattern ESCAPE '\\'`,
+  error: `SELECT scenario_id, 'error' AS field, error_message AS text, position AS step
+    FROM steps WHERE error_message LIKE @pattern ESCAPE '\\'
+    UNION ALL
+    SELECT scenario_id, 'error', error_message, NULL
+    FROM hooks WHERE error_message LIKE @pattern ESCAPE '\\'`,
+  location: `SELECT scenario_id, 'location' AS field, match_location AS text, position AS step
+    FROM steps WHERE match_location LIKE @pattern ESCAPE '\\'`
+};
+const SNIPPET_CONTEXT = 80;
+
+/**
+ * Cut long texts (stack traces) down to the part around the first match
+ */
+function snippet(text, query) {
+  if (!text || text.length <= SNIPPET_CONTEXT * 2) return text;
+
+  const at = text.toLowerCase().indexOf(query.toLowerCase());
+  const start = Math.max(0, at - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, Math.max(at, 0) + query.length + SNIPPET_CONTEXT);
+
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+}
+
+function tagName(tag) {
+  return typeof tag === 'string' ? tag : tag && tag.name;
+}
+
+function resultOf(item) {
+  return item.result || { status: item.status, duration: item.duration };
+}
+
+function countEmbeddings(item) {
+  return Array.isArray(item.embeddings) ? item.embeddings.length : 0;
+}
+
+class MetadataStore {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.enabled] - false turns the store off (default: true)
+   * @param {string} [options.path] - Database file, relative paths resolve against the app root (default: data/reports.db)
+   */
+  constructor(options = {}) {
+    this.db = null;
+    this.dbPath = options.path ? path.resolve(APP_ROOT, options.path) : DEFAULT_DB_PATH;
+    this.disabledReason = null;
+    this.statusCalculator = new CucumberIndexGenerator().statusCalculator;
+
+    if (options.enabled === false) {
+      this.disabledReason = 'disabled in config';
+      return;
+    }
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      this.disabledReason = 'better-sqlite3 is not installed';
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.migrate();
+    this.prepareStatements();
+  }
+
+  get enabled() {
+    return this.db !== null;
+  }
+
+  migrate() {
+    const version = this.db.pragma('user_version', { simple: true });
+    if (version < SCHEMA_VERSION) {
+      this.db.exec(SCHEMA);
+      this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+    }
+  }
+
+  prepareStatements() {
+    this.statements = {
+      deleteRun: this.db.prepare('DELETE FROM runs WHERE report_id = ?'),
+      insertRun: this.db.prepare(`
+        INSERT INTO runs (report_id, filename, name, run_date, ingested_at, uploaded_by, hash, status,
+          feature_count, scenario_count, step_count, passed, failed, skipped, duration_seconds)
+        VALUES (@reportId, @filename, @name, @runDate, @ingestedAt, @uploadedBy, @hash, @status,
+          @featureCount, @scenarioCount, @stepCount, @passed, @failed, @skipped, @durationSeconds)
+      `),
+      insertFeature: this.db.prepare(`
+        INSERT INTO features (run_id, position, feature_key, uri, name, keyword, description, line)
+        VALUES (@runId, @position, @featureKey, @uri, @name, @keyword, @description, @line)
+      `),
+      insertScenario: this.db.prepare(`
+        INSERT INTO scenarios (run_id, feature_id, position, scenario_key, name, keyword, type, description,
+          line, status, duration, start_timestamp)
+        VALUES (@runId, @featureId, @position, @scenarioKey, @name, @keyword, @type, @description,
+          @line, @status, @duration, @startTimestamp)
+      `),
+      insertStep: this.db.prepare(`
+        INSERT INTO steps (run_id, scenario_id, position, keyword, name, line, status, duration,
+          error_message, match_location, match_arguments, embedding_count)
+        VALUES (@runId, @scenarioId, @position, @keyword, @name, @line, @status, @duration,
+          @errorMessage, @matchLocation, @matchArguments, @embeddingCount)
+      `),
+      insertHook: this.db.prepare(`
+        INSERT INTO hooks (run_id, scenario_id, step_id, hook_type, position, status, duration,
+          error_message, match_location, embedding_count)
+        VALUES (@runId, @scenarioId, @stepId, @hookType, @position, @status, @duration,
+          @errorMessage, @matchLocation, @embeddingCount)
+      `),
+      insertTag: this.db.prepare(`
+        INSERT INTO tags (run_id, feature_id, scenario_id, name) VALUES (?, ?, ?, ?)
+      `),
+      setDeleted: this.db.prepare('UPDATE runs SET deleted_at = ? WHERE report_id = ?'),
+      setName: this.db.prepare('UPDATE runs SET name = ? WHERE report_id = ?'),
+      hasRun: this.db.prepare('SELECT 1 FROM runs WHERE report_id = ?'),
+      listReportIds: this.db.prepare('SELECT report_id FROM runs')
+    };
+
+    // Re-ingesting a report replaces its rows in one transaction
+    this.ingestTransaction = this.db.transaction((run, features) => {
+      this.statements.deleteRun.run(run.reportId);
+      const runId = this.statements.insertRun.run(run).lastInsertRowid;
+      features.forEach((feature, position) => this.insertFeature(runId, feature, position));
+      return runId;
+    });
+  }
+
+  insertFeature(runId, feature, position) {
+    const featureId = this.statements.insertFeature.run({
+      runId,
+      position,
+      featureKey: feature.id || null,
+      uri: feature.uri || null,
+      name: feature.name || null,
+      keyword: feature.keyword || null,
+      description: feature.description || null,
+      line: feature.line || null
+    }).lastInsertRowid;
+
+    (feature.tags || []).forEach(tag => {
+      if (tagName(tag)) this.statements.insertTag.run(runId, featureId, null, tagName(tag));
+    });
+
+    const elements = feature.elements || feature.scenarios || [];
+    elements.forEach((scenario, scenarioPosition) => {
+      this.insertScenario(runId, featureId, scenario, scenarioPosition);
+    });
+  }
+
+  insertScenario(runId, featureId, scenario, position) {
+    const steps = Array.isArray(scenario.steps) ? scenario.steps : [];
+    const hooks = [
+      ...(scenario.before || []).map(hook => ({ hook, hookType: 'before' })),
+      ...(scenario.after || []).map(hook => ({ hook, hookType: 'after' }))
+    ];
+    const duration = [...steps, ...hooks.map(entry => entry.hook)]
+      .reduce((sum, item) => sum + (resultOf(item).duration || 0), 0);
+
+    const scenarioId = this.statements.insertScenario.run({
+      runId,
+      featureId,
+      position,
+      scenarioKey: scenario.id || null,
+      name: scenario.name || null,
+      keyword: scenario.keyword || null,
+      type: scenario.type || 'scenario',
+      description: scenario.description || null,
+      line: scenario.line || null,
+      status: scenario.type === 'background' ? null : this.statusCalculator.calculateScenarioStatus(scenario),
+      duration,
+      startTimestamp: scenario.start_timestamp || null
+    }).lastInsertRowid;
+
+    (scenario.tags || []).forEach(tag => {
+      if (tagName(tag)) this.statements.insertTag.run(runId, featureId, scenarioId, tagName(tag));
+    });
+
+    hooks.forEach(({ hook, hookType }, hookPosition) => {
+      this.insertHook(runId, scenarioId, null, hookType, hook, hookPosition);
+    });
+
+    steps.forEach((step, stepPosition) => {
+      const result = resultOf(step);
+      const stepId = this.statements.insertStep.run({
+        runId,
+        scenarioId,
+        position: stepPosition,
+        keyword: step.keyword ? step.keyword.trim() : null,
+        name: step.name || null,
+        line: step.line || null,
+        status: result.status || null,
+        duration: result.duration || 0,
+        errorMessage: result.error_message || null,
+        matchLocation: (step.match && step.match.location) || null,
+        matchArguments: step.match && step.match.arguments ? JSON.stringify(step.match.arguments) : null,
+        embeddingCount: countEmbeddings(step)
+      }).lastInsertRowid;
+
+      (step.before || []).forEach((hook, hookPosition) => {
+        this.insertHook(runId, scenarioId, stepId, 'before_step', hook, hookPosition);
+      });
+      (step.after || []).forEach((hook, hookPosition) => {
+        this.insertHook(runId, scenarioId, stepId, 'after_step', hook, hookPosition);
+      });
+    });
+  }
+
+  insertHook(runId, scenarioId, stepId, hookType, hook, position) {
+    const result = resultOf(hook);
+    this.statements.insertHook.run({
+      runId,
+      scenarioId,
+      stepId,
+      hookType,
+      position,
+      status: result.status || null,
+      duration: result.duration || 0,
+      errorMessage: result.error_message || null,
+      matchLocation: (hook.match && hook.match.location) || null,
+      embeddingCount: countEmbeddings(hook)
+    });
+  }
+
+  /**
+   * Store one report, replacing any earlier rows for the same report id
+   * @param {string} filename - Report file name in storage
+   * @param {Array} features - Cucumber JSON features
+   * @param {Object} [entry] - The report's index.json entry, used for run-level totals
+   * @param {Object} [options]
+   * @param {string} [options.uploadedBy] - API user that uploaded the report
+   * @returns {number|null} Run row id, or null when the store is disabled
+   */
+  ingestReport(filename, features, entry = {}, options = {}) {
+    if (!this.enabled) return null;
+
+    const reportId = filename.replace(/\.json$/, '');
+    const run = {
+      reportId,
+      filename,
+      name: entry.name || null,
+      runDate: entry.date || null,
+      ingestedAt: new Date().toISOString(),
+      uploadedBy: options.uploadedBy || null,
+      hash: entry.hash || null,
+      status: entry.status || 'active',
+      featureCount: entry.features || features.length,
+      scenarioCount: entry.scenarios || 0,
+      stepCount: entry.steps || 0,
+      passed: entry.passed || 0,
+      failed: entry.failed || 0,
+      skipped: entry.skipped || 0,
+      durationSeconds: entry.duration || 0
+    };
+
+    return this.ingestTransaction(run, Array.isArray(features) ? features : []);
+  }
+
+  removeReport(filename) {
+    if (!this.enabled) return;
+    this.statements.deleteRun.run(filename.replace(/\.json$/, ''));
+  }
+
+  /**
+   * Record a soft delete (deletedAt) or a restore (null) without dropping the rows
+   */
+  markDeleted(filename, deletedAt) {
+    if (!this.enabled) return;
+    this.statements.setDeleted.run(deletedAt, filename.replace(/\.json$/, ''));
+  }
+
+  /**
+   * Change a run's display name after its metadata was edited
+   */
+  renameReport(filename, name) {
+    if (!this.enabled) return;
+    this.statements.setName.run(name || null, filename.replace(/\.json$/, ''));
+  }
+
+  hasReport(filename) {
+    return this.enabled && Boolean(this.statements.hasRun.get(filename.replace(/\.json$/, '')));
+  }
+
+  /**
+   * Ingest indexed reports that are not in the database yet (first start, or after a rebuild)
+   * and drop runs whose report no longer exists.
+   * @param {Object} index - index.json contents
+   * @param {ReportStorage} storage - Where the report files live
+   * @param {Array} [deletedReports] - Soft-deleted reports, kept with deleted_at set
+   */
+  async syncWithIndex(index, storage, deletedReports = []) {
+    if (!this.enabled) return { ingested: 0, removed: 0 };
+
+    const indexedIds = new Set(index.reports.map(report => report.id));
+    const deletedById = new Map(deletedReports.map(r => [r.filename.replace(/\.json$/, ''), r]));
+    let ingested = 0;
+    let removed = 0;
+
+    for (const entry of index.reports) {
+      const filename = `${entry.id}.json`;
+      if (this.hasReport(filename)) continue;
+
+      try {
+        this.ingestReport(filename, await storage.readJson(filename), entry);
+        ingested++;
+      } catch (error) {
+        console.error(`❌ Could not ingest ${filename} into the metadata store:`, error.message);
+      }
+    }
+
+    this.statements.listReportIds.all().forEach(({ report_id: reportId }) => {
+      if (indexedIds.has(reportId)) {
+        this.markDeleted(`${reportId}.json`, null);
+      } else if (deletedById.has(reportId)) {
+        this.markDeleted(`${reportId}.json`, deletedById.get(reportId).deletedAt);
+      } else {
+        this.removeReport(`${reportId}.json`);
+        removed++;
+      }
+    });
+
+    return { ingested, removed };
+  }
+
+  /**
+   * Find scenarios across all active runs by scenario name, step text, error message or step definition location.
+   * Results are one row per matching scenario, newest run first unless order is "asc".
+   * @param {Object} options
+   * @param {string} options.q - Case-insensitive substring to look for
+   * @param {Array<string>} [options.fields] - Any of SEARCH_FIELDS (default: all)
+   * @param {Array<string>} [options.status] - Only scenarios with one of these statuses
+   * @param {string} [options.order] - "desc" (default) or "asc" by run date
+   * @param {number} [options.page] - 1-based page number
+   * @param {number} [options.limit] - Results per page
+   * @returns {{results: Array, total: number, runs: number, firstSeen: Object|null, lastSeen: Object|null}}
+   */
+  search(options) {
+    if (!this.enabled) return { results: [], total: 0, runs: 0, firstSeen: null, lastSeen: null };
+
+    const fields = options.fields && options.fields.length > 0 ? options.fields : SEARCH_FIELDS;
+    const params = { pattern: `%${options.q.replace(/[\\%_]/g, '\\$&')}%` };
+
+    const matchQueries = fields.map(field => SEARCH_MATCHES[field]);
+    const statusFilter = options.status && options.status.length > 0
+      ? `AND sc.status IN (${options.status.map((status, i) => {
+        params[`status${i}`] = status;
+        return `@status${i}`;
+      }).join(', ')})`
+      : '';
+
+    const from = `
+      FROM (
+        SELECT scenario_id, json_group_array(json_object('field', field, 'text', text, 'step', step)) AS matches
+        FROM (${matchQueries.join(' UNION ALL ')})
+        GROUP BY scenario_id
+      ) m
+      JOIN scenarios sc ON sc.id = m.scenario_id
+      JOIN features f ON f.id = sc.feature_id
+      JOIN runs r ON r.id = sc.run_id
+      WHERE r.deleted_at IS NULL ${statusFilter}
+    `;
+    const direction = options.order === 'asc' ? 'ASC' : 'DESC';
+    const limit = options.limit || 25;
+    const offset = ((options.page || 1) - 1) * limit;
+
+    const rows = this.db.prepare(`
+      SELECT r.report_id, r.name AS report_name, r.run_date, f.position AS feature_position, f.name AS feature_name,
+        f.uri, sc.position AS scenario_position, sc.name AS scenario_name, sc.keyword, sc.type, sc.line, sc.status,
+        m.matches
+      ${from}
+      ORDER BY r.run_date ${direction}, r.report_id, f.position, sc.position
+      LIMIT ${limit} OFFSET ${offset}
+    `).all(params);
+
+    const totals = this.db.prepare(`
+      SELECT COUNT(*) AS total, COUNT(DISTINCT r.id) AS runs ${from}
+    `).get(params);
+
+    const seenAt = order => this.db.prepare(`
+      SELECT r.report_id AS reportId, r.name, r.run_date AS date ${from}
+      ORDER BY r.run_date ${order}, r.report_id LIMIT 1
+    `).get(params) || null;
+
+    return {
+      results: rows.map(row => ({
+        reportId: row.report_id,
+        reportName: row.report_name,
+        runDate: row.run_date,
+        featurePosition: row.feature_position,
+        featureName: row.feature_name,
+        uri: row.uri,
+        scenarioPosition: row.scenario_position,
+        scenarioName: row.scenario_name,
+        keyword: row.keyword,
+        type: row.type,
+        line: row.line,
+        status: row.status,
+        matches: JSON.parse(row.matches).map(match => ({
+          field: match.field,
+          step: match.step,
+          text: snippet(match.text, options.q)
+        }))
+      })),
+      total: totals.total,
+      runs: totals.runs,
+      firstSeen: totals.total > 0 ? seenAt('ASC') : null,
+      lastSeen: totals.total > 0 ? seenAt('DESC') : null
+    };
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+MetadataStore.DEFAULT_DB_PATH = DEFAULT_DB_PATH;
+
+module.exports = MetadataStore;
@@ -0,0 +1,1384 @@
+/**
+ * OpenAPI document for the report server (served at GET /api/openapi.json)
+ * Requests are validated against it by ApiValidator; scripts/check-api-contract.js checks that
+ * server.js and the frontend services stay in line with it.
+ */
+
+const {
+  STATUS_FILTERS,
+  SORT_KEYS,
+  SORT_ORDERS,
+  SEARCH_FIELDS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  MIN_SEARCH_LENGTH,
+  DEFAULT_SEARCH_LIMIT,
+  MAX_SEARCH_LIMIT
+} = require('./reportQuery');
+const ReportEvents = require('./reportEvents');
+const { PROVENANCE_HEADERS } = require('./ciProvenance');
+const { DUPLICATE_POLICIES } = require('./reportHash');
+const { MAX_SHARDS } = require('./runGroups');
+const { REPORT_FORMATS } = require('./reportFileParser');
+const packageJson = require('../../package.json');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const jsonContent = schema => ({ 'application/json': { schema } });
+
+const errorResponse = description => ({ description, content: jsonContent(ref('ErrorResponse')) });
+
+// Every route answers these the same way (see apiAuth and the error handler in apiValidation)
+const commonErrors = {
+  400: errorResponse('Invalid request'),
+  401: errorResponse('Missing or unknown API token'),
+  403: errorResponse('Token role too low for this route'),
+  500: errorResponse('Unexpected server error')
+};
+
+const tokenSecurity = [{ bearerAuth: [] }, { apiTokenHeader: [] }];
+
+/**
+ * A comma-separated (or repeated) list parameter
+ */
+function listParameter(name, description, items) {
+  return {
+    name,
+    in: 'query',
+    description: `${description} (comma-separated or repeated)`,
+    style: 'form',
+    explode: false,
+    schema: { type: 'array', items }
+  };
+}
+
+function pagingParameters(defaultLimit, maxLimit, unpagedNote = '') {
+  return [
+    { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+    {
+      name: 'limit',
+      in: 'query',
+      description: `Page size; values above ${maxLimit} are lowered to ${maxLimit}${unpagedNote}`,
+      schema: { type: 'integer', minimum: 1, default: defaultLimit }
+    }
+  ];
+}
+
+const filenameParameter = {
+  name: 'filename',
+  in: 'path',
+  required: true,
+  description: 'Report file name, e.g. nightly-2024-01-15T10-30-00-000Z.json; index.json and stats.json are not reports',
+  schema: { type: 'string', pattern: '^(?!\\.)(?!(index|stats)\\.json$)[^/\\\\]+\\.json$' }
+};
+
+// X-CI-* headers accepted by every upload route (see ciProvenance)
+const provenanceHeaderParameters = Object.entries(PROVENANCE_HEADERS).map(([field, header]) => ({
+  name: header,
+  in: 'header',
+  description: `CI provenance: ${field}`,
+  schema: { type: 'string' }
+}));
+
+const onDuplicateSchema = {
+  type: 'string',
+  enum: DUPLICATE_POLICIES,
+  description: 'What to do when an identical run is already indexed; defaults to uploads.onDuplicate in the server config'
+};
+
+const onDuplicateHeader = {
+  name: 'X-On-Duplicate',
+  in: 'header',
+  description: 'Same as onDuplicate',
+  schema: { type: 'string', enum: DUPLICATE_POLICIES }
+};
+
+// Sharded runs: uploads with a run group (or a shard index) are merged into one report (see runGroups)
+const runGroupSchema = {
+  type: 'string',
+  description: 'Run group the upload is a shard of; shards of a run group are merged into one report. Defaults to reportId when only shard is set.'
+};
+
+const shardSchema = { type: 'integer', minimum: 1, maximum: MAX_SHARDS, description: 'Shard index; defaults to the next free one' };
+
+const shardCountSchema = { type: 'integer', minimum: 1, maximum: MAX_SHARDS, description: 'How many shards the run has' };
+
+const runGroupHeaders = [
+  { name: 'X-Run-Group', in: 'header', description: 'Same as runGroup', schema: { type: 'string' } },
+  { name: 'X-Shard', in: 'header', description: 'Same as shard', schema: shardSchema },
+  { name: 'X-Shard-Count', in: 'header', description: 'Same as shardCount', schema: shardCountSchema }
+];
+
+// Reruns: an upload with rerunOf is merged into that run as another attempt (see reruns)
+const rerunOfSchema = {
+  type: 'string',
+  description: 'Run the upload re-runs scenarios of: a report id, a run group, or the reportId of the newest run uploaded with it. ' +
+    'Re-run scenarios replace the run\'s and keep the earlier attempts; ones that failed before and pass now are flaky.'
+};
+
+const rerunOfHeader = { name: 'X-Rerun-Of', in: 'header', description: 'Same as rerunOf', schema: { type: 'string' } };
+
+const backupParameter = {
+  name: 'backup',
+  in: 'path',
+  required: true,
+  description: 'Backup file name in .backups/, e.g. nightly-2024-01-15T10-30-00-000Z-backup-2024-02-01T08-00-00-000Z.json',
+  schema: { type: 'string', pattern: '^(?!\\.)[^/\\\\]+-backup-[^/\\\\]+\\.json$' }
+};
+
+const schemas = {
+  ErrorResponse: {
+    type: 'object',
+    required: ['success', 'error'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string' },
+      details: {
+        type: 'array',
+        description: 'Individual validation failures',
+        items: {
+          type: 'object',
+          required: ['in', 'message'],
+          properties: {
+            in: { type: 'string', enum: ['path', 'query', 'body'] },
+            path: { type: 'string' },
+            message: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+
+  Feature: {
+    type: 'object',
+    description: 'A Cucumber JSON feature',
+    properties: {
+      name: { type: 'string' },
+      uri: { type: 'string' },
+      elements: { type: 'array', items: { type: 'object' } }
+    }
+  },
+
+  ReportData: {
+    description: 'a Cucumber JSON feature array, an object with a "features" array, a single feature, ' +
+      'or a Cucumber Messages (NDJSON), JUnit XML or TestNG XML report as a string',
+    anyOf: [
+      { type: 'array', minItems: 1, items: ref('Feature') },
+      {
+        type: 'object',
+        required: ['features'],
+        properties: { features: { type: 'array', minItems: 1, items: ref('Feature') } }
+      },
+      {
+        allOf: [ref('Feature'), { type: 'object', required: ['name', 'elements'] }]
+      },
+      {
+        type: 'string',
+        minLength: 1,
+        description: 'Cucumber Messages NDJSON, JUnit XML with a <testsuites> or <testsuite> root, or TestNG testng-results.xml'
+      }
+    ]
+  },
+
+  LiveRun: {
+    type: 'object',
+    required: ['runId', 'status', 'progress'],
+    properties: {
+      runId: { type: 'string' },
+      reportId: { type: 'string', nullable: true },
+      filename: { type: 'string', nullable: true },
+      status: { type: 'string', enum: ['running', 'finished', 'interrupted'] },
+      startedAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      messages: { type: 'integer' },
+      progress: {
+        type: 'object',
+        required: ['total', 'finished'],
+        properties: {
+          total: { type: 'integer' },
+          started: { type: 'integer' },
+          finished: { type: 'integer' },
+          passed: { type: 'integer' },
+          failed: { type: 'integer' }
+        }
+      }
+    }
+  },
+
+  Provenance: {
+    type: 'object',
+    description: 'Where the run came from; set at upload time from the request or the CI environment',
+    additionalProperties: false,
+    properties: {
+      provider: { type: 'string', maxLength: 200, example: 'github-actions' },
+      repository: { type: 'string', maxLength: 200 },
+      branch: { type: 'string', maxLength: 200 },
+      commit: { type: 'string', maxLength: 200 },
+      buildNumber: { oneOf: [{ type: 'string', maxLength: 200 }, { type: 'integer' }] },
+      pipelineUrl: { type: 'string', maxLength: 2000, description: 'http(s) link to the CI run; other values are dropped' }
+    }
+  },
+
+  DuplicateOf: {
+    type: 'object',
+    description: 'The indexed run an upload is identical to',
+    required: ['reportId', 'filename'],
+    properties: {
+      reportId: { type: 'string' },
+      filename: { type: 'string' },
+      name: { type: 'string' },
+      date: { type: 'string', nullable: true },
+      url: { type: 'string' }
+    }
+  },
+
+  DuplicateUploadError: {
+    type: 'object',
+    required: ['success', 'error', 'duplicateOf'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string' },
+      duplicateOf: ref('DuplicateOf')
+    }
+  },
+
+  RunGroup: {
+    type: 'object',
+    description: 'The shards merged into a report',
+    required: ['id', 'shards'],
+    properties: {
+      id: { type: 'string' },
+      shardCount: { type: 'integer', description: 'Shards the run has, when an upload said so' },
+      shards: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['shard'],
+          properties: {
+            shard: { type: 'integer' },
+            features: { type: 'integer' },
+            scenarios: { type: 'integer' },
+            passed: { type: 'integer' },
+            failed: { type: 'integer' },
+            skipped: { type: 'integer' },
+            duration: { type: 'number', description: 'Seconds' },
+            uploadedAt: { type: 'string', format: 'date-time' },
+            uploadedBy: { type: 'string', nullable: true },
+            provenance: ref('Provenance')
+          }
+        }
+      }
+    }
+  },
+
+  RunGroupUpload: {
+    type: 'object',
+    description: 'The shard an upload was stored as',
+    required: ['id', 'shard', 'shards'],
+    properties: {
+      id: { type: 'string' },
+      shard: { type: 'integer' },
+      shardCount: { type: 'integer' },
+      shards: { type: 'integer', description: 'Shards merged so far' }
+    }
+  },
+
+  RerunUpload: {
+    type: 'object',
+    description: 'The attempt a rerun was merged as',
+    required: ['attempt', 'retried', 'flaky', 'failed', 'added'],
+    properties: {
+      attempt: { type: 'integer', description: 'The run itself is attempt 1' },
+      retried: { type: 'integer', description: 'Scenarios of the run that were re-run' },
+      flaky: { type: 'integer', description: 'Re-run scenarios that failed before and passed now' },
+      failed: { type: 'integer', description: 'Re-run scenarios that failed again' },
+      added: { type: 'integer', description: 'Scenarios the run did not have' }
+    }
+  },
+
+  ReportEntry: {
+    type: 'object',
+    description: 'An index.json entry',
+    required: ['id', 'name'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      date: { type: 'string', nullable: true },
+      features: { type: 'integer' },
+      scenarios: { type: 'integer' },
+      steps: { type: 'integer' },
+      passed: { type: 'integer' },
+      failed: { type: 'integer' },
+      skipped: { type: 'integer' },
+      flaky: { type: 'integer', description: 'Scenarios that failed, then passed when re-run; not counted in passed' },
+      retried: { type: 'integer', description: 'Scenarios with more than one attempt' },
+      duration: { type: 'number' },
+      size: { type: 'integer' },
+      tags: { type: 'array', items: { type: 'string' } },
+      environment: { type: 'string', nullable: true },
+      tool: { type: 'string', nullable: true },
+      hash: { type: 'string', nullable: true },
+      status: { type: 'string' },
+      isDeleted: { type: 'boolean' },
+      live: ref('LiveRun'),
+      pinned: { type: 'boolean', description: 'Never purged by the retention policy' },
+      runTags: { type: 'array', items: { type: 'string' }, description: 'Tags added by editing the report, also included in tags' },
+      browser: { type: 'string' },
+      os: { type: 'string' },
+      appVersion: { type: 'string' },
+      notes: { type: 'string' },
+      extracted: {
+        type: 'object',
+        description: 'Name, environment and tags from the report file, when edited metadata overrides them',
+        properties: {
+          name: { type: 'string' },
+          environment: { type: 'string', nullable: true },
+          tags: { type: 'array', items: { type: 'string' } }
+        }
+      },
+      metadataUpdatedAt: { type: 'string', format: 'date-time' },
+      metadataUpdatedBy: { type: 'string', nullable: true },
+      provenance: ref('Provenance'),
+      duplicateOf: { type: 'string', description: 'Id of the older report with identical content' },
+      runGroup: ref('RunGroup'),
+      aliases: {
+        type: 'array',
+        description: 'Identical uploads linked to this run by the alias duplicate policy',
+        items: {
+          type: 'object',
+          properties: {
+            reportId: { type: 'string', nullable: true },
+            uploadedAt: { type: 'string', format: 'date-time' },
+            uploadedBy: { type: 'string', nullable: true },
+            provenance: ref('Provenance')
+          }
+        }
+      },
+      sequence: { type: 'integer', description: 'Position of the run by date, oldest = 1' }
+    }
+  },
+
+  ReportMetadataUpdate: {
+    type: 'object',
+    description: 'Fields to change; null or an empty value restores the value from the report file',
+    additionalProperties: false,
+    minProperties: 1,
+    properties: {
+      name: { type: 'string', nullable: true, maxLength: 200 },
+      tags: { type: 'array', nullable: true, maxItems: 50, items: { type: 'string', maxLength: 100 } },
+      environment: { type: 'string', nullable: true, maxLength: 100 },
+      browser: { type: 'string', nullable: true, maxLength: 100 },
+      os: { type: 'string', nullable: true, maxLength: 100 },
+      appVersion: { type: 'string', nullable: true, maxLength: 100 },
+      notes: { type: 'string', nullable: true, maxLength: 5000 }
+    }
+  },
+
+  DeletedReport: {
+    type: 'object',
+    required: ['filename', 'deletedAt'],
+    properties: {
+      filename: { type: 'string' },
+      deletedAt: { type: 'string', format: 'date-time' },
+      deletedBy: { type: 'string', nullable: true },
+      reason: { type: 'string', description: 'Why the report was deleted, e.g. retention' },
+      report: {
+        type: 'object',
+        description: 'Index entry of the report when it was deleted',
+        properties: {
+          name: { type: 'string' },
+          date: { type: 'string', nullable: true },
+          scenarios: { type: 'integer' },
+          passed: { type: 'integer' },
+          failed: { type: 'integer' },
+          skipped: { type: 'integer' },
+          size: { type: 'integer' }
+        }
+      },
+      expiresAt: { type: 'string', format: 'date-time', nullable: true, description: 'When the report is purged from the trash' },
+      needsCleanup: { type: 'boolean' },
+      type: { type: 'string' }
+    }
+  },
+
+  Backup: {
+    type: 'object',
+    required: ['backup', 'filename', 'reportId', 'createdAt'],
+    properties: {
+      backup: { type: 'string', description: 'File name in .backups/' },
+      filename: { type: 'string', description: 'Report file the backup restores to' },
+      reportId: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time', description: 'When the report was deleted' },
+      size: { type: 'integer' }
+    }
+  },
+
+  ReportStatistics: {
+    type: 'object',
+    required: ['features', 'scenarios', 'steps', 'passed', 'failed', 'skipped', 'duration', 'tags'],
+    properties: {
+      features: { type: 'integer' },
+      scenarios: { type: 'integer' },
+      steps: { type: 'integer' },
+      passed: { type: 'integer', description: 'Passed steps' },
+      failed: { type: 'integer', description: 'Failed steps' },
+      skipped: { type: 'integer', description: 'Skipped, pending and undefined steps' },
+      duration: { type: 'integer', description: 'Milliseconds' },
+      tags: { type: 'array', items: { type: 'string' } }
+    }
+  },
+
+  RetentionCandidate: {
+    type: 'object',
+    required: ['id', 'filename', 'suite', 'reason'],
+    properties: {
+      id: { type: 'string' },
+      filename: { type: 'string' },
+      suite: { type: 'string', description: 'Report id without the upload timestamp' },
+      date: { type: 'string', nullable: true },
+      size: { type: 'integer' },
+      reason: { type: 'string' }
+    }
+  },
+
+  RetentionRun: {
+    type: 'object',
+    required: ['trigger', 'startedAt', 'finishedAt', 'purged'],
+    properties: {
+      trigger: { type: 'string', enum: ['schedule', 'upload', 'manual'] },
+      startedAt: { type: 'string', format: 'date-time' },
+      finishedAt: { type: 'string', format: 'date-time' },
+      purged: { type: 'integer' },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { filename: { type: 'string' }, error: { type: 'string' } }
+        }
+      }
+    }
+  },
+
+  SearchResult: {
+    type: 'object',
+    required: ['reportId', 'featurePosition', 'scenarioPosition', 'matches'],
+    properties: {
+      reportId: { type: 'string' },
+      reportName: { type: 'string', nullable: true },
+      runDate: { type: 'string', nullable: true },
+      featurePosition: { type: 'integer' },
+      featureName: { type: 'string', nullable: true },
+      uri: { type: 'string', nullable: true },
+      scenarioPosition: { type: 'integer' },
+      scenarioName: { type: 'string', nullable: true },
+      keyword: { type: 'string', nullable: true },
+      type: { type: 'string', nullable: true },
+      line: { type: 'integer', nullable: true },
+      status: { type: 'string', nullable: true },
+      matches: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['field', 'text'],
+          properties: {
+            field: { type: 'string', enum: SEARCH_FIELDS },
+            step: { type: 'integer', nullable: true },
+            text: { type: 'string', nullable: true }
+          }
+        }
+      }
+    }
+  },
+
+  SeenIn: {
+    type: 'object',
+    nullable: true,
+    properties: {
+      reportId: { type: 'string' },
+      name: { type: 'string', nullable: true },
+      date: { type: 'string', nullable: true }
+    }
+  }
+};
+
+const paths = {
+  '/api/health': {
+    get: {
+      operationId: 'getHealth',
+      summary: 'Health check',
+      tags: ['Server'],
+      security: [],
+      responses: {
+        200: {
+          description: 'Server is running',
+          content: jsonContent({
+            type: 'object',
+            required: ['success', 'status', 'timestamp'],
+            properties: {
+              success: { type: 'boolean' },
+              status: { type: 'string', enum: ['healthy'] },
+              message: { type: 'string' },
+              timestamp: { type: 'string', format: 'date-time' },
+              uptime: { type: 'number' },
+              storage: { type: 'string' },
+              uploadsDir: { type: 'string' }
+            }
+          })
+        }
+      }
+    }
+  },
+
+  '/api/openapi.json': {
+    get: {
+      operationId: 'getOpenApiDocument',
+      summary: 'This OpenAPI document',
+      tags: ['Server'],
+      security: [],
+      responses: {
+        200: { description: 'OpenAPI 3.0 document', content: jsonContent({ type: 'object' }) }
+      }
+    }
+  },
+
+  '/api/upload-report': {
+    post: {
+      operationId: 'uploadReport',
+      summary: 'Upload a Cucumber JSON report as a JSON body',
+      tags: ['Reports'],
+      'x-required-role': 'uploader',
+      parameters: [...provenanceHeaderParameters, onDuplicateHeader, ...runGroupHeaders, rerunOfHeader],
+      requestBody: {
+        required: true,
+        content: jsonContent({
+          type: 'object',
+          required: ['reportId', 'reportData'],
+          properties: {
+            reportId: { type: 'string', minLength: 1, description: 'Base name of the stored file; a timestamp is appended' },
+            reportData: ref('ReportData'),
+            name: { type: 'string' },
+            provenance: ref('Provenance'),
+            onDuplicate: onDuplicateSchema,
+            runGroup: runGroupSchema,
+            shard: shardSchema,
+            shardCount: shardCountSchema,
+            rerunOf: rerunOfSchema
+          }
+        })
+      },
+      responses: {
+        200: {
+          description: 'Report stored and indexed, linked to an identical run (duplicateOf is set), merged into its run group ' +
+            '(runGroup is set), or merged into the run it re-runs (rerun is set)',
+          content: jsonContent({
+            type: 'object',
+            required: ['success', 'filename', 'reportId', 'url'],
+            properties: {
+              success: { type: 'boolean' },
+              message: { type: 'string' },
+              filename: { type: 'string' },
+              reportId: { type: 'string', description: 'Id of the report a shard or rerun was merged into' },
+              provenance: ref('Provenance'),
+              duplicateOf: ref('DuplicateOf'),
+              runGroup: ref('RunGroupUpload'),
+              rerun: ref('RerunUpload'),
+              url: { type: 'string' }
+            }
+          })
+        },
+        404: errorResponse('No run matches rerunOf'),
+        409: {
+          description: 'Identical to an indexed run and the duplicate policy is reject, or rerunOf is a run still streaming',
+          content: jsonContent({ anyOf: [ref('DuplicateUploadError'), ref('ErrorResponse')] })
+        },
+        413: errorResponse('Body larger than 50 MB'),
+        ...commonErrors
+      }
+    }
+  },
+
+  '/api/upload-report/file': {
+    post: {
+      operationId: 'uploadReportFile',
+      summary: 'Upload a raw report file (cucumber.json, .ndjson messages, JUnit or TestNG XML, .gz, or .zip incl. Allure results)',
+      tags: ['Reports'],
+      'x-required-role': 'uploader',
+      parameters: [
+        { name: 'reportId', in: 'query', description: 'Defaults to the file name', schema: { type: 'string' } },
+        { name: 'name', in: 'query', schema: { type: 'string' } },
+        { name: 'onDuplicate', in: 'query', schema: onDuplicateSchema },
+        { name: 'runGroup', in: 'query', schema: runGroupSchema },
+        { name: 'shard', in: 'query', schema: shardSchema },
+        { name: 'shardCount', in: 'query', schema: shardCountSchema },
+        { name: 'rerunOf', in: 'query', schema: rerunOfSchema },
+        ...provenanceHeaderParameters,
+        onDuplicateHeader,
+        ...runGroupHeaders,
+        rerunOfHeader
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              properties: {
+                report: { type: 'string', format: 'binary' },
+                reportId: { type: 'string' },
+                name: { type: 'string' },
+                provider: { type: 'string' },
+                repository: { type: 'string' },
+                branch: { type: 'string' },
+                commit: { type: 'string' },
+                buildNumber: { type: 'string' },
+                pipelineUrl: { type: 'string' },
+                onDuplicate: onDuplicateSchema,
+                runGroup: runGroupSchema,
+                shard: { type: 'string', description: shardSchema.description },
+                shardCount: { type: 'string', description: shardCountSchema.description },
+                rerunOf: rerunOfSchema
+              }
+            }
+          },
+          'application/json': { schema: ref('ReportData') },
+          'application/x-ndjson': { schema: { type: 'string', description: 'Cucumber Messages of a finished run' } },
+          'application/xml': { schema: { type: 'string', description: 'JUnit XML or TestNG XML report' } },
+          'text/xml': { schema: { type: 'string', description: 'JUnit XML or TestNG XML report' } },
+          'application/gzip': { schema: { type: 'string', format: 'binary' } },
+          'application/zip': { schema: { type: 'string', format: 'binary' } },
+          'application/octet-stream': { schema: { type: 'string', format: 'binary' } }
+        }
+      },
+      responses: {
+        200: {
+          description: 'Report stored and indexed, linked to an identical run (duplicateOf is set), merged into its run group ' +
+            '(runGroup is set), or merged into the run it re-runs (rerun is set)',
+          content: jsonContent({
+            type: 'object',
+            required: ['success', 'filename', 'reportId', 'url'],
+            properties: {
+              success: { type: 'boolean' },
+              message: { type: 'string' },
+              filename: { type: 'string' },
+              reportId: { type: 'string', description: 'Id of the report a shard or rerun was merged into' },
+              name: { type: 'string', nullable: true },
+              compression: { type: 'string', enum: ['none', 'gzip', 'zip'] },
+              sourceFiles: { type: 'array', items: { type: 'string' } },
+              formats: {
+                type: 'array',
+                items: { type: 'string', enum: REPORT_FORMATS },
+                description: 'Formats of the uploaded documents; all but cucumber-json are converted to Cucumber JSON'
+              },
+              provenance: ref('Provenance'),
+              features: { type: 'integer' },
+              duplicateOf: ref('DuplicateOf'),
+              runGroup: ref('RunGroupUpload'),
+              rerun: ref('RerunUpload'),
+              url: { type: 'string' }
+            }
+          })
+        },
+        404: errorResponse('No run matches rerunOf'),
+        409: {
+          description: 'Identical to an indexed run and the duplicate policy is reject, or rerunOf is a run still streaming',
+          content: jsonContent({ anyOf: [ref('DuplicateUploadError'), ref('ErrorResponse')] })
+        },
+        413: errorResponse('File larger than 50 MB, or larger than 200 MB once decompressed'),
+        ...commonErrors
+      }
+    }
+  },
+
+  '/api/live-runs': {
+    get: {
+      operationId: 'listLiveRuns',
+      summary: 'Runs currently streaming Cucumber Messages',
+      tags: ['Live runs'],
+      'x-required-role': 'viewer',
+      responses: {
+        200: {
+          description: 'Open live runs',
+          content: jsonContent({
+            type: 'object',
+            required: ['success', 'runs'],
+            properties: {
+              success: { type: 'boolean' },
+              runs: { type: 'array', items: ref('LiveRun') }
+            }
+          })
+        },
+        ...commonErrors
+      }
+    }
+  },
+
+  '/api/live-runs/{runId}/messages': {
+    post: {
+      operationId: 'streamLiveRunMessages',
+      summary: 'Stream Cucumber Messages (NDJSON) from a running suite',
+      tags: ['Live runs'],
+      'x-required-role': 'uploader',
+      parameters: [
+        { name: 'runId', in: 'path', required: true, schema: { type: 'string', minLength: 1 } },
+        ...provenanceHeaderParameters
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'application/x-ndjson': {
+            schema: { type: 'string', description: 'One Cucumber Messages envelope per line' }
+          }
+        }
+      },
+      responses: {
+        200: {
+          description: 'Stream ended; run state',
+          content: jsonContent({
+            allOf: [
+              ref('LiveRun'),
+              { type: 'object', properties: { success: { type: 'boolean' }, url: { type: 'string' } } }
+            ]
+          })
+        },
+        409: errorResponse('The run is already receiving messages on another request'),
+        415: errorResponse('Body is JSON instead of NDJSON'),
+        ...commonErrors
+      }
+    }
+  },
+
+  '/api/reports': {
+    get: {
+      operationId: 'listReports',
+      summary: 'Search, filter, sort and page the reports in index.json',
+      tags: ['Reports'],
+      'x-required-role': 'viewer',
+      parameters: [
+        { name: 'q', in: 'query', description: 'Matched against name, id, tags, environment, tool, branch, commit and build number', schema: { type: 'string' } },
+        listParameter('status', 'Run status', { type: 'string', enum: STATUS_FILTERS }),
+        listParameter('tags', 'Match any of these tags', { type: 'string' }),
+        listParameter('environment', 'Match any of these environments', { type: 'string' }),
+        listParameter('branch', 'Match any of these CI branches', { type: 'string' }),
+        { name: 'commit', in: 'query', description: 'Commit hash or its prefix', schema: { type: 'string' } },
+        { name: 'dateFrom', in: 'query', description: 'ISO 8601 date or date-time', schema: { type: 'string' } },
+        { name: 'dateTo', in: 'query', description: 'ISO 8601 date or date-time; a bare date includes the whole day', schema: { type: 'string' } },
+        { name: 'sortBy', in: 'query', schema: { type: 'string', enum: SORT_KEYS, default: 'date' } },
+        { name: 'order', in: 'query', schema: { type: 'string', enum: SORT_ORDERS, default: 'desc' } },
+        ...pagingParameters(DEFAULT_LIMIT, MAX_LIMIT, '. Without page or limit, every matching report is returned')
+      ],
+      responses: {
+        200: {
+          description: 'One page of reports, or every matching report when neither page nor limit is given',
+          content: jsonContent({
+            type: 'object',
+            required: ['success', 'reports', 'total', 'page', 'limit', 'totalPages'],
+            properties: {
+              success: { type: 'boolean' },
+              reports: { type: 'array', items: ref('ReportEntry') },
+              total: { type: 'integer' },
+              page: { type: 'integer' },
+              limit: { type: 'integer' },
+              totalPages: { type: 'integer' },
+              statistics: { type: 'object', nullable: true, description: 'Totals over all reports (stats.json)' }
+            }
+          })
+        },
+        ...commonErrors
+      }
+    }
+  },
+
+  '/api/search': {
+    get: {
+      operationId: 'searchScenarios',
+      summary: 'Find scenarios across all stored runs',
+      tags: ['Reports'],
+      'x-required-role': 'viewer',
+      parameters: [
+        {
+          name: 'q',
+          in: 'query',
+          required: true,
+          description: 'Case-insensitive substring',
+          schema: { type: 'string', minLength: MIN_SEARCH_LENGTH }
+        },
+        listParameter('in', 'Where to look (default: everywhere)', { type: 'string', enum: SEARCH_FIELDS }),
+        listParameter('status', 'Only scenarios with these statuses', { type: 'string' }),
+        { name: 'order', in: 'query', schema: { type: 'string', enum: SORT_ORDERS, default: 'desc' } },
+        ...pagingParameters(DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT)
+      ],
+      responses: {
+        200: {
+          description: 'Matching scenarios, newest run first by default',
+          content: jsonContent({
+            type: 'object',
+            required: ['success', 'query', 'results', 'total', 'runs', 'page', 'limit', 'totalPages'],
+            properties: {
+              success: { type: 'boolean' },
+              query: { type: 'string' },
+              results: { type: 'array', items: ref('SearchResult') },
+              total: { type: 'integer' },
+              runs: { type: 'integer' },
+              firstSeen: ref('SeenIn'),
+              lastSeen: ref('SeenIn'),
+              page: { type: 'integer' },
+              limit: { type: 'integer' },
+              totalPages: { type: 'integer' }
+            }
+          })
+        },
+        503: errorResponse('The metadata store is unavailable'),
+        ...commonErrors
+      }
+    }
+  },
+
+  '/api/reports/deleted': {
+    get: {
+      operationId: 'listDeletedReports',
+      summary: 'Soft-deleted reports',
+      tags: ['Deletion'],
+      'x-required-role': 'admin',
+      responses: {
+        200: {
+          description: 'Soft-deleted reports',
+          content: jsonContent({
+            type: 'object',
+            required: ['success', 'deletedReports', 'count'],
+            properties: {
+              success: { type: 'boolean' },
+              deletedReports: { type: 'array', items: ref('DeletedReport') },
+              count: { type: 'integer' },
+              purgeAfterDays: { type: 'number', nullable: true, description: 'Days before deleted reports are purged; null keeps them' }
+            }
+          })
+        },
+        ...commonErrors
+      }
+    },
+    delete: {
+      operationId: 'emptyTrash',
+      summary: 'Permanently delete every soft-deleted report',
+      tags: ['Deletion'],
+      'x-required-role': 'admin',
+      responses: {
+        200: {
+          description: 'Trash emptied',
+          content: jsonContent({
+            type: 'object',
+            required: ['success', 'purged', 'filenames'],
+            properties: {
+              success: { type: 'boolean' },
+              message: { type: 'string' },
+              purged: { type: 'integer' },
+              filenames: { type: 'array', items: { type: 'string' } }
+            }
+          })
+        },
+        ...commonErrors
+      }
+    }
+  },
+
+  '/api/reports/deleted/{filename}': {
+    delete: {
+      operationId: 'purgeDeletedReport',
+      summary: 'Permanently delete a soft-deleted report',
+      tags: ['Deletion'],
+      'x-required-role': 'admin',
+      parameters: [filenameParameter],
+      responses: {
+        200: {
+          description: 'Report permanently deleted',
+          content: jsonContent({
+            type: 'object',
+            required: ['success', 'filename'],
+            properties: {
+              success: { type: 'boolean' },
+              message: { type: 'string' },
+              filename: { type: 'string' }
+            }
+          })
+        },
+        404: errorResponse('The report is not in the deleted list'),
+        ...commonErrors
+      }
+    }
+  },
+
+  '/api/reports/{filename}': {
+    patch: {
+      operationId: 'updateReportMetadata',
+      summary: 'Edit a report\'s name, run-level tags, environment and build info',
+      description: 'Edits are stored in .report-metadata.json and merged into index.json, so they survive index rebuilds.',
+      tags: ['Reports'],
+      'x-required-role': 'uploader',
+      parameters: [filenameParameter],
+      requestBody: {
+        required: true,
+        content: jsonContent(ref('ReportMetadataUpdate'))
+      },
+      responses: {
+        200: {
+          description: 'Metadata updated',
+          content: jsonContent({
+            type: 'object',
+            required: ['success', 'filename', 'entry'],
+            properties: {
+              success: { type: 'boolean' },
+              filename: { type: 'string' },
+              entry: ref('ReportEntry')
+            }
+          })
+        },
+        404: errorResponse('The report is not in the index'),
+        ...commonErrors
+      }
+    },
+    delete: {
+      operationId: 'deleteReport',
+      summary: 'Delete a report (soft delete by default except on localhost)',
+      tags: ['Deletion'],
+      'x-required-role': 'admin',
+      parameters: [
+        filenameParameter,
+        { name: 'soft', in: 'query', description: 'Force a soft (true) or hard (false) delete', schema: { type: 'boolean' } }
+      ],
+      responses: {
+        200: {
+          description: 'Report deleted',
+          content: jsonContent({
+            type: 'object',
+            required: ['success', 'deletionType', 'filename'],
+            properties: {
+              success: { type: 'boolean' },
+              message: { type: 'string' },
+              deletionType: { type: 'string', enum: ['soft', 'hard'] },
+              filename: { type: 'string' },
+              environment: { type: 'string', enum: ['localhost', 'production'] }
+            }
+          })
+        },
+        404: errorResponse('No such report'),
+        ...commonErrors
+      }
+    }
+  },
+
+  '/api/reports/{filename}/restore': {
+    post: {
+      operationId: 'restoreReport',
+      summary: 'Restore a soft-deleted report',
+      tags: ['Deletion'],
+      'x-required-role': 'admin',
+      parameters: [filenameParameter],
+      responses: {
+        200: {
+          description: 'Report restored',
+          content: jsonContent({
+            type: 'object',
+            required: ['success', 'filename'],
+            properties: {
+              success: { type: 'boolean' },
+              filename: { type: 'string' },
+              message: { type: 'string' }
+            }
+          })
+        },
+        404: errorResponse('The report is not in the deleted list'),
+        ...commonErrors
+      }
+    }
+  },
+
+  '/api/reports/{filename}/pin': {
+    post: {
+      operationId: 'pinReport',
+      summary: 'Pin or unpin a report',
+      description: 'Pinned reports are never purged by the retention policy.',
+      tags: ['Retention'],
+      'x-required-role': 'admin',
+      parameters: [filenameParameter],
+      requestBody: {
+        required: false,
+        content: jsonContent({
+          type: 'object',
+          properties: { pinned: { type: 'boolean', default: true } }
+        })
+      },
+      responses: {
+        200: {
+          description: 'Pin state changed',
+          content: jsonContent({
+            type: 'object',
+            required: ['success', 'filename', 'pinned'],
+            properties: {
+              success: { type: 'boolean' },
+              filename: { type: 'string' },
+              pinned: { type: 'boolean' }
+            }
+          })
+        },
+        404: errorResponse('The report is not in the index'),
+        ...commonErrors
+      }
+    }
+  },
+
+  '/api/backups': {
+    get: {
+      operationId: 'listBackups',
+      summary: 'Backups written before hard deletes, newest first',
+      tags: ['Deletion'],
+      'x-required-role': 'admin',
+      parameters: [
+        { name: 'report', in: 'query', description: 'Only the backups of this report file', schema: { type: 'string' } }
+      ],
+      responses: {
+        200: {
+          description: 'Backups',
+          content: jsonContent({
+            type: 'object',
+            required: ['success', 'backups', 'count'],
+            properties: {
+              success: { type: 'boolean' },
+              backups: { type: 'array', items: ref('Backup') },
+              count: { type: 'integer' },
+              policy: {
+                type: 'object',
+                properties: {
+                  keepCount: { type: 'integer', nullable: true },
+                  keepDays: { type: 'number', nullable: true }
+                }
+              }
+            }
+          })
+        },
+        ...commonErrors
+      }
+    }
+  },
+
+  '/api/backups/{backup}': {
+    get: {
+      operationId: 'getBackup',
+      summary: 'Preview a backup: its report statistics, without the report data',
+      tags: ['Deletion'],
+      'x-required-role': 'admin',
+      parameters: [backupParameter],
+      responses: {
+        200: {
+          description: 'Backup summary',
+          content: jsonContent({
+            type: 'object',
+            required: ['success', 'backup', 'statistics', 'reportExists'],
+            properties: {
+              success: { type: 'boolean' },
+              backup: ref('Backup'),
+              statistics: ref('ReportStatistics'),
+              reportExists: { type: 'boolean', description: 'The report file exists again, so the backup cannot be restored' }
+            }
+          })
+        },
+        404: errorResponse('No such backup'),
+        ...commonErrors
+      }
+    }
+  },
+
+  '/api/backups/{backup}/restore': {
+    post: {
+      operationId: 'restoreBackup',
+      summary: 'Restore a backup as a live report under its original file name',
+      tags: ['Deletion'],
+      'x-required-role': 'admin',
+      parameters: [backupParameter],
+      responses: {
+        200: {
+          description: 'Report restored',
+          content: jsonContent({
+            type: 'object',
+            required: ['success', 'filename'],
+            properties: {
+              success: { type: 'boolean' },
+              message: { type: 'string' },
+              filename: { type: 'string' },
+              entry: ref('ReportEntry')
+            }
+          })
+        },
+        404: errorResponse('No such backup'),
+        409: errorResponse('The report file exists'),
+        ...commonErrors
+      }
+    }
+  },
+
+  '/api/retention': {
+    get: {
+      operationId: 'previewRetention',
+      summary: 'Dry run of the retention policy',
+      description: 'Lists the reports the configured policy would purge now, without deleting anything.',
+      tags: ['Retention'],
+      'x-required-role': 'viewer',
+      responses: {
+        200: {
+          description: 'Retention plan',
+          content: jsonContent({
+            type: 'object',
+            required: ['success', 'policy', 'purge', 'kept', 'totalSize', 'sizeAfter'],
+            properties: {
+              success: { type: 'boolean' },
+              policy: {
+                type: 'object',
+                properties: {
+                  enabled: { type: 'boolean' },
+                  keepLastPerSuite: { type: 'integer', nullable: true },
+                  keepDays: { type: 'number', nullable: true },
+                  keepTags: { type: 'array', items: { type: 'string' } },
+                  maxTotalSizeMB: { type: 'number', nullable: true },
+                  intervalMinutes: { type: 'number' },
+                  deletion: { type: 'string', enum: ['soft', 'hard'] }
+                }
+              },
+              purge: { type: 'array', items: ref('RetentionCandidate') },
+              kept: { type: 'integer' },
+              protected: { type: 'integer', description: 'Pinned, release-tagged or still running' },
+              totalSize: { type: 'integer' },
+              sizeAfter: { type: 'integer' },
+              lastRun: ref('RetentionRun')
+            }
+          })
+        },
+        ...commonErrors
+      }
+    }
+  },
+
+  '/api/retention/run': {
+    post: {
+      operationId: 'applyRetention',
+      summary: 'Apply the retention policy now',
+      tags: ['Retention'],
+      'x-required-role': 'admin',
+      responses: {
+        200: {
+          description: 'Reports purged',
+          content: jsonContent({
+            allOf: [
+              ref('RetentionRun'),
+              {
+                type: 'object',
+                required: ['success', 'purgedReports'],
+                properties: {
+                  success: { type: 'boolean' },
+                  purgedReports: { type: 'array', items: ref('RetentionCandidate') }
+                }
+              }
+            ]
+          })
+        },
+        ...commonErrors
+      }
+    }
+  },
+
+  '/api/regenerate-index': {
+    post: {
+      operationId: 'regenerateIndex',
+      summary: 'Rebuild index.json from the stored report files',
+      tags: ['Reports'],
+      'x-required-role': 'admin',
+      responses: {
+        200: {
+          description: 'Index rebuilt',
+          content: jsonContent({
+            type: 'object',
+            required: ['success', 'reportsCount'],
+            properties: {
+              success: { type: 'boolean' },
+              message: { type: 'string' },
+              reportsCount: { type: 'integer' }
+            }
+          })
+        },
+        ...commonErrors
+      }
+    }
+  },
+
+  '/api/export': {
+    get: {
+      operationId: 'exportReports',
+      summary: 'Download a zip of reports with their metadata, provenance, pins and index entries',
+      description: 'The archive holds manifest.json, index.json, reports/, records/ and (with includeBackups) backups/. ' +
+        'Runs still streaming are left out. POST /api/import reads it back.',
+      tags: ['Reports'],
+      'x-required-role': 'viewer',
+      parameters: [
+        listParameter('reports', 'Report file names to export (default: every indexed report)', { type: 'string' }),
+        { name: 'includeTrash', in: 'query', description: 'Also export soft-deleted reports (admin only)', schema: { type: 'boolean', default: false } },
+        { name: 'includeBackups', in: 'query', description: 'Also export the .backups/ copies (admin only)', schema: { type: 'boolean', default: false } }
+      ],
+      responses: {
+        200: {
+          description: 'Report archive',
+          content: { 'application/zip': { schema: { type: 'string', format: 'binary' } } }
+        },
+        404: errorResponse('A requested report is neither indexed nor in the trash'),
+        ...commonErrors,
+        403: errorResponse('Token role too low, or includeTrash or includeBackups without the admin role')
+      }
+    }
+  },
+
+  '/api/import': {
+    post: {
+      operationId: 'importReports',
+      summary: 'Import a report archive from GET /api/export and regenerate the index',
+      description: 'Reports identical to a stored report are skipped, and so are entries that are not Cucumber JSON ' +
+        'feature arrays or use a reserved name (index.json, stats.json). A report whose file name is taken by other ' +
+        'content is stored as <name>-imported.json; its records follow it. Existing backups are kept.',
+      tags: ['Reports'],
+      'x-required-role': 'admin',
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              properties: { archive: { type: 'string', format: 'binary' } }
+            }
+          },
+          'application/zip': { schema: { type: 'string', format: 'binary' } },
+          'application/octet-stream': { schema: { type: 'string', format: 'binary' } }
+        }
+      },
+      responses: {
+        200: {
+          description: 'Archive imported',
+          content: jsonContent({
+            type: 'object',
+            required: ['success', 'imported', 'duplicates', 'backups', 'reportsCount'],
+            properties: {
+              success: { type: 'boolean' },
+              message: { type: 'string' },
+              imported: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['filename'],
+                  properties: {
+                    filename: { type: 'string' },
+                    originalFilename: { type: 'string', description: 'Name in the archive, when it was taken here' },
+                    deleted: { type: 'boolean', description: 'Imported into the trash' }
+                  }
+                }
+              },
+              duplicates: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['filename', 'duplicateOf'],
+                  properties: {
+                    filename: { type: 'string' },
+                    duplicateOf: { type: 'string', description: 'Stored report with the same content' }
+                  }
+                }
+              },
+              backups: { type: 'integer', description: 'Backups added to .backups/' },
+              skipped: {
+                type: 'array',
+                description: 'Archive entries that could not be read',
+                items: {
+                  type: 'object',
+                  properties: { file: { type: 'string' }, reason: { type: 'string' } }
+                }
+              },
+              reportsCount: { type: 'integer' }
+            }
+          })
+        },
+        413: errorResponse('Archive larger than 50 MB, or larger than 200 MB once decompressed'),
+        ...commonErrors
+      }
+    }
+  },
+
+  '/api/events': {
+    get: {
+      operationId: 'streamReportEvents',
+      summary: 'Server-Sent Events stream of report changes',
+      description: `Event types: ${ReportEvents.EVENT_TYPES.join(', ')}. Reconnect with Last-Event-ID to receive missed events.`,
+      tags: ['Server'],
+      'x-required-role': 'viewer',
+      security: [...tokenSecurity, { queryToken: [] }],
+      parameters: [
+        { name: 'token', in: 'query', description: 'API token, for EventSource clients that cannot set headers', schema: { type: 'string' } }
+      ],
+      responses: {
+        200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+        ...commonErrors
+      }
+    }
+  },
+
+  '/api/sync/status': {
+    get: {
+      operationId: 'getSyncStatus',
+      summary: 'Deleted reports and pending cleanup',
+      tags: ['Deletion'],
+      'x-required-role': 'viewer',
+      responses: {
+        200: {
+          description: 'Synchronization status',
+          content: jsonContent({
+            type: 'object',
+            required: ['success', 'syncStatus'],
+            properties: {
+              success: { type: 'boolean' },
+              syncStatus: {
+                type: 'object',
+                required: ['localReports', 'deletedReports', 'pendingCleanup'],
+                properties: {
+                  localReports: { type: 'integer' },
+                  deletedReports: { type: 'integer' },
+                  pendingCleanup: { type: 'integer' },
+                  lastSyncAt: { type: 'string', nullable: true },
+                  needsCleanup: { type: 'array', items: ref('DeletedReport') }
+                }
+              }
+            }
+          })
+        },
+        ...commonErrors
+      }
+    }
+  }
+};
+
+module.exports = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Cucumber Report Viewer API',
+    version: packageJson.version,
+    description: 'Upload, search and manage Cucumber test reports. Every error response is { success: false, error, details? }.'
+  },
+  security: tokenSecurity,
+  tags: [
+    { name: 'Reports' },
+    { name: 'Live runs' },
+    { name: 'Deletion' },
+    { name: 'Retention' },
+    { name: 'Server' }
+  ],
+  paths,
+  components: {
+    schemas,
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'API token from server.config.json or API_TOKENS' },
+      apiTokenHeader: { type: 'apiKey', in: 'header', name: 'X-API-Token' },
+      queryToken: { type: 'apiKey', in: 'query', name: 'token' }
+    }
+  }
+};
@@ -0,0 +1,363 @@
+/**
+ * Report Archive
+ * A portable zip of reports with everything kept beside them, for moving a report history between servers.
+ * Written by GET /api/export and read by POST /api/import and scripts/report-archive.js.
+ *
+ *   manifest.json         format, version, when and by whom it was exported, one line per report
+ *   index.json            index entries of the exported reports, for tools that read the archive directly
+ *   reports/<file>.json   report files, soft-deleted ones included
+ *   records/<kind>.json   edited metadata, provenance, aliases, pins and trash records (see IndexManager.REPORT_RECORDS)
+ *   shards/<report>/<n>.json  shards of sharded runs, as uploaded (see runGroups)
+ *   reruns/<report>/<n>.json  reruns merged into a run, as uploaded (see reruns)
+ *   backups/<file>.json   .backups/ copies written before hard deletes
+ */
+
+const { Readable } = require('stream');
+const AdmZip = require('adm-zip');
+const yazl = require('yazl');
+const IndexManager = require('./indexManager');
+const { contentHash } = require('./reportHash');
+const { BACKUP_PREFIX, parseBackupName } = require('./backupPolicy');
+const { SHARDS_PREFIX, shardKey, shardDir } = require('./runGroups');
+const { RERUNS_PREFIX, rerunKey, rerunDir } = require('./reruns');
+const { isCucumberFeatureArray, readZipEntries, MAX_INFLATED_BYTES } = require('./reportFileParser');
+
+const ARCHIVE_FORMAT = 'cucumber-report-archive';
+const ARCHIVE_VERSION = 1;
+
+const MANIFEST_ENTRY = 'manifest.json';
+const INDEX_ENTRY = 'index.json';
+const REPORTS_DIR = 'reports/';
+const RECORDS_DIR = 'records/';
+const BACKUPS_DIR = 'backups/';
+const SHARDS_DIR = 'shards/';
+const RERUNS_DIR = 'reruns/';
+
+// Uploads kept beside a report, one file per shard or attempt: archive directory and storage layout
+const REPORT_PARTS = [
+  { kind: 'shards', dir: SHARDS_DIR, prefix: SHARDS_PREFIX, dirOf: shardDir, keyOf: shardKey },
+  { kind: 'reruns', dir: RERUNS_DIR, prefix: RERUNS_PREFIX, dirOf: rerunDir, keyOf: rerunKey }
+];
+
+// Names taken from an archive become storage keys, so they must stay plain file names
+const SAFE_NAME = /^(?!\.)[^/\\]+\.json$/;
+
+// Files the index writes next to the reports, never reports themselves
+const RESERVED_NAMES = ['index.json', 'stats.json'];
+
+function isReportName(name) {
+  return SAFE_NAME.test(name) && !RESERVED_NAMES.includes(name);
+}
+
+function parseJson(buffer, name) {
+  try {
+    return JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error(`${name} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Open an archive and read its contents
+ * @param {Buffer} buffer - The zip file
+ * @param {Object} [options]
+ * @param {number} [options.maxInflatedBytes] - Most the archive's entries may decompress to together (default 200 MB)
+ * @returns {Object} { manifest, reports: [{ filename, buffer, data, deleted }], records,
+ *   parts: [{ kind, filename, number, buffer }] (shards and reruns), backups: [{ name, buffer }], skipped }
+ * @throws {Error} When it is not a zip or not a report archive, so callers can answer 400,
+ *   or with error.code ERR_REPORT_TOO_LARGE when it inflates past the limit (413)
+ */
+function readArchive(buffer, options = {}) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw new Error(`Not a readable zip archive: ${error.message}`);
+  }
+
+  const entries = zip.getEntries().filter(entry => !entry.isDirectory);
+  if (!entries.some(entry => entry.entryName === MANIFEST_ENTRY)) {
+    throw new Error(`Not a report archive: ${MANIFEST_ENTRY} is missing`);
+  }
+
+  // Inflated with the same cap as uploads, so a zip bomb stops at the limit (error.code ERR_REPORT_TOO_LARGE)
+  const contents = readZipEntries(entries, 'Archive', options.maxInflatedBytes || MAX_INFLATED_BYTES);
+  const dataOf = new Map(entries.map((entry, i) => [entry.entryName, contents[i]]));
+
+  const manifest = parseJson(dataOf.get(MANIFEST_ENTRY), MANIFEST_ENTRY);
+  if (!manifest || manifest.format !== ARCHIVE_FORMAT) {
+    throw new Error(`Not a report archive: ${MANIFEST_ENTRY} is missing or not a ${ARCHIVE_FORMAT} manifest`);
+  }
+  if (manifest.version > ARCHIVE_VERSION) {
+    throw new Error(`Archive version ${manifest.version} is newer than this server reads (${ARCHIVE_VERSION})`);
+  }
+
+  const records = {};
+  Object.keys(IndexManager.REPORT_RECORDS).forEach(kind => {
+    const entryName = `${RECORDS_DIR}${kind}.json`;
+    const list = dataOf.has(entryName) ? parseJson(dataOf.get(entryName), entryName) : [];
+    records[kind] = Array.isArray(list)
+      ? list.filter(record => record && typeof record.filename === 'string')
+      : [];
+  });
+  const deletedFilenames = new Set(records.deleted.map(record => record.filename));
+
+  const reports = [];
+  const parts = [];
+  const backups = [];
+  const skipped = [];
+
+  entries.forEach(({ entryName }) => {
+    const data = dataOf.get(entryName);
+
+    if (entryName.startsWith(REPORTS_DIR)) {
+      const filename = entryName.slice(REPORTS_DIR.length);
+      if (!isReportName(filename)) {
+        skipped.push({ file: entryName, reason: 'not a report file name' });
+        return;
+      }
+
+      try {
+        const features = parseJson(data, entryName);
+        // The same check as uploads, so an archive cannot store what an upload would refuse
+        if (!isCucumberFeatureArray(features)) {
+          throw new Error(`${entryName} is not a Cucumber JSON feature array`);
+        }
+        reports.push({ filename, buffer: data, data: features, deleted: deletedFilenames.has(filename) });
+      } catch (error) {
+        skipped.push({ file: entryName, reason: error.message });
+      }
+    } else if (REPORT_PARTS.some(part => entryName.startsWith(part.dir))) {
+      const part = REPORT_PARTS.find(candidate => entryName.startsWith(candidate.dir));
+      const match = /^([^/\\]+)\/(\d+)\.json$/.exec(entryName.slice(part.dir.length));
+      if (match && isReportName(`${match[1]}.json`)) {
+        parts.push({ kind: part.kind, filename: `${match[1]}.json`, number: Number(match[2]), buffer: data });
+      } else {
+        skipped.push({ file: entryName, reason: `not a ${part.kind} file name` });
+      }
+    } else if (entryName.startsWith(BACKUPS_DIR)) {
+      const name = entryName.slice(BACKUPS_DIR.length);
+      if (SAFE_NAME.test(name) && parseBackupName(name)) {
+        backups.push({ name, buffer: data });
+      } else {
+        skipped.push({ file: entryName, reason: 'not a backup file name' });
+      }
+    }
+  });
+
+  return { manifest, reports, records, parts, backups, skipped };
+}
+
+/**
+ * Add a zip entry whose content is read only when the zip writer gets to it,
+ * so an export holds one entry in memory at a time
+ * @param {Function} load - Returns a promise of the entry's Buffer
+ */
+function addLazyEntry(zip, name, load) {
+  zip.addReadStreamLazy(name, callback => {
+    load().then(buffer => callback(null, Readable.from([buffer])), callback);
+  });
+}
+
+class ReportArchive {
+  /**
+   * @param {IndexManager} indexManager - Index and report storage to export from and import into
+   */
+  constructor(indexManager) {
+    this.indexManager = indexManager;
+    this.storage = indexManager.storage;
+  }
+
+  /**
+   * Zip reports with their records. Live runs still streaming are left out.
+   * The zip is written while the returned stream is read; report files are read from storage one at a time.
+   * @param {Object} [options]
+   * @param {string[]} [options.filenames] - Reports to export; every indexed report by default
+   * @param {boolean} [options.includeTrash] - Also export soft-deleted reports (all of them, or those in filenames)
+   * @param {boolean} [options.includeBackups] - Also export .backups/ (all of it, or the backups of filenames)
+   * @param {string} [options.exportedBy] - API token name
+   * @returns {Promise<Object>} { stream, manifest, missing }. The manifest is complete once the stream has
+   *   ended, and a failed read ends the stream with an error. missing lists requested files that are neither
+   *   indexed nor (with includeTrash) in the trash; nothing is zipped then and stream is null.
+   */
+  async exportArchive(options = {}) {
+    const requested = options.filenames && options.filenames.length > 0 ? new Set(options.filenames) : null;
+    const isSelected = filename => !requested || requested.has(filename);
+
+    const index = await this.indexManager.getIndex();
+    const reports = index.reports.filter(report =>
+      isSelected(`${report.id}.json`) && !(report.live && report.live.status === 'running'));
+
+    const trash = [];
+    if (options.includeTrash) {
+      for (const record of await this.indexManager.getDeletedReports()) {
+        if (isSelected(record.filename) && await this.storage.exists(record.filename)) {
+          trash.push(record.filename);
+        }
+      }
+    }
+
+    const filenames = new Set([...reports.map(report => `${report.id}.json`), ...trash]);
+    const missing = requested ? [...requested].filter(filename => !filenames.has(filename)) : [];
+    if (missing.length > 0) {
+      return { stream: null, manifest: null, missing };
+    }
+
+    const zip = new yazl.ZipFile();
+    const manifestReports = [];
+
+    for (const filename of filenames) {
+      addLazyEntry(zip, REPORTS_DIR + filename, async () => {
+        const buffer = await this.storage.read(filename);
+        manifestReports.push({
+          filename,
+          hash: contentHash(parseJson(buffer, filename)),
+          ...(trash.includes(filename) ? { deleted: true } : {})
+        });
+        return buffer;
+      });
+      for (const part of REPORT_PARTS) {
+        for (const file of await this.storage.list(part.dirOf(filename))) {
+          addLazyEntry(zip, part.dir + file.key.slice(part.prefix.length), () => this.storage.read(file.key));
+        }
+      }
+    }
+
+    const records = await this.indexManager.getReportRecords(filenames);
+    Object.entries(records).forEach(([kind, list]) => {
+      zip.addBuffer(Buffer.from(JSON.stringify(list, null, 2)), `${RECORDS_DIR}${kind}.json`);
+    });
+
+    const backups = [];
+    if (options.includeBackups) {
+      for (const file of await this.storage.list(BACKUP_PREFIX)) {
+        const name = file.key.slice(BACKUP_PREFIX.length);
+        const parsed = parseBackupName(name);
+        if (parsed && isSelected(parsed.filename)) {
+          addLazyEntry(zip, BACKUPS_DIR + name, () => this.storage.read(file.key));
+          backups.push(name);
+        }
+      }
+    }
+
+    zip.addBuffer(Buffer.from(JSON.stringify({
+      version: index.version,
+      generated: new Date().toISOString(),
+      reports,
+      statistics: this.indexManager.generator.generateStatistics(reports)
+    }, null, 2)), INDEX_ENTRY);
+
+    const manifest = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportedAt: new Date().toISOString(),
+      exportedBy: options.exportedBy || null,
+      reports: manifestReports,
+      backups
+    };
+    // Last, so the hashes of every report read before it are in
+    addLazyEntry(zip, MANIFEST_ENTRY, async () => Buffer.from(JSON.stringify(manifest, null, 2)));
+    zip.end();
+
+    const stream = zip.outputStream;
+    zip.on('error', error => stream.destroy(error));
+    stream.on('end', () => {
+      console.log(`📦 Exported ${manifestReports.length} report(s)${backups.length > 0 ? ` and ${backups.length} backup(s)` : ''}`);
+    });
+    return { stream, manifest, missing };
+  }
+
+  /**
+   * Store the reports of an archive and regenerate the index.
+   * Reports whose content matches a stored one are skipped. A report whose file name is taken by
+   * other content is stored under a new name, and its records follow it.
+   * @param {Object} archive - From readArchive
+   * @returns {Promise<Object>} { index, imported: [{ filename, originalFilename?, deleted? }],
+   *   duplicates: [{ filename, duplicateOf }], backups, skipped }
+   */
+  async importArchive(archive) {
+    return this.indexManager.withIndexLock(async () => {
+      const index = (await this.indexManager.loadIndex()) || (await this.indexManager.rebuildUnlocked());
+      const storedHashes = new Map(index.reports.filter(report => report.hash)
+        .map(report => [report.hash, `${report.id}.json`]));
+
+      const imported = [];
+      const duplicates = [];
+      const renamed = new Map();
+
+      for (const report of archive.reports) {
+        const hash = contentHash(report.data);
+        let duplicateOf = storedHashes.get(hash);
+
+        let filename = report.filename;
+        if (!duplicateOf && await this.storage.exists(filename)) {
+          // Taken: by the same report (e.g. in the trash here), or by other content that keeps its name
+          if (contentHash(await this.storage.readJson(filename)) === hash) {
+            duplicateOf = filename;
+          } else {
+            filename = await this.freeFilename(filename);
+          }
+        }
+
+        if (duplicateOf) {
+          duplicates.push({ filename: report.filename, duplicateOf });
+          continue;
+        }
+
+        await this.storage.write(filename, report.buffer);
+        storedHashes.set(hash, filename);
+        renamed.set(report.filename, filename);
+        imported.push({
+          filename,
+          ...(filename !== report.filename ? { originalFilename: report.filename } : {}),
+          ...(report.deleted ? { deleted: true } : {})
+        });
+      }
+
+      const records = {};
+      Object.entries(archive.records).forEach(([kind, list]) => {
+        records[kind] = list
+          .filter(record => renamed.has(record.filename))
+          .map(record => ({ ...record, filename: renamed.get(record.filename) }));
+      });
+      await this.indexManager.addReportRecords(records);
+
+      for (const part of archive.parts.filter(p => renamed.has(p.filename))) {
+        const { keyOf } = REPORT_PARTS.find(candidate => candidate.kind === part.kind);
+        await this.storage.write(keyOf(renamed.get(part.filename), part.number), part.buffer);
+      }
+
+      let backups = 0;
+      for (const backup of archive.backups) {
+        if (!(await this.storage.exists(BACKUP_PREFIX + backup.name))) {
+          await this.storage.write(BACKUP_PREFIX + backup.name, backup.buffer);
+          backups++;
+        }
+      }
+
+      console.log(`📦 Imported ${imported.length} report(s), ${duplicates.length} duplicate(s) skipped, ${backups} backup(s)`);
+      const rebuilt = await this.indexManager.rebuildUnlocked();
+
+      return { index: rebuilt, imported, duplicates, backups, skipped: archive.skipped };
+    });
+  }
+
+  /**
+   * <report>-imported.json, or -imported-2, -3, ... when that is taken too
+   */
+  async freeFilename(filename) {
+    const base = filename.replace(/\.json$/, '');
+    let candidate = `${base}-imported.json`;
+    for (let suffix = 2; await this.storage.exists(candidate); suffix++) {
+      candidate = `${base}-imported-${suffix}.json`;
+    }
+    return candidate;
+  }
+}
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  ReportArchive,
+  readArchive
+};
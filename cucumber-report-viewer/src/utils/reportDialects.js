@@ -0,0 +1,329 @@
+/**
+ * Report Dialects
+ * Cucumber JSON is written differently by each producer; the viewer follows cucumber-jvm. This
+ * recognises the producer of a report and rewrites it into cucumber-jvm conventions before it is
+ * validated and stored:
+ *
+ *   cucumber-jvm       the reference: durations in nanoseconds, hooks in before/after
+ *   cucumber-js        Before/After hooks listed as hidden steps; attachments as media.type
+ *   Behave             durations in seconds; location instead of uri/line; tags without @;
+ *                      error_message as a list of lines; untested steps
+ *   SpecFlow/Reqnroll  .NET status names (OK, TestError, ...); durations in nanoseconds,
+ *                      milliseconds or seconds depending on the formatter, detected from their size
+ *   Karate             "*" steps and karate step locations; cucumber-jvm conventions otherwise
+ *
+ * For every dialect status synonyms (pass, ok, error, ignored, ...) become Cucumber statuses, tags
+ * given as strings become tag objects and scenario-level embeddings move to an after hook, where
+ * the report page looks for screenshots. A normalized report other than cucumber-jvm records its
+ * dialect in metadata.dialect, so normalizing it again changes nothing.
+ *
+ * Plain JavaScript with no Node.js dependencies: used by the upload routes and by ReportUploader in the browser.
+ */
+
+const DIALECTS = {
+  'cucumber-jvm': { label: 'cucumber-jvm', durationUnit: 'nanoseconds', fixSkippedWithDuration: true },
+  'cucumber-js': { label: 'cucumber-js', durationUnit: 'nanoseconds', fixSkippedWithDuration: false },
+  behave: { label: 'Behave', durationUnit: 'seconds', fixSkippedWithDuration: false },
+  specflow: { label: 'SpecFlow/Reqnroll', durationUnit: 'detect', fixSkippedWithDuration: false },
+  karate: { label: 'Karate', durationUnit: 'nanoseconds', fixSkippedWithDuration: false }
+};
+
+const DEFAULT_DIALECT = 'cucumber-jvm';
+
+const NANOSECONDS_PER_UNIT = { nanoseconds: 1, milliseconds: 1e6, seconds: 1e9 };
+
+// Status names of other producers, lower case without separators -> Cucumber status
+const STATUS_SYNONYMS = {
+  passed: 'passed', pass: 'passed', ok: 'passed', success: 'passed', succeeded: 'passed',
+  failed: 'failed', fail: 'failed', failure: 'failed', error: 'failed', testerror: 'failed',
+  bindingerror: 'failed', broken: 'failed', hookerror: 'failed',
+  skipped: 'skipped', skip: 'skipped', untested: 'skipped', ignored: 'skipped', notrun: 'skipped',
+  notexecuted: 'skipped',
+  pending: 'pending', stepdefinitionpending: 'pending',
+  undefined: 'undefined', undefinedstep: 'undefined', missing: 'undefined',
+  ambiguous: 'ambiguous'
+};
+
+// ScenarioExecutionStatus values only SpecFlow and Reqnroll write
+const DOTNET_STATUSES = ['OK', 'TestError', 'BindingError', 'UndefinedStep', 'StepDefinitionPending'];
+
+// A .NET step binding: Namespace.Class.PascalCaseMethod(String, Int32)
+const DOTNET_BINDING = /^[\w.]+\.[A-Z]\w*\((?:[A-Z][\w.]*(?:\[\])?(?:, ?)?)*\)$/;
+
+const JS_LOCATION = /\.(?:[cm]?js|ts)(?::\d+)?$/;
+
+const HOOK_KEYWORDS = { Before: 'before', After: 'after' };
+
+function slug(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, '-');
+}
+
+function elementsOf(feature) {
+  return Array.isArray(feature.elements) ? feature.elements : [];
+}
+
+function stepsOf(element) {
+  return Array.isArray(element.steps) ? element.steps : [];
+}
+
+/**
+ * Steps and hooks of every scenario and background
+ */
+function allSteps(features) {
+  return features.flatMap(feature => elementsOf(feature).flatMap(element => [
+    ...(element.before || []),
+    ...stepsOf(element),
+    ...(element.after || [])
+  ])).filter(step => step && typeof step === 'object');
+}
+
+function matchLocation(step) {
+  return step.match && step.match.location ? String(step.match.location) : '';
+}
+
+/**
+ * Recognise which tool wrote a Cucumber JSON report
+ * @param {Array} features - Cucumber JSON features
+ * @returns {string} A key of DIALECTS; cucumber-jvm when nothing points elsewhere
+ */
+function detectDialect(features) {
+  const marked = features.map(feature => feature.metadata && feature.metadata.dialect).find(dialect => DIALECTS[dialect]);
+  if (marked) return marked;
+
+  const steps = allSteps(features);
+
+  if (features.some(feature => typeof feature.location === 'string' && !feature.uri) ||
+    steps.some(step => 'step_type' in step)) {
+    return 'behave';
+  }
+
+  if (steps.some(step => /^karate\b/i.test(matchLocation(step))) ||
+    (steps.length > 0 && steps.every(step => String(step.keyword || '').trim() === '*') &&
+      features.some(feature => /^classpath:/.test(feature.uri || '')))) {
+    return 'karate';
+  }
+
+  if (steps.some(step => step.result && DOTNET_STATUSES.includes(step.result.status)) ||
+    steps.some(step => DOTNET_BINDING.test(matchLocation(step)) && !matchLocation(step).includes('java.'))) {
+    return 'specflow';
+  }
+
+  if (steps.some(step => step.hidden === true || HOOK_KEYWORDS[String(step.keyword || '').trim()]) ||
+    (features.some(feature => /\.feature$/.test(feature.uri || '')) && steps.some(step => JS_LOCATION.test(matchLocation(step))))) {
+    return 'cucumber-js';
+  }
+
+  return DEFAULT_DIALECT;
+}
+
+/**
+ * Unit of the step durations of a report whose formatter does not say: fractions are seconds,
+ * and a median step under 0.1 ms is not plausible in nanoseconds, so those are milliseconds
+ */
+function detectDurationUnit(features) {
+  const durations = allSteps(features)
+    .map(step => step.result && Number(step.result.duration))
+    .filter(duration => duration > 0)
+    .sort((a, b) => a - b);
+
+  if (durations.length === 0) return 'nanoseconds';
+  if (durations.some(duration => !Number.isInteger(duration))) return 'seconds';
+  return durations[Math.floor(durations.length / 2)] < 1e5 ? 'milliseconds' : 'nanoseconds';
+}
+
+function toTags(tags) {
+  if (!Array.isArray(tags)) return tags;
+  return tags.map(tag => (typeof tag === 'string' ? { name: tag.startsWith('@') ? tag : `@${tag}` } : tag));
+}
+
+// "features/login.feature:12" -> { uri: 'features/login.feature', line: 12 }
+function parseLocation(location) {
+  const match = /^(.*?)(?::(\d+))?$/.exec(String(location || ''));
+  return { uri: match[1], line: match[2] ? Number(match[2]) : null };
+}
+
+/**
+ * Behave: uri, line and ids from location, keywords followed by a space, error_message lines
+ * joined, tables and text in Cucumber JSON form
+ */
+function normalizeBehaveStructure(features) {
+  features.forEach(feature => {
+    const featureLocation = parseLocation(feature.location);
+    if (!feature.uri && featureLocation.uri) feature.uri = featureLocation.uri;
+    if (!feature.line && featureLocation.line) feature.line = featureLocation.line;
+    if (!feature.id) feature.id = slug(feature.name);
+
+    elementsOf(feature).forEach(element => {
+      const { line } = parseLocation(element.location);
+      if (!element.line && line) element.line = line;
+      if (!element.id) element.id = `${feature.id};${slug(element.name)}`;
+
+      stepsOf(element).forEach(step => {
+        const stepLocation = parseLocation(step.location);
+        if (!step.line && stepLocation.line) step.line = stepLocation.line;
+        if (step.keyword && !step.keyword.endsWith(' ')) step.keyword = `${step.keyword} `;
+        if (step.result && Array.isArray(step.result.error_message)) {
+          step.result.error_message = step.result.error_message.join('\n');
+        }
+        if (step.table && !step.rows) {
+          const { headings, rows } = step.table;
+          step.rows = [headings, ...(rows || [])].filter(Array.isArray).map(cells => ({ cells }));
+        }
+        if (typeof step.text === 'string' && !step.doc_string) {
+          step.doc_string = { value: step.text };
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Put every result in nanoseconds
+ * @returns {number} Durations converted
+ */
+function normalizeDurations(features, unit) {
+  const factor = NANOSECONDS_PER_UNIT[unit] || 1;
+  if (factor === 1) return 0;
+
+  let converted = 0;
+  allSteps(features).forEach(step => {
+    if (step.result && typeof step.result.duration === 'number') {
+      step.result.duration = Math.round(step.result.duration * factor);
+      converted++;
+    }
+  });
+  return converted;
+}
+
+function canonicalStatus(status) {
+  if (typeof status !== 'string') return status;
+  return STATUS_SYNONYMS[status.toLowerCase().replace(/[^a-z]/g, '')] || status;
+}
+
+/**
+ * Map status synonyms of steps, hooks, scenarios and features to Cucumber statuses
+ * @returns {number} Statuses changed
+ */
+function normalizeStatuses(features) {
+  let changed = 0;
+  const normalize = holder => {
+    if (!holder || typeof holder.status !== 'string') return;
+    const status = canonicalStatus(holder.status);
+    if (status !== holder.status) {
+      holder.status = status;
+      changed++;
+    }
+  };
+
+  features.forEach(feature => {
+    normalize(feature);
+    elementsOf(feature).forEach(normalize);
+  });
+  allSteps(features).forEach(step => normalize(step.result));
+  return changed;
+}
+
+/**
+ * Move hooks listed among the steps (cucumber-js: keyword Before/After, hidden) to before/after
+ * @returns {number} Hooks moved
+ */
+function normalizeHooks(features) {
+  let moved = 0;
+
+  features.forEach(feature => elementsOf(feature).forEach(element => {
+    const steps = stepsOf(element);
+    const hooks = steps.filter(step => HOOK_KEYWORDS[String(step.keyword || '').trim()]);
+    if (hooks.length === 0) return;
+
+    element.steps = steps.filter(step => !hooks.includes(step));
+    hooks.forEach(hook => {
+      const placement = HOOK_KEYWORDS[String(hook.keyword).trim()];
+      const entry = { ...hook };
+      delete entry.keyword;
+      delete entry.hidden;
+      element[placement] = [...(element[placement] || []), entry];
+      moved++;
+    });
+  }));
+
+  return moved;
+}
+
+/**
+ * Embeddings as { data, mime_type }, and scenario-level embeddings on an after hook
+ * @returns {number} Embeddings changed or moved
+ */
+function normalizeAttachments(features) {
+  let changed = 0;
+  const normalize = embeddings => (embeddings || []).forEach(embedding => {
+    if (embedding && !embedding.mime_type && embedding.media && embedding.media.type) {
+      embedding.mime_type = embedding.media.type;
+      delete embedding.media;
+      changed++;
+    }
+  });
+
+  features.forEach(feature => elementsOf(feature).forEach(element => {
+    if (Array.isArray(element.embeddings) && element.embeddings.length > 0) {
+      element.after = [...(element.after || []), {
+        match: { location: 'scenario attachments' },
+        result: { status: 'passed', duration: 0 },
+        embeddings: element.embeddings
+      }];
+      changed += element.embeddings.length;
+      delete element.embeddings;
+    }
+  }));
+  allSteps(features).forEach(step => normalize(step.embeddings));
+
+  return changed;
+}
+
+/**
+ * Rewrite a report into cucumber-jvm conventions, in place
+ * @param {Array} report - Cucumber JSON features
+ * @returns {Object} { dialect, changes: { durations, statuses, hooks, attachments } }; changes counts
+ *   what was rewritten, all zero for a cucumber-jvm report or one normalized before
+ */
+function normalizeDialect(report) {
+  const changes = { durations: 0, statuses: 0, hooks: 0, attachments: 0 };
+  if (!Array.isArray(report)) return { dialect: DEFAULT_DIALECT, changes };
+
+  // Anything else in the array is left for validation to reject
+  const features = report.filter(feature => feature && typeof feature === 'object');
+
+  const dialect = detectDialect(features);
+  const alreadyNormalized = features.some(feature => feature.metadata && feature.metadata.dialect === dialect);
+
+  features.forEach(feature => {
+    feature.tags = toTags(feature.tags);
+    elementsOf(feature).forEach(element => { element.tags = toTags(element.tags); });
+  });
+
+  if (!alreadyNormalized) {
+    if (dialect === 'behave') normalizeBehaveStructure(features);
+
+    const { durationUnit } = DIALECTS[dialect];
+    changes.durations = normalizeDurations(features, durationUnit === 'detect' ? detectDurationUnit(features) : durationUnit);
+  }
+
+  changes.statuses = normalizeStatuses(features);
+  changes.hooks = normalizeHooks(features);
+  changes.attachments = normalizeAttachments(features);
+
+  if (dialect !== DEFAULT_DIALECT) {
+    features.forEach(feature => {
+      const metadata = feature.metadata || {};
+      feature.metadata = { ...metadata, dialect, ...(metadata.tool ? {} : { tool: DIALECTS[dialect].label }) };
+    });
+  }
+
+  return { dialect, changes };
+}
+
+module.exports = {
+  DIALECTS,
+  DEFAULT_DIALECT,
+  detectDialect,
+  normalizeDialect
+};
@@ -0,0 +1,97 @@
+/**
+ * Report Events
+ * In-process event bus for report changes (upload, live run progress, delete, restore, index rebuild),
+ * streamed to browsers as Server-Sent Events so open viewers update without a reload.
+ */
+
+const { EventEmitter } = require('events');
+
+const EVENT_TYPES = ['report-uploaded', 'report-progress', 'report-updated', 'report-deleted', 'report-restored', 'report-purged', 'index-regenerated'];
+
+// Recent events kept for clients that reconnect with Last-Event-ID
+const HISTORY_SIZE = 100;
+const HEARTBEAT_INTERVAL = 25 * 1000;
+const CLIENT_RETRY_MS = 5000;
+
+class ReportEvents extends EventEmitter {
+  constructor() {
+    super();
+    this.lastId = 0;
+    this.history = [];
+    this.clients = new Set();
+
+    // Every SSE client is a listener
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Publish a report change to every connected client
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} data - Event payload, e.g. { reportId, filename }
+   * @returns {Object} The published event
+   */
+  publish(type, data = {}) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown report event type: ${type}`);
+    }
+
+    const event = {
+      id: ++this.lastId,
+      type,
+      data: { ...data, timestamp: new Date().toISOString() }
+    };
+
+    this.history.push(event);
+    if (this.history.length > HISTORY_SIZE) {
+      this.history.shift();
+    }
+
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Events published after the given id, for replay on reconnect
+   */
+  since(lastEventId) {
+    const id = Number(lastEventId);
+    return Number.isInteger(id) ? this.history.filter(event => event.id > id) : [];
+  }
+
+  /**
+   * Express handler body for GET /api/events: keeps the response open as an SSE stream
+   */
+  stream(req, res) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop nginx and similar proxies from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+    const send = event => {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    };
+
+    this.since(req.get('last-event-id')).forEach(send);
+
+    // Comment lines keep idle connections from being closed by proxies
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+    this.on('event', send);
+    this.clients.add(res);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      this.off('event', send);
+      this.clients.delete(res);
+    });
+  }
+}
+
+ReportEvents.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = ReportEvents;
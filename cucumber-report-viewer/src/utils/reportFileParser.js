@@ -0,0 +1,264 @@
+/**
+ * Report File Parser
+ * Turns a raw uploaded report file (plain JSON, NDJSON or XML, gzip or zip) into parsed JSON documents.
+ * Cucumber Messages, JUnit XML, TestNG XML and zipped Allure results are converted to Cucumber JSON features on the way.
+ */
+
+const zlib = require('zlib');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { isJUnitXml, convertJUnitXml } = require('./junitXml');
+const { isTestNGXml, convertTestNGXml } = require('./testngXml');
+const { isCucumberMessages, convertMessages } = require('./cucumberMessages');
+const { isAllureResults, convertAllureResults } = require('./allureResults');
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+const ZIP_MAGIC = [0x50, 0x4b, 0x03, 0x04];
+
+// Report formats a document can be in, as reported back to the uploader
+const REPORT_FORMATS = ['cucumber-json', 'cucumber-messages', 'junit-xml', 'testng-xml', 'allure-results'];
+
+// File types read from zip archives
+const REPORT_EXTENSIONS = ['.json', '.ndjson', '.xml'];
+
+// Most a compressed upload may inflate to: a few kilobytes of gzip or zip can expand to gigabytes
+const MAX_INFLATED_BYTES = 200 * 1024 * 1024;
+
+function startsWith(buffer, magic) {
+  return buffer.length >= magic.length && magic.every((byte, i) => buffer[i] === byte);
+}
+
+/**
+ * Error for an upload that inflates past the limit; error.code lets the server answer 413
+ */
+function tooLargeError(name, limit) {
+  const error = new Error(`${name} is larger than ${Math.round(limit / 1024 / 1024)} MB once decompressed`);
+  error.code = 'ERR_REPORT_TOO_LARGE';
+  return error;
+}
+
+/**
+ * Detect how the uploaded file is packaged.
+ * Magic bytes win over the file name so mislabelled CI artifacts still work.
+ */
+function detectCompression(buffer, filename = '') {
+  if (startsWith(buffer, GZIP_MAGIC)) return 'gzip';
+  if (startsWith(buffer, ZIP_MAGIC)) return 'zip';
+
+  const lowerName = filename.toLowerCase();
+  if (lowerName.endsWith('.gz')) return 'gzip';
+  if (lowerName.endsWith('.zip')) return 'zip';
+
+  return 'none';
+}
+
+/**
+ * Parse one report document, stripping a UTF-8 BOM (common in Windows CI agents)
+ * @returns {{ format: string, data: * }} Cucumber Messages, JUnit XML and TestNG XML come back as Cucumber JSON features
+ */
+function parseReportBuffer(buffer, sourceName) {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+  if (!text.trim()) {
+    throw new Error(`${sourceName} is empty`);
+  }
+
+  // Checked before JSON: a message file with a single envelope is also valid JSON
+  if (isCucumberMessages(text)) {
+    let features;
+    try {
+      features = convertMessages(text);
+    } catch (error) {
+      throw new Error(`${sourceName} is not a valid Cucumber Messages file: ${error.message}`);
+    }
+    if (features.length === 0) {
+      throw new Error(`${sourceName} has no executed test cases`);
+    }
+    return { format: 'cucumber-messages', data: features };
+  }
+
+  if (isJUnitXml(text)) {
+    try {
+      return { format: 'junit-xml', data: convertJUnitXml(text) };
+    } catch (error) {
+      throw new Error(`${sourceName} is not a valid JUnit XML report: ${error.message}`);
+    }
+  }
+
+  if (isTestNGXml(text)) {
+    try {
+      return { format: 'testng-xml', data: convertTestNGXml(text) };
+    } catch (error) {
+      throw new Error(`${sourceName} is not a valid TestNG report: ${error.message}`);
+    }
+  }
+
+  try {
+    return { format: 'cucumber-json', data: JSON.parse(text) };
+  } catch (error) {
+    throw new Error(`${sourceName} is not valid JSON${text.trimStart().startsWith('<') ? ', JUnit XML or TestNG XML' : ''}: ${error.message}`);
+  }
+}
+
+// Zip compression methods read from uploads
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+/**
+ * Inflate one zip entry, stopping at `remaining` bytes.
+ * The size in the zip header is not trusted: adm-zip only caps inflation when it is above 0,
+ * so an entry declaring 0 bytes could otherwise expand without bound.
+ */
+function inflateZipEntry(entry, remaining, filename, limit) {
+  if (entry.header.encrypted) {
+    throw new Error(`${entry.entryName} in ${filename || 'zip archive'} is encrypted`);
+  }
+
+  const compressed = entry.getCompressedData();
+  let data;
+
+  if (entry.header.method === ZIP_STORED) {
+    data = compressed;
+  } else if (entry.header.method === ZIP_DEFLATED) {
+    try {
+      data = zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(remaining, 1) });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLargeError(filename || 'zip archive', limit);
+      throw new Error(`${entry.entryName} in ${filename || 'zip archive'} is not valid deflate data: ${error.message}`);
+    }
+  } else {
+    throw new Error(`${entry.entryName} in ${filename || 'zip archive'} uses unsupported compression method ${entry.header.method}`);
+  }
+
+  if (data.length > remaining) {
+    throw tooLargeError(filename || 'zip archive', limit);
+  }
+  return data;
+}
+
+/**
+ * Read zip entries that together may inflate to at most `limit` bytes.
+ * Entries whose declared sizes already exceed the limit are refused before anything is inflated.
+ * @returns {Buffer[]} Contents of the entries, in order
+ * @throws {Error} error.code ERR_REPORT_TOO_LARGE past the limit
+ */
+function readZipEntries(entries, filename, limit = MAX_INFLATED_BYTES) {
+  let declared = 0;
+  for (const entry of entries) {
+    declared += entry.header.size;
+    if (declared > limit) {
+      throw tooLargeError(entry.header.size > limit ? entry.entryName : filename || 'zip archive', limit);
+    }
+  }
+
+  let remaining = limit;
+  return entries.map(entry => {
+    const data = inflateZipEntry(entry, remaining, filename, limit);
+    remaining -= data.length;
+    return data;
+  });
+}
+
+/**
+ * Extract every JSON, NDJSON and XML report from a zip archive.
+ * An archive holding Allure *-result.json files is one Allure results directory, converted as a whole.
+ */
+function parseZipArchive(buffer, filename, maxInflatedBytes) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw new Error(`${filename || 'Upload'} is not a readable zip archive: ${error.message}`);
+  }
+
+  const files = zip.getEntries().filter(entry =>
+    !entry.isDirectory &&
+    !entry.entryName.startsWith('__MACOSX/') &&
+    !path.basename(entry.entryName).startsWith('.')
+  );
+
+  if (isAllureResults(files.map(entry => entry.entryName))) {
+    const contents = readZipEntries(files, filename, maxInflatedBytes);
+    try {
+      const data = convertAllureResults(files.map((entry, i) => ({ name: entry.entryName, data: contents[i] })));
+      return [{ name: filename || 'allure-results.zip', format: 'allure-results', data }];
+    } catch (error) {
+      throw new Error(`${filename || 'zip archive'} is not a valid Allure results directory: ${error.message}`);
+    }
+  }
+
+  const entries = files.filter(entry =>
+    REPORT_EXTENSIONS.some(extension => entry.entryName.toLowerCase().endsWith(extension)));
+
+  if (entries.length === 0) {
+    throw new Error(`No .json, .ndjson or .xml report found in ${filename || 'zip archive'}`);
+  }
+  const contents = readZipEntries(entries, filename, maxInflatedBytes);
+
+  return entries.map((entry, i) => ({
+    name: entry.entryName,
+    ...parseReportBuffer(contents[i], entry.entryName)
+  }));
+}
+
+/**
+ * Check that normalized data looks like a Cucumber JSON feature array
+ */
+function isCucumberFeatureArray(data) {
+  return Array.isArray(data) &&
+    data.length > 0 &&
+    data.every(feature => feature && typeof feature === 'object' && !Array.isArray(feature)) &&
+    data.some(feature => Array.isArray(feature.elements));
+}
+
+/**
+ * Parse an uploaded report file into one or more documents
+ * @param {Buffer} buffer - Raw file contents
+ * @param {Object} options
+ * @param {string} options.filename - Original file name, used for detection and messages
+ * @param {number} [options.maxInflatedBytes] - Most a gzip or zip upload may decompress to (default 200 MB)
+ * @returns {{ compression: string, documents: Array<{ name: string, format: string, data: * }> }}
+ */
+function parseReportFile(buffer, options = {}) {
+  const filename = options.filename || 'report.json';
+  const maxInflatedBytes = options.maxInflatedBytes || MAX_INFLATED_BYTES;
+
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw new Error('Uploaded report file is empty');
+  }
+
+  const compression = detectCompression(buffer, filename);
+
+  if (compression === 'zip') {
+    return { compression, documents: parseZipArchive(buffer, filename, maxInflatedBytes) };
+  }
+
+  if (compression === 'gzip') {
+    let inflated;
+    try {
+      inflated = zlib.gunzipSync(buffer, { maxOutputLength: maxInflatedBytes });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLargeError(filename, maxInflatedBytes);
+      throw new Error(`${filename} is not a valid gzip file: ${error.message}`);
+    }
+
+    return {
+      compression,
+      documents: [{ name: filename.replace(/\.gz$/i, ''), ...parseReportBuffer(inflated, filename) }]
+    };
+  }
+
+  return {
+    compression,
+    documents: [{ name: filename, ...parseReportBuffer(buffer, filename) }]
+  };
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  MAX_INFLATED_BYTES,
+  detectCompression,
+  isCucumberFeatureArray,
+  readZipEntries,
+  parseReportFile
+};
@@ -0,0 +1,86 @@
+/**
+ * Report Hash
+ * Content hash of a Cucumber JSON report and duplicate detection over index entries.
+ * Shared by the index generators, IndexManager and the upload paths, so a report hashes
+ * the same whether it is checked before upload or read back from storage.
+ */
+
+const crypto = require('crypto');
+
+// What an upload does when an identical run is already indexed
+const DUPLICATE_POLICIES = ['allow', 'reject', 'alias'];
+
+/**
+ * Copy of a JSON value with the keys of every object sorted, so key order never changes the hash
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      result[key] = canonicalize(value[key]);
+      return result;
+    }, {});
+  }
+  return value;
+}
+
+/**
+ * md5 of the normalized report: { features: [...] } and single features hash like the feature array
+ * @param {Array|Object} reportData - Parsed Cucumber JSON
+ * @returns {string} Hex digest
+ */
+function contentHash(reportData) {
+  let features = reportData;
+  if (reportData && !Array.isArray(reportData)) {
+    if (Array.isArray(reportData.features)) {
+      features = reportData.features;
+    } else if (reportData.name && reportData.elements) {
+      features = [reportData];
+    }
+  }
+
+  return crypto.createHash('md5').update(JSON.stringify(canonicalize(features))).digest('hex');
+}
+
+/**
+ * Mark every report whose hash matches an older one with duplicateOf (the older report's id).
+ * The oldest copy - by date, then id, which ends in the upload timestamp - stays unmarked.
+ * Live runs are skipped: their partial content changes until they finish.
+ * @param {Array} reports - Index entries; changed in place
+ * @param {Object} [options]
+ * @param {Function} [options.idOf] - Report id, default report.id
+ * @param {Function} [options.dateOf] - Report date, default report.date
+ * @returns {number} How many reports are duplicates
+ */
+function flagDuplicates(reports, options = {}) {
+  const idOf = options.idOf || (report => report.id);
+  const dateOf = options.dateOf || (report => report.date);
+  const time = report => new Date(dateOf(report)).getTime() || 0;
+
+  const chronological = reports.slice().sort((a, b) =>
+    (time(a) - time(b)) || String(idOf(a)).localeCompare(String(idOf(b))));
+
+  const originals = new Map();
+  let duplicates = 0;
+
+  chronological.forEach(report => {
+    delete report.duplicateOf;
+    if (!report.hash || report.live) return;
+
+    const original = originals.get(report.hash);
+    if (original) {
+      report.duplicateOf = idOf(original);
+      duplicates++;
+    } else {
+      originals.set(report.hash, report);
+    }
+  });
+
+  return duplicates;
+}
+
+module.exports = {
+  DUPLICATE_POLICIES,
+  contentHash,
+  flagDuplicates
+};
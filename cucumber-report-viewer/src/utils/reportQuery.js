@@ -0,0 +1,274 @@
+/**
+ * Report Query
+ * Server-side search, filtering, sorting and paging of index.json entries.
+ * Mirrors ReportService.searchReports/filterReports/sortReports so the viewer behaves the same
+ * whether it pages through the API or falls back to filtering a static index in the browser.
+ * Also validates the cross-report search parameters of GET /api/search.
+ */
+
+const STATUS_FILTERS = ['passed', 'failed', 'mixed'];
+const SORT_KEYS = ['date', 'name', 'scenarios', 'passRate'];
+const SORT_ORDERS = ['asc', 'desc'];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 200;
+
+const SEARCH_FIELDS = ['scenario', 'step', 'error', 'location'];
+const MIN_SEARCH_LENGTH = 2;
+const DEFAULT_SEARCH_LIMIT = 25;
+const MAX_SEARCH_LIMIT = 100;
+
+/**
+ * Accept both repeated params (?tags=a&tags=b) and comma-separated lists (?tags=a,b)
+ */
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+function isMissing(value) {
+  return value === undefined || value === '';
+}
+
+function toPositiveInt(value, name, fallback) {
+  if (isMissing(value)) return fallback;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`Invalid ${name} "${value}": expected a positive integer`);
+  }
+  return number;
+}
+
+function toDate(value, name, endOfDay = false) {
+  if (!value) return null;
+
+  // A bare date in dateTo covers the whole day
+  const text = endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value;
+  const date = new Date(text);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} "${value}": expected an ISO 8601 date`);
+  }
+  return date;
+}
+
+/**
+ * Validate the query string of GET /api/reports
+ * @param {Object} query - req.query
+ * @returns {Object} Normalized query options
+ * @throws {Error} When a parameter has an unsupported value
+ */
+function parseReportQuery(query = {}) {
+  const status = toList(query.status);
+  const invalidStatus = status.find(value => !STATUS_FILTERS.includes(value));
+  if (invalidStatus) {
+    throw new Error(`Invalid status "${invalidStatus}": expected one of ${STATUS_FILTERS.join(', ')}`);
+  }
+
+  const sortBy = query.sortBy || 'date';
+  if (!SORT_KEYS.includes(sortBy)) {
+    throw new Error(`Invalid sortBy "${sortBy}": expected one of ${SORT_KEYS.join(', ')}`);
+  }
+
+  const order = query.order || 'desc';
+  if (!SORT_ORDERS.includes(order)) {
+    throw new Error(`Invalid order "${order}": expected asc or desc`);
+  }
+
+  const options = {
+    q: typeof query.q === 'string' ? query.q.trim() : '',
+    status,
+    tags: toList(query.tags),
+    environment: toList(query.environment),
+    branch: toList(query.branch),
+    commit: typeof query.commit === 'string' ? query.commit.trim().toLowerCase() : '',
+    dateFrom: toDate(query.dateFrom, 'dateFrom'),
+    dateTo: toDate(query.dateTo, 'dateTo', true),
+    sortBy,
+    order,
+    page: toPositiveInt(query.page, 'page', 1),
+    limit: Math.min(toPositiveInt(query.limit, 'limit', DEFAULT_LIMIT), MAX_LIMIT)
+  };
+
+  // Callers that ask for neither page nor limit get every matching report, as before paging existed
+  if (isMissing(query.page) && isMissing(query.limit)) {
+    options.limit = null;
+  }
+
+  if (options.dateFrom && options.dateTo && options.dateFrom > options.dateTo) {
+    throw new Error('Invalid date range: dateFrom is after dateTo');
+  }
+
+  return options;
+}
+
+/**
+ * Validate the query string of GET /api/search
+ * @param {Object} query - req.query
+ * @returns {Object} Options for MetadataStore.search
+ * @throws {Error} When a parameter has an unsupported value
+ */
+function parseSearchQuery(query = {}) {
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (q.length < MIN_SEARCH_LENGTH) {
+    throw new Error(`Search text "q" must be at least ${MIN_SEARCH_LENGTH} characters`);
+  }
+
+  const fields = toList(query.in);
+  const invalidField = fields.find(field => !SEARCH_FIELDS.includes(field));
+  if (invalidField) {
+    throw new Error(`Invalid search field "${invalidField}": expected one of ${SEARCH_FIELDS.join(', ')}`);
+  }
+
+  const order = query.order || 'desc';
+  if (!SORT_ORDERS.includes(order)) {
+    throw new Error(`Invalid order "${order}": expected asc or desc`);
+  }
+
+  return {
+    q,
+    fields,
+    status: toList(query.status),
+    order,
+    page: toPositiveInt(query.page, 'page', 1),
+    limit: Math.min(toPositiveInt(query.limit, 'limit', DEFAULT_SEARCH_LIMIT), MAX_SEARCH_LIMIT)
+  };
+}
+
+function matchesSearch(report, searchTerm) {
+  return (
+    (report.name || '').toLowerCase().includes(searchTerm) ||
+    (report.id || '').toLowerCase().includes(searchTerm) ||
+    (report.tags && report.tags.some(tag => tag.toLowerCase().includes(searchTerm))) ||
+    (report.environment && report.environment.toLowerCase().includes(searchTerm)) ||
+    (report.tool && report.tool.toLowerCase().includes(searchTerm)) ||
+    (report.provenance && ['branch', 'commit', 'buildNumber'].some(field =>
+      (report.provenance[field] || '').toLowerCase().includes(searchTerm)))
+  );
+}
+
+function matchesStatus(report, status) {
+  const passed = report.passed || 0;
+  const failed = report.failed || 0;
+
+  switch (status) {
+    case 'passed': return failed === 0 && passed > 0;
+    case 'failed': return failed > 0;
+    case 'mixed': return passed > 0 && failed > 0;
+    default: return false;
+  }
+}
+
+function matchesFilters(report, options) {
+  if (options.q && !matchesSearch(report, options.q.toLowerCase())) return false;
+
+  if (options.status.length > 0 && !options.status.some(status => matchesStatus(report, status))) {
+    return false;
+  }
+
+  if (options.dateFrom || options.dateTo) {
+    const reportDate = new Date(report.date);
+    if (options.dateFrom && !(reportDate >= options.dateFrom)) return false;
+    if (options.dateTo && !(reportDate <= options.dateTo)) return false;
+  }
+
+  if (options.tags.length > 0 && !options.tags.some(tag => report.tags && report.tags.includes(tag))) {
+    return false;
+  }
+
+  if (options.environment.length > 0 && !options.environment.includes(report.environment)) {
+    return false;
+  }
+
+  const provenance = report.provenance || {};
+  if (options.branch.length > 0 && !options.branch.includes(provenance.branch)) {
+    return false;
+  }
+
+  // Short hashes match the full commit they start with
+  if (options.commit && !(provenance.commit || '').toLowerCase().startsWith(options.commit)) {
+    return false;
+  }
+
+  return true;
+}
+
+function sortValue(report, sortBy) {
+  switch (sortBy) {
+    case 'date': return new Date(report.date).getTime() || 0;
+    case 'name': return (report.name || '').toLowerCase();
+    case 'scenarios': return report.scenarios || 0;
+    case 'passRate': return report.steps > 0 ? (report.passed / report.steps) : 0;
+    default: return 0;
+  }
+}
+
+/**
+ * Chronological position of every report (oldest = 1), used for the "Report N" titles.
+ * Computed over the whole index so numbers stay stable across pages and filters.
+ */
+function sequenceNumbers(reports) {
+  const chronological = [...reports].sort((a, b) => {
+    const timeDiff = (new Date(a.date).getTime() || 0) - (new Date(b.date).getTime() || 0);
+    return timeDiff !== 0 ? timeDiff : (a.id || '').localeCompare(b.id || '');
+  });
+
+  return new Map(chronological.map((report, index) => [report.id, index + 1]));
+}
+
+/**
+ * Filter, sort and page the reports of an index
+ * @param {Array} reports - index.json entries
+ * @param {Object} options - Result of parseReportQuery; a null limit returns every match
+ * @returns {{reports: Array, total: number, page: number, limit: number, totalPages: number}}
+ */
+function queryReports(reports, options) {
+  const sequence = sequenceNumbers(reports);
+  const direction = options.order === 'asc' ? 1 : -1;
+
+  const matching = reports
+    .filter(report => matchesFilters(report, options))
+    .sort((a, b) => {
+      const aVal = sortValue(a, options.sortBy);
+      const bVal = sortValue(b, options.sortBy);
+      if (aVal < bVal) return -direction;
+      if (aVal > bVal) return direction;
+      return 0;
+    });
+
+  const total = matching.length;
+  // Without a limit every match is one page
+  const limit = options.limit || total;
+  const totalPages = Math.max(1, Math.ceil(total / (limit || 1)));
+  const start = options.limit ? (options.page - 1) * limit : 0;
+
+  return {
+    reports: matching
+      .slice(start, start + limit)
+      .map(report => ({ ...report, sequence: sequence.get(report.id) })),
+    total,
+    page: options.limit ? options.page : 1,
+    limit,
+    totalPages
+  };
+}
+
+module.exports = {
+  parseReportQuery,
+  queryReports,
+  parseSearchQuery,
+  toList,
+  STATUS_FILTERS,
+  SORT_KEYS,
+  SORT_ORDERS,
+  SEARCH_FIELDS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  MIN_SEARCH_LENGTH,
+  DEFAULT_SEARCH_LIMIT,
+  MAX_SEARCH_LIMIT
+};
@@ -0,0 +1,73 @@
+/**
+ * Report Statistics
+ * Server-side counterpart of ReportUploader.calculateReportStatistics: the same counts for a
+ * Cucumber JSON report, so a backup preview matches what the uploader shows for a new report.
+ */
+
+/**
+ * @param {Array|Object} reportData - Feature array, or an object with a features array
+ * @returns {Object} { features, scenarios, steps, passed, failed, skipped, duration (ms), tags }
+ */
+function calculateReportStatistics(reportData) {
+  let features = 0;
+  let scenarios = 0;
+  let steps = 0;
+  let passed = 0;
+  let failed = 0;
+  let skipped = 0;
+  let duration = 0;
+  const tags = new Set();
+
+  const featuresArray = Array.isArray(reportData) ? reportData : (reportData && reportData.features) || [];
+
+  featuresArray.forEach(feature => {
+    features++;
+    (feature.tags || []).forEach(tag => tags.add(tag.name || tag));
+
+    (feature.elements || feature.scenarios || []).forEach(element => {
+      if (element.type !== 'scenario' && element.type) return;
+
+      scenarios++;
+      (element.tags || []).forEach(tag => tags.add(tag.name || tag));
+
+      (element.steps || []).forEach(step => {
+        steps++;
+        if (!step.result) return;
+
+        switch (step.result.status) {
+          case 'passed':
+            passed++;
+            break;
+          case 'failed':
+            failed++;
+            break;
+          case 'skipped':
+          case 'pending':
+          case 'undefined':
+            skipped++;
+            break;
+        }
+
+        // Cucumber JSON durations are nanoseconds; small values are taken as milliseconds already
+        if (step.result.duration) {
+          duration += step.result.duration > 1000000 ? step.result.duration / 1000000 : step.result.duration;
+        }
+      });
+    });
+  });
+
+  return {
+    features,
+    scenarios,
+    steps,
+    passed,
+    failed,
+    skipped,
+    duration: Math.round(duration),
+    tags: Array.from(tags)
+  };
+}
+
+module.exports = {
+  calculateReportStatistics
+};
@@ -0,0 +1,138 @@
+/**
+ * Reruns
+ * A rerun report (e.g. cucumber-js with the @rerun.txt file) holds only the scenarios that were
+ * re-run. It is merged into the run it retries as another attempt: each re-run scenario replaces
+ * the one in the run and keeps the earlier attempts in its attempts array, and a scenario that
+ * failed before and passes now is marked flaky. Each rerun is kept as uploaded in
+ * .reruns/<report>/<attempt>.json, so the attempts can be applied again when a sharded run is re-merged.
+ */
+
+const { featureKey, scenarioKey } = require('./runGroups');
+
+const RERUNS_PREFIX = '.reruns/';
+
+// The run itself is attempt 1; its first rerun is attempt 2
+const FIRST_RERUN = 2;
+
+/**
+ * Storage key of one rerun of a report
+ */
+function rerunKey(filename, attempt) {
+  return `${rerunDir(filename)}${attempt}.json`;
+}
+
+/**
+ * Storage prefix of a report's reruns
+ */
+function rerunDir(filename) {
+  return `${RERUNS_PREFIX}${filename.replace(/\.json$/, '')}/`;
+}
+
+/**
+ * Copy of a scenario as one attempt: without the attempts and flaky marker of a merged scenario
+ */
+function asAttempt(scenario) {
+  const attempt = { ...scenario };
+  delete attempt.attempts;
+  delete attempt.flaky;
+  return attempt;
+}
+
+/**
+ * Merge one rerun into a run's features
+ * @param {Array} features - Cucumber JSON features of the run, earlier reruns applied; not changed
+ * @param {Array} rerunFeatures - Features of the rerun
+ * @param {Function} statusOf - Scenario status ('passed', 'failed', ...) as the index counts it
+ * @returns {Object} { features, retried, flaky, failed, added }: the merged features; how many
+ *   scenarios were re-run, how many of those are flaky and how many still fail; how many scenarios
+ *   the run did not have and were added
+ */
+function applyRerun(features, rerunFeatures, statusOf) {
+  const merged = features.map(feature => ({ ...feature, elements: (feature.elements || []).slice() }));
+  const byKey = new Map(merged.map(feature => [featureKey(feature), feature]));
+  const counts = { retried: 0, flaky: 0, failed: 0, added: 0 };
+
+  rerunFeatures.forEach(rerunFeature => {
+    let feature = byKey.get(featureKey(rerunFeature));
+    if (!feature) {
+      feature = { ...rerunFeature, elements: (rerunFeature.elements || []).filter(el => el.type === 'background') };
+      merged.push(feature);
+      byKey.set(featureKey(feature), feature);
+    }
+
+    (rerunFeature.elements || []).filter(el => el.type !== 'background').forEach(element => {
+      const scenario = asAttempt(element);
+      const index = feature.elements.findIndex(other =>
+        other.type !== 'background' && scenarioKey(other) === scenarioKey(scenario));
+
+      if (index === -1) {
+        feature.elements.push(scenario);
+        counts.added++;
+        return;
+      }
+
+      const previous = feature.elements[index];
+      const attempts = [...(previous.attempts || []), asAttempt(previous)];
+      const status = statusOf(scenario);
+      const flaky = status === 'passed' && attempts.some(attempt => statusOf(attempt) === 'failed');
+
+      feature.elements[index] = { ...scenario, attempts, ...(flaky ? { flaky: true } : {}) };
+      counts.retried++;
+      if (flaky) counts.flaky++;
+      if (status === 'failed') counts.failed++;
+    });
+  });
+
+  return { features: merged, ...counts };
+}
+
+/**
+ * Merge every stored rerun into a run's features, oldest first
+ * @param {Array} reruns - [{ attempt, features }] from readReruns
+ * @returns {Array} The merged features
+ */
+function applyReruns(features, reruns, statusOf) {
+  return reruns.reduce((merged, rerun) => applyRerun(merged, rerun.features, statusOf).features, features);
+}
+
+/**
+ * Read every stored rerun of a report
+ * @param {ReportStorage} storage
+ * @param {string} filename - The report the reruns were merged into
+ * @returns {Promise<Array>} [{ attempt, features }], in attempt order
+ */
+async function readReruns(storage, filename) {
+  const reruns = [];
+
+  for (const file of await storage.list(rerunDir(filename))) {
+    const match = /\/(\d+)\.json$/.exec(file.key);
+    if (match) {
+      reruns.push({ attempt: Number(match[1]), features: await storage.readJson(file.key) });
+    }
+  }
+
+  return reruns.sort((a, b) => a.attempt - b.attempt);
+}
+
+/**
+ * Attempt number the next rerun of a report is stored as
+ */
+async function nextAttempt(storage, filename) {
+  const attempts = (await storage.list(rerunDir(filename)))
+    .map(file => /\/(\d+)\.json$/.exec(file.key))
+    .filter(Boolean)
+    .map(match => Number(match[1]));
+
+  return attempts.length > 0 ? Math.max(...attempts) + 1 : FIRST_RERUN;
+}
+
+module.exports = {
+  RERUNS_PREFIX,
+  FIRST_RERUN,
+  rerunKey,
+  rerunDir,
+  applyRerun,
+  applyReruns,
+  readReruns,
+  nextAttempt
+};
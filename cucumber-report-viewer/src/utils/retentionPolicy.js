@@ -0,0 +1,204 @@
+/**
+ * Retention Policy
+ * Decides which stored runs to purge: keep the last N runs of each suite, everything newer than
+ * X days, pinned and release-tagged runs, and stay under a total size. Evaluated on a schedule
+ * and shortly after uploads; the plan can also be previewed without deleting anything.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Uploads are stored as <reportId>-<ISO timestamp>[-n].json, see newReportFilename in server.js
+const TIMESTAMP_SUFFIX = /-\d{4}-\d{2}-\d{2}T[\d-]+Z(-\d+)?$/;
+
+// Wait this long after an upload, so a burst of uploads (e.g. parallel shards) is evaluated once
+const UPLOAD_DELAY = 10 * 1000;
+
+/**
+ * Suite a run belongs to: its report id without the upload timestamp
+ */
+function suiteOf(reportId) {
+  return reportId.replace(TIMESTAMP_SUFFIX, '') || reportId;
+}
+
+function normalizeTag(tag) {
+  return String(tag).replace(/^@/, '').toLowerCase();
+}
+
+/**
+ * True when the policy has at least one rule that can purge something
+ */
+function hasRules(policy) {
+  return Boolean(policy.keepLastPerSuite || policy.keepDays || policy.maxTotalSizeMB);
+}
+
+/**
+ * Work out which index entries the policy would purge
+ * @param {Array} reports - index.json entries
+ * @param {Object} policy - See DEFAULTS.retention in serverConfig
+ * @param {Date} [now]
+ * @returns {Object} { purge: [{ id, filename, suite, date, size, reason }], kept, protected, totalSize, sizeAfter }
+ */
+function planRetention(reports, policy, now = new Date()) {
+  const keepTags = (policy.keepTags || []).map(normalizeTag);
+  const cutoff = policy.keepDays ? now.getTime() - policy.keepDays * DAY_MS : null;
+  const maxBytes = policy.maxTotalSizeMB ? policy.maxTotalSizeMB * 1024 * 1024 : null;
+
+  // Newest first, numbered within their suite (1 = latest run)
+  const suiteCounts = new Map();
+  const runs = reports
+    .map(report => ({ report, suite: suiteOf(report.id), time: new Date(report.date).getTime() || 0 }))
+    .sort((a, b) => b.time - a.time)
+    .map(run => {
+      const position = (suiteCounts.get(run.suite) || 0) + 1;
+      suiteCounts.set(run.suite, position);
+      return { ...run, position };
+    });
+
+  const isProtected = ({ report }) => Boolean(report.pinned) ||
+    Boolean(report.live && report.live.status === 'running') ||
+    (report.tags || []).some(tag => keepTags.includes(normalizeTag(tag)));
+
+  const purge = new Map();
+  const describe = (run, reason) => ({
+    id: run.report.id,
+    filename: `${run.report.id}.json`,
+    suite: run.suite,
+    date: run.report.date || null,
+    size: run.report.size || 0,
+    reason
+  });
+
+  // Count and age: a run survives if either rule keeps it
+  if (policy.keepLastPerSuite || cutoff !== null) {
+    runs.filter(run => !isProtected(run)).forEach(run => {
+      const keptByCount = policy.keepLastPerSuite && run.position <= policy.keepLastPerSuite;
+      const keptByAge = cutoff !== null && run.time >= cutoff;
+      if (keptByCount || keptByAge) return;
+
+      const reasons = [];
+      if (cutoff !== null) reasons.push(`older than ${policy.keepDays} days`);
+      if (policy.keepLastPerSuite) reasons.push(`not one of the last ${policy.keepLastPerSuite} "${run.suite}" runs`);
+      purge.set(run.report.id, describe(run, reasons.join(' and ')));
+    });
+  }
+
+  // Size: drop the oldest remaining runs, but never the latest run of a suite
+  const totalSize = runs.reduce((total, run) => total + (run.report.size || 0), 0);
+  let sizeAfter = runs
+    .filter(run => !purge.has(run.report.id))
+    .reduce((total, run) => total + (run.report.size || 0), 0);
+
+  if (maxBytes !== null && sizeAfter > maxBytes) {
+    const oldestFirst = runs.slice().reverse()
+      .filter(run => !purge.has(run.report.id) && !isProtected(run) && run.position > 1);
+
+    for (const run of oldestFirst) {
+      if (sizeAfter <= maxBytes) break;
+      purge.set(run.report.id, describe(run, `over the ${policy.maxTotalSizeMB} MB size limit`));
+      sizeAfter -= run.report.size || 0;
+    }
+  }
+
+  return {
+    purge: Array.from(purge.values()),
+    kept: runs.length - purge.size,
+    protected: runs.filter(isProtected).length,
+    totalSize,
+    sizeAfter
+  };
+}
+
+class RetentionManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.policy - See DEFAULTS.retention in serverConfig
+   * @param {Function} options.getReports - async () => index.json entries
+   * @param {Function} options.purge - async (candidate) => void, deletes one planned run
+   */
+  constructor(options) {
+    this.policy = options.policy;
+    this.getReports = options.getReports;
+    this.purge = options.purge;
+
+    this.timer = null;
+    this.uploadTimer = null;
+    this.pending = Promise.resolve();
+    this.lastRun = null;
+  }
+
+  /**
+   * The plan for the current index, without deleting anything
+   */
+  async preview() {
+    const plan = planRetention(await this.getReports(), this.policy);
+    return { policy: this.policy, ...plan, ...(this.lastRun ? { lastRun: this.lastRun } : {}) };
+  }
+
+  /**
+   * Purge everything the policy allows. Runs are serialized, so a scheduled run and an
+   * upload-triggered run never delete the same report twice.
+   * @param {string} trigger - schedule, upload or manual
+   */
+  apply(trigger) {
+    this.pending = this.pending
+      .catch(() => {})
+      .then(() => this.applyNow(trigger));
+    return this.pending;
+  }
+
+  async applyNow(trigger) {
+    const startedAt = new Date().toISOString();
+    const plan = hasRules(this.policy) ? planRetention(await this.getReports(), this.policy) : { purge: [] };
+    const purged = [];
+    const errors = [];
+
+    for (const candidate of plan.purge) {
+      try {
+        await this.purge(candidate);
+        purged.push(candidate);
+      } catch (error) {
+        console.error(`❌ Retention could not purge ${candidate.filename}:`, error.message);
+        errors.push({ filename: candidate.filename, error: error.message });
+      }
+    }
+
+    if (purged.length > 0 || errors.length > 0) {
+      console.log(`🧹 Retention (${trigger}): purged ${purged.length} report(s)${errors.length > 0 ? `, ${errors.length} failed` : ''}`);
+    }
+
+    this.lastRun = { trigger, startedAt, finishedAt: new Date().toISOString(), purged: purged.length, errors };
+    return { ...this.lastRun, purgedReports: purged };
+  }
+
+  /**
+   * Evaluate every intervalMinutes while the policy is enabled
+   */
+  start() {
+    if (!this.policy.enabled || !hasRules(this.policy)) return;
+
+    this.timer = setInterval(() => this.applyInBackground('schedule'), this.policy.intervalMinutes * 60 * 1000);
+    this.timer.unref();
+    this.applyInBackground('schedule');
+  }
+
+  /**
+   * Evaluate shortly after an upload while the policy is enabled
+   */
+  afterUpload() {
+    if (!this.policy.enabled || !hasRules(this.policy)) return;
+
+    clearTimeout(this.uploadTimer);
+    this.uploadTimer = setTimeout(() => this.applyInBackground('upload'), UPLOAD_DELAY);
+    this.uploadTimer.unref();
+  }
+
+  applyInBackground(trigger) {
+    this.apply(trigger).catch(error => console.error(`❌ Retention (${trigger}) failed:`, error.message));
+  }
+}
+
+module.exports = {
+  RetentionManager,
+  planRetention,
+  suiteOf
+};
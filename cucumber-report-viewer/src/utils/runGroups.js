@@ -0,0 +1,155 @@
+/**
+ * Run Groups
+ * A suite split across parallel agents uploads one shard at a time; the shards of a run group are
+ * merged into a single report. Each shard is kept as uploaded in .shards/<report>/<shard>.json, so a
+ * shard uploaded again replaces its results instead of adding to them.
+ */
+
+const SHARDS_PREFIX = '.shards/';
+
+// Highest shard index and shard count accepted
+const MAX_SHARDS = 1000;
+
+/**
+ * Storage key of one shard of a merged report
+ */
+function shardKey(filename, shard) {
+  return `${shardDir(filename)}${shard}.json`;
+}
+
+/**
+ * Storage prefix of a merged report's shards
+ */
+function shardDir(filename) {
+  return `${SHARDS_PREFIX}${filename.replace(/\.json$/, '')}/`;
+}
+
+/**
+ * Read a shard index or count sent as text or number
+ * @returns {number|null} null when no value was sent
+ * @throws {Error} For anything but a whole number from 1 to MAX_SHARDS
+ */
+function parseShardNumber(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > MAX_SHARDS) {
+    throw new Error(`Invalid ${name} "${value}": expected a whole number from 1 to ${MAX_SHARDS}`);
+  }
+  return number;
+}
+
+/**
+ * Check the run group fields of an upload
+ * @param {Object} fields - { runGroup, shard, shardCount } as sent
+ * @returns {Object|null} { id, shard, shardCount }, or null when the upload is not part of a run group.
+ *   shard is null when the server should pick the next free one.
+ * @throws {Error} For invalid shard numbers
+ */
+function parseRunGroup({ runGroup, shard, shardCount } = {}) {
+  const shardNumber = parseShardNumber(shard, 'shard');
+  const count = parseShardNumber(shardCount, 'shardCount');
+  const id = runGroup === undefined || runGroup === null ? '' : String(runGroup).trim();
+
+  if (!id && shardNumber === null) return null;
+  if (shardNumber !== null && count !== null && shardNumber > count) {
+    throw new Error(`Invalid shard ${shardNumber}: the run has ${count} shard(s)`);
+  }
+
+  return { id, shard: shardNumber, shardCount: count };
+}
+
+/**
+ * What makes two features of different uploads the same feature: uri, then id, then name
+ */
+function featureKey(feature) {
+  return feature.uri || feature.id || feature.name;
+}
+
+/**
+ * What makes two scenarios of different uploads the same scenario: id and line. cucumber-js gives
+ * every example row of a Scenario Outline the same id, so the id alone would merge the rows.
+ */
+function scenarioKey(scenario) {
+  return `${scenario.id || scenario.name}:${scenario.line}`;
+}
+
+function tagName(tag) {
+  return typeof tag === 'string' ? tag : tag && tag.name;
+}
+
+/**
+ * Merge the features of several shards, in shard order. Features with the same uri (or id, or name)
+ * become one feature holding the scenarios of every shard and the tags of each; a scenario with
+ * the same id and line as one from an earlier shard replaces it.
+ * @param {Array} shards - [{ shard, features }]
+ * @returns {Array} Cucumber JSON features
+ */
+function mergeShardFeatures(shards) {
+  const merged = new Map();
+
+  shards.slice().sort((a, b) => a.shard - b.shard).forEach(({ features }) => {
+    features.forEach(feature => {
+      const key = featureKey(feature);
+      const existing = merged.get(key);
+
+      if (!existing) {
+        merged.set(key, { ...feature, elements: (feature.elements || []).slice() });
+        return;
+      }
+
+      const tagNames = new Set((existing.tags || []).map(tagName));
+      (feature.tags || []).forEach(tag => {
+        if (!tagNames.has(tagName(tag))) {
+          existing.tags = [...(existing.tags || []), tag];
+          tagNames.add(tagName(tag));
+        }
+      });
+
+      (feature.elements || []).forEach(element => {
+        const replaced = element.id && element.type !== 'background'
+          ? existing.elements.findIndex(other => other.type !== 'background' && scenarioKey(other) === scenarioKey(element))
+          : -1;
+
+        if (replaced !== -1) {
+          existing.elements[replaced] = element;
+        } else {
+          existing.elements.push(element);
+        }
+      });
+    });
+  });
+
+  return Array.from(merged.values());
+}
+
+/**
+ * Read every stored shard of a merged report
+ * @param {ReportStorage} storage
+ * @param {string} filename - The merged report
+ * @returns {Promise<Array>} [{ shard, features }], in shard order
+ */
+async function readShards(storage, filename) {
+  const shards = [];
+
+  for (const file of await storage.list(shardDir(filename))) {
+    const match = /\/(\d+)\.json$/.exec(file.key);
+    if (match) {
+      shards.push({ shard: Number(match[1]), features: await storage.readJson(file.key) });
+    }
+  }
+
+  return shards.sort((a, b) => a.shard - b.shard);
+}
+
+module.exports = {
+  SHARDS_PREFIX,
+  MAX_SHARDS,
+  shardKey,
+  shardDir,
+  parseRunGroup,
+  featureKey,
+  scenarioKey,
+  mergeShardFeatures,
+  readShards
+};
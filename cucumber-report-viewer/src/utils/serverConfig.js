@@ -0,0 +1,210 @@
+/**
+ * Server Configuration
+ * Loads server-side settings from server.config.json (or $SERVER_CONFIG) and environment variables
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DUPLICATE_POLICIES } = require('./reportHash');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../../server.config.json');
+
+const DEFAULTS = {
+  auth: {
+    tokens: []
+  },
+  cors: {
+    origins: []
+  },
+  storage: {
+    type: 'filesystem',
+    path: null,
+    s3: {}
+  },
+  metadata: {
+    enabled: true,
+    path: null
+  },
+  api: {
+    // null: log responses that break the OpenAPI contract everywhere except NODE_ENV=production
+    validateResponses: null
+  },
+  retention: {
+    // Purge automatically (on the schedule and after uploads); the preview works either way
+    enabled: false,
+    keepLastPerSuite: null,
+    keepDays: null,
+    keepTags: ['release'],
+    maxTotalSizeMB: null,
+    intervalMinutes: 60,
+    // soft: move to the deleted list, hard: delete the file (a backup is kept)
+    deletion: 'soft'
+  },
+  trash: {
+    // Days a soft-deleted report stays restorable before it is purged; null keeps it until emptied by hand
+    purgeAfterDays: null
+  },
+  backups: {
+    // Copies written to .backups/ before every hard delete; either rule removes a backup, null turns it off
+    keepCount: 10,
+    keepDays: 30
+  },
+  uploads: {
+    // Upload of a report identical to an indexed run: allow (store another copy), reject (409) or
+    // alias (store nothing, link the upload to the existing run). Requests can override it.
+    onDuplicate: 'allow'
+  }
+};
+
+/**
+ * Parse API_TOKENS="token:role[:name],token:role[:name]"
+ */
+function parseTokenList(value) {
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [token, role, name] = entry.split(':');
+      return { token, role, name: name || role };
+    });
+}
+
+function parseList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Reject retention settings that would purge the wrong runs
+ */
+function validateRetention(retention) {
+  ['keepLastPerSuite', 'keepDays', 'maxTotalSizeMB', 'intervalMinutes'].forEach(key => {
+    const value = retention[key];
+    if (value !== null && (typeof value !== 'number' || !(value > 0))) {
+      throw new Error(`Invalid retention.${key}: expected a positive number or null, got ${JSON.stringify(value)}`);
+    }
+  });
+  if (!retention.intervalMinutes) {
+    throw new Error('Invalid retention.intervalMinutes: it is required');
+  }
+  if (!['soft', 'hard'].includes(retention.deletion)) {
+    throw new Error(`Invalid retention.deletion: expected "soft" or "hard", got ${JSON.stringify(retention.deletion)}`);
+  }
+  if (!Array.isArray(retention.keepTags)) {
+    throw new Error('Invalid retention.keepTags: expected an array of tag names');
+  }
+}
+
+/**
+ * Load the server configuration.
+ * Values from the config file are used as a base, environment variables are appended/override.
+ */
+function loadServerConfig(configPath = process.env.SERVER_CONFIG || DEFAULT_CONFIG_PATH) {
+  let fileConfig = {};
+
+  if (fs.existsSync(configPath)) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      console.log(`⚙️  Loaded server config: ${configPath}`);
+    } catch (error) {
+      throw new Error(`Invalid server config ${configPath}: ${error.message}`);
+    }
+  }
+
+  const config = {
+    auth: { ...DEFAULTS.auth, ...fileConfig.auth },
+    cors: { ...DEFAULTS.cors, ...fileConfig.cors },
+    storage: {
+      ...DEFAULTS.storage,
+      ...fileConfig.storage,
+      s3: { ...DEFAULTS.storage.s3, ...(fileConfig.storage && fileConfig.storage.s3) }
+    },
+    metadata: { ...DEFAULTS.metadata, ...fileConfig.metadata },
+    api: { ...DEFAULTS.api, ...fileConfig.api },
+    retention: { ...DEFAULTS.retention, ...fileConfig.retention },
+    trash: { ...DEFAULTS.trash, ...fileConfig.trash },
+    backups: { ...DEFAULTS.backups, ...fileConfig.backups },
+    uploads: { ...DEFAULTS.uploads, ...fileConfig.uploads }
+  };
+
+  if (process.env.API_TOKENS) {
+    config.auth.tokens = [...config.auth.tokens, ...parseTokenList(process.env.API_TOKENS)];
+  }
+
+  if (process.env.CORS_ORIGINS) {
+    config.cors.origins = parseList(process.env.CORS_ORIGINS);
+  }
+
+  if (process.env.STORAGE_TYPE) config.storage.type = process.env.STORAGE_TYPE;
+  if (process.env.STORAGE_PATH) config.storage.path = process.env.STORAGE_PATH;
+
+  // S3 credentials can also come from the standard AWS_* variables via the SDK
+  const s3Env = {
+    bucket: process.env.S3_BUCKET,
+    prefix: process.env.S3_PREFIX,
+    region: process.env.S3_REGION,
+    endpoint: process.env.S3_ENDPOINT,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : undefined
+  };
+  Object.entries(s3Env).forEach(([key, value]) => {
+    if (value !== undefined) config.storage.s3[key] = value;
+  });
+
+  if (process.env.METADATA_DB_PATH) config.metadata.path = process.env.METADATA_DB_PATH;
+  if (process.env.METADATA_DB_ENABLED) config.metadata.enabled = process.env.METADATA_DB_ENABLED !== 'false';
+
+  if (process.env.API_VALIDATE_RESPONSES) {
+    config.api.validateResponses = process.env.API_VALIDATE_RESPONSES === 'true';
+  }
+  if (config.api.validateResponses === null) {
+    config.api.validateResponses = process.env.NODE_ENV !== 'production';
+  }
+
+  const retentionEnv = {
+    keepLastPerSuite: process.env.RETENTION_KEEP_LAST,
+    keepDays: process.env.RETENTION_KEEP_DAYS,
+    maxTotalSizeMB: process.env.RETENTION_MAX_SIZE_MB,
+    intervalMinutes: process.env.RETENTION_INTERVAL_MINUTES
+  };
+  Object.entries(retentionEnv).forEach(([key, value]) => {
+    if (value !== undefined) config.retention[key] = Number(value) || null;
+  });
+  if (process.env.RETENTION_ENABLED) config.retention.enabled = process.env.RETENTION_ENABLED === 'true';
+  if (process.env.RETENTION_KEEP_TAGS) config.retention.keepTags = parseList(process.env.RETENTION_KEEP_TAGS);
+  if (process.env.RETENTION_DELETION) config.retention.deletion = process.env.RETENTION_DELETION;
+
+  validateRetention(config.retention);
+
+  if (process.env.TRASH_PURGE_AFTER_DAYS) {
+    config.trash.purgeAfterDays = Number(process.env.TRASH_PURGE_AFTER_DAYS) || null;
+  }
+  const { purgeAfterDays } = config.trash;
+  if (purgeAfterDays !== null && (typeof purgeAfterDays !== 'number' || !(purgeAfterDays > 0))) {
+    throw new Error(`Invalid trash.purgeAfterDays: expected a positive number or null, got ${JSON.stringify(purgeAfterDays)}`);
+  }
+
+  if (process.env.BACKUP_KEEP_COUNT) {
+    config.backups.keepCount = Number(process.env.BACKUP_KEEP_COUNT) || null;
+  }
+  if (process.env.BACKUP_KEEP_DAYS) {
+    config.backups.keepDays = Number(process.env.BACKUP_KEEP_DAYS) || null;
+  }
+  ['keepCount', 'keepDays'].forEach(key => {
+    const value = config.backups[key];
+    if (value !== null && (typeof value !== 'number' || !(value > 0))) {
+      throw new Error(`Invalid backups.${key}: expected a positive number or null, got ${JSON.stringify(value)}`);
+    }
+  });
+
+  if (process.env.UPLOAD_ON_DUPLICATE) config.uploads.onDuplicate = process.env.UPLOAD_ON_DUPLICATE;
+  if (!DUPLICATE_POLICIES.includes(config.uploads.onDuplicate)) {
+    throw new Error(`Invalid uploads.onDuplicate: expected one of ${DUPLICATE_POLICIES.join(', ')}, got ${JSON.stringify(config.uploads.onDuplicate)}`);
+  }
+
+  return config;
+}
+
+module.exports = {
+  DEFAULTS,
+  loadServerConfig
+};
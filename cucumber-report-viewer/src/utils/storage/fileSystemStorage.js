@@ -0,0 +1,115 @@
+/**
+ * Filesystem Report Storage
+ * Stores reports in a local directory (public/TestResultsJsons by default)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ReportStorage = require('./reportStorage');
+const { withFileLock, writeFileAtomicSync } = require('../fileLock');
+
+class FileSystemStorage extends ReportStorage {
+  constructor(rootDir) {
+    super();
+    this.rootDir = path.resolve(rootDir);
+
+    if (!fs.existsSync(this.rootDir)) {
+      fs.mkdirSync(this.rootDir, { recursive: true });
+    }
+  }
+
+  get type() {
+    return 'filesystem';
+  }
+
+  describe() {
+    return this.rootDir;
+  }
+
+  /**
+   * Resolve a key to a path, refusing keys that escape the root directory
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (filePath !== this.rootDir && !filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async list(prefix = '') {
+    const dir = this.resolve(prefix || '.');
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isFile())
+      .map(entry => {
+        const stats = fs.statSync(path.join(dir, entry.name));
+        return {
+          key: `${prefix}${entry.name}`,
+          size: stats.size,
+          lastModified: stats.mtime
+        };
+      });
+  }
+
+  async stat(key) {
+    try {
+      const stats = fs.statSync(this.resolve(key));
+      return stats.isFile() ? { size: stats.size, lastModified: stats.mtime } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async read(key) {
+    return fs.readFileSync(this.resolve(key));
+  }
+
+  async write(key, data) {
+    const filePath = this.resolve(key);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    writeFileAtomicSync(filePath, data);
+  }
+
+  async delete(key) {
+    try {
+      fs.unlinkSync(this.resolve(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Also removes the folder once it is empty
+   */
+  async deletePrefix(prefix) {
+    const deleted = await super.deletePrefix(prefix);
+    try {
+      fs.rmdirSync(this.resolve(prefix));
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTEMPTY') throw error;
+    }
+    return deleted;
+  }
+
+  async copy(fromKey, toKey) {
+    const targetPath = this.resolve(toKey);
+    fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+    fs.copyFileSync(this.resolve(fromKey), targetPath);
+  }
+
+  /**
+   * Uses the same "<file>.lock" files as the CLI scripts, so both exclude each other
+   */
+  async withLock(key, fn) {
+    return withFileLock(this.resolve(key), fn);
+  }
+}
+
+module.exports = FileSystemStorage;
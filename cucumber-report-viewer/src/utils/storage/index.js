@@ -0,0 +1,40 @@
+/**
+ * Report Storage Factory
+ * Creates the storage backend selected in the server config
+ */
+
+const path = require('path');
+const ReportStorage = require('./reportStorage');
+const FileSystemStorage = require('./fileSystemStorage');
+
+const DEFAULT_REPORTS_DIR = path.join(__dirname, '../../../public/TestResultsJsons');
+
+/**
+ * @param {Object} [storageConfig] - The "storage" section of the server config
+ * @param {string} [storageConfig.type] - "filesystem" (default) or "s3"
+ * @param {string} [storageConfig.path] - Directory for filesystem storage
+ * @param {Object} [storageConfig.s3] - Options for S3Storage
+ * @returns {ReportStorage}
+ */
+function createStorage(storageConfig = {}) {
+  const type = storageConfig.type || 'filesystem';
+
+  switch (type) {
+    case 'filesystem':
+      return new FileSystemStorage(storageConfig.path || DEFAULT_REPORTS_DIR);
+    case 's3': {
+      // Loaded lazily so the SDK stays optional for filesystem deployments and CLI scripts
+      const S3Storage = require('./s3Storage');
+      return new S3Storage(storageConfig.s3);
+    }
+    default:
+      throw new Error(`Unknown storage type "${type}": expected filesystem or s3`);
+  }
+}
+
+module.exports = {
+  createStorage,
+  ReportStorage,
+  FileSystemStorage,
+  DEFAULT_REPORTS_DIR
+};
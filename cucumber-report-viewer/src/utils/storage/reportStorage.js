@@ -0,0 +1,151 @@
+/**
+ * Report Storage
+ * Base class for the places report files, index.json and .deleted-reports.json can live.
+ *
+ * Keys are paths relative to the storage root using "/" separators, e.g.
+ * "my-report-2024-01-15T10-30-00-000Z.json", "index.json" or ".backups/my-report-backup-....json".
+ * Backends implement the primitive operations; JSON helpers and locking build on them.
+ */
+
+class ReportStorage {
+  /**
+   * Short backend name used in logs and the health endpoint
+   */
+  get type() {
+    throw new Error('ReportStorage.type not implemented');
+  }
+
+  /**
+   * Human-readable location, e.g. a directory or s3://bucket/prefix
+   */
+  describe() {
+    return this.type;
+  }
+
+  /**
+   * List the objects directly under a prefix (not recursive)
+   * @param {string} prefix - "" for the root, or a folder such as ".backups/"
+   * @returns {Promise<Array<{key: string, size: number, lastModified: Date}>>}
+   */
+  async list() {
+    throw new Error(`${this.type} storage does not implement list()`);
+  }
+
+  /**
+   * @returns {Promise<{size: number, lastModified: Date}|null>} null when the key does not exist
+   */
+  async stat() {
+    throw new Error(`${this.type} storage does not implement stat()`);
+  }
+
+  /**
+   * Read an object; rejects with error.code === 'ENOENT' when it does not exist
+   * @returns {Promise<Buffer>}
+   */
+  async read() {
+    throw new Error(`${this.type} storage does not implement read()`);
+  }
+
+  /**
+   * Write an object atomically - readers see the old or the new content, never a mix
+   * @param {string} key
+   * @param {Buffer|string} data
+   */
+  async write() {
+    throw new Error(`${this.type} storage does not implement write()`);
+  }
+
+  /**
+   * Delete an object
+   * @returns {Promise<boolean>} false when it did not exist
+   */
+  async delete() {
+    throw new Error(`${this.type} storage does not implement delete()`);
+  }
+
+  async copy(fromKey, toKey) {
+    await this.write(toKey, await this.read(fromKey));
+  }
+
+  /**
+   * Delete every object directly under a folder prefix, e.g. ".shards/my-report/"
+   * @returns {Promise<number>} How many objects were deleted
+   */
+  async deletePrefix(prefix) {
+    let deleted = 0;
+    for (const object of await this.list(prefix)) {
+      if (await this.delete(object.key)) deleted++;
+    }
+    return deleted;
+  }
+
+  /**
+   * Run fn while no other writer holds the lock for key
+   */
+  async withLock() {
+    throw new Error(`${this.type} storage does not implement withLock()`);
+  }
+
+  async exists(key) {
+    return (await this.stat(key)) !== null;
+  }
+
+  /**
+   * Read and parse a JSON object, returning defaultValue when it does not exist
+   */
+  async readJson(key, defaultValue) {
+    try {
+      return JSON.parse((await this.read(key)).toString('utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' && defaultValue !== undefined) {
+        return defaultValue;
+      }
+      throw error;
+    }
+  }
+
+  async writeJson(key, data) {
+    await this.write(key, JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Locked read-modify-write of a JSON object.
+   * The updater may mutate the current value or return a replacement.
+   */
+  async updateJson(key, defaultValue, updater) {
+    return this.withLock(key, async () => {
+      const current = await this.readJson(key, defaultValue);
+      const updated = await updater(current);
+      const next = updated === undefined ? current : updated;
+
+      await this.writeJson(key, next);
+      return next;
+    });
+  }
+}
+
+/**
+ * Error thrown by backends for missing keys, shaped like the fs error so callers can check error.code
+ */
+function notFoundError(key) {
+  const error = new Error(`Not found: ${key}`);
+  error.code = 'ENOENT';
+  return error;
+}
+
+/**
+ * Whether a key may be served as a static report file: a .json file directly under the root
+ * that is not hidden. Keys with a separator are refused outright, because backends normalize
+ * them - "x/../.backups/a.json" would otherwise reach a hidden folder.
+ */
+function isPublicKey(key) {
+  return typeof key === 'string' &&
+    key.endsWith('.json') &&
+    !key.startsWith('.') &&
+    !/[/\\]/.test(key);
+}
+
+ReportStorage.notFoundError = notFoundError;
+ReportStorage.isPublicKey = isPublicKey;
+
+module.exports = ReportStorage;
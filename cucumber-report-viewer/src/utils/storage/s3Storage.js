@@ -0,0 +1,168 @@
+/**
+ * S3 Report Storage
+ * Stores reports in an S3-compatible bucket (AWS S3, MinIO, Ceph, R2, ...).
+ *
+ * Requires the optional @aws-sdk/client-s3 package, which is only loaded when this backend is used.
+ * Locking is in-process only: run a single server instance per bucket/prefix.
+ */
+
+const ReportStorage = require('./reportStorage');
+const { withQueue } = require('../fileLock');
+
+function loadSdk() {
+  try {
+    return require('@aws-sdk/client-s3');
+  } catch (error) {
+    throw new Error('S3 storage requires the @aws-sdk/client-s3 package: npm install @aws-sdk/client-s3');
+  }
+}
+
+function isNotFound(error) {
+  return error.name === 'NoSuchKey' || error.name === 'NotFound' ||
+    (error.$metadata && error.$metadata.httpStatusCode === 404);
+}
+
+class S3Storage extends ReportStorage {
+  /**
+   * @param {Object} options
+   * @param {string} options.bucket - Bucket name (required)
+   * @param {string} [options.prefix] - Key prefix, e.g. "reports/"
+   * @param {string} [options.region] - Region (default: us-east-1)
+   * @param {string} [options.endpoint] - Custom endpoint for S3-compatible servers, e.g. http://minio:9000
+   * @param {boolean} [options.forcePathStyle] - Path-style URLs, needed by most S3-compatible servers
+   * @param {string} [options.accessKeyId] - Falls back to the AWS SDK credential chain when omitted
+   * @param {string} [options.secretAccessKey]
+   */
+  constructor(options = {}) {
+    super();
+
+    if (!options.bucket) {
+      throw new Error('S3 storage requires a bucket name (storage.s3.bucket or S3_BUCKET)');
+    }
+
+    this.bucket = options.bucket;
+    this.prefix = options.prefix ? options.prefix.replace(/^\/+/, '').replace(/\/*$/, '/') : '';
+
+    this.sdk = loadSdk();
+    this.client = new this.sdk.S3Client({
+      region: options.region || 'us-east-1',
+      endpoint: options.endpoint || undefined,
+      forcePathStyle: Boolean(options.forcePathStyle),
+      credentials: options.accessKeyId && options.secretAccessKey
+        ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+        : undefined
+    });
+  }
+
+  get type() {
+    return 's3';
+  }
+
+  describe() {
+    return `s3://${this.bucket}/${this.prefix}`;
+  }
+
+  objectKey(key) {
+    if (key.split('/').includes('..')) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return this.prefix + key;
+  }
+
+  async list(prefix = '') {
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(new this.sdk.ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.objectKey(prefix),
+        Delimiter: '/',
+        ContinuationToken: continuationToken
+      }));
+
+      (response.Contents || []).forEach(object => {
+        objects.push({
+          key: object.Key.slice(this.prefix.length),
+          size: object.Size,
+          lastModified: object.LastModified
+        });
+      });
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  async stat(key) {
+    try {
+      const response = await this.client.send(new this.sdk.HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+      return { size: response.ContentLength, lastModified: response.LastModified };
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  async read(key) {
+    try {
+      const response = await this.client.send(new this.sdk.GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (error) {
+      if (isNotFound(error)) throw ReportStorage.notFoundError(key);
+      throw error;
+    }
+  }
+
+  /**
+   * A PutObject replaces the object in one step, so writes are atomic without a temp object
+   */
+  async write(key, data) {
+    await this.client.send(new this.sdk.PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: data,
+      ContentType: key.endsWith('.json') ? 'application/json' : 'application/octet-stream'
+    }));
+  }
+
+  async delete(key) {
+    if (!(await this.exists(key))) {
+      return false;
+    }
+
+    await this.client.send(new this.sdk.DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+    return true;
+  }
+
+  async copy(fromKey, toKey) {
+    const source = this.objectKey(fromKey).split('/').map(encodeURIComponent).join('/');
+
+    try {
+      await this.client.send(new this.sdk.CopyObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(toKey),
+        CopySource: `${this.bucket}/${source}`
+      }));
+    } catch (error) {
+      if (isNotFound(error)) throw ReportStorage.notFoundError(fromKey);
+      throw error;
+    }
+  }
+
+  async withLock(key, fn) {
+    return withQueue(`${this.describe()}${key}`, fn);
+  }
+}
+
+module.exports = S3Storage;
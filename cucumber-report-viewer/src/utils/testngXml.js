@@ -0,0 +1,206 @@
+/**
+ * TestNG XML
+ * Converts TestNG's testng-results.xml into Cucumber JSON features, so Java suites run with
+ * TestNG are validated, indexed and shown like native reports.
+ *
+ *   <suite> / <test> / <class> -> feature per class, named after its suite and test
+ *   <test-method>              -> scenario with one step holding the result
+ *   status PASS, FAIL, SKIP    -> passed, failed, skipped step
+ *   <exception>                -> error_message: class, message and full stack trace
+ *   <params>                   -> scenario name suffix, e.g. "login (alice, secret)"
+ *   groups                     -> scenario tags, e.g. @smoke
+ *   <reporter-output>          -> step output (Reporter.log lines)
+ *
+ * Passed and skipped configuration methods (@BeforeMethod, @AfterClass, ...) are left out; failed
+ * ones are kept as scenarios, since they are why the tests after them were skipped.
+ *
+ * Plain JavaScript with no Node.js dependencies: used by the upload routes and by ReportUploader in the browser.
+ */
+
+const { parseXml } = require('./junitXml');
+
+const STATUSES = { PASS: 'passed', FAIL: 'failed', SKIP: 'skipped' };
+
+// A TestNG report starts with <testng-results>, after an optional declaration, comments or doctype
+const TESTNG_ROOT = /^\s*(?:<\?xml[^>]*\?>\s*)?(?:<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<testng-results[\s>/]/;
+
+function childrenNamed(element, name) {
+  return element.children.filter(child => child.name === name);
+}
+
+function firstChild(element, name) {
+  return childrenNamed(element, name)[0] || null;
+}
+
+function slug(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, '-');
+}
+
+// TestNG writes times as "2024-01-15T10:30:00 UTC" or with an offset ("2024-01-15T10:30:00 +0100")
+function toIsoString(time) {
+  if (!time) return null;
+  const date = new Date(String(time).trim().replace(/\s*UTC$/, 'Z').replace(/\s+([+-]\d{2}):?(\d{2})$/, '$1:$2'));
+  return Number.isNaN(date.getTime()) ? time : date.toISOString();
+}
+
+function toNanoseconds(durationMs) {
+  const ms = Number(durationMs);
+  return Number.isFinite(ms) && ms > 0 ? Math.round(ms * 1e6) : 0;
+}
+
+/**
+ * error_message of an <exception>: its full stack trace, or its class and message
+ */
+function errorMessage(exception) {
+  const message = firstChild(exception, 'message');
+  const stackTrace = firstChild(exception, 'full-stacktrace');
+  const text = message ? message.text.trim() : '';
+
+  if (stackTrace && stackTrace.text.trim()) return stackTrace.text.trim();
+  return [exception.attributes.class, text].filter(Boolean).join(': ') || 'Exception';
+}
+
+function parameters(method) {
+  const params = firstChild(method, 'params');
+  if (!params) return [];
+  return childrenNamed(params, 'param').map(param => {
+    const value = firstChild(param, 'value');
+    if (!value) return '';
+    return value.attributes['is-null'] === 'true' ? 'null' : value.text.trim();
+  });
+}
+
+/**
+ * Groups of every method, from the suite's <groups> section: "class.method" -> [group]
+ */
+function groupsByMethod(suite) {
+  const groups = new Map();
+  const section = firstChild(suite, 'groups');
+  if (!section) return groups;
+
+  childrenNamed(section, 'group').forEach(group => {
+    childrenNamed(group, 'method').forEach(method => {
+      const key = `${method.attributes.class}.${method.attributes.name}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(group.attributes.name);
+    });
+  });
+
+  return groups;
+}
+
+function toScenario(method, index, className, featureId, groups) {
+  const { name, status, description, signature } = method.attributes;
+  const isConfig = method.attributes['is-config'] === 'true';
+  const params = parameters(method);
+  const scenarioName = params.length > 0 ? `${name} (${params.join(', ')})` : name;
+  const exception = firstChild(method, 'exception');
+
+  const result = { status: STATUSES[status] || 'unknown', duration: toNanoseconds(method.attributes['duration-ms']) };
+  if (result.status === 'skipped') {
+    // No duration: normalizeReportFormat treats skipped steps with a duration as passed
+    result.duration = 0;
+  }
+  if (exception && result.status === 'failed') {
+    result.error_message = errorMessage(exception);
+  }
+
+  const reporterOutput = firstChild(method, 'reporter-output');
+  const output = [
+    ...(exception && result.status === 'skipped' ? [`Skipped: ${errorMessage(exception).split('\n')[0]}`] : []),
+    ...(reporterOutput ? childrenNamed(reporterOutput, 'line').map(line => line.text.trim()).filter(Boolean) : [])
+  ];
+
+  const methodGroups = [
+    ...(method.attributes.groups || '').split(',').map(group => group.trim()).filter(Boolean),
+    ...(groups.get(`${className}.${name}`) || [])
+  ];
+
+  return {
+    id: `${featureId};${slug(scenarioName)}`,
+    keyword: isConfig ? 'Configuration Method' : 'Test Method',
+    name: scenarioName,
+    description: description || '',
+    line: index + 1,
+    type: 'scenario',
+    start_timestamp: toIsoString(method.attributes['started-at']),
+    tags: [...new Set(methodGroups)].map(group => ({ name: `@${group}` })),
+    steps: [{
+      keyword: 'Run ',
+      // The signature ends with TestNG's "[pri:0, instance:...]" suffix
+      name: `${className}.${(signature || name).replace(/\[pri:[^\]]*\]$/, '')}`,
+      line: index + 1,
+      match: { location: `${className}.${name}` },
+      result,
+      ...(output.length > 0 ? { output } : {})
+    }]
+  };
+}
+
+function toFeature(suite, test, testClass, groups) {
+  const className = testClass.attributes.name;
+  const suiteName = suite.attributes.name;
+  const testName = test.attributes.name;
+  const featureId = slug(`${testName};${className}`);
+
+  const elements = childrenNamed(testClass, 'test-method')
+    .filter(method => method.attributes['is-config'] !== 'true' || method.attributes.status === 'FAIL')
+    .map((method, index) => toScenario(method, index, className, featureId, groups));
+
+  return {
+    id: featureId,
+    uri: className,
+    keyword: 'Test Class',
+    name: className,
+    description: [suiteName && `Suite: ${suiteName}`, testName && `Test: ${testName}`].filter(Boolean).join('\n'),
+    line: 1,
+    tags: [],
+    elements,
+    metadata: {
+      tool: 'TestNG',
+      timestamp: toIsoString(test.attributes['started-at'] || suite.attributes['started-at'])
+    }
+  };
+}
+
+/**
+ * Whether text is a TestNG results report (checks the root element only)
+ */
+function isTestNGXml(text) {
+  return typeof text === 'string' && TESTNG_ROOT.test(text.replace(/^﻿/, ''));
+}
+
+/**
+ * Convert a testng-results.xml report into Cucumber JSON features: one per test class of each <test>
+ * @param {string} text - The XML document
+ * @returns {Array} Cucumber JSON features
+ * @throws {Error} For malformed XML, a root other than <testng-results>, or no test methods
+ */
+function convertTestNGXml(text) {
+  const root = parseXml(text);
+  if (root.name !== 'testng-results') {
+    throw new Error(`Not a TestNG report: root element is <${root.name}>, expected <testng-results>`);
+  }
+
+  const features = [];
+  childrenNamed(root, 'suite').forEach(suite => {
+    const groups = groupsByMethod(suite);
+    childrenNamed(suite, 'test').forEach(test => {
+      childrenNamed(test, 'class').forEach(testClass => {
+        const feature = toFeature(suite, test, testClass, groups);
+        if (feature.elements.length > 0) features.push(feature);
+      });
+    });
+  });
+
+  if (features.length === 0) {
+    throw new Error('TestNG report has no test methods');
+  }
+
+  return features;
+}
+
+module.exports = {
+  isTestNGXml,
+  convertTestNGXml
+};